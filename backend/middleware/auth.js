@@ -11,6 +11,10 @@ const authenticate = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Scoped tokens (e.g. reminder actions) are never sessions
+    if (decoded.purpose) {
+      return res.status(401).json({ error: 'Invalid token.' });
+    }
     const user = await User.findById(decoded.userId);
 
     if (!user) {
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+// Dates here are calendar days: stored as UTC midnight and read without a timezone
+const periodSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  type: {
+    type: String,
+    enum: ['holiday', 'reading_week', 'exam_period'],
+    default: 'holiday'
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: { // Inclusive
+    type: Date,
+    required: true
+  }
+});
+
+const termSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: { // Inclusive, last day of teaching or exams
+    type: Date,
+    required: true
+  }
+});
+
+const academicCalendarSchema = new mongoose.Schema({
+  college: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Lowercased college name used for lookups, since profile.college is free text
+  collegeKey: {
+    type: String,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  timezone: {
+    type: String,
+    default: 'Asia/Kolkata'
+  },
+
+  terms: [termSchema],
+  periods: [periodSchema], // Holidays, reading weeks and exam periods
+
+  source: {
+    type: String,
+    enum: ['json', 'ics', 'manual'],
+    default: 'manual'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+academicCalendarSchema.statics.toCollegeKey = function(college) {
+  return String(college || '').trim().toLowerCase().replace(/\s+/g, ' ');
+};
+
+academicCalendarSchema.pre('validate', function(next) {
+  this.collegeKey = this.constructor.toCollegeKey(this.college);
+
+  const invalid = [...this.terms, ...this.periods].find(item => item.endDate < item.startDate);
+  if (invalid) {
+    return next(new Error(`"${invalid.name}" ends before it starts`));
+  }
+
+  next();
+});
+
+academicCalendarSchema.index({ collegeKey: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('AcademicCalendar', academicCalendarSchema);
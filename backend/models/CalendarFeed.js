@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// A subscribable ICS feed. Only a hash of the secret token is stored.
+const calendarFeedSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: 'My events'
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  tokenHint: String, // Last characters of the token, to tell feeds apart in the UI
+
+  filters: {
+    categories: [{
+      type: String,
+      enum: ['academic', 'competition', 'webinar', 'social', 'workshop', 'meeting', 'extracurricular']
+    }],
+    minPriority: {
+      type: Number,
+      min: 1,
+      max: 5,
+      default: 1
+    },
+    includeFriends: {
+      type: Boolean,
+      default: false
+    }
+  },
+
+  // ETag of the last served content and when it last differed, for Last-Modified
+  lastEtag: String,
+  contentChangedAt: Date,
+
+  lastAccessedAt: Date,
+  accessCount: {
+    type: Number,
+    default: 0
+  },
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('CalendarFeed', calendarFeedSchema);
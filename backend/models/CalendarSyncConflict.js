@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Logged when an event changed both here and in Google Calendar between two syncs
+const calendarSyncConflictSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+  googleEventId: String,
+  provider: {
+    type: String,
+    enum: ['google'],
+    default: 'google'
+  },
+
+  type: {
+    type: String,
+    enum: ['both_modified', 'deleted_remotely', 'deleted_locally'],
+    required: true
+  },
+  winner: {
+    type: String,
+    enum: ['local', 'remote'],
+    required: true
+  },
+  localUpdatedAt: Date,
+  remoteUpdatedAt: Date,
+
+  // What each side looked like when the conflict was decided
+  localSnapshot: {
+    title: String,
+    dateTime: Date,
+    endDateTime: Date,
+    location: String,
+    status: String
+  },
+  remoteSnapshot: {
+    title: String,
+    dateTime: Date,
+    endDateTime: Date,
+    location: String,
+    status: String
+  }
+}, {
+  timestamps: true
+});
+
+calendarSyncConflictSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CalendarSyncConflict', calendarSyncConflictSchema);
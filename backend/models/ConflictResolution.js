@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const conflictResolutionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  conflictId: {
+    type: String, // Sorted event IDs joined with '-'
+    required: true
+  },
+  events: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  }],
+  // Times of the events when the decision was made; moving either one brings the conflict back
+  eventTimes: [{
+    _id: false,
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event'
+    },
+    dateTime: Date,
+    endDateTime: Date
+  }],
+
+  action: {
+    type: String,
+    enum: ['skip', 'reschedule', 'attend_partially', 'downgrade_priority'],
+    required: true
+  },
+  targetEventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  details: {
+    previousStatus: String,
+    previousDateTime: Date,
+    previousEndDateTime: Date,
+    newDateTime: Date,
+    newEndDateTime: Date,
+    previousPriority: Number,
+    newPriority: Number,
+    attendFrom: Date,
+    attendUntil: Date,
+    remindersCancelled: {
+      type: Number,
+      default: 0
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    }
+  },
+
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  decidedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+conflictResolutionSchema.index({ userId: 1, decidedAt: -1 });
+conflictResolutionSchema.index({ userId: 1, conflictId: 1 });
+conflictResolutionSchema.index({ events: 1 });
+
+module.exports = mongoose.model('ConflictResolution', conflictResolutionSchema);
@@ -1,5 +1,29 @@
 const mongoose = require('mongoose');
 
+const spanSchema = new mongoose.Schema({
+  start: Number,
+  end: Number,
+  text: String
+}, { _id: false });
+
+const extractedFieldSchema = new mongoose.Schema({
+  value: mongoose.Schema.Types.Mixed,
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  span: spanSchema,
+  alternatives: [{
+    _id: false,
+    value: mongoose.Schema.Types.Mixed,
+    confidence: Number,
+    span: spanSchema
+  }],
+  // Set when the saved value differs from what was extracted
+  corrected: Boolean
+}, { _id: false });
+
 const eventSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -34,6 +58,12 @@ const eventSchema = new mongoose.Schema({
       message: 'End date must be after start date'
     }
   },
+  // Part of the event the user plans to attend (a conflict resolved with "attend partially");
+  // pre-event reminders count down to `from`
+  attendance: {
+    from: Date,
+    until: Date
+  },
   location: {
     type: String,
     trim: true,
@@ -68,12 +98,12 @@ const eventSchema = new mongoose.Schema({
   // Extraction Metadata
   sourceType: {
     type: String,
-    enum: ['text_manual', 'voice', 'poster_image', 'email'],
+    enum: ['text_manual', 'voice', 'poster_image', 'email', 'recurring_template', 'ics_import', 'google_import'],
     required: true
   },
   extractionMethod: {
     type: String,
-    enum: ['manual', 'nlp', 'deepseek-ocr', 'paddle-ocr', 'claude-vision'],
+    enum: ['manual', 'nlp', 'deepseek-ocr', 'paddle-ocr', 'claude-vision', 'google-vision', 'google-document-ai', 'tesseract', 'pdf-extraction', 'ics_import'],
     default: 'manual'
   },
   extractionConfidence: {
@@ -83,9 +113,38 @@ const eventSchema = new mongoose.Schema({
     default: 1.0
   },
   rawInput: String, // URL or original text
+  // Per-field extraction results (see eventExtractionService): confidence, where in rawInput the
+  // value came from and the other candidates that were found
+  extractionFields: {
+    title: extractedFieldSchema,
+    dateTime: extractedFieldSchema,
+    endDateTime: extractedFieldSchema,
+    location: extractedFieldSchema,
+    category: extractedFieldSchema,
+    priority: extractedFieldSchema
+  },
 
   // Details
   registrationDeadline: Date,
+  registrationStatus: {
+    type: String,
+    enum: ['not_registered', 'registered', 'waitlisted'],
+    default: 'not_registered'
+  },
+  registrationUpdatedAt: Date,
+  // Set once the deadline passed while still not registered (see deadlineService)
+  deadlineMissedAt: Date,
+  priorityBeforeDowngrade: Number,
+
+  // Per-event reminder offsets in place of the user's rules
+  reminderOverride: {
+    active: {
+      type: Boolean,
+      default: false
+    },
+    offsets: [Number], // Seconds before dateTime
+    deadlineOffsets: [Number] // Seconds before registrationDeadline
+  },
   registrationFee: {
     type: Number,
     default: 0,
@@ -172,15 +231,25 @@ const eventSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    // 'directory' fences come from the campus venue directory and follow the event's location
+    source: {
+      type: String,
+      enum: ['manual', 'directory'],
+      default: 'manual'
+    },
     lastTriggered: Date
   }],
 
   // Calendar Integration
-  googleCalendarId: String,
+  icsUid: String, // UID of the VEVENT this was imported from
+  googleCalendarId: String, // Google event id
   googleCalendarSynced: {
     type: Boolean,
     default: false
   },
+  googleEtag: String, // etag of the Google copy as of the last sync
+  googleUpdated: Date, // Google's `updated` as of the last sync
+  googleSyncedAt: Date, // Our updatedAt as of the last sync; later edits need pushing (unset: in sync)
 
   // NEW: Social & Sharing
   isPublic: {
@@ -222,6 +291,11 @@ const eventSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'RecurringEventTemplate'
   },
+  recurrenceDate: Date, // Original occurrence start this instance was generated for
+  recurrenceException: { // Edited on its own; series-wide updates leave it alone
+    type: Boolean,
+    default: false
+  },
 
   // NEW: Organizer Tools
   organizerTools: {
@@ -304,7 +378,14 @@ eventSchema.index({ userId: 1, dateTime: 1 });
 eventSchema.index({ userId: 1, priority: -1, dateTime: 1 });
 eventSchema.index({ userId: 1, category: 1 });
 eventSchema.index({ userId: 1, status: 1 });
+eventSchema.index({ userId: 1, registrationStatus: 1, registrationDeadline: 1 });
 eventSchema.index({ dateTime: 1 }); // For reminder scheduler
+eventSchema.index({ userId: 1, icsUid: 1 }, { sparse: true }); // Re-imports match on UID
+eventSchema.index({ userId: 1, googleCalendarId: 1 }, { sparse: true }); // Google sync lookups
+eventSchema.index( // One instance per occurrence of a recurring series
+  { recurringId: 1, recurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { recurrenceDate: { $exists: true } } }
+);
 eventSchema.index({ title: 'text', description: 'text', location: 'text' }); // Full-text search
 
 // Virtual for duration in minutes
@@ -313,6 +394,25 @@ eventSchema.virtual('duration').get(function() {
   return Math.round((this.endDateTime - this.dateTime) / (1000 * 60));
 });
 
+// Flag extracted fields the user changed before saving, so corrections can be learned from
+eventSchema.pre('save', function(next) {
+  if (!this.isNew || !this.extractionFields) return next();
+
+  const same = (a, b) => {
+    if (a instanceof Date || b instanceof Date) return new Date(a).getTime() === new Date(b).getTime();
+    return String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+  };
+
+  ['title', 'dateTime', 'endDateTime', 'location', 'category', 'priority'].forEach(field => {
+    const extracted = this.extractionFields[field];
+    if (extracted && extracted.value !== undefined) {
+      extracted.corrected = !same(extracted.value, this[field]);
+    }
+  });
+
+  next();
+});
+
 // Ensure virtual fields are serialized
 eventSchema.set('toJSON', { virtuals: true });
 
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Naive Bayes counts for classifying an event's category and priority from its text. Keyed by
+// label ("workshop", or "4" for priorities); each label has its document and token totals and
+// per-token counts. userId null is the global model every user's model is smoothed towards.
+const labelCountsSchema = new mongoose.Schema({
+  documents: { type: Number, default: 0 },
+  tokens: { type: Number, default: 0 },
+  counts: { type: Map, of: Number, default: {} }
+}, { _id: false });
+
+const eventClassifierModelSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    unique: true
+  },
+  category: { type: Map, of: labelCountsSchema, default: {} },
+  priority: { type: Map, of: labelCountsSchema, default: {} },
+  documents: { type: Number, default: 0 },
+  trainedAt: Date
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('EventClassifierModel', eventClassifierModelSchema);
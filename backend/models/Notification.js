@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// In-app inbox entry, written by the in_app notification channel
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['reminder', 'announcement', 'system'],
+    default: 'system'
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: 300
+  },
+  message: {
+    type: String,
+    maxlength: 2000
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+  reminderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reminder'
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
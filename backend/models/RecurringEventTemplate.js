@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { isValidRRule } = require('../utils/recurrence');
 
 const recurringEventTemplateSchema = new mongoose.Schema({
   userId: {
@@ -58,9 +59,25 @@ const recurringEventTemplateSchema = new mongoose.Schema({
   recurrence: {
     pattern: {
       type: String,
-      enum: ['weekly', 'biweekly', 'monthly', 'custom'],
-      required: true
+      enum: ['weekly', 'biweekly', 'monthly', 'custom', 'rrule'],
+      required: true,
+      default: function() {
+        return this.recurrence && this.recurrence.rrule ? 'rrule' : undefined;
+      }
+    },
+    // RFC 5545 rule, e.g. "FREQ=MONTHLY;BYDAY=WE;BYSETPOS=2". Takes precedence over pattern.
+    rrule: {
+      type: String,
+      trim: true,
+      validate: {
+        validator: function(value) {
+          return !value || isValidRRule(value);
+        },
+        message: props => `Invalid recurrence rule: ${props.value}`
+      }
     },
+    exdates: [Date], // Exact occurrence start times removed from the series
+    timezone: String, // Falls back to the owner's preferences.timezone
     daysOfWeek: [{
       type: Number, // 0=Sunday, 6=Saturday
       min: 0,
@@ -71,6 +88,7 @@ const recurringEventTemplateSchema = new mongoose.Schema({
       required: true
     },
     endDate: Date,
+    splitAt: Date, // Set by a "this and following" split; the series never runs past it
     skipDates: [Date], // Manual exclusions
     customInterval: {
       type: Number, // For custom patterns
@@ -78,6 +96,72 @@ const recurringEventTemplateSchema = new mongoose.Schema({
     }
   },
 
+  // Per-occurrence overrides, keyed by the occurrence's original start time
+  exceptions: [{
+    originalDate: {
+      type: Date,
+      required: true
+    },
+    cancelled: {
+      type: Boolean,
+      default: false
+    },
+    dateTime: Date,
+    endDateTime: Date,
+    title: {
+      type: String,
+      trim: true,
+      maxlength: 200
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 2000
+    },
+    location: {
+      type: String,
+      trim: true,
+      maxlength: 300
+    }
+  }],
+
+  // Bound academic term: endDate and the term's skip days come from the calendar
+  academicTerm: {
+    calendarId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AcademicCalendar'
+    },
+    termId: mongoose.Schema.Types.ObjectId,
+    skipTypes: {
+      type: [String],
+      enum: ['holiday', 'reading_week', 'exam_period'],
+      default: undefined
+    },
+    skipDates: [Date], // Derived from the calendar on every sync
+    syncedAt: Date
+  },
+
+  // Alarms applied to every generated instance (e.g. imported VALARMs)
+  alarms: [{
+    secondsBefore: {
+      type: Number,
+      required: true
+    },
+    message: String,
+    channel: {
+      type: String,
+      default: 'default' // See Reminder.channel
+    }
+  }],
+
+  icsUid: String, // UID of the VEVENT this series was imported from
+
+  // Set when this template was split off an earlier series ("this and following")
+  splitFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringEventTemplate'
+  },
+
   autoCreateDaysBefore: {
     type: Number,
     default: 7,
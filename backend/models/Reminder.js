@@ -16,9 +16,12 @@ const reminderSchema = new mongoose.Schema({
 
   reminderType: {
     type: String,
-    enum: ['pre_event', 'custom'],
+    enum: ['pre_event', 'deadline', 'custom'],
     default: 'pre_event'
   },
+  // For rule-based reminders: seconds before the event (pre_event) or before its
+  // registrationDeadline (deadline), so they can be reconciled when rules change
+  triggeredBefore: Number,
   scheduledFor: {
     type: Date,
     required: true,
@@ -34,13 +37,15 @@ const reminderSchema = new mongoose.Schema({
     title: String,
     dateTime: Date,
     location: String,
+    attendFrom: Date, // Planned arrival, when the user attends only part of the event
     customNote: String
   },
 
+  // 'default' follows the user's fallback chain; a channel name (or legacy 'both') is tried
+  // first with the chain as fallback
   channel: {
     type: String,
-    enum: ['browser_push', 'email', 'both'],
-    default: 'browser_push'
+    default: 'default'
   },
   status: {
     type: String,
@@ -49,12 +54,37 @@ const reminderSchema = new mongoose.Schema({
     index: true
   },
   sentAt: Date,
+  // Set by snoozing (see snoozeService), which puts the reminder back on the queue
+  snoozedUntil: Date,
+  snoozeCount: {
+    type: Number,
+    default: 0
+  },
   attempts: {
     type: Number,
     default: 0,
     max: 3
   },
   lastError: String,
+  // One receipt per channel tried, across all attempts
+  deliveries: [{
+    channel: String,
+    status: {
+      type: String,
+      enum: ['sent', 'failed', 'skipped']
+    },
+    attempt: Number,
+    at: Date,
+    error: String,
+    detail: String // Provider message id, inbox entry id, ...
+  }],
+
+  // Delivery queue: a worker holds the lease until lockedUntil, failed sends wait until
+  // nextAttemptAt, and reminders out of attempts (or missed entirely) are dead-lettered as failed
+  lockedBy: String,
+  lockedUntil: Date,
+  nextAttemptAt: Date,
+  deadLetteredAt: Date,
 
   // NEW: ML Optimization
   optimizationReason: String,
@@ -76,5 +106,6 @@ const reminderSchema = new mongoose.Schema({
 // Index for efficient querying
 reminderSchema.index({ scheduledFor: 1, status: 1 });
 reminderSchema.index({ userId: 1, status: 1 });
+reminderSchema.index({ status: 1, nextAttemptAt: 1 }); // Retries
 
 module.exports = mongoose.model('Reminder', reminderSchema);
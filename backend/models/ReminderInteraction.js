@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// One row per thing that happened to a reminder, used to train the timing model
+// (see reminderOptimizerService). 'delivered' rows carry the features; the others are outcomes.
+const reminderInteractionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reminderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reminder'
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+  type: {
+    type: String,
+    enum: ['delivered', 'opened', 'clicked', 'dismissed', 'snoozed', 'attended'],
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Features, recorded on delivery
+  localHour: Number, // 0-23 in the user's timezone
+  localDay: Number, // 0 = Sunday
+  leadSeconds: Number, // How long before the event it was delivered
+  category: String,
+  priority: Number,
+  channel: String,
+  optimized: Boolean // Timing chosen by the model rather than the fixed offsets
+});
+
+reminderInteractionSchema.index({ userId: 1, at: -1 });
+reminderInteractionSchema.index({ reminderId: 1, type: 1 });
+reminderInteractionSchema.index({ at: -1 });
+
+module.exports = mongoose.model('ReminderInteraction', reminderInteractionSchema);
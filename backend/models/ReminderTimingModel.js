@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Raw delivered/engaged counts for the reminder timing model. userId null is the global
+// model every user's counts are smoothed towards; smoothing happens at prediction time.
+const countsSchema = {
+  delivered: { type: Number, default: 0 },
+  engaged: { type: Number, default: 0 }
+};
+
+const reminderTimingModelSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    unique: true
+  },
+  overall: countsSchema,
+  hours: [countsSchema], // 24, by local hour
+  days: [countsSchema], // 7, by local weekday
+  // Lead time before the event, per category; engagement here also counts attendance
+  leads: [{
+    category: String,
+    bucket: Number, // Seconds before the event
+    ...countsSchema
+  }],
+  trainedAt: Date
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ReminderTimingModel', reminderTimingModelSchema);
@@ -105,11 +105,59 @@ const userSchema = new mongoose.Schema({
       type: Number, // seconds before event
       default: [604800, 259200, 86400, 7200] // 1w, 3d, 1d, 2h
     }],
+    // Reminder offsets by category/priority/tag; the first matching rule wins (see
+    // reminderRulesService). Events no rule matches use defaultReminderTimes, then the
+    // priority defaults.
+    reminderRules: [{
+      name: {
+        type: String,
+        trim: true,
+        maxlength: 100
+      },
+      categories: [String], // Empty criteria match anything
+      priorities: [Number],
+      tags: [{ type: String, trim: true, lowercase: true }],
+      offsets: [{ type: Number, min: 0 }], // Seconds before the event starts
+      deadlineOffsets: [{ type: Number, min: 0 }], // Seconds before registrationDeadline
+      channel: {
+        type: String,
+        default: 'default'
+      }
+    }],
+    // Registration deadlines (see deadlineService)
+    deadlines: {
+      // Seconds before registrationDeadline, for events not registered yet and without a rule
+      reminderOffsets: {
+        type: [{ type: Number, min: 0 }],
+        default: [259200, 86400, 10800] // 3d, 1d, 3h
+      },
+      highlightWithinDays: { // "Closing soon" on the dashboard and in the digest
+        type: Number,
+        min: 1,
+        max: 30,
+        default: 3
+      },
+      downgradeWhenMissed: { // Lower the priority once the deadline passes unregistered
+        type: Boolean,
+        default: false
+      },
+      downgradeTo: {
+        type: Number,
+        enum: [1, 2, 3, 4],
+        default: 1
+      }
+    },
     notificationChannel: {
       type: String,
       enum: ['browser_push', 'email', 'both'],
       default: 'browser_push'
     },
+    // Ordered fallback chains of notification channel names (see notificationService);
+    // empty means the defaults
+    notificationChains: {
+      reminder: [{ type: String, trim: true }],
+      announcement: [{ type: String, trim: true }]
+    },
     interestedCategories: [{
       type: String,
       enum: ['academic', 'competition', 'webinar', 'workshop', 'social', 'meeting', 'extracurricular'],
@@ -124,6 +172,41 @@ const userSchema = new mongoose.Schema({
       type: String,
       default: 'Asia/Kolkata'
     },
+    // Language and date order for reading dates out of text: en-US reads 03/04 as March 4,
+    // en-IN/en-GB as 3 April. fr, de and es are parsed in that language, then English.
+    locale: {
+      type: String,
+      default: 'en-IN'
+    },
+    // Reminders are moved out of these windows (see quietHoursService)
+    quietHours: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      // "HH:MM" in preferences.timezone; start > end runs overnight. A window counts as
+      // weekend when it ends on Saturday or Sunday, so Friday night uses the weekend times.
+      weekday: {
+        start: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/, default: '23:00' },
+        end: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/, default: '07:00' }
+      },
+      weekend: {
+        start: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/, default: '23:30' },
+        end: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/, default: '09:00' }
+      },
+      allowCritical: { // Critical-priority reminders still go out
+        type: Boolean,
+        default: true
+      }
+    },
+    doNotDisturb: {
+      from: Date,
+      until: Date,
+      allowCritical: {
+        type: Boolean,
+        default: true
+      }
+    },
     theme: {
       type: String,
       enum: ['light', 'dark', 'auto'],
@@ -148,7 +231,12 @@ const userSchema = new mongoose.Schema({
       },
       accessToken: String,
       refreshToken: String,
-      calendarId: String
+      expiryDate: Number,
+      email: String,
+      calendarId: String,
+      nextSyncToken: String, // From the last events.list, for incremental pulls
+      lastSync: Date,
+      lastSyncError: String
     },
     // NEW: Email Integration
     emailIntegration: {
@@ -193,6 +281,16 @@ const userSchema = new mongoose.Schema({
         type: String,
         trim: true
       }],
+      userId: String, // Slack member ID for direct-message notifications
+      isActive: {
+        type: Boolean,
+        default: false
+      }
+    },
+    // Outgoing webhook notification channel
+    webhook: {
+      url: String,
+      secret: String, // Signs payloads with HMAC-SHA256
       isActive: {
         type: Boolean,
         default: false
@@ -217,6 +315,7 @@ const userSchema = new mongoose.Schema({
       enum: ['academic', 'competition', 'webinar', 'workshop', 'social', 'meeting', 'extracurricular']
     }
   },
+  // One per browser/device; pushes fan out to every unmuted one
   pushSubscriptions: [{
     endpoint: String,
     keys: {
@@ -224,6 +323,18 @@ const userSchema = new mongoose.Schema({
       auth: String
     },
     userAgent: String,
+    label: {
+      type: String,
+      trim: true,
+      maxlength: 100
+    },
+    muted: {
+      type: Boolean,
+      default: false
+    },
+    lastSuccessAt: Date,
+    lastFailureAt: Date,
+    lastError: String,
     createdAt: {
       type: Date,
       default: Date.now
@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const academicCalendarService = require('../services/academicCalendarService');
+const { authenticate } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Calendars for the user's college
+router.get('/', async (req, res) => {
+  try {
+    const calendars = await academicCalendarService.getCalendarsForUser(req.user._id);
+    res.json({ calendars });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Import a calendar from JSON or ICS text
+// Body: { format: 'json' | 'ics', data, name, timezone }
+router.post('/import', async (req, res) => {
+  try {
+    const calendar = await academicCalendarService.importCalendar(req.user._id, req.body);
+    res.status(201).json(calendar);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Get a calendar with its terms and periods
+router.get('/:calendarId', async (req, res) => {
+  try {
+    const calendar = await academicCalendarService.getCalendar(req.params.calendarId, req.user._id);
+    res.json(calendar);
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// Delete a calendar (only whoever imported it)
+router.delete('/:calendarId', async (req, res) => {
+  try {
+    const result = await academicCalendarService.deleteCalendar(req.params.calendarId, req.user._id);
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+module.exports = router;
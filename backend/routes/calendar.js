@@ -1,14 +1,86 @@
 const express = require('express');
 const { authenticate } = require('../middleware/auth');
 const googleCalendarService = require('../services/googleCalendarService');
+const googleCalendarSyncService = require('../services/googleCalendarSyncService');
+const calendarFeedService = require('../services/calendarFeedService');
 const User = require('../models/User');
 const Event = require('../models/Event');
 
 const router = express.Router();
 
+// Subscribable ICS feed - the token in the URL is the credential, so this sits before auth
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const feed = await calendarFeedService.getFeed(req.params.token);
+    if (!feed) {
+      return res.status(404).json({ error: 'Feed not found' });
+    }
+
+    res.setHeader('ETag', feed.etag);
+    res.setHeader('Last-Modified', feed.lastModified.toUTCString());
+    res.setHeader('Cache-Control', 'private, max-age=300');
+
+    // If-None-Match wins over If-Modified-Since when both are sent
+    const ifNoneMatch = req.get('If-None-Match');
+    const ifModifiedSince = req.get('If-Modified-Since');
+    const notModified = ifNoneMatch
+      ? ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(feed.etag)
+      : ifModifiedSince && feed.lastModified <= new Date(ifModifiedSince);
+
+    if (notModified) {
+      return res.status(304).end();
+    }
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="events.ics"');
+    res.send(feed.ics);
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to build calendar feed' });
+  }
+});
+
 // All routes require authentication
 router.use(authenticate);
 
+// Create a feed URL for Apple Calendar / Outlook subscriptions
+// Body: { name, filters: { categories, minPriority, includeFriends } }
+router.post('/feeds', async (req, res) => {
+  try {
+    const { feed, token } = await calendarFeedService.createFeed(req.user._id, req.body);
+    const feedUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}/feed/${token}.ics`;
+
+    res.status(201).json({
+      feed: { ...feed.toObject(), tokenHash: undefined },
+      url: feedUrl,
+      webcalUrl: feedUrl.replace(/^https?:/, 'webcal:')
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// List active feeds (the URL is only shown once, at creation)
+router.get('/feeds', async (req, res) => {
+  try {
+    const feeds = await calendarFeedService.listFeeds(req.user._id);
+    res.json({ feeds });
+  } catch (error) {
+    console.error('Error listing feeds:', error);
+    res.status(500).json({ error: 'Failed to list feeds' });
+  }
+});
+
+// Revoke a feed; its URL stops working immediately
+router.delete('/feeds/:feedId', async (req, res) => {
+  try {
+    const result = await calendarFeedService.revokeFeed(req.params.feedId, req.user._id);
+    res.json(result);
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
 // Generate Google OAuth URL
 router.get('/auth-url', (req, res) => {
   try {
@@ -124,7 +196,8 @@ router.get('/calendars', async (req, res) => {
   }
 });
 
-// Sync events with Google Calendar
+// Two-way sync with Google Calendar. Also runs on a schedule (see server.js);
+// calendarId defaults to the calendar used last time, then "primary".
 router.post('/sync', async (req, res) => {
   try {
     const { calendarId } = req.body;
@@ -134,39 +207,14 @@ router.post('/sync', async (req, res) => {
       return res.status(400).json({ error: 'Google Calendar not connected' });
     }
 
-    if (!calendarId) {
-      return res.status(400).json({ error: 'Calendar ID is required' });
-    }
-
-    // Set user credentials
-    googleCalendarService.setUserCredentials({
-      access_token: user.integrations.googleCalendar.accessToken,
-      refresh_token: user.integrations.googleCalendar.refreshToken,
-      expiry_date: user.integrations.googleCalendar.expiryDate
-    });
-
-    // Get user's events that should be synced
-    const userEvents = await Event.find({
-      userId: req.user._id,
-      status: { $in: ['scheduled', 'in_progress'] }
-    });
-
-    // Perform sync
-    const syncResults = await googleCalendarService.syncEvents(
-      req.user._id,
-      calendarId,
-      userEvents
-    );
-
-    // Update last sync timestamp
-    await User.findByIdAndUpdate(req.user._id, {
-      'integrations.googleCalendar.lastSync': new Date()
-    });
+    const results = await googleCalendarSyncService.syncUser(req.user._id, { calendarId });
+    const { pulled, pushed } = results;
 
     res.json({
       success: true,
-      results: syncResults,
-      message: `Sync completed: ${syncResults.created.length} created, ${syncResults.updated.length} updated, ${syncResults.deleted.length} deleted`
+      results,
+      message: `Sync completed: ${pulled.created + pulled.updated + pulled.deleted} changes pulled, ` +
+        `${pushed.created + pushed.updated + pushed.deleted} pushed, ${results.conflicts} conflicts`
     });
 
   } catch (error) {
@@ -175,6 +223,17 @@ router.post('/sync', async (req, res) => {
   }
 });
 
+// Events that changed on both sides between syncs and which side won
+router.get('/sync/conflicts', async (req, res) => {
+  try {
+    const result = await googleCalendarSyncService.getConflicts(req.user._id, req.query);
+    res.json(result);
+  } catch (error) {
+    console.error('Error getting sync conflicts:', error);
+    res.status(500).json({ error: 'Failed to get sync conflicts' });
+  }
+});
+
 // Export single event to Google Calendar
 router.post('/export/:eventId', async (req, res) => {
   try {
@@ -262,6 +321,10 @@ router.post('/import', async (req, res) => {
     const savedEvents = [];
     for (const eventData of importedEvents) {
       try {
+        // Already brought in by an earlier import or sync
+        const existing = await Event.exists({ userId: req.user._id, googleCalendarId: eventData.googleCalendarId });
+        if (existing) continue;
+
         const event = new Event(eventData);
         await event.save();
         savedEvents.push(event);
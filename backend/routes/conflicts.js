@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const conflictResolver = require('../services/conflictResolverService');
 const { authenticateToken } = require('../middleware/auth');
+const { isValidTimeZone } = require('../utils/timezone');
 
 // All routes require authentication
 router.use(authenticateToken);
@@ -9,32 +10,65 @@ router.use(authenticateToken);
 // Get current conflicts
 router.get('/', async (req, res) => {
   try {
-    const { timeWindow } = req.query;
-    const conflicts = await conflictResolver.detectConflicts(
-      req.user.id,
-      parseFloat(timeWindow) || 2
-    );
-    res.json(conflicts);
+    const { defaultDuration, travelBuffer, days } = req.query;
+    const result = await conflictResolver.detectConflicts(req.user.id, {
+      defaultDurationMinutes: parseInt(defaultDuration) || undefined,
+      travelBufferMinutes: travelBuffer !== undefined ? parseInt(travelBuffer) || 0 : undefined,
+      lookaheadDays: parseInt(days) || undefined,
+      timezone: req.user.preferences?.timezone
+    });
+    res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Find open slots in the user's schedule
+router.get('/free-slots', async (req, res) => {
+  try {
+    const { duration, from, to, quietStart, quietEnd, limit } = req.query;
+    const timezone = req.query.timezone || req.user.preferences?.timezone || 'UTC';
+
+    if (!isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: 'Invalid timezone' });
+    }
+
+    const quietHours = quietStart && quietEnd
+      ? { start: quietStart, end: quietEnd }
+      : undefined;
+
+    const slots = await conflictResolver.findFreeSlots(req.user.id, {
+      durationMinutes: parseInt(duration) || 60,
+      from,
+      to,
+      timezone,
+      quietHours,
+      limit: Math.min(parseInt(limit) || 5, 50)
+    });
+
+    res.json({ timezone, slots });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // Resolve a conflict
 router.post('/resolve/:conflictId', async (req, res) => {
   try {
     const { action } = req.body;
     const result = await conflictResolver.resolveConflict(req.user.id, req.params.conflictId, action);
-    res.json(result);
+    res.status(201).json(result);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(400).json({ error: error.message });
   }
 });
 
 // Get conflict history
 router.get('/history', async (req, res) => {
   try {
-    const history = await conflictResolver.getConflictHistory(req.user.id);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+    const history = await conflictResolver.getConflictHistory(req.user.id, page, limit);
     res.json(history);
   } catch (error) {
     res.status(500).json({ error: error.message });
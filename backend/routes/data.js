@@ -33,15 +33,32 @@ router.get('/export/csv', async (req, res) => {
 });
 
 // Export events as ICS calendar file
+// Query: category, status (comma lists), from, to
 router.get('/export/ics', async (req, res) => {
   try {
-    const icsData = await dataService.exportToICS(req.user.id);
+    const { category, status, from, to } = req.query;
+    const icsData = await dataService.exportToICS(req.user.id, { category, status, from, to });
 
-    res.setHeader('Content-Type', 'text/calendar');
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
     res.setHeader('Content-Disposition', 'attachment; filename="my-events.ics"');
     res.send(icsData);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.message === 'Invalid date range' ? 400 : 500).json({ error: error.message });
+  }
+});
+
+// Import events from an ICS calendar file
+// Body: { data: <ics text>, commit: false } returns a preview; commit: true applies it
+router.post('/import/ics', async (req, res) => {
+  try {
+    const { data, commit } = req.body;
+    const result = await dataService.importFromICS(req.user.id, data, {
+      commit: commit === true || commit === 'true'
+    });
+
+    res.status(result.committed ? 201 : 200).json(result);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
   }
 });
 
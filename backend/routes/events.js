@@ -4,9 +4,16 @@ const Event = require('../models/Event');
 const Reminder = require('../models/Reminder');
 const { authenticate } = require('../middleware/auth');
 const reminderScheduler = require('../services/reminderScheduler');
+const reminderRulesService = require('../services/reminderRulesService');
+const deadlineService = require('../services/deadlineService');
+const reminderOptimizer = require('../services/reminderOptimizerService');
+const venueDirectory = require('../services/venueDirectoryService');
+const eventClassifier = require('../services/eventClassifierService');
 
 const router = express.Router();
 
+const MAX_BATCH_EVENTS = 50;
+
 // All routes require authentication
 router.use(authenticate);
 
@@ -393,6 +400,37 @@ router.get('/search', async (req, res) => {
   }
 });
 
+// Upcoming registration deadlines, most urgent first.
+// Query: days (default 30), includeRegistered=true to also list registered/waitlisted events
+router.get('/deadlines', async (req, res) => {
+  try {
+    const deadlines = await deadlineService.getUpcomingDeadlines(req.user._id, {
+      days: req.query.days,
+      includeRegistered: req.query.includeRegistered === 'true',
+      user: req.user
+    });
+
+    res.json({
+      deadlines,
+      closingSoon: deadlines.filter(deadline => deadline.closingSoon).length,
+      highlightWithinDays: deadlineService.getHighlightDays(req.user)
+    });
+  } catch (error) {
+    console.error('Get deadlines error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Campus venues known to the directory. Query: q filters by name or alias
+router.get('/venues', async (req, res) => {
+  try {
+    res.json({ venues: venueDirectory.list(req.query.q) });
+  } catch (error) {
+    console.error('Get venues error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Get single event
 router.get('/:id', async (req, res) => {
   try {
@@ -425,7 +463,17 @@ router.post('/', async (req, res) => {
       userId: req.user._id
     };
 
+    if (req.body.reminderOverride !== undefined) {
+      try {
+        eventData.reminderOverride = reminderRulesService.normalizeOverride(req.body.reminderOverride);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+
     const event = new Event(eventData);
+    // Known campus venues get a geofence for location-aware reminders
+    venueDirectory.geocodeEvent(event);
     await event.save();
 
     // Schedule reminders using the reminder scheduler service
@@ -436,6 +484,13 @@ router.post('/', async (req, res) => {
       // Don't fail the event creation if reminder scheduling fails
     }
 
+    // Learn the category and priority, weighting the ones the user corrected in the editor
+    try {
+      await eventClassifier.learnFromEvent(event);
+    } catch (error) {
+      console.error('Error updating event classifier:', error);
+    }
+
     // Update user statistics
     await updateUserStatistics(req.user._id);
 
@@ -452,12 +507,93 @@ router.post('/', async (req, res) => {
   }
 });
 
+// Create several events at once, e.g. the drafts /api/process returned for a newsletter.
+// Body: { drafts: [...] }; a draft with include: false is dropped. Each draft is validated on
+// its own, so one bad draft doesn't block the rest.
+router.post('/batch', async (req, res) => {
+  try {
+    const { drafts } = req.body;
+    if (!Array.isArray(drafts) || drafts.length === 0) {
+      return res.status(400).json({ error: 'A non-empty list of drafts is required' });
+    }
+    if (drafts.length > MAX_BATCH_EVENTS) {
+      return res.status(400).json({ error: `At most ${MAX_BATCH_EVENTS} events per batch` });
+    }
+
+    const created = [];
+    const skipped = [];
+    const errors = [];
+
+    for (const [index, draft] of drafts.entries()) {
+      const { include, draftId, sourceSpan, _id, userId, ...fields } = draft || {};
+      if (include === false) {
+        skipped.push(index);
+        continue;
+      }
+
+      try {
+        if (fields.reminderOverride !== undefined) {
+          fields.reminderOverride = reminderRulesService.normalizeOverride(fields.reminderOverride);
+        }
+
+        const event = new Event({
+          sourceType: 'text_manual',
+          ...fields,
+          userId: req.user._id
+        });
+        venueDirectory.geocodeEvent(event);
+        await event.save();
+        created.push(event);
+      } catch (error) {
+        errors.push({ index, title: fields.title, error: error.message });
+      }
+    }
+
+    for (const event of created) {
+      try {
+        await reminderScheduler.scheduleEventReminders(event, req.user._id, req.user);
+      } catch (error) {
+        console.error(`Error scheduling reminders for event ${event._id}:`, error);
+      }
+
+      try {
+        await eventClassifier.learnFromEvent(event);
+      } catch (error) {
+        console.error(`Error updating event classifier for event ${event._id}:`, error);
+      }
+    }
+
+    if (created.length > 0) {
+      await updateUserStatistics(req.user._id);
+    }
+
+    res.status(created.length > 0 || errors.length === 0 ? 201 : 400).json({
+      message: `${created.length} event${created.length === 1 ? '' : 's'} created`,
+      events: created,
+      skipped,
+      errors
+    });
+  } catch (error) {
+    console.error('Batch create events error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Update event
 router.put('/:id', async (req, res) => {
   try {
+    const update = { ...req.body };
+    if (req.body.reminderOverride !== undefined) {
+      try {
+        update.reminderOverride = reminderRulesService.normalizeOverride(req.body.reminderOverride);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+
     const event = await Event.findOneAndUpdate(
       { _id: req.params.id, userId: req.user._id },
-      req.body,
+      update,
       { new: true, runValidators: true }
     );
 
@@ -465,8 +601,18 @@ router.put('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Event not found' });
     }
 
-    // Reschedule reminders if date/time changed
-    if (req.body.dateTime) {
+    // Directory geofences follow the location unless the client sent its own
+    if (req.body.location !== undefined && req.body.locationAwareReminders === undefined) {
+      if (venueDirectory.geocodeEvent(event)) {
+        await event.save();
+      }
+    }
+
+    // Reschedule reminders if anything they depend on changed
+    const reminderFields = [
+      'dateTime', 'registrationDeadline', 'registrationStatus', 'category', 'priority', 'tags', 'reminderOverride'
+    ];
+    if (reminderFields.some(field => req.body[field] !== undefined)) {
       try {
         await reminderScheduler.rescheduleEventReminders(event._id, event.dateTime);
       } catch (error) {
@@ -510,6 +656,15 @@ router.patch('/:id/status', async (req, res) => {
       return res.status(404).json({ error: 'Event not found' });
     }
 
+    // Completing an event counts as attending it for reminder timing
+    if (status === 'completed') {
+      try {
+        await reminderOptimizer.recordAttendance(event._id, req.user._id);
+      } catch (error) {
+        console.error('Error recording attendance:', error);
+      }
+    }
+
     // Update user statistics
     await updateUserStatistics(req.user._id);
 
@@ -523,6 +678,55 @@ router.patch('/:id/status', async (req, res) => {
   }
 });
 
+// Update registration status: not_registered, registered or waitlisted
+router.patch('/:id/registration', async (req, res) => {
+  try {
+    const event = await deadlineService.setRegistrationStatus(req.params.id, req.user._id, req.body.registrationStatus);
+
+    res.json({
+      message: 'Registration status updated',
+      event
+    });
+  } catch (error) {
+    console.error('Update registration status error:', error);
+    if (error.message === 'Event not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith('Registration status') || error.name === 'CastError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Geofence the event from the campus venue directory. Body: { replaceManual } to also replace
+// geofences set up by hand
+router.post('/:id/geocode', async (req, res) => {
+  try {
+    const event = await Event.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const changed = venueDirectory.geocodeEvent(event, { replaceManual: req.body.replaceManual === true });
+    if (changed) {
+      await event.save();
+    }
+
+    res.json({
+      changed,
+      venue: venueDirectory.lookup(event.location)?.name || null,
+      locationAwareReminders: event.locationAwareReminders
+    });
+  } catch (error) {
+    console.error('Geocode event error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid event ID' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Delete event
 router.delete('/:id', async (req, res) => {
   try {
@@ -4,6 +4,7 @@ const emailIntegrationService = require('../services/emailIntegrationService');
 const slackIntegrationService = require('../services/slackIntegrationService');
 const { authenticateToken } = require('../middleware/auth');
 const User = require('../models/User');
+const webhookUrl = require('../utils/webhookUrl');
 
 // All routes require authentication
 router.use(authenticateToken);
@@ -57,9 +58,21 @@ router.put('/settings', async (req, res) => {
       'emailIntegration.autoImportEnabled',
       'emailIntegration.emailFilters',
       'slackIntegration.channels',
-      'slackIntegration.isActive'
+      'slackIntegration.userId',
+      'slackIntegration.isActive',
+      'webhook.url',
+      'webhook.secret',
+      'webhook.isActive'
     ];
 
+    if (updates['webhook.url']) {
+      try {
+        await webhookUrl.assertPublicUrl(updates['webhook.url']);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+
     const updateObj = {};
     for (const field of allowedFields) {
       if (updates[field] !== undefined) {
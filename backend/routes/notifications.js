@@ -0,0 +1,56 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const notificationService = require('../services/notificationService');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// In-app inbox, newest first. ?unread=true for unread only
+router.get('/', async (req, res) => {
+  try {
+    const result = await notificationService.getInbox(req.user._id, req.query);
+    res.json(result);
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Available channels and the user's fallback chains
+router.get('/channels', async (req, res) => {
+  try {
+    res.json({
+      channels: notificationService.listChannels(req.user),
+      chains: {
+        reminder: notificationService.resolveChain(req.user, 'reminder'),
+        announcement: notificationService.resolveChain(req.user, 'announcement')
+      }
+    });
+  } catch (error) {
+    console.error('Get notification channels error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.patch('/read-all', async (req, res) => {
+  try {
+    const result = await notificationService.markAllRead(req.user._id);
+    res.json(result);
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.patch('/:id/read', async (req, res) => {
+  try {
+    const notification = await notificationService.markRead(req.user._id, req.params.id);
+    res.json({ notification });
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -77,6 +77,20 @@ router.delete('/:templateId', async (req, res) => {
   }
 });
 
+// Preview occurrences that would be created, without creating them
+router.get('/:templateId/preview', async (req, res) => {
+  try {
+    const preview = await recurringEventsService.previewTemplate(
+      req.params.templateId,
+      req.user.id,
+      req.query.until
+    );
+    res.json(preview);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // Get events created by template
 router.get('/:templateId/events', async (req, res) => {
   try {
@@ -90,6 +104,22 @@ router.get('/:templateId/events', async (req, res) => {
   }
 });
 
+// Edit or cancel one occurrence, or this and all following (splits the series)
+router.put('/:templateId/occurrences/:date', async (req, res) => {
+  try {
+    const { scope, action, changes } = req.body;
+    const result = await recurringEventsService.updateOccurrence(
+      req.params.templateId,
+      req.user.id,
+      req.params.date,
+      { scope, action, changes }
+    );
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // Manually trigger processing (for testing)
 router.post('/process', async (req, res) => {
   try {
@@ -1,10 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const reminderOptimizer = require('../services/reminderOptimizerService');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticate } = require('../middleware/auth');
 
 // All routes require authentication
-router.use(authenticateToken);
+router.use(authenticate);
 
 // Optimize reminder time for an event
 router.post('/optimize/:eventId', async (req, res) => {
@@ -13,7 +13,7 @@ router.post('/optimize/:eventId', async (req, res) => {
     const Event = require('../models/Event');
     const event = await Event.findOne({
       _id: req.params.eventId,
-      userId: req.user.id
+      userId: req.user._id
     });
 
     if (!event) {
@@ -21,7 +21,7 @@ router.post('/optimize/:eventId', async (req, res) => {
     }
 
     const optimalTime = await reminderOptimizer.calculateOptimalReminderTime(
-      req.user.id,
+      req.user._id,
       event.dateTime,
       daysBefore || 7
     );
@@ -41,8 +41,36 @@ router.post('/optimize/:eventId', async (req, res) => {
 router.post('/interaction/:reminderId', async (req, res) => {
   try {
     const { action } = req.body; // 'opened', 'clicked', 'dismissed', 'snoozed'
-    await reminderOptimizer.recordInteraction(req.params.reminderId, action);
+    await reminderOptimizer.recordInteraction(req.params.reminderId, req.user._id, action);
     res.json({ message: 'Interaction recorded' });
+  } catch (error) {
+    res.status(error.message === 'Reminder not found' ? 404 : 400).json({ error: error.message });
+  }
+});
+
+// Lead times for a category ranked by response and attendance
+router.get('/lead-times/:category', async (req, res) => {
+  try {
+    res.json(await reminderOptimizer.recommendLeadTimes(req.user._id, req.params.category));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Optimized reminders against the fixed defaults over the last ?days (default 90)
+router.get('/evaluation', async (req, res) => {
+  try {
+    res.json(await reminderOptimizer.evaluate(req.user._id, { days: req.query.days }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Retrain the user's model now instead of waiting for the nightly job
+router.post('/train', async (req, res) => {
+  try {
+    const counts = await reminderOptimizer.trainUserModel(req.user._id);
+    res.json({ message: 'Model trained', samples: counts.overall.delivered });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -51,8 +79,8 @@ router.post('/interaction/:reminderId', async (req, res) => {
 // Run optimization for all user's upcoming reminders
 router.post('/optimize-all', async (req, res) => {
   try {
-    await reminderOptimizer.optimizeAllReminders();
-    res.json({ message: 'Reminder optimization completed' });
+    const summary = await reminderOptimizer.optimizeAllReminders({ userId: req.user._id });
+    res.json({ message: 'Reminder optimization completed', ...summary });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
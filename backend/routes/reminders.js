@@ -1,23 +1,70 @@
 const express = require('express');
 const Reminder = require('../models/Reminder');
+const Event = require('../models/Event');
 const { authenticate } = require('../middleware/auth');
 const pushService = require('../services/pushNotificationService');
 const emailService = require('../services/emailService');
+const reminderScheduler = require('../services/reminderScheduler');
+const snoozeService = require('../services/snoozeService');
+const reminderOptimizer = require('../services/reminderOptimizerService');
 
 const router = express.Router();
 
-// All routes require authentication
+// Notification actions from the service worker, which has no session; the push payload
+// carries a short-lived token for the reminder instead.
+// Body: { token, action: 'snooze' | 'dismiss' | 'open', preset }
+router.post('/:id/action', async (req, res) => {
+  try {
+    const { token, action, preset } = req.body;
+
+    let payload;
+    try {
+      payload = snoozeService.verifyActionToken(token, req.params.id);
+    } catch (error) {
+      return res.status(401).json({ error: 'Invalid or expired action token' });
+    }
+
+    if (action === 'dismiss' || action === 'open') {
+      await reminderOptimizer.recordInteraction(req.params.id, payload.userId, action === 'open' ? 'clicked' : 'dismissed');
+      return res.json({ message: 'Interaction recorded' });
+    }
+
+    if (action !== 'snooze') {
+      return res.status(400).json({ error: 'Action must be "snooze", "dismiss" or "open"' });
+    }
+
+    const reminder = await snoozeService.snooze(req.params.id, payload.userId, { preset });
+    res.json({
+      message: 'Reminder snoozed successfully',
+      snoozedUntil: reminder.snoozedUntil
+    });
+  } catch (error) {
+    console.error('Reminder action error:', error);
+    res.status(error.message === 'Reminder not found' ? 404 : 400).json({ error: error.message });
+  }
+});
+
+// All other routes require authentication
 router.use(authenticate);
 
 // Get reminders for user
+// ?status=failed lists dead-lettered reminders with their attempts and last error
 router.get('/', async (req, res) => {
   try {
+    const { status } = req.query;
+    const statuses = status ? status.split(',') : ['scheduled', 'sent'];
+
+    if (statuses.some(value => !Reminder.schema.path('status').enumValues.includes(value))) {
+      return res.status(400).json({ error: 'Invalid status' });
+    }
+
     const reminders = await Reminder.find({
       userId: req.user._id,
-      status: { $in: ['scheduled', 'sent'] }
+      status: { $in: statuses }
     })
+    .select('-lockedBy -lockedUntil')
     .populate('eventId', 'title dateTime location')
-    .sort({ scheduledFor: 1 });
+    .sort(statuses.includes('failed') ? { deadLetteredAt: -1 } : { scheduledFor: 1 });
 
     res.json({ reminders });
   } catch (error) {
@@ -26,31 +73,50 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Snooze reminder
-router.patch('/:id/snooze', async (req, res) => {
+// Snooze options for a reminder: each preset with the time it would snooze to, whether it
+// was capped to just before the event, and whether it is available right now
+router.get('/:id/snooze-options', async (req, res) => {
   try {
-    const { minutes = 30 } = req.body;
-
-    const reminder = await Reminder.findOneAndUpdate(
-      { _id: req.params.id, userId: req.user._id },
-      {
-        status: 'snoozed',
-        snoozedUntil: new Date(Date.now() + minutes * 60 * 1000)
-      },
-      { new: true }
-    );
-
+    const reminder = await Reminder.findOne({ _id: req.params.id, userId: req.user._id });
     if (!reminder) {
       return res.status(404).json({ error: 'Reminder not found' });
     }
 
+    const event = await Event.findById(reminder.eventId).select('title dateTime registrationDeadline');
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    res.json({
+      options: await snoozeService.getOptions(reminder, event, req.user),
+      snoozesLeft: Math.max(snoozeService.maxSnoozes - (reminder.snoozeCount || 0), 0)
+    });
+  } catch (error) {
+    console.error('Snooze options error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Snooze reminder. Body: { preset } (10m, 1h, tonight, tomorrow_morning, when_free) or
+// { minutes }. Never snoozes past the event start (or the deadline, for deadline reminders).
+router.patch('/:id/snooze', async (req, res) => {
+  try {
+    const { preset, minutes } = req.body;
+    const reminder = await snoozeService.snooze(req.params.id, req.user._id, { preset, minutes });
+
     res.json({
       message: 'Reminder snoozed successfully',
       reminder
     });
   } catch (error) {
     console.error('Snooze reminder error:', error);
-    res.status(500).json({ error: 'Server error' });
+    if (error.message === 'Reminder not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid reminder ID' });
+    }
+    res.status(400).json({ error: error.message });
   }
 });
 
@@ -67,6 +133,8 @@ router.patch('/:id/dismiss', async (req, res) => {
       return res.status(404).json({ error: 'Reminder not found' });
     }
 
+    await reminderOptimizer.recordInteraction(reminder._id, req.user._id, 'dismissed');
+
     res.json({
       message: 'Reminder dismissed successfully',
       reminder
@@ -77,6 +145,20 @@ router.patch('/:id/dismiss', async (req, res) => {
   }
 });
 
+// Requeue a dead-lettered reminder
+router.patch('/:id/retry', async (req, res) => {
+  try {
+    const reminder = await reminderScheduler.retryReminder(req.params.id, req.user._id);
+
+    res.json({
+      message: 'Reminder queued for delivery',
+      reminder
+    });
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
 // Test reminder notification (for development)
 router.post('/test', async (req, res) => {
   try {
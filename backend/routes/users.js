@@ -3,6 +3,10 @@ const User = require('../models/User');
 const Event = require('../models/Event');
 const { authenticate } = require('../middleware/auth');
 const pushService = require('../services/pushNotificationService');
+const notificationService = require('../services/notificationService');
+const reminderRulesService = require('../services/reminderRulesService');
+const reminderScheduler = require('../services/reminderScheduler');
+const geofenceService = require('../services/geofenceService');
 
 const router = express.Router();
 
@@ -26,10 +30,26 @@ router.get('/preferences', async (req, res) => {
 // Update user preferences
 router.put('/preferences', async (req, res) => {
   try {
+    const preferences = req.body.preferences;
+    const chains = preferences?.notificationChains || {};
+    try {
+      Object.values(chains).forEach(chain => notificationService.validateChain(chain));
+      if (preferences?.reminderRules) {
+        preferences.reminderRules = reminderRulesService.normalizeRules(preferences.reminderRules);
+      }
+      if (preferences?.deadlines?.reminderOffsets) {
+        preferences.deadlines.reminderOffsets = reminderRulesService.parseOffsets(
+          preferences.deadlines.reminderOffsets, 'deadline offsets'
+        );
+      }
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
     const user = await User.findByIdAndUpdate(
       req.user._id,
       {
-        preferences: req.body.preferences,
+        preferences,
         profile: req.body.profile
       },
       { new: true, runValidators: true }
@@ -39,6 +59,15 @@ router.put('/preferences', async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    // Upcoming reminders follow the new rules
+    if (preferences?.reminderRules || preferences?.defaultReminderTimes || preferences?.deadlines) {
+      try {
+        await reminderScheduler.reconcileUserReminders(user._id);
+      } catch (error) {
+        console.error('Error reconciling reminders:', error);
+      }
+    }
+
     res.json({
       message: 'Preferences updated successfully',
       preferences: user.preferences,
@@ -53,6 +82,110 @@ router.put('/preferences', async (req, res) => {
   }
 });
 
+// Reminder rules: the first rule matching an event's category, priority and tags decides
+// its reminders. Offsets are seconds before the event or durations like "1d", "2h".
+router.get('/reminder-rules', async (req, res) => {
+  try {
+    res.json({
+      rules: req.user.preferences?.reminderRules || [],
+      defaultReminderTimes: req.user.preferences?.defaultReminderTimes || []
+    });
+  } catch (error) {
+    console.error('Get reminder rules error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.put('/reminder-rules', async (req, res) => {
+  try {
+    let rules;
+    try {
+      rules = reminderRulesService.normalizeRules(req.body.rules);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { 'preferences.reminderRules': rules },
+      { new: true, runValidators: true }
+    );
+
+    const { events } = await reminderScheduler.reconcileUserReminders(user._id);
+
+    res.json({
+      message: 'Reminder rules updated',
+      rules: user.preferences.reminderRules,
+      eventsUpdated: events
+    });
+  } catch (error) {
+    console.error('Update reminder rules error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Turn on do-not-disturb. Body: { minutes } or { until }, and optionally { allowCritical }
+router.post('/do-not-disturb', async (req, res) => {
+  try {
+    const { minutes, until, allowCritical = true } = req.body;
+    const end = until ? new Date(until) : new Date(Date.now() + (parseInt(minutes) || 0) * 60 * 1000);
+
+    if (isNaN(end) || end <= new Date()) {
+      return res.status(400).json({ error: 'Do-not-disturb needs a future "until" or a positive "minutes"' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      {
+        'preferences.doNotDisturb': { from: new Date(), until: end, allowCritical: Boolean(allowCritical) }
+      },
+      { new: true }
+    );
+
+    res.json({ doNotDisturb: user.preferences.doNotDisturb });
+  } catch (error) {
+    console.error('Do-not-disturb error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.delete('/do-not-disturb', async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user._id, { $unset: { 'preferences.doNotDisturb': 1 } });
+    res.json({ message: 'Do-not-disturb turned off' });
+  } catch (error) {
+    console.error('Do-not-disturb error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Location update from the PWA. Only accepted while preferences.locationTrackingEnabled is on;
+// triggers location-aware reminders for nearby upcoming events.
+// Body: { latitude, longitude, accuracy }
+router.post('/location', async (req, res) => {
+  try {
+    if (!req.user.preferences?.locationTrackingEnabled) {
+      return res.status(403).json({ error: 'Location tracking is not enabled' });
+    }
+
+    let position;
+    try {
+      position = geofenceService.parsePosition(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const result = await geofenceService.processLocationUpdate(req.user, position);
+    res.json(result);
+  } catch (error) {
+    console.error('Location update error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Export user data
 router.get('/export', async (req, res) => {
   try {
@@ -104,49 +237,62 @@ router.get('/export', async (req, res) => {
   }
 });
 
-// Web Push subscription management
+// Web Push subscription management - one subscription per device
+// Body: { subscription, label }
 router.post('/push-subscription', async (req, res) => {
   try {
-    const { subscription } = req.body;
+    const { subscription, label } = req.body;
 
-    if (!subscription) {
-      return res.status(400).json({ error: 'Push subscription is required' });
-    }
-
-    // Add or update push subscription
-    const existingIndex = req.user.pushSubscriptions.findIndex(
-      sub => sub.endpoint === subscription.endpoint
-    );
-
-    if (existingIndex >= 0) {
-      req.user.pushSubscriptions[existingIndex] = {
-        ...subscription,
-        createdAt: req.user.pushSubscriptions[existingIndex].createdAt
-      };
-    } else {
-      req.user.pushSubscriptions.push(subscription);
+    if (!subscription || !subscription.endpoint) {
+      return res.status(400).json({ error: 'Invalid subscription object' });
     }
 
-    await req.user.save();
+    const device = await pushService.addSubscription(req.user._id, subscription, {
+      label,
+      userAgent: req.get('User-Agent')
+    });
 
-    res.json({ message: 'Push subscription updated successfully' });
+    res.json({ message: 'Push subscription stored successfully', device });
   } catch (error) {
     console.error('Push subscription error:', error);
-    res.status(500).json({ error: 'Server error' });
+    res.status(400).json({ error: error.message });
   }
 });
 
-// Remove push subscription
-router.delete('/push-subscription', async (req, res) => {
+// List the user's devices
+router.get('/push-subscription', async (req, res) => {
   try {
-    const { endpoint } = req.body;
+    const devices = await pushService.listSubscriptions(req.user._id);
+    res.json({ devices });
+  } catch (error) {
+    console.error('List push subscriptions error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    req.user.pushSubscriptions = req.user.pushSubscriptions.filter(
-      sub => sub.endpoint !== endpoint
-    );
+// Rename or mute a device. Body: { label, muted }
+router.patch('/push-subscription/:subscriptionId', async (req, res) => {
+  try {
+    const device = await pushService.updateSubscription(req.user._id, req.params.subscriptionId, req.body);
+    res.json({ device });
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
 
-    await req.user.save();
+router.delete('/push-subscription/:subscriptionId', async (req, res) => {
+  try {
+    await pushService.removeSubscriptionById(req.user._id, req.params.subscriptionId);
+    res.json({ message: 'Push subscription removed successfully' });
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
 
+// Remove push subscription by endpoint; without one, unsubscribes every device
+router.delete('/push-subscription', async (req, res) => {
+  try {
+    await pushService.removeSubscription(req.user._id, req.body?.endpoint);
     res.json({ message: 'Push subscription removed successfully' });
   } catch (error) {
     console.error('Remove push subscription error:', error);
@@ -218,48 +364,6 @@ END:VEVENT
   return ics;
 }
 
-// Subscribe to push notifications
-router.post('/push-subscription', async (req, res) => {
-  try {
-    const { subscription } = req.body;
-
-    if (!subscription || !subscription.endpoint) {
-      return res.status(400).json({ error: 'Invalid subscription object' });
-    }
-
-    // Store subscription in push service
-    pushService.storeSubscription(req.user._id.toString(), subscription);
-
-    // Also store in user document (optional backup)
-    await User.findByIdAndUpdate(req.user._id, {
-      'integrations.pushSubscription': subscription
-    });
-
-    res.json({ message: 'Push subscription stored successfully' });
-  } catch (error) {
-    console.error('Push subscription error:', error);
-    res.status(500).json({ error: 'Failed to store push subscription' });
-  }
-});
-
-// Unsubscribe from push notifications
-router.delete('/push-subscription', async (req, res) => {
-  try {
-    // Remove subscription from push service
-    pushService.removeSubscription(req.user._id.toString());
-
-    // Also remove from user document
-    await User.findByIdAndUpdate(req.user._id, {
-      $unset: { 'integrations.pushSubscription': 1 }
-    });
-
-    res.json({ message: 'Push subscription removed successfully' });
-  } catch (error) {
-    console.error('Push unsubscription error:', error);
-    res.status(500).json({ error: 'Failed to remove push subscription' });
-  }
-});
-
 // Test push notification
 router.post('/test-push', async (req, res) => {
   try {
@@ -54,6 +54,7 @@ const userRoutes = require('./routes/users');
 const calendarRoutes = require('./routes/calendar');
 const processRoutes = require('./routes/process');
 const reminderRoutes = require('./routes/reminders');
+const notificationRoutes = require('./routes/notifications');
 const friendsRoutes = require('./routes/friends');
 const groupsRoutes = require('./routes/groups');
 const leaderboardRoutes = require('./routes/leaderboards');
@@ -62,6 +63,7 @@ const dataRoutes = require('./routes/data');
 const reminderOptimizationRoutes = require('./routes/reminderOptimization');
 const conflictsRoutes = require('./routes/conflicts');
 const recurringEventsRoutes = require('./routes/recurringEvents');
+const academicCalendarRoutes = require('./routes/academicCalendars');
 const contentAggregationRoutes = require('./routes/contentAggregation');
 const recommendationsRoutes = require('./routes/recommendations');
 const attendanceRoutes = require('./routes/attendance');
@@ -75,6 +77,10 @@ const futureIntegrationsRoutes = require('./routes/futureIntegrations');
 const reminderScheduler = require('./services/reminderScheduler');
 const recurringEventsService = require('./services/recurringEventsService');
 const emailDigestService = require('./services/emailDigestService');
+const googleCalendarSyncService = require('./services/googleCalendarSyncService');
+const deadlineService = require('./services/deadlineService');
+const reminderOptimizer = require('./services/reminderOptimizerService');
+const eventClassifier = require('./services/eventClassifierService');
 
 // MongoDB connection
 mongoose.connect(process.env.MONGODB_URI, {
@@ -108,10 +114,62 @@ mongoose.connect(process.env.MONGODB_URI, {
     }
   });
 
+  // Two-way Google Calendar sync every 15 minutes
+  const calendarSyncJob = cron.schedule('*/15 * * * *', async () => {
+    try {
+      const summary = await googleCalendarSyncService.syncAllUsers();
+      console.log(`Google Calendar sync: ${summary.synced} users synced, ${summary.failed} failed`);
+    } catch (error) {
+      console.error('Error running Google Calendar sync:', error);
+    }
+  });
+
+  // Registration deadlines that passed unregistered, hourly
+  const deadlineJob = cron.schedule('5 * * * *', async () => {
+    try {
+      const summary = await deadlineService.processMissedDeadlines();
+      if (summary.processed > 0) {
+        console.log(`Missed deadlines: ${summary.processed} events, ${summary.downgraded} downgraded`);
+      }
+    } catch (error) {
+      console.error('Error processing missed deadlines:', error);
+    }
+  });
+
+  // Retrain reminder timing models nightly at 3 AM, then re-time the coming week's reminders
+  const reminderModelJob = cron.schedule('0 3 * * *', async () => {
+    try {
+      const training = await reminderOptimizer.trainAll();
+      const optimization = await reminderOptimizer.optimizeAllReminders();
+      console.log(`Reminder models trained for ${training.users} users; ` +
+        `${optimization.optimized} of ${optimization.checked} reminders re-timed`);
+    } catch (error) {
+      console.error('Error training reminder models:', error);
+    }
+  });
+
+  // Retrain the category/priority classifier from saved events nightly at 3:30 AM
+  const classifierJob = cron.schedule('30 3 * * *', async () => {
+    try {
+      const training = await eventClassifier.trainAll();
+      console.log(`Event classifier trained on ${training.events} events from ${training.users} users`);
+    } catch (error) {
+      console.error('Error training event classifier:', error);
+    }
+  });
+
   recurringJob.start();
   digestJob.start();
+  calendarSyncJob.start();
+  deadlineJob.start();
+  reminderModelJob.start();
+  classifierJob.start();
   console.log('Recurring events scheduler started');
   console.log('Weekly digest scheduler started');
+  console.log('Google Calendar sync scheduler started');
+  console.log('Deadline scheduler started');
+  console.log('Reminder model training scheduler started');
+  console.log('Event classifier training scheduler started');
 })
 .catch(err => {
   console.error('MongoDB connection error:', err);
@@ -130,6 +188,7 @@ app.use('/api/users', userRoutes);
 app.use('/api/calendar', calendarRoutes);
 app.use('/api/process', processRoutes);
 app.use('/api/reminders', reminderRoutes);
+app.use('/api/notifications', notificationRoutes);
 app.use('/api/friends', friendsRoutes);
 app.use('/api/groups', groupsRoutes);
 app.use('/api/leaderboards', leaderboardRoutes);
@@ -138,6 +197,7 @@ app.use('/api/data', dataRoutes);
 app.use('/api/reminders/optimize', reminderOptimizationRoutes);
 app.use('/api/conflicts', conflictsRoutes);
 app.use('/api/recurring', recurringEventsRoutes);
+app.use('/api/academic-calendars', academicCalendarRoutes);
 app.use('/api/content', contentAggregationRoutes);
 app.use('/api/recommendations', recommendationsRoutes);
 app.use('/api/attendance', attendanceRoutes);
@@ -0,0 +1,267 @@
+const AcademicCalendar = require('../models/AcademicCalendar');
+const User = require('../models/User');
+const { parseICS, findComponents, getProperty, getText, parseDateProperty } = require('../utils/ics');
+const { getZonedParts, zonedTimeToUtc, isValidTimeZone } = require('../utils/timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIOD_TYPES = ['holiday', 'reading_week', 'exam_period'];
+
+class AcademicCalendarService {
+  constructor() {
+    // Which calendar periods a bound recurring template skips unless it says otherwise
+    this.defaultSkipTypes = ['holiday', 'reading_week', 'exam_period'];
+  }
+
+  // Calendars for the user's college
+  async getCalendarsForUser(userId) {
+    const college = await this.getUserCollege(userId);
+    return await AcademicCalendar.find({
+      collegeKey: AcademicCalendar.toCollegeKey(college)
+    }).sort({ updatedAt: -1 });
+  }
+
+  async getCalendar(calendarId, userId) {
+    const college = await this.getUserCollege(userId);
+    const calendar = await AcademicCalendar.findOne({
+      _id: calendarId,
+      collegeKey: AcademicCalendar.toCollegeKey(college)
+    });
+
+    if (!calendar) {
+      throw new Error('Academic calendar not found');
+    }
+
+    return calendar;
+  }
+
+  async getUserCollege(userId) {
+    const user = await User.findById(userId).select('profile.college');
+    if (!user || !user.profile || !user.profile.college) {
+      throw new Error('Set your college in your profile first');
+    }
+    return user.profile.college;
+  }
+
+  // Import a calendar for the user's college from JSON or ICS.
+  // Re-importing a calendar with the same name replaces its terms and periods.
+  async importCalendar(userId, { format = 'json', data, name, timezone }) {
+    if (!data) {
+      throw new Error('Calendar data is required');
+    }
+    if (timezone && !isValidTimeZone(timezone)) {
+      throw new Error('Invalid timezone');
+    }
+
+    let parsed;
+    if (format === 'ics') {
+      parsed = this.parseICSCalendar(data, timezone);
+    } else if (format === 'json') {
+      parsed = this.parseJSONCalendar(data);
+    } else {
+      throw new Error('Format must be "json" or "ics"');
+    }
+
+    const calendarName = name || parsed.name;
+    if (!calendarName) {
+      throw new Error('Calendar name is required');
+    }
+    if (parsed.terms.length === 0) {
+      throw new Error('No terms found in calendar data');
+    }
+
+    const college = await this.getUserCollege(userId);
+    let calendar = await AcademicCalendar.findOne({
+      collegeKey: AcademicCalendar.toCollegeKey(college),
+      name: calendarName
+    });
+
+    if (calendar && calendar.createdBy && calendar.createdBy.toString() !== userId.toString()) {
+      throw new Error('A calendar with this name already exists for your college');
+    }
+
+    if (!calendar) {
+      calendar = new AcademicCalendar({ college, name: calendarName, createdBy: userId });
+    }
+
+    // Keep term ids stable across re-imports so bound templates stay bound
+    const existingTerms = new Map(calendar.terms.map(term => [term.name, term._id]));
+    calendar.terms = parsed.terms.map(term => ({
+      ...term,
+      _id: existingTerms.get(term.name)
+    }));
+    calendar.periods = parsed.periods;
+    calendar.timezone = timezone || parsed.timezone || calendar.timezone;
+    calendar.source = format;
+
+    await calendar.save();
+    return calendar;
+  }
+
+  async deleteCalendar(calendarId, userId) {
+    const calendar = await this.getCalendar(calendarId, userId);
+
+    if (calendar.createdBy && calendar.createdBy.toString() !== userId.toString()) {
+      throw new Error('Only the user who imported this calendar can delete it');
+    }
+
+    await calendar.deleteOne();
+    return { message: 'Academic calendar deleted' };
+  }
+
+  // JSON shape: { name, timezone, terms: [{ name, startDate, endDate, holidays, readingWeek, examPeriod }],
+  // periods: [{ name, type, startDate, endDate | date }] }
+  parseJSONCalendar(data) {
+    let json = data;
+    if (typeof data === 'string') {
+      try {
+        json = JSON.parse(data);
+      } catch (error) {
+        throw new Error('Invalid JSON calendar data');
+      }
+    }
+
+    const terms = [];
+    const periods = (json.periods || json.holidays || []).map(period => this.toPeriod(period));
+
+    (json.terms || []).forEach(term => {
+      terms.push({
+        name: term.name,
+        startDate: this.toCalendarDay(term.startDate),
+        endDate: this.toCalendarDay(term.endDate)
+      });
+
+      (term.holidays || []).forEach(holiday => periods.push(this.toPeriod({ type: 'holiday', ...holiday })));
+      if (term.readingWeek) {
+        periods.push(this.toPeriod({ name: 'Reading week', ...term.readingWeek, type: 'reading_week' }));
+      }
+      if (term.examPeriod) {
+        periods.push(this.toPeriod({ name: 'Exam period', ...term.examPeriod, type: 'exam_period' }));
+      }
+    });
+
+    return { name: json.name, timezone: json.timezone, terms, periods };
+  }
+
+  toPeriod(period) {
+    const type = period.type || 'holiday';
+    if (!PERIOD_TYPES.includes(type)) {
+      throw new Error(`Unknown period type "${type}"`);
+    }
+
+    const startDate = this.toCalendarDay(period.startDate || period.date);
+    return {
+      name: period.name || 'Holiday',
+      type,
+      startDate,
+      endDate: period.endDate ? this.toCalendarDay(period.endDate) : startDate
+    };
+  }
+
+  // Each VEVENT is a term, holiday, reading week or exam period, told apart by CATEGORIES and SUMMARY
+  parseICSCalendar(text, timezone) {
+    const [calendar] = parseICS(text).filter(component => component.name === 'VCALENDAR');
+    const calendarTimezone = timezone || getText(calendar, 'X-WR-TIMEZONE') || 'UTC';
+    const terms = [];
+    const periods = [];
+
+    findComponents(calendar, 'VEVENT').forEach(vevent => {
+      const summary = getText(vevent, 'SUMMARY');
+      const start = parseDateProperty(getProperty(vevent, 'DTSTART'), calendarTimezone);
+      if (!summary || !start) return;
+
+      const end = parseDateProperty(getProperty(vevent, 'DTEND'), calendarTimezone);
+      const startDate = this.toZonedCalendarDay(start.date, calendarTimezone);
+      let endDate = end ? this.toZonedCalendarDay(end.date, calendarTimezone) : startDate;
+
+      // All-day DTEND is exclusive
+      if (end && end.dateOnly && endDate > startDate) {
+        endDate = new Date(endDate.getTime() - DAY_MS);
+      }
+
+      const type = this.classifyICSEvent(summary, getText(vevent, 'CATEGORIES'));
+      if (type === 'term') {
+        terms.push({ name: summary, startDate, endDate });
+      } else {
+        periods.push({ name: summary, type, startDate, endDate });
+      }
+    });
+
+    const calendarTimezoneValid = isValidTimeZone(calendarTimezone) ? calendarTimezone : undefined;
+    return { name: getText(calendar, 'X-WR-CALNAME'), timezone: calendarTimezoneValid, terms, periods };
+  }
+
+  classifyICSEvent(summary, categories) {
+    const text = `${categories} ${summary}`.toLowerCase();
+
+    if (/exam/.test(text)) return 'exam_period';
+    if (/reading\s*week|study\s*(week|break)|revision/.test(text)) return 'reading_week';
+    if (/holiday|break|vacation|closed|recess/.test(text)) return 'holiday';
+    if (/\b(term|semester|trimester|quarter|session)\b/.test(text)) return 'term';
+    return 'holiday';
+  }
+
+  // "2025-08-01" or a full date -> UTC midnight of that calendar day
+  toCalendarDay(value) {
+    if (!value) {
+      throw new Error('Calendar dates are required');
+    }
+
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value));
+    if (match) {
+      return new Date(Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3])));
+    }
+
+    const date = new Date(value);
+    if (isNaN(date)) {
+      throw new Error(`Invalid calendar date "${value}"`);
+    }
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  }
+
+  toZonedCalendarDay(date, timezone) {
+    const parts = getZonedParts(date, timezone);
+    return new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+  }
+
+  // What a template bound to a term derives: the term's last instant and the days to skip,
+  // both in the template's timezone
+  getTermSchedule(calendar, termId, skipTypes, timezone) {
+    const term = calendar.terms.id(termId);
+    if (!term) {
+      throw new Error('Term not found in academic calendar');
+    }
+
+    const types = skipTypes && skipTypes.length ? skipTypes : this.defaultSkipTypes;
+    const skipDates = [];
+
+    calendar.periods
+      .filter(period => types.includes(period.type))
+      .filter(period => period.endDate >= term.startDate && period.startDate <= term.endDate)
+      .forEach(period => {
+        for (let day = period.startDate.getTime(); day <= period.endDate.getTime(); day += DAY_MS) {
+          // Midday sits safely inside the local day whatever the offset
+          skipDates.push(this.calendarDayToZoned(new Date(day), timezone, 12, 0, 0));
+        }
+      });
+
+    return {
+      term,
+      startDate: this.calendarDayToZoned(term.startDate, timezone, 0, 0, 0),
+      endDate: this.calendarDayToZoned(term.endDate, timezone, 23, 59, 59),
+      skipDates
+    };
+  }
+
+  calendarDayToZoned(day, timezone, hour, minute, second) {
+    return zonedTimeToUtc({
+      year: day.getUTCFullYear(),
+      month: day.getUTCMonth() + 1,
+      day: day.getUTCDate(),
+      hour,
+      minute,
+      second
+    }, timezone);
+  }
+}
+
+module.exports = new AcademicCalendarService();
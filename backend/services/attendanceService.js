@@ -1,6 +1,7 @@
 const Event = require('../models/Event');
 const User = require('../models/User');
 const QRCode = require('qrcode');
+const reminderOptimizer = require('./reminderOptimizerService');
 
 class AttendanceService {
   // Generate QR code for event check-in
@@ -68,6 +69,7 @@ class AttendanceService {
 
     // Award achievements and update user stats
     await this.awardAttendanceAchievements(userId, event);
+    await reminderOptimizer.recordAttendance(event._id, userId);
 
     return {
       message: 'Check-in successful',
@@ -113,6 +115,7 @@ class AttendanceService {
 
     // Award achievements
     await this.awardAttendanceAchievements(attendee._id, event);
+    await reminderOptimizer.recordAttendance(event._id, attendee._id);
 
     return {
       message: 'Manual check-in successful',
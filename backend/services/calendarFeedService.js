@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const CalendarFeed = require('../models/CalendarFeed');
+const dataService = require('./dataService');
+
+class CalendarFeedService {
+  constructor() {
+    this.maxFeedsPerUser = 10;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Create a feed; the token is only ever returned here
+  async createFeed(userId, { name, filters = {} } = {}) {
+    const activeFeeds = await CalendarFeed.countDocuments({ userId, revokedAt: null });
+    if (activeFeeds >= this.maxFeedsPerUser) {
+      throw new Error(`You can have at most ${this.maxFeedsPerUser} active feeds`);
+    }
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    const feed = new CalendarFeed({
+      userId,
+      name,
+      tokenHash: this.hashToken(token),
+      tokenHint: token.slice(-4),
+      filters: {
+        categories: filters.categories || [],
+        minPriority: filters.minPriority || 1,
+        includeFriends: !!filters.includeFriends
+      }
+    });
+
+    await feed.save();
+    return { feed, token };
+  }
+
+  async listFeeds(userId) {
+    return await CalendarFeed.find({ userId, revokedAt: null })
+      .select('-tokenHash')
+      .sort({ createdAt: -1 });
+  }
+
+  async revokeFeed(feedId, userId) {
+    const feed = await CalendarFeed.findOneAndUpdate(
+      { _id: feedId, userId, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!feed) {
+      throw new Error('Feed not found');
+    }
+
+    return { message: 'Feed revoked' };
+  }
+
+  // Build the feed for a token. Returns null for unknown or revoked tokens.
+  // Result: { ics, etag, lastModified }
+  async getFeed(token) {
+    const feed = await CalendarFeed.findOne({ tokenHash: this.hashToken(token), revokedAt: null });
+    if (!feed) return null;
+
+    const { ics, lastModified } = await dataService.buildICSCalendar(feed.userId, {
+      category: feed.filters.categories.length > 0 ? feed.filters.categories : undefined,
+      minPriority: feed.filters.minPriority > 1 ? feed.filters.minPriority : undefined,
+      includeFriends: feed.filters.includeFriends
+    }, { stableStamp: true });
+
+    const etag = `"${crypto.createHash('sha1').update(ics).digest('hex')}"`;
+
+    // Deleted events and events that leave the filter or window change the content without
+    // touching any updatedAt, so a new etag also moves Last-Modified forward
+    const update = { $set: { lastAccessedAt: new Date() }, $inc: { accessCount: 1 } };
+    let contentChangedAt = feed.contentChangedAt || feed.createdAt;
+    if (feed.lastEtag !== etag) {
+      contentChangedAt = new Date();
+      Object.assign(update.$set, { lastEtag: etag, contentChangedAt });
+    }
+
+    // Fire-and-forget usage stats; a failed write shouldn't fail the feed. Reads don't count as
+    // changes to the feed itself, so they leave updatedAt alone.
+    CalendarFeed.updateOne({ _id: feed._id }, update, { timestamps: false })
+      .catch(error => console.error('Error updating feed stats:', error));
+
+    const modified = Math.max(lastModified.getTime(), feed.updatedAt.getTime(), contentChangedAt.getTime());
+
+    return {
+      ics,
+      etag,
+      // HTTP dates have second precision
+      lastModified: new Date(Math.floor(modified / 1000) * 1000)
+    };
+  }
+}
+
+module.exports = new CalendarFeedService();
@@ -1,72 +1,276 @@
 const Event = require('../models/Event');
+const ConflictResolution = require('../models/ConflictResolution');
+const GroupPrepSession = require('../models/GroupPrepSession');
+const reminderScheduler = require('./reminderScheduler');
+const {
+  zonedTimeToUtc,
+  startOfZonedDay,
+  addZonedDays,
+  getZonedParts,
+  parseTimeOfDay,
+  getMinuteOfDay
+} = require('../utils/timezone');
 
 class ConflictResolverService {
+  constructor() {
+    this.defaultDurationMinutes = 60; // Assumed length when an event has no endDateTime
+    this.travelBufferMinutes = 15; // Gap needed to get between two different locations
+    this.lookaheadDays = 30;
+    this.quietHours = { start: '22:00', end: '08:00' }; // No slots suggested overnight
+    this.slotStepMinutes = 30;
+  }
+
   // Detect conflicts for a user
-  async detectConflicts(userId, timeWindowHours = 2) {
+  async detectConflicts(userId, options = {}) {
+    const {
+      defaultDurationMinutes = this.defaultDurationMinutes,
+      travelBufferMinutes = this.travelBufferMinutes,
+      lookaheadDays = this.lookaheadDays,
+      timezone = 'UTC',
+      quietHours = this.quietHours
+    } = options;
+
     const now = new Date();
-    const futureWindow = new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000); // 30 days
+    const futureWindow = new Date(now.getTime() + lookaheadDays * 24 * 60 * 60 * 1000);
 
-    // Get all scheduled events in the next 30 days
+    // Get scheduled events that are upcoming or still in progress
     const events = await Event.find({
       userId,
       status: 'scheduled',
-      dateTime: {
-        $gte: now,
-        $lte: futureWindow
-      }
+      dateTime: { $lte: futureWindow },
+      $or: [
+        { dateTime: { $gte: now } },
+        { endDateTime: { $gt: now } }
+      ]
     }).sort({ dateTime: 1 });
 
-    const conflicts = [];
+    const intervals = events.map(event => this.toInterval(event, defaultDurationMinutes));
+    const resolvedPairs = await this.getResolvedPairs(userId, events);
+
+    // Everything the user is committed to, used to propose reschedule times
+    const sessions = await this.getGroupSessions(userId, now, futureWindow);
+    const schedule = {
+      busy: this.toBusyIntervals(events, sessions, defaultDurationMinutes),
+      windowEnd: futureWindow,
+      timezone,
+      quietHours,
+      defaultDurationMinutes,
+      bufferMinutes: travelBufferMinutes
+    };
+
+    const conflicts = this.findConflictingPairs(intervals, travelBufferMinutes)
+      .filter(([first, second]) => !resolvedPairs.has(this.getConflictId([first.event._id, second.event._id])))
+      .map(([first, second]) => this.buildConflict(first, second, schedule));
+
+    // A cluster stays hidden only once every pair inside it has been resolved
+    const clusters = this.findOverlapClusters(intervals)
+      .filter(members => !this.getPairIds(members.map(m => m.event._id)).every(id => resolvedPairs.has(id)))
+      .map(members => this.buildCluster(members, schedule));
+
+    return { conflicts, clusters };
+  }
+
+  // Stable identifier for a set of events, independent of order
+  getConflictId(eventIds) {
+    return eventIds.map(id => id.toString()).sort().join('-');
+  }
+
+  // Conflict IDs for every pair within a set of events
+  getPairIds(eventIds) {
+    const ids = [];
+    for (let i = 0; i < eventIds.length; i++) {
+      for (let j = i + 1; j < eventIds.length; j++) {
+        ids.push(this.getConflictId([eventIds[i], eventIds[j]]));
+      }
+    }
+    return ids;
+  }
 
-    // Check each pair of events for overlap
-    for (let i = 0; i < events.length; i++) {
-      for (let j = i + 1; j < events.length; j++) {
-        const conflict = this.checkEventOverlap(events[i], events[j], timeWindowHours);
-        if (conflict) {
-          conflicts.push(conflict);
+  // Pairs of events the user already resolved a conflict between, while both events are still
+  // at the times the decision was made for. Resolutions from before times were recorded keep
+  // their pairs hidden.
+  async getResolvedPairs(userId, events) {
+    const currentTimes = new Map(events.map(event => [event._id.toString(), this.getTimesKey(event)]));
+    const resolutions = await ConflictResolution.find({
+      userId,
+      events: { $in: events.map(event => event._id) }
+    }).select('events eventTimes');
+
+    const resolvedPairs = new Set();
+    resolutions.forEach(resolution => {
+      const recordedTimes = new Map((resolution.eventTimes || []).map(times => [times.eventId.toString(), this.getTimesKey(times)]));
+      const unmoved = id => recordedTimes.size === 0 || recordedTimes.get(id.toString()) === currentTimes.get(id.toString());
+
+      resolution.events.forEach((first, i) => {
+        resolution.events.slice(i + 1).forEach(second => {
+          if (unmoved(first) && unmoved(second)) {
+            resolvedPairs.add(this.getConflictId([first, second]));
+          }
+        });
+      });
+    });
+
+    return resolvedPairs;
+  }
+
+  getTimesKey({ dateTime, endDateTime }) {
+    return `${new Date(dateTime).getTime()}-${endDateTime ? new Date(endDateTime).getTime() : ''}`;
+  }
+
+  // Convert an event into a time interval (milliseconds) with a normalized location
+  toInterval(event, defaultDurationMinutes = this.defaultDurationMinutes) {
+    const start = event.dateTime.getTime();
+    const end = event.endDateTime
+      ? event.endDateTime.getTime()
+      : start + defaultDurationMinutes * 60 * 1000;
+
+    return {
+      event,
+      start,
+      end,
+      location: this.normalizeLocation(event.location)
+    };
+  }
+
+  // Lowercase and collapse whitespace so "Main Hall" and "main  hall" match
+  normalizeLocation(location) {
+    if (!location) return null;
+    const normalized = location.trim().toLowerCase().replace(/\s+/g, ' ');
+    return normalized || null;
+  }
+
+  // Travel is only needed when both events have a known, different location
+  requiresTravel(interval1, interval2) {
+    return !!(interval1.location && interval2.location && interval1.location !== interval2.location);
+  }
+
+  // Sweep-line over start times; only intervals still "open" (end + buffer) are compared
+  findConflictingPairs(intervals, travelBufferMinutes = this.travelBufferMinutes) {
+    const bufferMs = travelBufferMinutes * 60 * 1000;
+    const sorted = [...intervals].sort((a, b) => a.start - b.start || a.end - b.end);
+    const active = [];
+    const pairs = [];
+
+    for (const current of sorted) {
+      // Drop intervals that finished (including travel time) before this one starts
+      for (let i = active.length - 1; i >= 0; i--) {
+        if (active[i].end + bufferMs <= current.start) {
+          active.splice(i, 1);
         }
       }
+
+      for (const other of active) {
+        const overlaps = other.end > current.start;
+        if (overlaps || this.requiresTravel(other, current)) {
+          pairs.push([other, current]);
+        }
+      }
+
+      active.push(current);
     }
 
-    return conflicts;
+    return pairs;
   }
 
-  // Check if two events overlap
-  checkEventOverlap(event1, event2, timeWindowHours) {
-    const time1 = event1.dateTime;
-    const time2 = event2.dateTime;
+  // Find maximal groups of 3+ events that all overlap at the same moment
+  findOverlapClusters(intervals, minSize = 3) {
+    const points = [];
+    intervals.forEach(interval => {
+      points.push({ time: interval.start, isStart: true, interval });
+      points.push({ time: interval.end, isStart: false, interval });
+    });
 
-    // Calculate time difference in hours
-    const timeDiff = Math.abs(time1 - time2) / (1000 * 60 * 60);
+    // Ends sort before starts at the same instant, so back-to-back events don't overlap
+    points.sort((a, b) => a.time - b.time || Number(a.isStart) - Number(b.isStart));
+
+    const active = new Set();
+    const clusters = [];
+    let lastWasStart = false;
+
+    for (const point of points) {
+      if (point.isStart) {
+        active.add(point.interval);
+        lastWasStart = true;
+      } else {
+        // A start followed by an end marks a maximal set of simultaneous events
+        if (lastWasStart && active.size >= minSize) {
+          clusters.push([...active]);
+        }
+        active.delete(point.interval);
+        lastWasStart = false;
+      }
+    }
 
-    if (timeDiff <= timeWindowHours) {
-      return {
-        event1: {
-          id: event1._id,
-          title: event1.title,
-          dateTime: event1.dateTime,
-          priority: event1.priority,
-          category: event1.category,
-          estimatedPrepTime: event1.estimatedPrepTime || 0
-        },
-        event2: {
-          id: event2._id,
-          title: event2.title,
-          dateTime: event2.dateTime,
-          priority: event2.priority,
-          category: event2.category,
-          estimatedPrepTime: event2.estimatedPrepTime || 0
-        },
-        overlapMinutes: Math.round((timeWindowHours - timeDiff) * 60),
-        recommendation: this.recommendEventToAttend(event1, event2)
-      };
+    return clusters;
+  }
+
+  // Build the conflict payload for two intervals
+  buildConflict(first, second, schedule = null) {
+    const overlapMs = Math.min(first.end, second.end) - Math.max(first.start, second.start);
+    const overlapMinutes = Math.max(0, Math.round(overlapMs / (1000 * 60)));
+
+    const conflict = {
+      conflictId: this.getConflictId([first.event._id, second.event._id]),
+      type: overlapMinutes > 0 ? 'overlap' : 'travel',
+      event1: this.summarizeInterval(first),
+      event2: this.summarizeInterval(second),
+      overlapMinutes,
+      recommendation: this.recommendEventToAttend(first.event, second.event, schedule)
+    };
+
+    if (conflict.type === 'travel') {
+      conflict.gapMinutes = Math.round((second.start - first.end) / (1000 * 60));
     }
 
-    return null;
+    return conflict;
+  }
+
+  // Build the cluster payload for a group of mutually overlapping intervals
+  buildCluster(members, schedule = null) {
+    const sharedStart = Math.max(...members.map(m => m.start));
+    const sharedEnd = Math.min(...members.map(m => m.end));
+    const ranked = [...members].sort((a, b) =>
+      this.calculateEventScore(b.event) - this.calculateEventScore(a.event)
+    );
+
+    return {
+      conflictId: this.getConflictId(members.map(member => member.event._id)),
+      events: members.map(member => this.summarizeInterval(member)),
+      sharedWindow: {
+        start: new Date(sharedStart),
+        end: new Date(sharedEnd)
+      },
+      overlapMinutes: Math.round((sharedEnd - sharedStart) / (1000 * 60)),
+      recommendation: {
+        recommendedEvent: ranked[0].event._id,
+        recommendedTitle: ranked[0].event.title,
+        reason: this.getRecommendationReason(ranked[0].event, ranked[1].event),
+        alternativeActions: ranked.slice(1).map(member => ({
+          eventId: member.event._id,
+          title: member.event.title,
+          suggestions: this.suggestAlternativeAction(member.event, schedule)
+        }))
+      }
+    };
+  }
+
+  // Event fields included in conflict responses
+  summarizeInterval(interval) {
+    const { event } = interval;
+    return {
+      id: event._id,
+      title: event.title,
+      dateTime: event.dateTime,
+      endDateTime: new Date(interval.end),
+      location: event.location,
+      priority: event.priority,
+      category: event.category,
+      estimatedPrepTime: event.estimatedPrepTime || 0
+    };
   }
 
   // Recommend which event to prioritize
-  recommendEventToAttend(event1, event2) {
+  recommendEventToAttend(event1, event2, schedule = null) {
     // Scoring algorithm
     const score1 = this.calculateEventScore(event1);
     const score2 = this.calculateEventScore(event2);
@@ -76,14 +280,14 @@ class ConflictResolverService {
         recommendedEvent: event1._id,
         recommendedTitle: event1.title,
         reason: this.getRecommendationReason(event1, event2),
-        alternativeAction: this.suggestAlternativeAction(event2)
+        alternativeAction: this.suggestAlternativeAction(event2, schedule)
       };
     } else {
       return {
         recommendedEvent: event2._id,
         recommendedTitle: event2.title,
         reason: this.getRecommendationReason(event2, event1),
-        alternativeAction: this.suggestAlternativeAction(event1)
+        alternativeAction: this.suggestAlternativeAction(event1, schedule)
       };
     }
   }
@@ -136,15 +340,25 @@ class ConflictResolverService {
   }
 
   // Suggest alternative action for non-recommended event
-  suggestAlternativeAction(event) {
+  suggestAlternativeAction(event, schedule = null) {
     const suggestions = [];
 
-    // Suggest rescheduling
-    suggestions.push({
+    // Suggest rescheduling into a concrete free slot when the schedule is known
+    const reschedule = {
       type: 'reschedule',
-      description: `Reschedule to ${this.getNextAvailableSlot(event.dateTime)}`,
+      description: 'Find another time for this event',
       impact: 'Avoids conflict completely'
-    });
+    };
+
+    if (schedule) {
+      const slots = this.suggestRescheduleSlots(event, schedule);
+      if (slots.length > 0) {
+        reschedule.description = `Reschedule to ${this.formatSlot(slots[0], schedule.timezone)}`;
+        reschedule.slots = slots;
+      }
+    }
+
+    suggestions.push(reschedule);
 
     // Suggest attending virtually if applicable
     if (event.location && !event.location.includes('Campus')) {
@@ -167,33 +381,414 @@ class ConflictResolverService {
     return suggestions;
   }
 
-  // Get next available slot (simplified)
-  getNextAvailableSlot(dateTime) {
-    const nextSlot = new Date(dateTime);
-    nextSlot.setDate(nextSlot.getDate() + 1); // Next day same time
-    return nextSlot.toLocaleDateString() + ' ' + nextSlot.toLocaleTimeString();
+  // Free slots near the original time for moving an event out of a conflict
+  suggestRescheduleSlots(event, schedule, limit = 3) {
+    const interval = this.toInterval(event, schedule.defaultDurationMinutes);
+    const from = new Date();
+    const to = new Date(Math.min(interval.start + 7 * 24 * 60 * 60 * 1000, schedule.windowEnd.getTime()));
+
+    if (to <= from) return [];
+
+    // The event being moved shouldn't block its own new slot
+    const busy = schedule.busy.filter(b => b.sourceId !== event._id.toString());
+
+    return this.computeFreeSlots(busy, {
+      durationMinutes: Math.round((interval.end - interval.start) / (1000 * 60)),
+      from,
+      to,
+      timezone: schedule.timezone,
+      quietHours: schedule.quietHours,
+      bufferMinutes: schedule.bufferMinutes,
+      preferredTime: event.dateTime,
+      limit
+    });
+  }
+
+  // Human readable slot start in the user's timezone
+  formatSlot(slot, timezone = 'UTC') {
+    return slot.start.toLocaleString('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  }
+
+  // Find ranked open slots for a user between two dates
+  async findFreeSlots(userId, options = {}) {
+    const {
+      durationMinutes = this.defaultDurationMinutes,
+      timezone = 'UTC',
+      quietHours = this.quietHours,
+      bufferMinutes = 0,
+      preferredTime = null,
+      limit = 5
+    } = options;
+
+    const from = options.from ? new Date(options.from) : new Date();
+    const to = options.to ? new Date(options.to) : new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000);
+
+    if (isNaN(from) || isNaN(to)) {
+      throw new Error('Invalid date range');
+    }
+    if (to <= from) {
+      throw new Error('End of range must be after start');
+    }
+    if (!durationMinutes || durationMinutes <= 0) {
+      throw new Error('Duration must be a positive number of minutes');
+    }
+
+    const lookbackFrom = new Date(from.getTime() - this.defaultDurationMinutes * 60 * 1000);
+    const events = await Event.find({
+      userId,
+      status: 'scheduled',
+      dateTime: { $lt: to },
+      $or: [
+        { dateTime: { $gte: lookbackFrom } },
+        { endDateTime: { $gt: from } }
+      ]
+    });
+    const sessions = await this.getGroupSessions(userId, lookbackFrom, to);
+
+    return this.computeFreeSlots(this.toBusyIntervals(events, sessions), {
+      durationMinutes,
+      from,
+      to,
+      timezone,
+      quietHours,
+      bufferMinutes,
+      preferredTime,
+      limit
+    });
+  }
+
+  // Active group prep sessions the user is a member of
+  async getGroupSessions(userId, from, to) {
+    return await GroupPrepSession.find({
+      members: userId,
+      status: 'active',
+      meetupTime: { $gte: from, $lt: to }
+    }).select('meetupTime eventId');
+  }
+
+  // Busy time ranges from events and group prep sessions
+  toBusyIntervals(events, sessions = [], defaultDurationMinutes = this.defaultDurationMinutes) {
+    const busy = events.map(event => {
+      const interval = this.toInterval(event, defaultDurationMinutes);
+      return { start: interval.start, end: interval.end, source: 'event', sourceId: event._id.toString() };
+    });
+
+    // Prep sessions have no end time, so they block the default duration
+    sessions.forEach(session => {
+      const start = session.meetupTime.getTime();
+      busy.push({
+        start,
+        end: start + defaultDurationMinutes * 60 * 1000,
+        source: 'group_session',
+        sourceId: session._id.toString()
+      });
+    });
+
+    return busy;
+  }
+
+  // Compute ranked free slots from busy intervals; at most one slot is proposed per gap
+  computeFreeSlots(busy, options) {
+    const {
+      durationMinutes,
+      timezone = 'UTC',
+      quietHours = this.quietHours,
+      bufferMinutes = 0,
+      stepMinutes = this.slotStepMinutes,
+      preferredTime = null,
+      limit = 5
+    } = options;
+
+    const from = new Date(options.from).getTime();
+    const to = new Date(options.to).getTime();
+    const durationMs = durationMinutes * 60 * 1000;
+    const bufferMs = bufferMinutes * 60 * 1000;
+
+    // Pad and merge busy time so overlapping commitments become one block
+    const merged = [];
+    busy
+      .map(b => ({ start: b.start - bufferMs, end: b.end + bufferMs }))
+      .sort((a, b) => a.start - b.start)
+      .forEach(b => {
+        const last = merged[merged.length - 1];
+        if (last && b.start <= last.end) {
+          last.end = Math.max(last.end, b.end);
+        } else {
+          merged.push({ ...b });
+        }
+      });
+
+    const candidates = [];
+    for (const window of this.getAvailableWindows(from, to, timezone, quietHours)) {
+      let cursor = window.start;
+
+      for (const block of merged) {
+        if (block.end <= cursor) continue;
+        if (block.start >= window.end) break;
+        this.addGapCandidate(candidates, cursor, block.start, durationMs, stepMinutes, preferredTime, from, timezone);
+        cursor = Math.max(cursor, block.end);
+      }
+
+      this.addGapCandidate(candidates, cursor, window.end, durationMs, stepMinutes, preferredTime, from, timezone);
+    }
+
+    return candidates
+      .sort((a, b) => a.score - b.score)
+      .slice(0, limit)
+      .map(slot => ({
+        start: new Date(slot.start),
+        end: new Date(slot.start + durationMs),
+        gapMinutes: slot.gapMinutes,
+        score: Math.round(slot.score * 100) / 100
+      }));
   }
 
-  // Resolve conflict by updating event
-  async resolveConflict(userId, conflictId, action) {
-    // This would implement the resolution actions
-    // For now, just log the resolution
-    console.log(`Resolving conflict ${conflictId} with action:`, action);
+  // Daily windows outside quiet hours, in the user's timezone, clipped to the range
+  getAvailableWindows(from, to, timezone, quietHours) {
+    const quietStart = quietHours ? parseTimeOfDay(quietHours.start) : null;
+    const quietEnd = quietHours ? parseTimeOfDay(quietHours.end) : null;
+    const hasQuietHours = quietStart !== null && quietEnd !== null && quietStart !== quietEnd;
+
+    const windows = [];
+    let dayStart = startOfZonedDay(new Date(from), timezone);
+
+    while (dayStart.getTime() < to) {
+      const nextDay = addZonedDays(dayStart, 1, timezone);
+      const { year, month, day } = getZonedParts(dayStart, timezone);
+      const at = (minutes, base = { year, month, day }) => zonedTimeToUtc({
+        ...base,
+        hour: Math.floor(minutes / 60),
+        minute: minutes % 60
+      }, timezone).getTime();
+
+      let dayWindows = [{ start: dayStart.getTime(), end: nextDay.getTime() }];
+      if (hasQuietHours) {
+        dayWindows = quietStart > quietEnd
+          // Quiet overnight, e.g. 22:00-08:00: one window during the day
+          ? [{ start: at(quietEnd), end: at(quietStart) }]
+          // Quiet during the day, e.g. 13:00-14:00: windows either side
+          : [
+            { start: dayStart.getTime(), end: at(quietStart) },
+            { start: at(quietEnd), end: nextDay.getTime() }
+          ];
+      }
+
+      dayWindows.forEach(window => {
+        const start = Math.max(window.start, from);
+        const end = Math.min(window.end, to);
+        if (end > start) windows.push({ start, end });
+      });
 
-    // In a full implementation, this would:
-    // - Reschedule events
-    // - Update priorities
-    // - Send notifications
-    // - Update user preferences
+      dayStart = nextDay;
+    }
 
-    return { message: 'Conflict resolution recorded' };
+    return windows;
+  }
+
+  // Pick the best-scoring slot inside a free gap, if the gap is long enough
+  addGapCandidate(candidates, gapStart, gapEnd, durationMs, stepMinutes, preferredTime, rangeStart, timezone) {
+    if (gapEnd - gapStart < durationMs) return;
+
+    const stepMs = stepMinutes * 60 * 1000;
+    let best = null;
+
+    for (let start = Math.ceil(gapStart / stepMs) * stepMs; start + durationMs <= gapEnd; start += stepMs) {
+      const score = this.scoreSlot(start, preferredTime, rangeStart, timezone);
+      if (!best || score < best.score) {
+        best = { start, score };
+      }
+    }
+
+    if (best) {
+      candidates.push({ ...best, gapMinutes: Math.round((gapEnd - gapStart) / (1000 * 60)) });
+    }
+  }
+
+  // Lower is better: sooner slots win, and slots near the preferred time of day win
+  scoreSlot(start, preferredTime, rangeStart, timezone) {
+    const daysAway = (start - rangeStart) / (24 * 60 * 60 * 1000);
+    let score = daysAway;
+
+    if (preferredTime) {
+      const diffMinutes = Math.abs(getMinuteOfDay(new Date(start), timezone) - getMinuteOfDay(preferredTime, timezone));
+      score += (diffMinutes / 60) * 0.5;
+    }
+
+    return score;
+  }
+
+  // Resolve a conflict by applying the chosen action and recording the decision
+  async resolveConflict(userId, conflictId, action = {}) {
+    const validActions = ['skip', 'reschedule', 'attend_partially', 'downgrade_priority'];
+    if (!validActions.includes(action.type)) {
+      throw new Error(`Invalid action. Use one of: ${validActions.join(', ')}`);
+    }
+
+    const eventIds = (conflictId || '').split('-').filter(Boolean);
+    if (eventIds.length < 2) {
+      throw new Error('Invalid conflict ID');
+    }
+
+    const events = await Event.find({ _id: { $in: eventIds }, userId });
+    if (events.length !== eventIds.length) {
+      throw new Error('Conflict events not found');
+    }
+
+    const targetEvent = events.find(e => e._id.toString() === String(action.eventId));
+    if (!targetEvent) {
+      throw new Error('Action eventId must be one of the conflicting events');
+    }
+
+    const details = await this.applyResolutionAction(targetEvent, action);
+
+    const resolution = new ConflictResolution({
+      userId,
+      conflictId: this.getConflictId(eventIds),
+      events: events.map(e => e._id),
+      // As they are after the action
+      eventTimes: events.map(e => ({ eventId: e._id, dateTime: e.dateTime, endDateTime: e.endDateTime })),
+      action: action.type,
+      targetEventId: targetEvent._id,
+      details: { ...details, note: action.note },
+      decidedBy: userId,
+      decidedAt: new Date()
+    });
+
+    await resolution.save();
+
+    return {
+      message: 'Conflict resolved',
+      resolution
+    };
+  }
+
+  // Apply a resolution action to the target event; returns what changed
+  async applyResolutionAction(event, action) {
+    const details = {
+      previousStatus: event.status,
+      previousDateTime: event.dateTime,
+      previousEndDateTime: event.endDateTime,
+      previousPriority: event.priority
+    };
+
+    switch (action.type) {
+      case 'skip': {
+        event.status = 'cancelled';
+        await event.save();
+        const result = await reminderScheduler.cancelEventReminders(event._id);
+        details.remindersCancelled = result.modifiedCount || 0;
+        break;
+      }
+
+      case 'reschedule': {
+        const newDateTime = new Date(action.newDateTime);
+        if (!action.newDateTime || isNaN(newDateTime)) {
+          throw new Error('newDateTime is required to reschedule');
+        }
+
+        // Keep the original duration unless a new end time is given
+        let newEndDateTime = null;
+        if (action.newEndDateTime) {
+          newEndDateTime = new Date(action.newEndDateTime);
+          if (isNaN(newEndDateTime)) {
+            throw new Error('newEndDateTime is not a valid date');
+          }
+          if (newEndDateTime <= newDateTime) {
+            throw new Error('newEndDateTime must be after newDateTime');
+          }
+        } else if (event.endDateTime) {
+          newEndDateTime = new Date(newDateTime.getTime() + (event.endDateTime - event.dateTime));
+        }
+
+        event.dateTime = newDateTime;
+        event.endDateTime = newEndDateTime || undefined;
+        // A window planned for the old time no longer applies
+        event.attendance = undefined;
+        await event.save();
+        await reminderScheduler.rescheduleEventReminders(event._id, newDateTime);
+
+        details.newDateTime = newDateTime;
+        details.newEndDateTime = newEndDateTime;
+        break;
+      }
+
+      case 'attend_partially': {
+        // Event stays on the calendar with the planned attendance window; reminders count down
+        // to when the user arrives
+        const end = new Date(this.toInterval(event).end);
+        const attendFrom = action.attendFrom ? new Date(action.attendFrom) : event.dateTime;
+        const attendUntil = action.attendUntil ? new Date(action.attendUntil) : end;
+
+        if (isNaN(attendFrom) || isNaN(attendUntil)) {
+          throw new Error('attendFrom and attendUntil must be valid dates');
+        }
+        if (attendFrom >= attendUntil) {
+          throw new Error('attendUntil must be after attendFrom');
+        }
+        if (attendFrom < event.dateTime || attendUntil > end) {
+          throw new Error('The attendance window must fall within the event');
+        }
+
+        event.attendance = { from: attendFrom, until: attendUntil };
+        await event.save();
+        await reminderScheduler.rescheduleEventReminders(event._id);
+
+        details.attendFrom = attendFrom;
+        details.attendUntil = attendUntil;
+        break;
+      }
+
+      case 'downgrade_priority': {
+        const newPriority = action.priority !== undefined && action.priority !== null && action.priority !== ''
+          ? Number(action.priority)
+          : Math.max(1, event.priority - 1);
+
+        if (!Number.isInteger(newPriority) || newPriority < 1 || newPriority > 4) {
+          throw new Error('priority must be an integer from 1 to 4');
+        }
+        if (newPriority >= event.priority) {
+          throw new Error('New priority must be lower than the current priority');
+        }
+
+        event.priority = newPriority;
+        await event.save();
+        // Reminder offsets depend on priority
+        await reminderScheduler.rescheduleEventReminders(event._id);
+        details.newPriority = newPriority;
+        break;
+      }
+    }
+
+    return details;
   }
 
   // Get user's conflict history
-  async getConflictHistory(userId, limit = 10) {
-    // In a real implementation, store resolved conflicts
-    // For now, return empty array
-    return [];
+  async getConflictHistory(userId, page = 1, limit = 10) {
+    const skip = (page - 1) * limit;
+
+    const [resolutions, total] = await Promise.all([
+      ConflictResolution.find({ userId })
+        .sort({ decidedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('events', 'title dateTime endDateTime location priority status')
+        .populate('decidedBy', 'profile.name'),
+      ConflictResolution.countDocuments({ userId })
+    ]);
+
+    return {
+      resolutions,
+      total,
+      page,
+      pages: Math.ceil(total / limit)
+    };
   }
 }
 
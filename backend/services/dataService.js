@@ -2,6 +2,28 @@ const User = require('../models/User');
 const Event = require('../models/Event');
 const Reminder = require('../models/Reminder');
 const GroupPrepSession = require('../models/GroupPrepSession');
+const RecurringEventTemplate = require('../models/RecurringEventTemplate');
+const reminderScheduler = require('./reminderScheduler');
+const recurringEventsService = require('./recurringEventsService');
+const friendsService = require('./friendsService');
+const { parseRRule, formatRRule, expandRRule } = require('../utils/recurrence');
+const {
+  parseICS,
+  findComponents,
+  getProperty,
+  getProperties,
+  getText,
+  unescapeText,
+  parseDateProperty,
+  parseDuration,
+  resolveTimezone,
+  escapeText,
+  serializeLines,
+  formatUtcDateTime,
+  formatZonedDateTime,
+  buildVTimezone,
+  formatDuration
+} = require('../utils/ics');
 
 class DataService {
   // Export user data in JSON format
@@ -116,51 +138,799 @@ class DataService {
     return csvContent;
   }
 
-  // Export events to ICS calendar format
-  async exportToICS(userId) {
-    const events = await Event.find({ userId, status: { $ne: 'cancelled' } });
+  // Export events to ICS calendar format (RFC 5545).
+  // Filters: category, status (single value or comma list), from / to (event start range).
+  // Cancelled events are left out unless asked for by status. Instances generated from a
+  // recurring template are exported once as the series (RRULE) plus their edited occurrences.
+  async exportToICS(userId, filters = {}) {
+    const { ics } = await this.buildICSCalendar(userId, filters);
+    return ics;
+  }
+
+  // Build the calendar behind exports and subscription feeds. Besides exportToICS filters,
+  // accepts minPriority and includeFriends (friends' public / shared events).
+  // With stableStamp, DTSTAMP is the last modification so unchanged data gives identical output.
+  // Returns { ics, lastModified }.
+  async buildICSCalendar(userId, filters = {}, { stableStamp = false } = {}) {
+    const query = this._buildExportQuery(userId, filters);
+    const [user, events, friendsEvents] = await Promise.all([
+      User.findById(userId).select('preferences.timezone'),
+      Event.find(query).sort({ dateTime: 1 }),
+      filters.includeFriends ? this._getFriendsEventsForExport(userId, query) : []
+    ]);
+    const timezone = user?.preferences?.timezone || 'UTC';
 
-    let ics = 'BEGIN:VCALENDAR\n';
-    ics += 'VERSION:2.0\n';
-    ics += 'PRODID:-//College Event Tracker//EN\n';
+    const reminders = await Reminder.find({
+      eventId: { $in: events.map(event => event._id) },
+      status: 'scheduled'
+    });
+    const remindersByEvent = new Map();
+    reminders.forEach(reminder => {
+      const key = reminder.eventId.toString();
+      if (!remindersByEvent.has(key)) remindersByEvent.set(key, []);
+      remindersByEvent.get(key).push(reminder);
+    });
+    const alarmsFor = event => (remindersByEvent.get(event._id.toString()) || []).map(reminder => ({
+      secondsBefore: Math.round((event.dateTime - reminder.scheduledFor) / 1000),
+      message: reminder.message
+    }));
+
+    const templateIds = [...new Set(events
+      .filter(event => event.recurringId)
+      .map(event => event.recurringId.toString()))];
+    const templates = await RecurringEventTemplate.find({ _id: { $in: templateIds }, userId });
+    const templatesById = new Map(templates.map(template => [template._id.toString(), template]));
+
+    const lastModified = new Date(Math.max(
+      0,
+      ...[...events, ...templates, ...friendsEvents].map(item => (item.updatedAt ? item.updatedAt.getTime() : 0))
+    ));
+    const stamp = stableStamp ? lastModified : new Date();
+    const vevents = [];
+    const timezones = new Set([timezone]);
+    let rangeStart = stamp;
+    let rangeEnd = new Date(stamp.getTime() + 365 * 24 * 60 * 60 * 1000);
+    const extendRange = (start, end) => {
+      if (start < rangeStart) rangeStart = start;
+      if (end > rangeEnd) rangeEnd = end;
+    };
 
+    const seriesEvents = new Map();
     for (const event of events) {
-      ics += 'BEGIN:VEVENT\n';
-      ics += `UID:${event._id}@collegetracker.app\n`;
-      ics += `DTSTART:${this._formatDateForICS(event.dateTime)}\n`;
+      const template = event.recurringId && templatesById.get(event.recurringId.toString());
+      if (template) {
+        const key = template._id.toString();
+        if (!seriesEvents.has(key)) seriesEvents.set(key, []);
+        seriesEvents.get(key).push(event);
+        continue;
+      }
+
+      extendRange(event.dateTime, event.endDateTime || event.dateTime);
+      vevents.push(this._buildICSEvent(event, {
+        uid: event.icsUid || `${event._id}@collegetracker.app`,
+        timezone,
+        alarms: alarmsFor(event),
+        stamp
+      }));
+    }
+
+    for (const [templateId, instances] of seriesEvents) {
+      const template = templatesById.get(templateId);
+      const seriesTimezone = recurringEventsService.getTemplateTimezone(template, user);
+      const uid = template.icsUid || `series-${template._id}@collegetracker.app`;
+      timezones.add(seriesTimezone);
+      extendRange(template.recurrence.startDate, template.recurrence.endDate || rangeEnd);
+
+      const alarms = template.alarms && template.alarms.length > 0
+        ? template.alarms
+        : alarmsFor(instances[0]);
+      vevents.push(this._buildICSSeries(template, instances, { uid, timezone: seriesTimezone, alarms, stamp }));
+
+      // Occurrences edited on their own go out as overrides of the series
+      instances
+        .filter(event => event.recurrenceException && event.recurrenceDate && event.status !== 'cancelled')
+        .forEach(event => {
+          vevents.push(this._buildICSEvent(event, {
+            uid,
+            timezone: seriesTimezone,
+            alarms: alarmsFor(event),
+            stamp,
+            recurrenceId: event.recurrenceDate
+          }));
+        });
+    }
+
+    for (const event of friendsEvents) {
+      extendRange(event.dateTime, event.endDateTime || event.dateTime);
+      const owner = event.userId?.profile?.name;
+      vevents.push(this._buildICSEvent({
+        ...event.toObject(),
+        title: owner ? `${event.title} (${owner})` : event.title
+      }, {
+        uid: `${event._id}@collegetracker.app`,
+        timezone,
+        alarms: [],
+        stamp
+      }));
+    }
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//College Event Tracker//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'X-WR-CALNAME:College Event Tracker',
+      `X-WR-TIMEZONE:${timezone}`,
+      ...[...timezones].flatMap(zone => buildVTimezone(zone, new Date(rangeStart.getTime() - 24 * 60 * 60 * 1000), rangeEnd)),
+      ...vevents.flat(),
+      'END:VCALENDAR'
+    ];
+
+    return { ics: serializeLines(lines), lastModified };
+  }
+
+  // Friends' public or shared events, narrowed by the same category / priority filters
+  async _getFriendsEventsForExport(userId, query) {
+    const events = await friendsService.getFriendsEvents(userId);
+
+    return events.filter(event => {
+      if (event.status === 'cancelled') return false;
+      if (query.category && !query.category.$in.includes(event.category)) return false;
+      if (query.priority && event.priority < query.priority.$gte) return false;
+      return true;
+    });
+  }
+
+  _buildExportQuery(userId, filters) {
+    const list = value => String(value).split(',').map(item => item.trim()).filter(Boolean);
+    const query = { userId };
+
+    query.status = filters.status
+      ? { $in: list(filters.status) }
+      : { $ne: 'cancelled' };
+
+    if (filters.category) {
+      query.category = { $in: Array.isArray(filters.category) ? filters.category : list(filters.category) };
+    }
+
+    if (filters.minPriority) {
+      query.priority = { $gte: Number(filters.minPriority) };
+    }
+
+    if (filters.from || filters.to) {
+      query.dateTime = {};
+      if (filters.from) query.dateTime.$gte = new Date(filters.from);
+      if (filters.to) query.dateTime.$lte = new Date(filters.to);
+      if (Object.values(query.dateTime).some(date => isNaN(date))) {
+        throw new Error('Invalid date range');
+      }
+    }
+
+    return query;
+  }
+
+  // Properties shared by single events, series and overrides
+  _buildICSDetails({ title, description, location, eventLink, category, tags, priority }) {
+    const lines = [`SUMMARY:${escapeText(title)}`];
+
+    if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+    if (location) lines.push(`LOCATION:${escapeText(location)}`);
+    if (eventLink) lines.push(`URL:${eventLink}`);
+
+    const icsPriority = this._mapPriorityToICS(priority);
+    if (icsPriority) lines.push(`PRIORITY:${icsPriority}`);
+
+    const categories = [category, ...(tags || [])].filter(Boolean);
+    if (categories.length > 0) {
+      lines.push(`CATEGORIES:${categories.map(escapeText).join(',')}`);
+    }
+
+    return lines;
+  }
+
+  _buildICSEvent(event, { uid, timezone, alarms, stamp, recurrenceId = null }) {
+    // Default 1 hour duration
+    const endDateTime = event.endDateTime || new Date(event.dateTime.getTime() + 60 * 60 * 1000);
+
+    return [
+      'BEGIN:VEVENT',
+      `UID:${uid}`,
+      `DTSTAMP:${formatUtcDateTime(stamp)}`,
+      ...(event.createdAt ? [`CREATED:${formatUtcDateTime(event.createdAt)}`] : []),
+      ...(event.updatedAt ? [`LAST-MODIFIED:${formatUtcDateTime(event.updatedAt)}`] : []),
+      ...(recurrenceId ? [`RECURRENCE-ID;TZID=${timezone}:${formatZonedDateTime(recurrenceId, timezone)}`] : []),
+      `DTSTART;TZID=${timezone}:${formatZonedDateTime(event.dateTime, timezone)}`,
+      `DTEND;TZID=${timezone}:${formatZonedDateTime(endDateTime, timezone)}`,
+      ...this._buildICSDetails(event),
+      `STATUS:${event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+      ...this._buildICSAlarms(alarms, event.title),
+      'END:VEVENT'
+    ];
+  }
+
+  _buildICSSeries(template, instances, { uid, timezone, alarms, stamp }) {
+    const { recurrence, baseEvent } = template;
+    const start = recurrence.startDate;
+    const end = new Date(start.getTime() + (baseEvent.duration || 60) * 60 * 1000);
+
+    // Bound open-ended rules by the template's endDate
+    const rule = recurringEventsService.getRecurrenceRule(template, timezone);
+    if (!rule.count && !rule.until && recurrence.endDate) {
+      const until = recurrence.endDate;
+      rule.until = {
+        year: until.getUTCFullYear(),
+        month: until.getUTCMonth() + 1,
+        day: until.getUTCDate(),
+        hour: until.getUTCHours(),
+        minute: until.getUTCMinutes(),
+        second: until.getUTCSeconds(),
+        dateOnly: false,
+        isUtc: true
+      };
+    }
+
+    // EXDATEs: explicit ones, cancelled occurrences and occurrences on skipped days
+    const excluded = [
+      ...(recurrence.exdates || []),
+      ...template.exceptions.filter(exception => exception.cancelled).map(exception => exception.originalDate),
+      ...instances.filter(event => event.status === 'cancelled' && event.recurrenceDate).map(event => event.recurrenceDate)
+    ];
+    const skipDates = [...(recurrence.skipDates || []), ...(template.academicTerm?.skipDates || [])];
+    if (skipDates.length > 0) {
+      expandRRule(rule, { start, timezone, until: recurrence.endDate || null })
+        .filter(date => recurringEventsService.isExcludedDate(date, skipDates, timezone))
+        .forEach(date => excluded.push(date));
+    }
+    const exdates = [...new Set(excluded.map(date => new Date(date).getTime()))]
+      .sort((a, b) => a - b)
+      .map(time => formatZonedDateTime(new Date(time), timezone));
+
+    return [
+      'BEGIN:VEVENT',
+      `UID:${uid}`,
+      `DTSTAMP:${formatUtcDateTime(stamp)}`,
+      `CREATED:${formatUtcDateTime(template.createdAt || stamp)}`,
+      `LAST-MODIFIED:${formatUtcDateTime(template.updatedAt || stamp)}`,
+      `DTSTART;TZID=${timezone}:${formatZonedDateTime(start, timezone)}`,
+      `DTEND;TZID=${timezone}:${formatZonedDateTime(end, timezone)}`,
+      `RRULE:${formatRRule(rule)}`,
+      ...(exdates.length > 0 ? [`EXDATE;TZID=${timezone}:${exdates.join(',')}`] : []),
+      ...this._buildICSDetails(baseEvent),
+      'STATUS:CONFIRMED',
+      ...this._buildICSAlarms(alarms, baseEvent.title),
+      'END:VEVENT'
+    ];
+  }
+
+  _buildICSAlarms(alarms, title) {
+    return (alarms || []).flatMap(alarm => [
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `TRIGGER:${formatDuration(-alarm.secondsBefore * 1000)}`,
+      `DESCRIPTION:${escapeText(alarm.message || title)}`,
+      'END:VALARM'
+    ]);
+  }
+
+  // Ours is 1 (low) to 5 (critical); iCalendar is 1 (highest) to 9 (lowest)
+  _mapPriorityToICS(priority) {
+    return { 5: 1, 4: 3, 3: 5, 2: 7, 1: 9 }[priority] || 0;
+  }
+
+  // Import events from an .ics file. Without `commit` nothing is written: the result
+  // previews what would be created, updated (matched on UID) and skipped.
+  // VEVENTs with RRULE become recurring templates; VALARMs become reminders.
+  async importFromICS(userId, icsText, { commit = false } = {}) {
+    if (!icsText || typeof icsText !== 'string') {
+      throw new Error('iCalendar data is required');
+    }
+
+    const user = await User.findById(userId).select('preferences.timezone');
+    const fallbackTimezone = user?.preferences?.timezone || 'UTC';
+    const { drafts, warnings } = this._parseICSEvents(icsText, fallbackTimezone);
+    const plan = await this._planICSImport(userId, drafts);
+
+    const summarize = item => ({
+      uid: item.draft.uid,
+      type: item.draft.rrule ? 'series' : 'event',
+      title: item.draft.title,
+      dateTime: item.draft.dateTime,
+      rrule: item.draft.rrule || undefined,
+      changes: item.changes,
+      reason: item.reason
+    });
+
+    const result = {
+      committed: commit,
+      creates: plan.creates.map(summarize),
+      updates: plan.updates.map(summarize),
+      skipped: plan.skipped.map(summarize),
+      warnings
+    };
+
+    if (!commit) {
+      return result;
+    }
+
+    for (const item of plan.creates) {
+      if (item.draft.rrule) {
+        await this._createTemplateFromICS(userId, item.draft);
+      } else {
+        await this._createEventFromICS(userId, item.draft);
+      }
+    }
+
+    for (const item of plan.updates) {
+      if (item.draft.rrule) {
+        await recurringEventsService.updateTemplate(item.existing._id, userId, item.updates);
+      } else {
+        await this._updateEventFromICS(userId, item.existing, item.draft, item.updates);
+      }
+    }
+
+    return result;
+  }
+
+  // Turn VEVENTs into drafts; RECURRENCE-ID overrides are folded into their series
+  _parseICSEvents(icsText, fallbackTimezone) {
+    const calendars = parseICS(icsText).filter(component => component.name === 'VCALENDAR');
+    const warnings = [];
+    const drafts = [];
+    const overrides = [];
+
+    calendars.forEach(calendar => {
+      const vtimezones = findComponents(calendar, 'VTIMEZONE');
+      const calendarTimezone = resolveTimezone(getText(calendar, 'X-WR-TIMEZONE'), vtimezones) || fallbackTimezone;
+
+      findComponents(calendar, 'VEVENT').forEach((vevent, index) => {
+        try {
+          const draft = this._parseICSEvent(vevent, calendarTimezone, vtimezones, warnings);
+          if (draft.recurrenceId) {
+            overrides.push(draft);
+          } else {
+            drafts.push(draft);
+          }
+        } catch (error) {
+          warnings.push(`Event "${getText(vevent, 'SUMMARY') || index + 1}" skipped: ${error.message}`);
+        }
+      });
+    });
+
+    overrides.forEach(override => {
+      const series = drafts.find(draft => draft.uid === override.uid && draft.rrule);
+      if (series) {
+        series.exceptions.push(this._toICSException(override));
+      } else {
+        // Handled in planning: applied to an existing series, or imported on its own
+        drafts.push(override);
+      }
+    });
+
+    return { drafts, warnings };
+  }
+
+  _parseICSEvent(vevent, calendarTimezone, vtimezones, warnings) {
+    const title = getText(vevent, 'SUMMARY').slice(0, 200);
+    if (!title) {
+      throw new Error('missing SUMMARY');
+    }
+
+    const dtstartProperty = getProperty(vevent, 'DTSTART');
+    if (!dtstartProperty) {
+      throw new Error('missing DTSTART');
+    }
+    if (dtstartProperty.params.TZID && !resolveTimezone(dtstartProperty.params.TZID, vtimezones)) {
+      warnings.push(`Unknown timezone "${dtstartProperty.params.TZID}" in "${title}", using ${calendarTimezone}`);
+    }
+
+    const start = parseDateProperty(dtstartProperty, calendarTimezone, vtimezones);
+    const end = parseDateProperty(getProperty(vevent, 'DTEND'), calendarTimezone, vtimezones);
+    const durationProperty = getProperty(vevent, 'DURATION');
+
+    let endDateTime = null;
+    if (end) {
+      endDateTime = end.date;
+    } else if (durationProperty) {
+      endDateTime = new Date(start.date.getTime() + parseDuration(durationProperty.value));
+    } else if (start.dateOnly) {
+      endDateTime = new Date(start.date.getTime() + 24 * 60 * 60 * 1000);
+    }
+    if (endDateTime && endDateTime <= start.date) {
+      endDateTime = null;
+    }
+
+    const categories = getProperties(vevent, 'CATEGORIES')
+      .flatMap(property => property.value.split(/(?<!\\),/))
+      .map(value => unescapeText(value).trim())
+      .filter(Boolean);
+
+    const uid = getText(vevent, 'UID');
+    const rruleProperty = getProperty(vevent, 'RRULE');
+    const recurrenceIdProperty = getProperty(vevent, 'RECURRENCE-ID');
+    let rrule = null;
+
+    if (rruleProperty) {
+      rrule = formatRRule(parseRRule(rruleProperty.value));
+      if (getProperty(vevent, 'RDATE')) {
+        warnings.push(`RDATE in "${title}" is not supported and was ignored`);
+      }
+    }
+
+    const draft = {
+      uid,
+      title,
+      description: getText(vevent, 'DESCRIPTION').slice(0, 2000),
+      location: getText(vevent, 'LOCATION').slice(0, 300),
+      dateTime: start.date,
+      endDateTime,
+      timezone: start.timezone,
+      category: this._mapICSCategory(categories, title),
+      priority: this._mapICSPriority(getText(vevent, 'PRIORITY')),
+      tags: categories.map(category => category.toLowerCase()).slice(0, 10),
+      status: this._mapICSStatus(getText(vevent, 'STATUS')),
+      eventLink: getText(vevent, 'URL') || undefined,
+      rrule,
+      exdates: [],
+      exceptions: [],
+      recurrenceId: recurrenceIdProperty
+        ? parseDateProperty(recurrenceIdProperty, calendarTimezone, vtimezones).date
+        : null,
+      alarms: []
+    };
+
+    if (rrule) {
+      getProperties(vevent, 'EXDATE').forEach(property => {
+        property.value.split(',').forEach(value => {
+          draft.exdates.push(parseDateProperty({ ...property, value }, calendarTimezone, vtimezones).date);
+        });
+      });
+    }
+
+    findComponents(vevent, 'VALARM').forEach(valarm => {
+      const alarm = this._parseICSAlarm(valarm, draft, calendarTimezone);
+      if (alarm) draft.alarms.push(alarm);
+    });
+
+    return draft;
+  }
+
+  // VALARM -> { secondsBefore, message, channel } relative to the event start
+  _parseICSAlarm(valarm, draft, timezone) {
+    const trigger = getProperty(valarm, 'TRIGGER');
+    if (!trigger) return null;
+
+    let secondsBefore;
+    if (trigger.params.VALUE === 'DATE-TIME') {
+      const at = parseDateProperty(trigger, timezone).date;
+      secondsBefore = Math.round((draft.dateTime - at) / 1000);
+    } else {
+      const offset = parseDuration(trigger.value);
+      const relatedToEnd = trigger.params.RELATED === 'END' && draft.endDateTime;
+      const base = relatedToEnd ? draft.endDateTime.getTime() : draft.dateTime.getTime();
+      secondsBefore = Math.round((draft.dateTime.getTime() - (base + offset)) / 1000);
+    }
+
+    const action = getText(valarm, 'ACTION').toUpperCase();
+    const description = getText(valarm, 'DESCRIPTION');
+
+    return {
+      secondsBefore,
+      // Clients often put a placeholder like "Reminder" in DESCRIPTION
+      message: description && description.toLowerCase() !== 'reminder' ? description.slice(0, 500) : undefined,
+      channel: action === 'EMAIL' ? 'email' : 'default'
+    };
+  }
+
+  _toICSException(override) {
+    return {
+      originalDate: override.recurrenceId,
+      cancelled: override.status === 'cancelled',
+      dateTime: override.dateTime,
+      endDateTime: override.endDateTime || undefined,
+      title: override.title,
+      description: override.description || undefined,
+      location: override.location || undefined
+    };
+  }
+
+  _mapICSCategory(categories, title) {
+    const validCategories = ['academic', 'competition', 'webinar', 'social', 'workshop', 'meeting', 'extracurricular'];
+    const direct = categories.map(c => c.toLowerCase()).find(c => validCategories.includes(c));
+    if (direct) return direct;
+
+    const text = `${categories.join(' ')} ${title}`.toLowerCase();
+    const keywords = {
+      academic: ['lecture', 'class', 'lab', 'exam', 'tutorial', 'seminar', 'course', 'assignment'],
+      competition: ['hackathon', 'contest', 'competition', 'challenge'],
+      webinar: ['webinar', 'online session'],
+      social: ['party', 'social', 'meetup', 'fest', 'celebration'],
+      workshop: ['workshop', 'bootcamp', 'training'],
+      meeting: ['meeting', 'sync', 'standup', 'call'],
+      extracurricular: ['club', 'sport', 'practice', 'rehearsal', 'volunteer']
+    };
+
+    const match = Object.keys(keywords).find(category =>
+      keywords[category].some(keyword => text.includes(keyword))
+    );
+    return match || 'meeting';
+  }
+
+  // iCalendar PRIORITY is 1 (highest) to 9 (lowest), 0 = undefined; ours is 1 (low) to 5 (critical)
+  _mapICSPriority(value) {
+    const priority = parseInt(value);
+    if (!priority || priority < 1 || priority > 9) return 3;
+    if (priority <= 1) return 5;
+    if (priority <= 3) return 4;
+    if (priority <= 5) return 3;
+    if (priority <= 7) return 2;
+    return 1;
+  }
+
+  _mapICSStatus(value) {
+    const statuses = {
+      CANCELLED: 'cancelled',
+      COMPLETED: 'completed',
+      IN_PROGRESS: 'in_progress'
+    };
+    return statuses[value.toUpperCase()] || 'scheduled';
+  }
+
+  // Split drafts into creates, updates and skips by matching UIDs (ours or an earlier import)
+  async _planICSImport(userId, drafts) {
+    // overrides: the pending update of each stored series that overrides in the file apply to
+    const plan = { creates: [], updates: [], skipped: [], overrides: new Map() };
+    const seenUids = new Set();
+
+    for (const draft of drafts) {
+      const key = draft.uid && `${draft.uid}|${draft.recurrenceId ? draft.recurrenceId.getTime() : ''}`;
+      if (key && seenUids.has(key)) {
+        plan.skipped.push({ draft, reason: 'Duplicate UID in file' });
+        continue;
+      }
+      if (key) seenUids.add(key);
 
-      if (event.endDateTime) {
-        ics += `DTEND:${this._formatDateForICS(event.endDateTime)}\n`;
+      if (draft.recurrenceId) {
+        await this._planICSOverride(userId, draft, plan);
+      } else if (draft.rrule) {
+        await this._planICSSeries(userId, draft, plan);
       } else {
-        // Default 1 hour duration
-        const endTime = new Date(event.dateTime.getTime() + 60 * 60 * 1000);
-        ics += `DTEND:${this._formatDateForICS(endTime)}\n`;
+        await this._planICSEvent(userId, draft, plan);
       }
+    }
 
-      ics += `SUMMARY:${this._escapeICSText(event.title)}\n`;
+    return plan;
+  }
 
-      if (event.description) {
-        ics += `DESCRIPTION:${this._escapeICSText(event.description)}\n`;
+  async _planICSEvent(userId, draft, plan) {
+    const existing = await this._findEventByICSUid(userId, draft.uid);
+
+    if (existing) {
+      const updates = {};
+      ['title', 'description', 'location', 'status'].forEach(field => {
+        if ((existing[field] || '') !== (draft[field] || '')) updates[field] = draft[field];
+      });
+      ['dateTime', 'endDateTime'].forEach(field => {
+        const current = existing[field] ? existing[field].getTime() : null;
+        const incoming = draft[field] ? draft[field].getTime() : null;
+        if (current !== incoming) updates[field] = draft[field];
+      });
+
+      const changes = Object.keys(updates);
+      if (changes.length === 0) {
+        plan.skipped.push({ draft, reason: 'Unchanged' });
+      } else {
+        plan.updates.push({ draft, existing, updates, changes });
       }
+      return;
+    }
+
+    if (draft.status === 'cancelled') {
+      plan.skipped.push({ draft, reason: 'Cancelled' });
+      return;
+    }
 
-      if (event.location) {
-        ics += `LOCATION:${this._escapeICSText(event.location)}\n`;
+    const duplicate = await Event.findOne({ userId, title: draft.title, dateTime: draft.dateTime });
+    if (duplicate) {
+      plan.skipped.push({ draft, reason: 'Duplicate of an existing event' });
+      return;
+    }
+
+    plan.creates.push({ draft });
+  }
+
+  async _planICSSeries(userId, draft, plan) {
+    const existing = await this._findTemplateByICSUid(userId, draft.uid);
+    const recurrence = this._toTemplateRecurrence(draft);
+
+    if (!existing) {
+      const duplicate = await RecurringEventTemplate.findOne({
+        userId,
+        'baseEvent.title': draft.title,
+        'recurrence.startDate': draft.dateTime
+      });
+      if (duplicate) {
+        plan.skipped.push({ draft, reason: 'Duplicate of an existing recurring series' });
+      } else {
+        plan.creates.push({ draft });
       }
+      return;
+    }
+
+    const updates = {};
+    const baseEvent = this._toTemplateBaseEvent(draft);
+    if (['title', 'description', 'location', 'duration'].some(field => (existing.baseEvent[field] || '') !== (baseEvent[field] || ''))) {
+      updates.baseEvent = { ...existing.toObject().baseEvent, ...baseEvent };
+    }
+
+    const sameTimes = (a = [], b = []) => a.length === b.length &&
+      a.every((date, i) => new Date(date).getTime() === new Date(b[i]).getTime());
+    if (existing.recurrence.rrule !== recurrence.rrule ||
+        existing.recurrence.startDate.getTime() !== recurrence.startDate.getTime() ||
+        !sameTimes(existing.recurrence.exdates, recurrence.exdates)) {
+      updates.recurrence = { ...existing.toObject().recurrence, ...recurrence };
+    }
+
+    const exceptionKey = exception => [
+      new Date(exception.originalDate).getTime(),
+      !!exception.cancelled,
+      exception.dateTime ? new Date(exception.dateTime).getTime() : '',
+      exception.title || ''
+    ].join('|');
+    if (existing.exceptions.map(exceptionKey).join() !== draft.exceptions.map(exceptionKey).join()) {
+      updates.exceptions = draft.exceptions;
+    }
 
-      // Priority mapping (1-5 to 1-9)
-      if (event.priority) {
-        const icsPriority = Math.max(1, Math.min(9, event.priority));
-        ics += `PRIORITY:${icsPriority}\n`;
+    const changes = Object.keys(updates);
+    if (changes.length === 0) {
+      plan.skipped.push({ draft, reason: 'Unchanged' });
+    } else {
+      plan.updates.push({ draft, existing, updates, changes });
+    }
+  }
+
+  // A RECURRENCE-ID override whose series isn't in the file. Every override of the same stored
+  // series goes into one update, so they don't overwrite each other's exceptions.
+  async _planICSOverride(userId, draft, plan) {
+    const series = await this._findTemplateByICSUid(userId, draft.uid);
+
+    if (!series) {
+      // Nothing to attach to, so keep it as a one-off event
+      await this._planICSEvent(userId, { ...draft, uid: `${draft.uid}-${draft.recurrenceId.getTime()}`, recurrenceId: null }, plan);
+      return;
+    }
+
+    const key = String(series._id);
+    if (!plan.overrides.has(key)) {
+      const item = {
+        draft: { ...draft, rrule: series.recurrence.rrule || 'series' },
+        existing: series,
+        updates: { exceptions: series.exceptions.map(existing => existing.toObject()) },
+        changes: ['exceptions']
+      };
+      plan.overrides.set(key, item);
+      plan.updates.push(item);
+    }
+
+    const { updates } = plan.overrides.get(key);
+    const exception = this._toICSException(draft);
+    updates.exceptions = updates.exceptions
+      .filter(existing => new Date(existing.originalDate).getTime() !== exception.originalDate.getTime());
+    updates.exceptions.push(exception);
+  }
+
+  // Our own exports use "<event id>@collegetracker.app" as UID
+  async _findEventByICSUid(userId, uid) {
+    if (!uid) return null;
+
+    const exported = /^([a-f0-9]{24})@collegetracker\.app$/.exec(uid);
+    if (exported) {
+      const event = await Event.findOne({ _id: exported[1], userId });
+      if (event) return event;
+    }
+
+    return await Event.findOne({ userId, icsUid: uid });
+  }
+
+  // Series we export use "series-<template id>@collegetracker.app"
+  async _findTemplateByICSUid(userId, uid) {
+    if (!uid) return null;
+
+    const exported = /^series-([a-f0-9]{24})@collegetracker\.app$/.exec(uid);
+    if (exported) {
+      const template = await RecurringEventTemplate.findOne({ _id: exported[1], userId });
+      if (template) return template;
+    }
+
+    return await RecurringEventTemplate.findOne({ userId, icsUid: uid });
+  }
+
+  _toTemplateBaseEvent(draft) {
+    return {
+      title: draft.title,
+      description: draft.description,
+      location: draft.location,
+      category: draft.category,
+      priority: draft.priority,
+      tags: draft.tags,
+      duration: draft.endDateTime
+        ? Math.round((draft.endDateTime - draft.dateTime) / (60 * 1000))
+        : 60
+    };
+  }
+
+  _toTemplateRecurrence(draft) {
+    return {
+      pattern: 'rrule',
+      rrule: draft.rrule,
+      startDate: draft.dateTime,
+      exdates: draft.exdates,
+      timezone: draft.timezone
+    };
+  }
+
+  async _createEventFromICS(userId, draft) {
+    const event = await Event.create({
+      userId,
+      title: draft.title,
+      description: draft.description,
+      dateTime: draft.dateTime,
+      endDateTime: draft.endDateTime || undefined,
+      location: draft.location,
+      category: draft.category,
+      priority: draft.priority,
+      tags: draft.tags,
+      status: draft.status,
+      eventLink: draft.eventLink,
+      icsUid: draft.uid || undefined,
+      sourceType: 'ics_import',
+      extractionMethod: 'ics_import'
+    });
+
+    if (event.status === 'scheduled') {
+      if (draft.alarms.length > 0) {
+        await reminderScheduler.scheduleCustomReminders(event, userId, draft.alarms);
+      } else {
+        await reminderScheduler.scheduleEventReminders(event, userId);
       }
+    }
+
+    return event;
+  }
+
+  async _updateEventFromICS(userId, event, draft, updates) {
+    Object.assign(event, updates);
+    await event.save();
 
-      ics += `CATEGORIES:${event.category}\n`;
-      ics += `STATUS:${event.status.toUpperCase()}\n`;
-      ics += 'END:VEVENT\n';
+    if (event.status !== 'scheduled') {
+      await reminderScheduler.cancelEventReminders(event._id);
+    } else if (updates.dateTime || updates.status) {
+      await reminderScheduler.cancelEventReminders(event._id);
+      if (draft.alarms.length > 0) {
+        await reminderScheduler.scheduleCustomReminders(event, userId, draft.alarms);
+      } else {
+        await reminderScheduler.scheduleEventReminders(event, userId);
+      }
     }
 
-    ics += 'END:VCALENDAR';
+    return event;
+  }
 
-    return ics;
+  async _createTemplateFromICS(userId, draft) {
+    const template = await recurringEventsService.createRecurringTemplate(userId, {
+      baseEvent: this._toTemplateBaseEvent(draft),
+      recurrence: this._toTemplateRecurrence(draft)
+    });
+
+    template.exceptions = draft.exceptions;
+    template.alarms = draft.alarms;
+    template.icsUid = draft.uid || undefined;
+    await template.save();
+
+    // Create the upcoming instances now rather than waiting for the nightly run
+    await recurringEventsService.processTemplate(template, new Date(Date.now() + 14 * 24 * 60 * 60 * 1000));
+
+    return template;
   }
 
   // Complete account deletion (GDPR compliant)
@@ -218,16 +988,6 @@ class DataService {
     };
   }
 
-  // Helper: Format date for ICS
-  _formatDateForICS(date) {
-    return date.toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
-  }
-
-  // Helper: Escape text for ICS
-  _escapeICSText(text) {
-    return text.replace(/[\\;,]/g, '\\$&').replace(/\n/g, '\\n');
-  }
-
   // Helper: Store deletion backup
   async _storeDeletionBackup(userId, data, reason) {
     // In production, store in secure backup storage
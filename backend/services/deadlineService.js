@@ -0,0 +1,144 @@
+// Registration deadlines: upcoming deadlines by urgency, registration status changes and
+// the job that handles deadlines that passed while the user was still not registered.
+const Event = require('../models/Event');
+const User = require('../models/User');
+const reminderScheduler = require('./reminderScheduler');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const DEFAULT_HIGHLIGHT_DAYS = 3;
+const REGISTRATION_STATUSES = ['not_registered', 'registered', 'waitlisted'];
+
+class DeadlineService {
+  getHighlightDays(user) {
+    return user?.preferences?.deadlines?.highlightWithinDays || DEFAULT_HIGHLIGHT_DAYS;
+  }
+
+  // 'today' under 24 hours, 'soon' within the user's highlight window, else 'upcoming'
+  getUrgency(deadline, highlightDays, now = new Date()) {
+    const msLeft = new Date(deadline).getTime() - now.getTime();
+    if (msLeft <= DAY_MS) return 'today';
+    if (msLeft <= highlightDays * DAY_MS) return 'soon';
+    return 'upcoming';
+  }
+
+  // Upcoming registration deadlines, most urgent first. Within the same urgency the
+  // higher-priority event comes first, then the earlier deadline.
+  async getUpcomingDeadlines(userId, { days = 30, includeRegistered = false, user = null } = {}) {
+    user = user || await User.findById(userId).select('preferences');
+    const now = new Date();
+    const horizon = new Date(now.getTime() + Math.min(Math.max(parseInt(days) || 30, 1), 365) * DAY_MS);
+    const highlightDays = this.getHighlightDays(user);
+
+    const query = {
+      userId,
+      status: { $in: ['scheduled', 'in_progress'] },
+      registrationDeadline: { $gt: now, $lte: horizon }
+    };
+    if (!includeRegistered) {
+      query.registrationStatus = { $in: ['not_registered', null] };
+    }
+
+    const events = await Event.find(query)
+      .select('title dateTime location category priority registrationDeadline registrationStatus registrationFee eventLink')
+      .sort({ registrationDeadline: 1 });
+
+    const rank = { today: 0, soon: 1, upcoming: 2 };
+
+    return events
+      .map(event => {
+        const urgency = this.getUrgency(event.registrationDeadline, highlightDays, now);
+        return {
+          ...event.toObject(),
+          urgency,
+          hoursLeft: Math.round((event.registrationDeadline.getTime() - now.getTime()) / HOUR_MS),
+          closingSoon: urgency !== 'upcoming'
+        };
+      })
+      .sort((a, b) =>
+        rank[a.urgency] - rank[b.urgency] ||
+        b.priority - a.priority ||
+        a.registrationDeadline - b.registrationDeadline
+      );
+  }
+
+  // Deadlines within `days`, or the user's highlight window if that is longer, for the digest
+  async getClosingSoon(userId, { days = 0, user = null } = {}) {
+    user = user || await User.findById(userId).select('preferences');
+    return await this.getUpcomingDeadlines(userId, { days: Math.max(days, this.getHighlightDays(user)), user });
+  }
+
+  // Registering (or joining the waitlist) stops deadline reminders and undoes a
+  // missed-deadline downgrade.
+  async setRegistrationStatus(eventId, userId, registrationStatus) {
+    if (!REGISTRATION_STATUSES.includes(registrationStatus)) {
+      throw new Error(`Registration status must be one of: ${REGISTRATION_STATUSES.join(', ')}`);
+    }
+
+    const event = await Event.findOne({ _id: eventId, userId });
+    if (!event) {
+      throw new Error('Event not found');
+    }
+
+    event.registrationStatus = registrationStatus;
+    event.registrationUpdatedAt = new Date();
+
+    if (registrationStatus !== 'not_registered') {
+      if (event.priorityBeforeDowngrade) {
+        event.priority = event.priorityBeforeDowngrade;
+      }
+      event.priorityBeforeDowngrade = undefined;
+      event.deadlineMissedAt = undefined;
+    }
+
+    await event.save();
+    await reminderScheduler.rescheduleEventReminders(event._id);
+
+    return event;
+  }
+
+  // Marks events whose deadline passed unregistered, lowering their priority for users
+  // who opted in. Each event is handled once.
+  async processMissedDeadlines() {
+    const now = new Date();
+    const events = await Event.find({
+      status: { $in: ['scheduled', 'in_progress'] },
+      registrationDeadline: { $lte: now },
+      registrationStatus: { $in: ['not_registered', null] },
+      deadlineMissedAt: { $exists: false }
+    }).limit(500);
+
+    const users = new Map();
+    let downgraded = 0;
+
+    for (const event of events) {
+      try {
+        const key = event.userId.toString();
+        if (!users.has(key)) {
+          users.set(key, await User.findById(event.userId).select('preferences'));
+        }
+        const settings = users.get(key)?.preferences?.deadlines;
+
+        event.deadlineMissedAt = now;
+        const target = settings?.downgradeTo || 1;
+        const downgrade = settings?.downgradeWhenMissed && event.priority > target && event.dateTime > now;
+        if (downgrade) {
+          event.priorityBeforeDowngrade = event.priority;
+          event.priority = target;
+          downgraded++;
+        }
+
+        await event.save();
+        if (downgrade) {
+          await reminderScheduler.rescheduleEventReminders(event._id);
+        }
+      } catch (error) {
+        console.error(`Error handling missed deadline for event ${event._id}:`, error);
+      }
+    }
+
+    return { processed: events.length, downgraded };
+  }
+}
+
+module.exports = new DeadlineService();
@@ -3,6 +3,7 @@ const User = require('../models/User');
 const emailService = require('./emailService');
 const recommendationService = require('./recommendationService');
 const llmService = require('./llmService');
+const deadlineService = require('./deadlineService');
 
 class EmailDigestService {
   // Send weekly digest to user
@@ -18,7 +19,7 @@ class EmailDigestService {
     // Generate digest content
     const digestData = await this.generateDigestContent(userId);
 
-    if (digestData.events.length === 0 && digestData.recommendations.length === 0) {
+    if (digestData.events.length === 0 && digestData.recommendations.length === 0 && digestData.deadlines.length === 0) {
       return; // No content to send
     }
 
@@ -38,6 +39,9 @@ class EmailDigestService {
       dateTime: { $gte: now, $lte: nextWeek }
     }).sort({ dateTime: 1 }).limit(10);
 
+    // Registrations closing before the next digest goes out
+    const deadlines = await deadlineService.getClosingSoon(userId, { days: 7 });
+
     // Get recommendations
     const recommendations = await recommendationService.getRecommendations(userId, 3);
 
@@ -49,6 +53,7 @@ class EmailDigestService {
 
     return {
       events: upcomingEvents,
+      deadlines,
       recommendations,
       activity: recentActivity,
       stats,
@@ -308,7 +313,7 @@ class EmailDigestService {
     return { htmlContent, textContent };
   }
   generateDigestHTML(user, digestData) {
-    const { events, recommendations, activity, stats } = digestData;
+    const { events, deadlines = [], recommendations, activity, stats } = digestData;
 
     return `
       <!DOCTYPE html>
@@ -327,6 +332,7 @@ class EmailDigestService {
             .priority-high { border-left: 4px solid #f44336; }
             .priority-medium { border-left: 4px solid #ff9800; }
             .priority-low { border-left: 4px solid #4caf50; }
+            .deadline { margin: 10px 0; padding: 10px; background: #fff3e0; border-left: 4px solid #e65100; }
           </style>
         </head>
         <body>
@@ -354,6 +360,20 @@ class EmailDigestService {
               </div>
             </div>
 
+            ${deadlines.length > 0 ? `
+            <div class="section">
+              <h2>⏳ Registration Closing Soon</h2>
+              ${deadlines.map(deadline => `
+                <div class="deadline">
+                  <h3>${deadline.title}</h3>
+                  <p><strong>Closes:</strong> ${deadline.registrationDeadline.toLocaleDateString()} at ${deadline.registrationDeadline.toLocaleTimeString()}${deadline.urgency === 'today' ? ' (within 24 hours)' : ''}</p>
+                  ${deadline.registrationFee > 0 ? `<p><strong>Fee:</strong> ${deadline.registrationFee}</p>` : ''}
+                  ${deadline.eventLink ? `<p><a href="${deadline.eventLink}">Register now</a></p>` : ''}
+                </div>
+              `).join('')}
+            </div>
+            ` : ''}
+
             ${events.length > 0 ? `
             <div class="section">
               <h2>🎯 Upcoming Events</h2>
@@ -409,7 +429,7 @@ class EmailDigestService {
 
   // Generate text digest content
   generateDigestText(user, digestData) {
-    const { events, recommendations, stats } = digestData;
+    const { events, deadlines = [], recommendations, stats } = digestData;
 
     let text = `Hi ${user.profile.name},
 
@@ -422,6 +442,13 @@ Your College Event Hub Digest - Week of ${digestData.digestDate.toLocaleDateStri
 
 `;
 
+    if (deadlines.length > 0) {
+      text += `⏳ Registration Closing Soon:
+${deadlines.map(deadline => `- ${deadline.title} (closes ${deadline.registrationDeadline.toLocaleDateString()} ${deadline.registrationDeadline.toLocaleTimeString()})`).join('\n')}
+
+`;
+    }
+
     if (events.length > 0) {
       text += `🎯 Upcoming Events:
 ${events.map(event => `- ${event.title} (${event.dateTime.toLocaleDateString()} ${event.dateTime.toLocaleTimeString()})`).join('\n')}
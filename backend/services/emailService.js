@@ -4,7 +4,7 @@ const llmService = require('./llmService');
 
 class EmailService {
   constructor() {
-    this.transporter = nodemailer.createTransporter({
+    this.transporter = nodemailer.createTransport({
       host: process.env.EMAIL_HOST,
       port: parseInt(process.env.EMAIL_PORT) || 587,
       secure: false, // true for 465, false for other ports
@@ -36,6 +36,23 @@ class EmailService {
     }
   }
 
+  // Send an arbitrary email (announcements and other one-off messages)
+  async sendEmail({ to, subject, html, text }) {
+    try {
+      const result = await this.transporter.sendMail({
+        from: `"College Event Tracker" <${process.env.EMAIL_USER}>`,
+        to,
+        subject,
+        html,
+        text
+      });
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      console.error(`Failed to send email to ${to}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
   // Send test email
   async sendTestEmail(userEmail) {
     try {
@@ -0,0 +1,304 @@
+// Learned category and priority for extracted events.
+//
+// A multinomial naive Bayes over the words of an event's title (counted twice), description
+// and tags, trained for each user and globally from their saved events. Training runs nightly
+// from scratch; in between, every newly created event is added to both models straight away,
+// and a draft whose category or priority the user changed in the editor before saving counts
+// CORRECTION_WEIGHT times for that field. A user's probabilities are smoothed towards the
+// global model's:
+//   P(word | label) = (n + k * P_global(word | label)) / (N + k)
+// and the global model is Laplace-smoothed. Until enough events have been seen, the keyword
+// rules in eventExtractionService decide on their own.
+const Event = require('../models/Event');
+const EventClassifierModel = require('../models/EventClassifierModel');
+const extractionService = require('./eventExtractionService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const FIELDS = ['category', 'priority'];
+const CORRECTION_WEIGHT = 3;
+const MAX_TOKENS = 200;
+const MAX_ALTERNATIVES = 3;
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'this', 'that', 'are', 'will', 'you', 'your', 'our',
+  'all', 'has', 'have', 'its', 'was', 'not', 'but', 'can', 'on', 'in', 'at', 'of', 'to', 'is',
+  'be', 'by', 'an', 'or', 'as', 'we', 'it', 'am', 'pm'
+]);
+
+class EventClassifierService {
+  constructor() {
+    this.minDocuments = 20; // Events seen (globally) before predictions are used at all
+    this.priorStrength = 10; // Pseudo-documents of the global label prior in a user's estimate
+    this.tokenPriorStrength = 100; // Pseudo-tokens of the global word model in a user's estimate
+    this.maxConfidence = 0.85;
+    this.maxTrainingEvents = 1000; // Most recent events per user
+    this.globalModel = null;
+    this.globalLoadedAt = 0;
+  }
+
+  // Lowercase words, without stopwords, numbers and times
+  tokenize({ title, description, tags } = {}) {
+    const words = text => String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+
+    return [...words(title), ...words(title), ...words(description), ...(tags || []).flatMap(words)]
+      .filter(word => word.length > 1 && !STOPWORDS.has(word) && !/^\d/.test(word))
+      .slice(0, MAX_TOKENS);
+  }
+
+  labelOf(event, field) {
+    const value = event[field];
+    return value === undefined || value === null || value === '' ? null : String(value);
+  }
+
+  sampleWeight(event, field) {
+    return event.extractionFields?.[field]?.corrected ? CORRECTION_WEIGHT : 1;
+  }
+
+  // Training
+
+  emptyCounts() {
+    return { documents: 0, category: new Map(), priority: new Map() };
+  }
+
+  addEvent(counts, event) {
+    const tokens = this.tokenize(event);
+    counts.documents++;
+
+    FIELDS.forEach(field => {
+      const label = this.labelOf(event, field);
+      if (!label) return;
+
+      const weight = this.sampleWeight(event, field);
+      if (!counts[field].has(label)) {
+        counts[field].set(label, { documents: 0, tokens: 0, counts: new Map() });
+      }
+      const bucket = counts[field].get(label);
+      bucket.documents += weight;
+      bucket.tokens += tokens.length * weight;
+      tokens.forEach(token => bucket.counts.set(token, (bucket.counts.get(token) || 0) + weight));
+    });
+
+    return counts;
+  }
+
+  mergeCounts(target, source) {
+    target.documents += source.documents;
+
+    FIELDS.forEach(field => {
+      source[field].forEach((bucket, label) => {
+        if (!target[field].has(label)) {
+          target[field].set(label, { documents: 0, tokens: 0, counts: new Map() });
+        }
+        const merged = target[field].get(label);
+        merged.documents += bucket.documents;
+        merged.tokens += bucket.tokens;
+        bucket.counts.forEach((count, token) => merged.counts.set(token, (merged.counts.get(token) || 0) + count));
+      });
+    });
+  }
+
+  async saveModel(userId, counts) {
+    const toObject = labels => Object.fromEntries([...labels].map(([label, bucket]) => [
+      label,
+      { documents: bucket.documents, tokens: bucket.tokens, counts: Object.fromEntries(bucket.counts) }
+    ]));
+
+    await EventClassifierModel.updateOne(
+      { userId },
+      {
+        $set: {
+          category: toObject(counts.category),
+          priority: toObject(counts.priority),
+          documents: counts.documents,
+          trainedAt: new Date()
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  async trainUserModel(userId) {
+    const events = await Event.find({ userId })
+      .sort({ createdAt: -1 })
+      .limit(this.maxTrainingEvents)
+      .select('title description tags category priority extractionFields.category.corrected extractionFields.priority.corrected')
+      .lean();
+
+    const counts = this.emptyCounts();
+    events.forEach(event => this.addEvent(counts, event));
+    await this.saveModel(userId, counts);
+    return counts;
+  }
+
+  // Retrain every user with events, and the global model as their sum
+  async trainAll() {
+    const userIds = await Event.distinct('userId');
+    const global = this.emptyCounts();
+
+    for (const userId of userIds) {
+      try {
+        this.mergeCounts(global, await this.trainUserModel(userId));
+      } catch (error) {
+        console.error(`Error training event classifier for user ${userId}:`, error);
+      }
+    }
+
+    await this.saveModel(null, global);
+    this.globalModel = null;
+    return { users: userIds.length, events: global.documents };
+  }
+
+  // Add a newly created event to the user's and the global model without a full retrain
+  async learnFromEvent(event) {
+    const tokens = this.tokenize(event);
+    const update = { documents: 1 };
+
+    FIELDS.forEach(field => {
+      const label = this.labelOf(event, field);
+      if (!label) return;
+
+      const weight = this.sampleWeight(event, field);
+      const path = `${field}.${label}`;
+      update[`${path}.documents`] = weight;
+      update[`${path}.tokens`] = tokens.length * weight;
+      tokens.forEach(token => {
+        update[`${path}.counts.${token}`] = (update[`${path}.counts.${token}`] || 0) + weight;
+      });
+    });
+
+    await Promise.all([
+      EventClassifierModel.updateOne({ userId: event.userId }, { $inc: update }, { upsert: true }),
+      EventClassifierModel.updateOne({ userId: null }, { $inc: update }, { upsert: true })
+    ]);
+  }
+
+  // Prediction
+
+  async getGlobalModel() {
+    if (!this.globalModel || Date.now() - this.globalLoadedAt > HOUR_MS) {
+      const model = await EventClassifierModel.findOne({ userId: null }).lean();
+      this.globalModel = model && { ...model, vocabulary: this.vocabulary(model) };
+      this.globalLoadedAt = Date.now();
+    }
+    return this.globalModel;
+  }
+
+  // Distinct words per field across all labels
+  vocabulary(model) {
+    return Object.fromEntries(FIELDS.map(field => {
+      const words = new Set();
+      Object.values(model[field] || {}).forEach(bucket => Object.keys(bucket.counts || {}).forEach(word => words.add(word)));
+      return [field, words];
+    }));
+  }
+
+  // Label probabilities for one field, best first: [{ label, probability }]
+  predictField(userModel, globalModel, field, tokens) {
+    const globalLabels = globalModel?.[field] || {};
+    const userLabels = userModel?.[field] || {};
+    const labels = [...new Set([...Object.keys(globalLabels), ...Object.keys(userLabels)])];
+    if (labels.length < 2) return [];
+
+    const empty = { documents: 0, tokens: 0, counts: {} };
+    const sum = (buckets, key) => Object.values(buckets).reduce((total, bucket) => total + (bucket[key] || 0), 0);
+    const globalDocuments = sum(globalLabels, 'documents');
+    const userDocuments = sum(userLabels, 'documents');
+    const vocabulary = globalModel?.vocabulary?.[field] || new Set();
+    // Words neither model has seen say nothing about the label
+    const known = tokens.filter(token => vocabulary.has(token));
+
+    const scores = labels.map(label => {
+      const global = globalLabels[label] || empty;
+      const user = userLabels[label] || empty;
+
+      const globalPrior = (global.documents + 1) / (globalDocuments + labels.length);
+      let score = Math.log((user.documents + this.priorStrength * globalPrior) / (userDocuments + this.priorStrength));
+
+      for (const token of known) {
+        const globalLikelihood = ((global.counts[token] || 0) + 1) / (global.tokens + vocabulary.size);
+        score += Math.log(
+          ((user.counts[token] || 0) + this.tokenPriorStrength * globalLikelihood) / (user.tokens + this.tokenPriorStrength)
+        );
+      }
+      return { label, score };
+    });
+
+    // Softmax over the log scores
+    const top = Math.max(...scores.map(({ score }) => score));
+    const total = scores.reduce((sum, { score }) => sum + Math.exp(score - top), 0);
+    return scores
+      .map(({ label, score }) => ({ label, probability: Math.exp(score - top) / total }))
+      .sort((a, b) => b.probability - a.probability);
+  }
+
+  // The extracted field with the classifier's labels merged in as candidates, best first. A value
+  // found both ways keeps the higher confidence and the keyword rule's span.
+  mergeField(field, candidates) {
+    const byValue = new Map();
+    const add = candidate => {
+      const key = String(candidate.value);
+      const existing = byValue.get(key);
+      byValue.set(key, {
+        value: candidate.value,
+        confidence: Math.max(existing?.confidence || 0, candidate.confidence),
+        span: existing?.span || candidate.span || null
+      });
+    };
+
+    if (field) {
+      add(field);
+      field.alternatives.forEach(add);
+    }
+    candidates.forEach(add);
+
+    const [best, ...rest] = [...byValue.values()].sort((a, b) => b.confidence - a.confidence);
+    return { ...best, alternatives: rest.slice(0, MAX_ALTERNATIVES) };
+  }
+
+  refineDraft(draft, userModel, globalModel) {
+    const tokens = this.tokenize(draft);
+    // How far to trust the models at all, by how much they have seen
+    const evidence = globalModel.documents / (globalModel.documents + this.minDocuments);
+    const fields = { ...draft.extractionFields };
+
+    FIELDS.forEach(field => {
+      const predictions = this.predictField(userModel, globalModel, field, tokens)
+        .filter(({ probability }) => probability >= 0.05);
+      if (predictions.length === 0) return;
+
+      fields[field] = this.mergeField(fields[field], predictions.slice(0, MAX_ALTERNATIVES + 1).map(({ label, probability }) => ({
+        value: field === 'priority' ? Number(label) : label,
+        confidence: Math.round(Math.min(probability * evidence, this.maxConfidence) * 100) / 100,
+        span: null
+      })));
+    });
+
+    return {
+      ...draft,
+      category: fields.category.value,
+      priority: fields.priority.value,
+      extractionFields: fields,
+      extractionConfidence: extractionService.overallConfidence(fields)
+    };
+  }
+
+  // Extracted drafts with the learned category and priority where they beat the keyword rules.
+  // Drafts come back unchanged on a cold start or if the models can't be loaded.
+  async refineDrafts(drafts, userId) {
+    try {
+      const [userModel, globalModel] = await Promise.all([
+        userId ? EventClassifierModel.findOne({ userId }).lean() : null,
+        this.getGlobalModel()
+      ]);
+      if (!globalModel || globalModel.documents < this.minDocuments) {
+        return drafts;
+      }
+
+      return drafts.map(draft => this.refineDraft(draft, userModel, globalModel));
+    } catch (error) {
+      console.error('Error classifying event drafts:', error);
+      return drafts;
+    }
+  }
+}
+
+module.exports = new EventClassifierService();
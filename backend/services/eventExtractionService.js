@@ -0,0 +1,541 @@
+// Turns free text (typed, spoken or OCR'd) into event drafts. Input with several dated blocks
+// (a club newsletter, a semester schedule) is segmented and each block becomes its own draft.
+// Every extracted field carries a confidence, the span of the input it came from and the
+// other candidates we found, so the editor can flag shaky fields and offer alternatives.
+// Dates are read in the user's timezone and locale unless the text names its own zone.
+const nlp = require('compromise');
+const chrono = require('chrono-node');
+const venueDirectory = require('./venueDirectoryService');
+const { getZonedParts, getTimezoneOffset, zonedTimeToUtc, isValidTimeZone } = require('../utils/timezone');
+
+const MAX_DRAFTS = 25;
+const MAX_ALTERNATIVES = 3;
+const LOCATION_LABEL = /^\s*(?:venue|location|where|place)\s*[:\-–]\s*(.+)$/i;
+const TITLE_LABEL = /^\s*(?:event|title|what)\s*[:\-–]\s*/i;
+const BUILDING_WORDS = /\b(building|lab|room|hall|center|centre|campus|auditorium|library|theatre|theater|block|complex)\b/i;
+const SEPARATORS = /\s+[-–—|•]\s+|\s*\|\s*/;
+// Dates on these lines are usually registration deadlines, not the event itself
+const DEADLINE_WORDS = /\b(deadline|register|registration|last date|apply by|closes)\b/i;
+
+// How much each field counts towards a draft's overall confidence
+const FIELD_WEIGHTS = { title: 0.3, dateTime: 0.4, location: 0.2, category: 0.1 };
+
+const CATEGORY_KEYWORDS = [
+  ['competition', ['competition', 'contest', 'hackathon']],
+  ['webinar', ['webinar', 'seminar', 'lecture']],
+  ['workshop', ['workshop', 'training']],
+  ['meeting', ['meeting', 'club']],
+  ['social', ['social', 'party', 'cultural']]
+];
+const DEFAULT_CATEGORY = 'academic';
+
+const PRIORITY_KEYWORDS = [
+  [5, ['critical', 'urgent', 'important', 'deadline']],
+  [4, ['high priority', 'competition', 'exam']],
+  [3, ['medium', 'workshop']],
+  [2, ['social', 'club']]
+];
+const DEFAULT_PRIORITY = 3;
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+const DEFAULT_LOCALE = 'en-IN';
+// English regions that write dates month first (03/04 is March 4); the rest read it as 3 April
+const MONTH_FIRST_REGIONS = ['US', 'PH'];
+
+// chrono's en.GB also reads "Oct 20" as October 2020, so day-first English is the casual parser
+// with only its numeric date parser swapped for GB's
+const dayFirstEnglish = chrono.en.casual.clone();
+const dayFirstSlashParser = chrono.en.GB.parsers.find(parser => parser.constructor.name === 'SlashDateFormatParser');
+dayFirstEnglish.parsers = dayFirstEnglish.parsers
+  .map(parser => parser.constructor.name === 'SlashDateFormatParser' ? dayFirstSlashParser : parser);
+
+const LOCALE_PARSERS = {
+  fr: chrono.fr.casual,
+  de: chrono.de.casual,
+  es: chrono.es.casual
+};
+
+class EventExtractionService {
+  // Extraction options for a user: { userId, timezone, locale }
+  optionsForUser(user) {
+    return {
+      userId: user?._id,
+      timezone: user?.preferences?.timezone,
+      locale: user?.preferences?.locale
+    };
+  }
+
+  // Single event from the whole text. options: { referenceDate, timezone, locale }
+  extractEvent(text, options = {}) {
+    return this.buildDraft(text, 0, this.createContext(options));
+  }
+
+  // One draft per dated block, or a single draft for the whole text when it has at most one
+  extractDrafts(text, options = {}) {
+    const context = this.createContext(options);
+    const blocks = this.segment(text, context);
+
+    if (blocks.length <= 1) {
+      return [{ ...this.buildDraft(text, 0, context), sourceSpan: { start: 0, end: text.length } }];
+    }
+
+    return blocks.slice(0, MAX_DRAFTS).map(block => ({
+      ...this.buildDraft(block.text, block.start, context),
+      sourceSpan: { start: block.start, end: block.end }
+    }));
+  }
+
+  createContext({ referenceDate = new Date(), timezone, locale } = {}) {
+    return {
+      referenceDate,
+      timezone: isValidTimeZone(timezone) ? timezone : DEFAULT_TIMEZONE,
+      parsers: this.getParsers(locale || DEFAULT_LOCALE)
+    };
+  }
+
+  // Chrono parsers to try, in order: the user's language, then English for mixed-language text
+  getParsers(locale) {
+    const [language, region] = String(locale).split(/[-_]/);
+    const english = MONTH_FIRST_REGIONS.includes(String(region).toUpperCase()) ? chrono.en.casual : dayFirstEnglish;
+    const native = LOCALE_PARSERS[language.toLowerCase()];
+    return native ? [native, english] : [english];
+  }
+
+  // chrono results for the text, referenced to "now" in the user's timezone. With several
+  // parsers, the one that reads the most of the text wins (ties go to the user's language).
+  parse(text, context, options = {}) {
+    // chrono only joins ranges on a plain hyphen; the swap keeps indices in line with the input
+    const normalized = text.replace(/[–—]/g, '-');
+    const reference = {
+      instant: context.referenceDate,
+      timezone: getTimezoneOffset(context.referenceDate, context.timezone)
+    };
+
+    let best = [];
+    let bestLength = 0;
+    for (const parser of context.parsers) {
+      const results = parser.parse(normalized, reference, options);
+      const length = results.reduce((sum, result) => sum + result.text.length, 0);
+      if (length > bestLength) {
+        best = results;
+        bestLength = length;
+      }
+    }
+    return best;
+  }
+
+  // parse() for one line of text, with dates ahead. chrono reads a vague time-of-day word at the
+  // end of a row's title as the start of a range ("Movie Night - Fri 7 Nov"); such a result is
+  // parsed again from the part after the separator.
+  parseLine(line, context) {
+    return this.parse(line, context, { forwardDate: true }).flatMap(result => {
+      const separator = SEPARATORS.exec(result.text);
+      if (!separator || this.isSpecific(result)) return [result];
+
+      const offset = result.index + separator.index + separator[0].length;
+      const rest = line.slice(offset, result.index + result.text.length);
+      return this.parseLine(rest, context).map(inner => Object.assign(inner, { index: inner.index + offset }));
+    });
+  }
+
+  // Instant for parsed components. Without an explicit zone in the text the wall-clock time is in
+  // the user's timezone, using the offset on that date rather than today's (DST).
+  toInstant(components, timezone) {
+    if (components.isCertain('timezoneOffset')) {
+      return components.date();
+    }
+    return zonedTimeToUtc({
+      year: components.get('year'),
+      month: components.get('month'),
+      day: components.get('day'),
+      hour: components.get('hour'),
+      minute: components.get('minute'),
+      second: components.get('second')
+    }, timezone);
+  }
+
+  // End of a range. "Oct 12-14" runs to the end of the last day rather than its implied noon.
+  toEndInstant(result, timezone) {
+    if (!result.end) return null;
+    if (result.end.isCertain('hour')) return this.toInstant(result.end, timezone);
+
+    return zonedTimeToUtc({
+      year: result.end.get('year'),
+      month: result.end.get('month'),
+      day: result.end.get('day'),
+      hour: 23,
+      minute: 59
+    }, timezone);
+  }
+
+  // Draft from one block of text. offset is where the block starts in the original input, so
+  // spans point into what the user actually submitted.
+  buildDraft(text, offset, context) {
+    const doc = nlp(text);
+
+    const dates = this.dateCandidates(text, context);
+    const fields = {
+      title: this.pickField(this.titleCandidates(text, doc, context), offset, text),
+      dateTime: this.pickField(dates.map(({ end, ...candidate }) => candidate), offset, text),
+      location: this.pickField(this.locationCandidates(text, doc), offset, text),
+      category: this.pickField(this.categoryCandidates(text), offset, text),
+      priority: this.pickField(this.priorityCandidates(text), offset, text)
+    };
+
+    const chosenDate = dates[0];
+    if (chosenDate?.end) {
+      fields.endDateTime = this.pickField([{ ...chosenDate, value: chosenDate.end }], offset, text);
+    }
+
+    return {
+      title: fields.title?.value || 'Untitled Event',
+      dateTime: fields.dateTime?.value || null,
+      endDateTime: fields.endDateTime?.value || null,
+      location: fields.location?.value || '',
+      priority: fields.priority.value,
+      category: fields.category.value,
+      description: text,
+      extractionConfidence: this.overallConfidence(fields),
+      extractionMethod: 'nlp',
+      extractionFields: fields
+    };
+  }
+
+  // Best candidate plus the runners-up: { value, confidence, span, alternatives }
+  pickField(candidates, offset, text) {
+    const seen = new Set();
+    const unique = candidates
+      .filter(candidate => candidate.value !== null && candidate.value !== undefined && candidate.value !== '')
+      .sort((a, b) => b.confidence - a.confidence || (a.index ?? Infinity) - (b.index ?? Infinity))
+      .filter(candidate => {
+        const key = candidate.value instanceof Date ? candidate.value.getTime() : String(candidate.value).toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+
+    if (unique.length === 0) return null;
+
+    const toField = candidate => ({
+      value: candidate.value,
+      confidence: Math.round(candidate.confidence * 100) / 100,
+      span: this.toSpan(candidate, offset, text)
+    });
+
+    return {
+      ...toField(unique[0]),
+      alternatives: unique.slice(1, MAX_ALTERNATIVES + 1).map(toField)
+    };
+  }
+
+  toSpan(candidate, offset, text) {
+    if (candidate.index === undefined || candidate.index === null || candidate.index < 0) return null;
+    const length = candidate.length ?? String(candidate.value).length;
+    return {
+      start: offset + candidate.index,
+      end: offset + candidate.index + length,
+      text: text.substr(candidate.index, length)
+    };
+  }
+
+  overallConfidence(fields) {
+    const score = Object.entries(FIELD_WEIGHTS)
+      .reduce((sum, [name, weight]) => sum + weight * (fields[name]?.confidence || 0), 0);
+    return Math.round(score * 100) / 100;
+  }
+
+  // Lines of the text with their offsets
+  splitLines(text) {
+    const lines = [];
+    const pattern = /[^\n]*(?:\n|$)/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null && match[0] !== '') {
+      const raw = match[0].replace(/\n$/, '');
+      lines.push({ text: raw, start: match.index, end: match.index + raw.length });
+    }
+    return lines;
+  }
+
+  // Splits text into candidate event blocks, each with exactly one day-level date.
+  // A new block starts at a dated line once the current block already has a date, or after a
+  // blank line that ends a dated block. Undated paragraphs attach to the block they introduce
+  // (a title above "Date: ...") or else to the block before them (trailing details).
+  segment(text, context) {
+    const lines = this.splitLines(text).map(line => {
+      // A registration deadline belongs to the event around it rather than starting a new one
+      const dated = this.hasDay(line.text, context) && !DEADLINE_WORDS.test(line.text);
+      return {
+        ...line,
+        dated,
+        // A schedule row ("Mon 3 Nov - Orientation - Hall") carries its own title
+        row: dated && SEPARATORS.test(line.text) && Boolean(this.extractBlockTitle(line.text, context))
+      };
+    });
+
+    const pieces = [];
+    let current = null;
+    const close = () => {
+      if (current) pieces.push(current);
+      current = null;
+    };
+
+    for (const line of lines) {
+      if (!line.text.trim()) {
+        if (current?.dated) close();
+        else if (current) current.gap = true;
+        continue;
+      }
+
+      if (line.dated && current?.dated) close();
+      if (line.row && current) close();
+      // An undated title block separated by a blank line from more undated text is a preamble
+      if (current && !current.dated && current.gap && !line.dated) close();
+
+      if (!current) {
+        current = { start: line.start, end: line.end, dated: false, startsDated: line.dated && !line.row, gap: false };
+      }
+      current.end = line.end;
+      current.dated = current.dated || line.dated;
+      current.gap = false;
+    }
+    close();
+
+    const blocks = [];
+    for (let i = 0; i < pieces.length; i++) {
+      const piece = pieces[i];
+      if (piece.dated) {
+        blocks.push({ start: piece.start, end: piece.end });
+        continue;
+      }
+
+      const next = pieces[i + 1];
+      if (next?.dated && next.startsDated) {
+        // Title for the next block
+        next.start = piece.start;
+        next.startsDated = false;
+      } else if (blocks.length > 0) {
+        blocks[blocks.length - 1].end = piece.end;
+      }
+    }
+
+    return blocks.map(block => {
+      const raw = text.slice(block.start, block.end);
+      const start = block.start + (raw.length - raw.trimStart().length);
+      return { start, end: block.end, text: raw.trim() };
+    });
+  }
+
+  // Whether the line mentions a specific day (a time alone doesn't start an event)
+  hasDay(line, context) {
+    return this.parseLine(line, context).some(result => this.hasCertainDay(result));
+  }
+
+  hasCertainDay(result) {
+    return result.start.isCertain('day') || result.start.isCertain('weekday');
+  }
+
+  // Vague words like "night" or "tonight" in a title aren't the event's date
+  isSpecific(result) {
+    return this.hasCertainDay(result) || result.start.isCertain('hour');
+  }
+
+  // First line of a block with its date text, labels and trailing details stripped
+  extractBlockTitle(blockText, context) {
+    for (const line of blockText.split('\n')) {
+      if (LOCATION_LABEL.test(line)) continue;
+
+      let candidate = line;
+      for (const result of this.parse(line, context)) {
+        if (this.isSpecific(result)) {
+          candidate = candidate.replace(result.text, ' ');
+        }
+      }
+      candidate = candidate.replace(TITLE_LABEL, '');
+
+      const segment = candidate
+        .split(SEPARATORS)
+        .map(part => part.replace(/^[\s,:;\-–—|•]+|[\s,:;\-–—|•]+$/g, ''))
+        .find(part => /[a-z]{3,}/i.test(part) && !BUILDING_WORDS.test(part) && !venueDirectory.lookup(part));
+
+      if (segment) {
+        return segment.length > 100 ? segment.substring(0, 80) + '...' : segment;
+      }
+    }
+    return null;
+  }
+
+  // Title candidates: a "Title:" line, the first line of a multi-line block or schedule row, the
+  // NLP event phrase, then the first sentence
+  titleCandidates(text, doc, context) {
+    const candidates = [];
+    const lines = text.split('\n').filter(line => line.trim());
+
+    const labelled = lines.find(line => TITLE_LABEL.test(line));
+    if (labelled) {
+      const value = labelled.replace(TITLE_LABEL, '').trim();
+      candidates.push({ value, confidence: 0.9, index: text.indexOf(value) });
+    }
+
+    if (lines.length > 1 || SEPARATORS.test(text)) {
+      const value = this.extractBlockTitle(text, context);
+      if (value) {
+        candidates.push({ value, confidence: 0.75, index: text.indexOf(value) });
+      }
+    }
+
+    const eventTerms = doc.match('#Event+');
+    if (eventTerms.found) {
+      const value = eventTerms.text().trim();
+      candidates.push({ value, confidence: 0.6, index: text.indexOf(value) });
+    }
+
+    const sentences = doc.sentences().out('array');
+    if (sentences.length > 0) {
+      const firstSentence = sentences[0].trim();
+      const value = firstSentence.length < 100 ? firstSentence : firstSentence.substring(0, 80) + '...';
+      candidates.push({
+        value,
+        confidence: firstSentence.length < 100 ? 0.45 : 0.3,
+        index: text.indexOf(firstSentence),
+        length: Math.min(firstSentence.length, 80)
+      });
+    }
+
+    return candidates;
+  }
+
+  // Every date chrono finds, best first, as { value, end, confidence, index, length }. Parsed line
+  // by line, since chrono happily joins "night" at the end of a title to the date below it.
+  dateCandidates(text, context) {
+    const candidates = [];
+
+    for (const line of this.splitLines(text)) {
+      for (const result of this.parseLine(line.text, context)) {
+        const start = this.toInstant(result.start, context.timezone);
+        const end = this.toEndInstant(result, context.timezone);
+        candidates.push({
+          value: start,
+          end: end && end > start ? end : null,
+          confidence: this.dateConfidence(result, line.text),
+          index: line.start + result.index,
+          length: result.text.length
+        });
+      }
+    }
+
+    // Several different days in one block makes each of them less certain
+    const days = new Set(candidates.filter(candidate => candidate.confidence >= 0.6).map(candidate => {
+      const { year, month, day } = getZonedParts(candidate.value, context.timezone);
+      return `${year}-${month}-${day}`;
+    }));
+    if (days.size > 1) {
+      candidates.forEach(candidate => { candidate.confidence *= 0.85; });
+    }
+
+    return candidates.sort((a, b) => b.confidence - a.confidence || a.index - b.index);
+  }
+
+  dateConfidence(result, line) {
+    const day = this.hasCertainDay(result);
+    const hour = result.start.isCertain('hour');
+
+    let confidence = 0.3;
+    if (day && hour) confidence = result.start.isCertain('day') ? 0.9 : 0.75;
+    else if (day) confidence = 0.65; // time of day is a guess
+    else if (hour) confidence = 0.45;
+
+    if (DEADLINE_WORDS.test(line)) confidence -= 0.3;
+    return Math.max(confidence, 0.05);
+  }
+
+  // Location candidates: a "Venue:" line, a building-like segment of a row, a known campus venue,
+  // NLP places, then the sentence around a building word
+  locationCandidates(text, doc = nlp(text)) {
+    const candidates = [];
+
+    for (const line of text.split('\n')) {
+      const labelled = line.match(LOCATION_LABEL);
+      if (labelled) {
+        const value = labelled[1].trim();
+        candidates.push({ value, confidence: 0.9, index: text.indexOf(value) });
+        break;
+      }
+    }
+
+    for (const line of text.split('\n')) {
+      const segments = line.split(SEPARATORS).map(part => part.trim());
+      if (segments.length > 1) {
+        const building = segments.find(part => BUILDING_WORDS.test(part) && part.length < 80);
+        if (building) {
+          candidates.push({ value: building, confidence: 0.8, index: text.indexOf(building) });
+          break;
+        }
+      }
+    }
+
+    const venue = venueDirectory.lookup(text);
+    if (venue) {
+      const match = venue.keys.map(key => this.findPhrase(text, key)).find(Boolean);
+      candidates.push({
+        value: venue.name,
+        confidence: 0.75,
+        index: match ? match.index : null,
+        length: match ? match.length : undefined
+      });
+    }
+
+    const places = doc.places();
+    if (places.found) {
+      const value = places.out('text').trim();
+      candidates.push({ value, confidence: 0.55, index: text.indexOf(value) });
+    }
+
+    const buildings = doc.match('(building|lab|room|hall|center|campus)');
+    if (buildings.found) {
+      const sentence = buildings.sentences().out('text').trim();
+      const value = sentence.replace(LOCATION_LABEL, '$1').trim();
+      candidates.push({ value, confidence: 0.35, index: text.indexOf(value) });
+    }
+
+    return candidates;
+  }
+
+  // Where a normalized venue key ("cse dept") appears in the raw text ("CSE Dept."), if at all
+  findPhrase(text, key) {
+    const words = key.split(' ').map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const match = text.match(new RegExp(`\\b${words.join('[^a-z0-9]+')}\\b`, 'i'));
+    return match ? { index: match.index, length: match[0].length } : null;
+  }
+
+  // Keyword candidates for a field; the default gets a low confidence and no span
+  keywordCandidates(text, rules, fallback) {
+    const lowerText = text.toLowerCase();
+    const candidates = [];
+
+    for (const [value, keywords] of rules) {
+      const hits = keywords.filter(keyword => lowerText.includes(keyword));
+      if (hits.length > 0) {
+        candidates.push({
+          value,
+          // Earlier rules win ties, as the old if-chain did
+          confidence: Math.min(0.5 + 0.1 * (hits.length - 1), 0.8) - candidates.length * 0.01,
+          index: lowerText.indexOf(hits[0]),
+          length: hits[0].length
+        });
+      }
+    }
+
+    candidates.push({ value: fallback, confidence: 0.2, index: null });
+    return candidates;
+  }
+
+  categoryCandidates(text) {
+    return this.keywordCandidates(text, CATEGORY_KEYWORDS, DEFAULT_CATEGORY);
+  }
+
+  priorityCandidates(text) {
+    return this.keywordCandidates(text, PRIORITY_KEYWORDS, DEFAULT_PRIORITY);
+  }
+}
+
+module.exports = new EventExtractionService();
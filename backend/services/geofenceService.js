@@ -0,0 +1,159 @@
+// Location-aware reminders: the PWA posts the user's position (only when they opted in with
+// preferences.locationTrackingEnabled) and we check it against the geofences of their upcoming
+// events. Each geofence fires at most once per cooldown, claimed atomically so two updates
+// arriving together can't both notify. Positions are only compared, never stored.
+const Event = require('../models/Event');
+const notificationService = require('./notificationService');
+const venueDirectory = require('./venueDirectoryService');
+
+const MINUTE_MS = 60 * 1000;
+const EARTH_RADIUS_M = 6371000;
+
+class GeofenceService {
+  constructor() {
+    // Events starting within this window (or already under way) are checked
+    this.lookaheadMs = 3 * 60 * MINUTE_MS;
+    this.cooldownMs = 12 * 60 * MINUTE_MS;
+    // A poor GPS fix widens the fence, but only by this much
+    this.maxAccuracySlackM = 100;
+  }
+
+  // Great-circle distance in meters
+  distance(a, b) {
+    const toRad = degrees => degrees * Math.PI / 180;
+    const dLat = toRad(b.latitude - a.latitude);
+    const dLon = toRad(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+  }
+
+  parsePosition({ latitude, longitude, accuracy } = {}) {
+    const position = {
+      latitude: Number(latitude),
+      longitude: Number(longitude),
+      accuracy: accuracy === undefined || accuracy === null ? null : Number(accuracy)
+    };
+
+    if (!Number.isFinite(position.latitude) || Math.abs(position.latitude) > 90 ||
+        !Number.isFinite(position.longitude) || Math.abs(position.longitude) > 180) {
+      throw new Error('A valid latitude and longitude are required');
+    }
+    if (position.accuracy !== null && !(position.accuracy >= 0)) {
+      throw new Error('Accuracy must be a non-negative number of meters');
+    }
+    return position;
+  }
+
+  formatStartsIn(event, now) {
+    const minutes = Math.round((event.dateTime - now) / MINUTE_MS);
+    if (minutes <= 0) return 'has started';
+    if (minutes < 60) return `starts in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+    const hours = Math.round(minutes / 60);
+    return `starts in about ${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+
+  // Upcoming events with geofences. Events with a known campus venue but no fence yet get one.
+  async getCandidateEvents(userId, now) {
+    const events = await Event.find({
+      userId,
+      status: { $in: ['scheduled', 'in_progress'] },
+      dateTime: { $gt: new Date(now.getTime() - this.lookaheadMs), $lte: new Date(now.getTime() + this.lookaheadMs) }
+    }).select('title dateTime endDateTime location priority status locationAwareReminders');
+
+    const candidates = [];
+    for (const event of events) {
+      const ended = event.endDateTime ? event.endDateTime <= now : event.dateTime <= now && event.status !== 'in_progress';
+      if (ended) continue;
+
+      if (venueDirectory.geocodeEvent(event)) {
+        await event.save();
+      }
+      if (event.locationAwareReminders?.some(fence => fence.isActive)) {
+        candidates.push(event);
+      }
+    }
+    return candidates;
+  }
+
+  // Returns { triggered: [{ eventId, title, venue, distance }], checked }
+  async processLocationUpdate(user, coordinates, now = new Date()) {
+    if (!user.preferences?.locationTrackingEnabled) {
+      throw new Error('Location tracking is not enabled');
+    }
+    const position = this.parsePosition(coordinates);
+
+    const slack = Math.min(position.accuracy || 0, this.maxAccuracySlackM);
+    const events = await this.getCandidateEvents(user._id, now);
+    const triggered = [];
+
+    for (const event of events) {
+      for (const fence of event.locationAwareReminders) {
+        if (!fence.isActive || !Number.isFinite(fence.venue?.latitude) || !Number.isFinite(fence.venue?.longitude)) continue;
+
+        const distance = this.distance(position, fence.venue);
+        if (distance > fence.triggerDistance + slack) continue;
+
+        const claimed = await Event.updateOne(
+          {
+            _id: event._id,
+            locationAwareReminders: {
+              $elemMatch: {
+                _id: fence._id,
+                $or: [
+                  { lastTriggered: { $exists: false } },
+                  { lastTriggered: null },
+                  { lastTriggered: { $lt: new Date(now.getTime() - this.cooldownMs) } }
+                ]
+              }
+            }
+          },
+          { $set: { 'locationAwareReminders.$.lastTriggered': now } }
+        );
+        if (claimed.modifiedCount === 0) continue;
+
+        await this.notify(user, event, fence, distance, now);
+        triggered.push({
+          eventId: event._id,
+          title: event.title,
+          venue: fence.venue.name || event.location,
+          distance: Math.round(distance)
+        });
+        break;
+      }
+    }
+
+    return { triggered, checked: events.length };
+  }
+
+  async notify(user, event, fence, distance, now) {
+    const venue = fence.venue.name || event.location || 'the venue';
+    const title = `You're near ${venue}`;
+    const message = `${event.title} ${this.formatStartsIn(event, now)} (${Math.round(distance)} m away)`;
+
+    try {
+      const result = await notificationService.notify(user, {
+        type: 'reminder',
+        title,
+        message,
+        eventId: event._id,
+        data: {
+          title,
+          message,
+          eventId: event._id,
+          eventDateTime: event.dateTime,
+          location: event.location,
+          priority: event.priority,
+          timeUntil: this.formatStartsIn(event, now)
+        }
+      });
+      if (!result.success) {
+        console.error(`Location reminder for event ${event._id} was not delivered`);
+      }
+    } catch (error) {
+      console.error(`Error sending location reminder for event ${event._id}:`, error);
+    }
+  }
+}
+
+module.exports = new GeofenceService();
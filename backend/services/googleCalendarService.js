@@ -1,6 +1,7 @@
 // Google Calendar Integration Service
 const { google } = require('googleapis');
 const OAuth2 = google.auth.OAuth2;
+const { zonedTimeToUtc } = require('../utils/timezone');
 
 class GoogleCalendarService {
   constructor() {
@@ -44,6 +45,58 @@ class GoogleCalendarService {
     this.oauth2Client.setCredentials(tokens);
   }
 
+  // Calendar client bound to one user's tokens, so background syncs for different users
+  // don't share credentials. onTokens receives refreshed tokens for storage.
+  // The sync engine only uses this small surface; see test/fakes/fakeGoogleCalendarClient.js.
+  // GOOGLE_API_ROOT_URL points the client at another server (e.g. a local fake).
+  createClient(tokens, onTokens = null) {
+    const auth = new OAuth2(
+      process.env.GOOGLE_CLIENT_ID,
+      process.env.GOOGLE_CLIENT_SECRET,
+      process.env.GOOGLE_REDIRECT_URI
+    );
+    auth.setCredentials(tokens);
+    if (onTokens) {
+      auth.on('tokens', onTokens);
+    }
+
+    const options = { version: 'v3', auth };
+    if (process.env.GOOGLE_API_ROOT_URL) {
+      options.rootUrl = process.env.GOOGLE_API_ROOT_URL;
+    }
+    const calendar = google.calendar(options);
+    const ifMatch = etag => (etag ? { headers: { 'If-Match': etag } } : {});
+
+    return {
+      // One page of events; pass syncToken for an incremental listing (410 when it expired)
+      async listEvents(calendarId, { syncToken, pageToken, timeMin } = {}) {
+        const params = { calendarId, pageToken, singleEvents: true, maxResults: 250 };
+        if (syncToken) {
+          params.syncToken = syncToken;
+        } else {
+          params.timeMin = timeMin;
+        }
+        const response = await calendar.events.list(params);
+        return response.data;
+      },
+
+      async insertEvent(calendarId, resource) {
+        const response = await calendar.events.insert({ calendarId, requestBody: resource });
+        return response.data;
+      },
+
+      // Fails with 412 when the Google copy no longer has this etag
+      async updateEvent(calendarId, eventId, resource, etag) {
+        const response = await calendar.events.update({ calendarId, eventId, requestBody: resource }, ifMatch(etag));
+        return response.data;
+      },
+
+      async deleteEvent(calendarId, eventId, etag) {
+        await calendar.events.delete({ calendarId, eventId }, ifMatch(etag));
+      }
+    };
+  }
+
   // Get user's calendars
   async getCalendars() {
     try {
@@ -123,113 +176,36 @@ class GoogleCalendarService {
     }
   }
 
-  // Sync events between our app and Google Calendar
-  async syncEvents(userId, calendarId, appEvents) {
-    try {
-      const syncResults = {
-        created: [],
-        updated: [],
-        deleted: [],
-        errors: []
-      };
-
-      // Get Google Calendar events
-      const googleEvents = await this.getEvents(calendarId);
-
-      // Create a map of Google events by our app's event ID (stored in description or extended properties)
-      const googleEventsByAppId = new Map();
-      googleEvents.forEach(googleEvent => {
-        const appEventId = this.extractAppEventId(googleEvent);
-        if (appEventId) {
-          googleEventsByAppId.set(appEventId, googleEvent);
-        }
-      });
-
-      // Sync each app event
-      for (const appEvent of appEvents) {
-        try {
-          const googleEvent = googleEventsByAppId.get(appEvent.id);
-
-          if (appEvent.addToCalendar) {
-            if (googleEvent) {
-              // Update existing event
-              await this.updateEvent(calendarId, googleEvent.id, appEvent);
-              syncResults.updated.push(appEvent.id);
-            } else {
-              // Create new event
-              const createdEvent = await this.createEvent(calendarId, appEvent);
-              syncResults.created.push(appEvent.id);
-              // Store the Google event ID in our database
-              await this.storeGoogleEventId(userId, appEvent.id, createdEvent.id);
-            }
-          } else if (googleEvent) {
-            // Remove from Google Calendar if addToCalendar is false
-            await this.deleteEvent(calendarId, googleEvent.id);
-            syncResults.deleted.push(appEvent.id);
-          }
-        } catch (error) {
-          console.error(`Error syncing event ${appEvent.id}:`, error);
-          syncResults.errors.push({ eventId: appEvent.id, error: error.message });
-        }
-      }
-
-      return syncResults;
-    } catch (error) {
-      console.error('Error syncing events:', error);
-      throw error;
-    }
-  }
-
-  // Transform our event format to Google Calendar format
-  transformToGoogleEvent(eventData) {
-    const startDateTime = new Date(`${eventData.date}T${eventData.time}:00Z`);
-    const endDateTime = new Date(startDateTime.getTime() + 3 * 60 * 60 * 1000); // Default 3 hours
+  // Transform an Event document to Google Calendar format
+  transformToGoogleEvent(event, timezone = 'UTC') {
+    // Default 1 hour duration
+    const endDateTime = event.endDateTime || new Date(event.dateTime.getTime() + 60 * 60 * 1000);
 
     return {
-      summary: eventData.title,
-      description: `${eventData.description || ''}\n\nEvent ID: ${eventData.id}`,
-      location: eventData.location || '',
+      summary: event.title,
+      description: event.description || '',
+      location: event.location || '',
       start: {
-        dateTime: startDateTime.toISOString(),
-        timeZone: 'UTC'
+        dateTime: event.dateTime.toISOString(),
+        timeZone: timezone
       },
       end: {
         dateTime: endDateTime.toISOString(),
-        timeZone: 'UTC'
+        timeZone: timezone
       },
+      status: event.status === 'cancelled' ? 'cancelled' : 'confirmed',
       reminders: {
-        useDefault: false,
-        overrides: this.transformReminders(eventData.reminders)
+        useDefault: true
       },
       extendedProperties: {
         private: {
-          appEventId: eventData.id,
+          appEventId: event._id.toString(),
           appSource: 'college-event-tracker'
         }
       }
     };
   }
 
-  // Transform our reminder format to Google Calendar format
-  transformReminders(reminders) {
-    const googleReminders = [];
-
-    if (reminders.oneWeek) {
-      googleReminders.push({ method: 'popup', minutes: 7 * 24 * 60 }); // 1 week
-    }
-    if (reminders.threeDays) {
-      googleReminders.push({ method: 'popup', minutes: 3 * 24 * 60 }); // 3 days
-    }
-    if (reminders.oneDay) {
-      googleReminders.push({ method: 'popup', minutes: 24 * 60 }); // 1 day
-    }
-    if (reminders.twoHours) {
-      googleReminders.push({ method: 'popup', minutes: 120 }); // 2 hours
-    }
-
-    return googleReminders;
-  }
-
   // Extract our app's event ID from Google Calendar event
   extractAppEventId(googleEvent) {
     // Check extended properties first
@@ -293,28 +269,39 @@ class GoogleCalendarService {
     }
   }
 
-  // Transform Google Calendar event to our format
-  transformFromGoogleEvent(googleEvent, userId) {
-    const startDateTime = new Date(googleEvent.start.dateTime);
-    const endDateTime = new Date(googleEvent.end.dateTime);
+  // Transform a Google Calendar event to Event fields. All-day events start at midnight
+  // in the user's timezone.
+  transformFromGoogleEvent(googleEvent, userId, timezone = 'UTC') {
+    const toDate = value => (value.dateTime
+      ? new Date(value.dateTime)
+      : zonedTimeToUtc(this.parseDay(value.date), timezone));
+
+    const dateTime = toDate(googleEvent.start);
+    const endDateTime = googleEvent.end ? toDate(googleEvent.end) : null;
 
     return {
       userId,
-      title: googleEvent.summary || 'Untitled Event',
-      description: googleEvent.description || '',
-      date: startDateTime.toISOString().split('T')[0],
-      time: startDateTime.toTimeString().split(' ')[0].substring(0, 5),
-      location: googleEvent.location || '',
+      title: (googleEvent.summary || 'Untitled Event').slice(0, 200),
+      // Older exports appended "Event ID: ..." to the description
+      description: (googleEvent.description || '').replace(/\n*Event ID: [^\n]+$/, '').slice(0, 2000),
+      dateTime,
+      endDateTime: endDateTime && endDateTime > dateTime ? endDateTime : undefined,
+      location: (googleEvent.location || '').slice(0, 300),
       category: 'meeting', // Default category for imported events
       priority: 3, // Medium priority
-      addToCalendar: true,
-      postToFriends: false,
       googleCalendarId: googleEvent.id,
       googleCalendarSynced: true,
+      googleEtag: googleEvent.etag,
+      googleUpdated: googleEvent.updated ? new Date(googleEvent.updated) : undefined,
       sourceType: 'google_import'
     };
   }
 
+  parseDay(value) {
+    const [year, month, day] = value.split('-').map(Number);
+    return { year, month, day };
+  }
+
   // Refresh OAuth tokens
   async refreshTokens(refreshToken) {
     try {
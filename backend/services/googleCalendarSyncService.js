@@ -0,0 +1,415 @@
+// Incremental two-way sync between Event documents and a Google Calendar
+const Event = require('../models/Event');
+const User = require('../models/User');
+const CalendarSyncConflict = require('../models/CalendarSyncConflict');
+const googleCalendarService = require('./googleCalendarService');
+const reminderScheduler = require('./reminderScheduler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class GoogleCalendarSyncService {
+  constructor() {
+    // How far back a full sync and the push look
+    this.windowDays = 30;
+    this.clientFactory = (tokens, onTokens) => googleCalendarService.createClient(tokens, onTokens);
+    this.inProgress = new Set();
+  }
+
+  // Swap the Calendar API client, e.g. for test/fakes/fakeGoogleCalendarClient.js.
+  // The factory receives (tokens, onTokens, user).
+  setClientFactory(factory) {
+    this.clientFactory = factory;
+  }
+
+  // Sync every connected user; run by the scheduler in server.js
+  async syncAllUsers() {
+    const users = await User.find({ 'integrations.googleCalendar.connected': true }).select('_id');
+    const summary = { synced: 0, failed: 0 };
+
+    for (const user of users) {
+      try {
+        await this.syncUser(user._id);
+        summary.synced++;
+      } catch (error) {
+        console.error(`Google Calendar sync failed for user ${user._id}:`, error.message);
+        summary.failed++;
+      }
+    }
+
+    return summary;
+  }
+
+  // Pull Google-side changes since the last sync token, then push local changes.
+  // Edits on both sides since the last sync are settled last-writer-wins and logged.
+  async syncUser(userId, { calendarId } = {}) {
+    const key = userId.toString();
+    if (this.inProgress.has(key)) {
+      throw new Error('A sync is already in progress');
+    }
+    this.inProgress.add(key);
+
+    try {
+      const user = await User.findById(userId);
+      const settings = user?.integrations?.googleCalendar;
+      if (!settings?.connected) {
+        throw new Error('Google Calendar not connected');
+      }
+
+      const targetCalendarId = calendarId || settings.calendarId || 'primary';
+      const client = this.clientFactory({
+        access_token: settings.accessToken,
+        refresh_token: settings.refreshToken,
+        expiry_date: settings.expiryDate
+      }, tokens => this.storeTokens(userId, tokens), user);
+
+      const context = {
+        userId: user._id,
+        client,
+        calendarId: targetCalendarId,
+        timezone: user.preferences?.timezone || 'UTC',
+        results: {
+          pulled: { created: 0, updated: 0, deleted: 0 },
+          pushed: { created: 0, updated: 0, deleted: 0, deferred: 0 },
+          conflicts: 0,
+          errors: []
+        }
+      };
+
+      try {
+        // A token from another calendar means nothing here
+        const syncToken = settings.calendarId === targetCalendarId ? settings.nextSyncToken : null;
+        const nextSyncToken = await this.pull(context, syncToken);
+        await this.push(context);
+
+        await User.updateOne({ _id: user._id }, {
+          $set: {
+            'integrations.googleCalendar.calendarId': targetCalendarId,
+            'integrations.googleCalendar.nextSyncToken': nextSyncToken,
+            'integrations.googleCalendar.lastSync': new Date()
+          },
+          $unset: { 'integrations.googleCalendar.lastSyncError': 1 }
+        });
+      } catch (error) {
+        await User.updateOne({ _id: user._id }, {
+          $set: { 'integrations.googleCalendar.lastSyncError': error.message }
+        });
+        throw error;
+      }
+
+      return context.results;
+    } finally {
+      this.inProgress.delete(key);
+    }
+  }
+
+  async storeTokens(userId, tokens) {
+    const update = {};
+    if (tokens.access_token) update['integrations.googleCalendar.accessToken'] = tokens.access_token;
+    if (tokens.refresh_token) update['integrations.googleCalendar.refreshToken'] = tokens.refresh_token;
+    if (tokens.expiry_date) update['integrations.googleCalendar.expiryDate'] = tokens.expiry_date;
+
+    try {
+      await User.updateOne({ _id: userId }, { $set: update });
+    } catch (error) {
+      console.error('Error storing refreshed Google tokens:', error);
+    }
+  }
+
+  // Apply remote changes and return the token for the next incremental pull
+  async pull(context, syncToken) {
+    let listing;
+    try {
+      listing = await this.listChanges(context, syncToken ? { syncToken } : this.fullSyncParams());
+    } catch (error) {
+      // Google expires sync tokens; start over with a full listing
+      if (!syncToken || this.statusOf(error) !== 410) {
+        throw error;
+      }
+      listing = await this.listChanges(context, this.fullSyncParams());
+    }
+
+    for (const item of listing.items) {
+      try {
+        await this.applyRemoteEvent(context, item);
+      } catch (error) {
+        console.error(`Error applying Google event ${item.id}:`, error);
+        context.results.errors.push({ googleEventId: item.id, error: error.message });
+      }
+    }
+
+    return listing.nextSyncToken;
+  }
+
+  fullSyncParams() {
+    return { timeMin: new Date(Date.now() - this.windowDays * DAY_MS).toISOString() };
+  }
+
+  async listChanges(context, params) {
+    const items = [];
+    let pageToken;
+
+    for (;;) {
+      const data = await context.client.listEvents(context.calendarId, { ...params, pageToken });
+      items.push(...(data.items || []));
+      pageToken = data.nextPageToken;
+      if (!pageToken) {
+        return { items, nextSyncToken: data.nextSyncToken };
+      }
+    }
+  }
+
+  async applyRemoteEvent(context, item) {
+    const { userId, results } = context;
+    const event = await this.findLocalEvent(userId, item);
+
+    if (!event) {
+      if (item.status === 'cancelled') return;
+
+      // Exported from here and since deleted here
+      if (googleCalendarService.extractAppEventId(item)) {
+        await this.deleteRemote(context, item.id, item.etag);
+        results.pushed.deleted++;
+        return;
+      }
+
+      await this.importRemoteEvent(context, item);
+      results.pulled.created++;
+      return;
+    }
+
+    // Our own write coming back
+    if (event.googleEtag && event.googleEtag === item.etag) {
+      return this.markSynced(event, { googleCalendarId: item.id });
+    }
+
+    const remoteDeleted = item.status === 'cancelled';
+    if (remoteDeleted && event.status === 'cancelled') {
+      return this.markSynced(event, { googleEtag: item.etag, googleUpdated: this.remoteUpdatedAt(item) });
+    }
+
+    if (this.hasLocalChanges(event)) {
+      const localWins = event.updatedAt > this.remoteUpdatedAt(item);
+      await this.logConflict(context, event, item, localWins);
+
+      if (localWins) {
+        // Keep the local version; the push overwrites Google (or re-creates the event).
+        // Taking the remote etag lets the push's If-Match succeed.
+        const fields = remoteDeleted
+          ? { $unset: { googleCalendarId: 1, googleEtag: 1, googleUpdated: 1 }, $set: { googleCalendarSynced: false } }
+          : { $set: { googleCalendarId: item.id, googleEtag: item.etag, googleUpdated: this.remoteUpdatedAt(item) } };
+        await Event.updateOne({ _id: event._id }, fields, { timestamps: false });
+        return;
+      }
+    }
+
+    if (remoteDeleted) {
+      await this.cancelLocalEvent(event, item);
+      results.pulled.deleted++;
+    } else {
+      await this.updateLocalEvent(context, event, item);
+      results.pulled.updated++;
+    }
+  }
+
+  async findLocalEvent(userId, item) {
+    const event = await Event.findOne({ userId, googleCalendarId: item.id });
+    if (event) return event;
+
+    const appEventId = googleCalendarService.extractAppEventId(item);
+    if (appEventId && /^[a-f\d]{24}$/i.test(appEventId)) {
+      return await Event.findOne({ _id: appEventId, userId });
+    }
+    return null;
+  }
+
+  async importRemoteEvent(context, item) {
+    const event = await Event.create(
+      googleCalendarService.transformFromGoogleEvent(item, context.userId, context.timezone)
+    );
+    await this.markSynced(event);
+
+    if (event.dateTime > new Date()) {
+      await reminderScheduler.scheduleEventReminders(event, context.userId);
+    }
+  }
+
+  async updateLocalEvent(context, event, item) {
+    const remote = googleCalendarService.transformFromGoogleEvent(item, context.userId, context.timezone);
+    const timeChanged = event.dateTime.getTime() !== remote.dateTime.getTime();
+
+    event.set({
+      title: remote.title,
+      description: remote.description,
+      dateTime: remote.dateTime,
+      endDateTime: remote.endDateTime,
+      location: remote.location
+    });
+    if (event.status === 'cancelled') {
+      event.status = 'scheduled';
+    }
+    await event.save();
+
+    await this.markSynced(event, {
+      googleCalendarId: item.id,
+      googleCalendarSynced: true,
+      googleEtag: item.etag,
+      googleUpdated: remote.googleUpdated
+    });
+
+    if (timeChanged && event.status === 'scheduled') {
+      await reminderScheduler.rescheduleEventReminders(event._id, event.dateTime);
+    }
+  }
+
+  async cancelLocalEvent(event, item) {
+    event.status = 'cancelled';
+    event.googleCalendarSynced = false;
+    await event.save();
+
+    await this.markSynced(event, { googleEtag: item.etag, googleUpdated: this.remoteUpdatedAt(item) });
+    await reminderScheduler.cancelEventReminders(event._id);
+  }
+
+  // Send local creates, edits and cancellations made since the last sync
+  async push(context) {
+    const { userId, client, calendarId, timezone, results } = context;
+
+    const events = await Event.find({
+      userId,
+      dateTime: { $gte: new Date(Date.now() - this.windowDays * DAY_MS) },
+      $or: [
+        { googleCalendarId: { $exists: false }, status: { $in: ['scheduled', 'in_progress'] } },
+        { googleCalendarId: { $exists: true }, googleSyncedAt: { $exists: true }, $expr: { $gt: ['$updatedAt', '$googleSyncedAt'] } }
+      ]
+    });
+
+    for (const event of events) {
+      try {
+        if (!event.googleCalendarId) {
+          await this.insertRemote(context, event);
+          results.pushed.created++;
+        } else if (event.status === 'cancelled') {
+          await this.deleteRemote(context, event.googleCalendarId, event.googleEtag);
+          await this.markSynced(event, { googleCalendarSynced: false });
+          results.pushed.deleted++;
+        } else {
+          const resource = googleCalendarService.transformToGoogleEvent(event, timezone);
+          const updated = await client.updateEvent(calendarId, event.googleCalendarId, resource, event.googleEtag);
+          await this.markSynced(event, this.remoteFields(updated));
+          results.pushed.updated++;
+        }
+      } catch (error) {
+        const status = this.statusOf(error);
+
+        if (status === 412) {
+          // Changed in Google since the pull; the next sync settles it
+          results.pushed.deferred++;
+        } else if ((status === 404 || status === 410) && event.status !== 'cancelled') {
+          await this.insertRemote(context, event);
+          results.pushed.created++;
+        } else {
+          console.error(`Error pushing event ${event._id} to Google Calendar:`, error);
+          results.errors.push({ eventId: event._id, error: error.message });
+        }
+      }
+    }
+  }
+
+  async insertRemote(context, event) {
+    const resource = googleCalendarService.transformToGoogleEvent(event, context.timezone);
+    const created = await context.client.insertEvent(context.calendarId, resource);
+    await this.markSynced(event, this.remoteFields(created));
+  }
+
+  // Already-gone events count as deleted
+  async deleteRemote(context, googleEventId, etag) {
+    try {
+      await context.client.deleteEvent(context.calendarId, googleEventId, etag);
+    } catch (error) {
+      const status = this.statusOf(error);
+      if (status !== 404 && status !== 410) {
+        throw error;
+      }
+    }
+  }
+
+  remoteFields(googleEvent) {
+    return {
+      googleCalendarId: googleEvent.id,
+      googleCalendarSynced: true,
+      googleEtag: googleEvent.etag,
+      googleUpdated: this.remoteUpdatedAt(googleEvent)
+    };
+  }
+
+  // Record that the event matches Google as of now, without bumping updatedAt
+  async markSynced(event, fields = {}) {
+    await Event.updateOne(
+      { _id: event._id },
+      { $set: { ...fields, googleSyncedAt: event.updatedAt } },
+      { timestamps: false }
+    );
+  }
+
+  // Events synced before googleSyncedAt was tracked have none; they count as in sync
+  hasLocalChanges(event) {
+    if (!event.googleSyncedAt) return !event.googleCalendarId;
+    return event.updatedAt > event.googleSyncedAt;
+  }
+
+  remoteUpdatedAt(googleEvent) {
+    return googleEvent.updated ? new Date(googleEvent.updated) : new Date(0);
+  }
+
+  // googleapis errors carry the HTTP status on response; the fake client sets code
+  statusOf(error) {
+    return error.response?.status || Number(error.code) || null;
+  }
+
+  async logConflict(context, event, item, localWins) {
+    const remoteDeleted = item.status === 'cancelled';
+    const remote = remoteDeleted
+      ? { status: 'cancelled' }
+      : googleCalendarService.transformFromGoogleEvent(item, context.userId, context.timezone);
+
+    await CalendarSyncConflict.create({
+      userId: context.userId,
+      eventId: event._id,
+      googleEventId: item.id,
+      type: remoteDeleted ? 'deleted_remotely' : event.status === 'cancelled' ? 'deleted_locally' : 'both_modified',
+      winner: localWins ? 'local' : 'remote',
+      localUpdatedAt: event.updatedAt,
+      remoteUpdatedAt: this.remoteUpdatedAt(item),
+      localSnapshot: this.snapshot(event),
+      remoteSnapshot: this.snapshot({ status: 'scheduled', ...remote })
+    });
+    context.results.conflicts++;
+  }
+
+  snapshot(event) {
+    return {
+      title: event.title,
+      dateTime: event.dateTime,
+      endDateTime: event.endDateTime,
+      location: event.location,
+      status: event.status
+    };
+  }
+
+  async getConflicts(userId, { page = 1, limit = 20 } = {}) {
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [conflicts, total] = await Promise.all([
+      CalendarSyncConflict.find({ userId })
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      CalendarSyncConflict.countDocuments({ userId })
+    ]);
+
+    return { conflicts, total, page: pageNumber, pages: Math.ceil(total / pageSize) };
+  }
+}
+
+module.exports = new GoogleCalendarSyncService();
@@ -0,0 +1,273 @@
+// Notification channel registry
+//
+// A channel is { label, isAvailable(user), send(user, notification) } where send resolves to
+// { success, error, detail }. Reminders and announcements go through notify(), which walks the
+// user's fallback chain until a channel succeeds and returns a receipt per channel tried.
+// New channels only need registerChannel(); nothing else has to change.
+//
+// notification: { type: 'reminder' | 'announcement', title, message, eventId, reminderId,
+//   data (template fields for rich channels), email: { subject, html, text } (optional) }
+const crypto = require('crypto');
+const Notification = require('../models/Notification');
+const pushService = require('./pushNotificationService');
+const emailService = require('./emailService');
+const webhookUrl = require('../utils/webhookUrl');
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+class NotificationService {
+  constructor() {
+    this.channels = new Map();
+
+    // Used when the user hasn't configured a chain for a notification type
+    this.defaultChains = {
+      reminder: ['browser_push', 'email', 'in_app'],
+      announcement: ['browser_push', 'email', 'in_app']
+    };
+
+    this.registerBuiltInChannels();
+  }
+
+  registerChannel(name, channel) {
+    if (typeof channel.send !== 'function') {
+      throw new Error(`Channel "${name}" must implement send()`);
+    }
+    this.channels.set(name, {
+      label: name,
+      isAvailable: () => true,
+      ...channel
+    });
+  }
+
+  getChannel(name) {
+    return this.channels.get(name) || null;
+  }
+
+  // Registered channels and whether each is set up for this user
+  listChannels(user) {
+    return [...this.channels.entries()].map(([name, channel]) => ({
+      name,
+      label: channel.label,
+      available: user ? Boolean(channel.isAvailable(user)) : undefined
+    }));
+  }
+
+  // Throws on unknown channel names so bad preferences fail early
+  validateChain(chain) {
+    if (!Array.isArray(chain)) {
+      throw new Error('A notification chain must be a list of channels');
+    }
+    const unknown = chain.filter(name => !this.channels.has(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown notification channel: ${unknown.join(', ')}`);
+    }
+  }
+
+  // The ordered channels to try. A preferred channel (e.g. Reminder.channel) goes first and
+  // the user's chain follows as fallback.
+  resolveChain(user, type, preferred = null) {
+    const configured = user.preferences?.notificationChains?.[type];
+    let chain = configured && configured.length > 0
+      ? [...configured]
+      : this.legacyChain(user, type);
+
+    if (preferred === 'both') {
+      chain = ['browser_push', 'email', ...chain];
+    } else if (preferred && preferred !== 'default') {
+      chain = [preferred, ...chain];
+    }
+
+    return [...new Set(chain)];
+  }
+
+  // preferences.notificationChannel predates chains; honour it for reminders
+  legacyChain(user, type) {
+    const chain = this.defaultChains[type] || this.defaultChains.reminder;
+    const legacy = user.preferences?.notificationChannel;
+
+    if (type === 'reminder' && legacy === 'email') {
+      return ['email', ...chain.filter(name => name !== 'email')];
+    }
+    return chain;
+  }
+
+  async notify(user, notification, { preferred = null } = {}) {
+    const receipts = [];
+
+    for (const name of this.resolveChain(user, notification.type, preferred)) {
+      const channel = this.channels.get(name);
+      const receipt = { channel: name, at: new Date() };
+
+      if (!channel) {
+        receipts.push({ ...receipt, status: 'skipped', error: 'Unknown channel' });
+        continue;
+      }
+      if (!channel.isAvailable(user)) {
+        receipts.push({ ...receipt, status: 'skipped', error: 'Not configured' });
+        continue;
+      }
+
+      try {
+        const result = await channel.send(user, notification);
+        if (result.success) {
+          receipts.push({ ...receipt, status: 'sent', detail: result.detail });
+          return { success: true, channel: name, receipts };
+        }
+        receipts.push({ ...receipt, status: 'failed', error: result.error });
+      } catch (error) {
+        receipts.push({ ...receipt, status: 'failed', error: error.message });
+      }
+    }
+
+    return { success: false, channel: null, receipts };
+  }
+
+  registerBuiltInChannels() {
+    this.registerChannel('browser_push', {
+      label: 'Browser push',
+      isAvailable: user => pushService.hasSubscription(user),
+      send: async (user, notification) => {
+        const result = await pushService.sendReminderNotification(user._id.toString(), notification);
+        return { success: result.success, error: result.error };
+      }
+    });
+
+    this.registerChannel('email', {
+      label: 'Email',
+      isAvailable: user => Boolean(user.email),
+      send: async (user, notification) => {
+        const result = notification.email
+          ? await emailService.sendEmail({ to: user.email, ...notification.email })
+          : await emailService.sendReminderEmail(user.email, notification.data || notification);
+        return { success: result.success, error: result.error, detail: result.messageId };
+      }
+    });
+
+    // Direct message from the user's connected Slack bot
+    this.registerChannel('slack_dm', {
+      label: 'Slack DM',
+      isAvailable: user => {
+        const slack = user.integrations?.slackIntegration;
+        return Boolean(slack?.isActive && slack.botToken && slack.userId);
+      },
+      send: async (user, notification) => {
+        const slack = user.integrations.slackIntegration;
+        const apiUrl = process.env.SLACK_API_URL || 'https://slack.com/api';
+
+        const response = await fetch(`${apiUrl}/chat.postMessage`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json; charset=utf-8',
+            Authorization: `Bearer ${slack.botToken}`
+          },
+          body: JSON.stringify({
+            channel: slack.userId,
+            text: `*${notification.title}*\n${notification.message}`
+          }),
+          signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+        const body = await response.json();
+
+        return body.ok
+          ? { success: true, detail: body.ts }
+          : { success: false, error: `Slack: ${body.error || response.status}` };
+      }
+    });
+
+    // JSON POST to a user-supplied URL, signed with HMAC-SHA256 when a secret is set
+    this.registerChannel('webhook', {
+      label: 'Webhook',
+      isAvailable: user => Boolean(user.integrations?.webhook?.isActive && user.integrations.webhook.url),
+      send: async (user, notification) => {
+        const { url, secret } = user.integrations.webhook;
+        const payload = JSON.stringify({
+          type: notification.type,
+          title: notification.title,
+          message: notification.message,
+          eventId: notification.eventId,
+          reminderId: notification.reminderId,
+          sentAt: new Date().toISOString()
+        });
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (secret) {
+          headers['X-Signature-256'] = `sha256=${crypto.createHmac('sha256', secret).update(payload).digest('hex')}`;
+        }
+
+        // Re-checked on every send; redirects aren't followed since they could lead anywhere
+        await webhookUrl.assertPublicUrl(url);
+        const response = await fetch(url, {
+          method: 'POST',
+          headers,
+          body: payload,
+          redirect: 'manual',
+          signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+
+        return response.ok
+          ? { success: true, detail: String(response.status) }
+          : { success: false, error: `Webhook responded ${response.status}` };
+      }
+    });
+
+    // Always available, so it makes a good last link in a chain
+    this.registerChannel('in_app', {
+      label: 'In-app inbox',
+      send: async (user, notification) => {
+        const entry = await Notification.create({
+          userId: user._id,
+          type: notification.type,
+          title: notification.title,
+          message: notification.message,
+          eventId: notification.eventId,
+          reminderId: notification.reminderId
+        });
+        return { success: true, detail: entry._id.toString() };
+      }
+    });
+  }
+
+  // Inbox
+  async getInbox(userId, { unread, page = 1, limit = 20 } = {}) {
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const query = { userId };
+    if (unread === 'true' || unread === true) {
+      query.readAt = { $exists: false };
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ userId, readAt: { $exists: false } })
+    ]);
+
+    return { notifications, total, unreadCount, page: pageNumber, pages: Math.ceil(total / pageSize) };
+  }
+
+  async markRead(userId, notificationId) {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: notificationId, userId },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    );
+
+    if (!notification) {
+      throw new Error('Notification not found');
+    }
+    return notification;
+  }
+
+  async markAllRead(userId) {
+    const result = await Notification.updateMany(
+      { userId, readAt: { $exists: false } },
+      { $set: { readAt: new Date() } }
+    );
+    return { updated: result.modifiedCount };
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,74 @@
+// Claude Vision (excellent for complex layouts and stylized text)
+const Anthropic = require('@anthropic-ai/sdk');
+
+const PROMPT = `Extract all visible text from this image. This appears to be an event poster or flyer. Please provide:
+
+1. All text content exactly as it appears
+2. Any dates, times, or locations you can identify
+3. A confidence score (0.0-1.0) for how accurately you extracted the text
+
+Format your response as JSON:
+{
+  "extracted_text": "full text content here",
+  "confidence": 0.85
+}`;
+
+class ClaudeVisionProvider {
+  constructor() {
+    this.name = 'claude-vision';
+    this.model = 'claude-4-5-sonnet-20241022';
+    this.maxTokens = 1024;
+    this.timeout = 20000;
+    this.client = null;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new Anthropic({ apiKey: process.env.CLAUDE_API_KEY });
+    }
+    return this.client;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.CLAUDE_API_KEY);
+  }
+
+  supports(mimeType) {
+    return mimeType.startsWith('image/');
+  }
+
+  async recognize({ processed, mimeType }) {
+    const message = await this.getClient().messages.create({
+      model: this.model,
+      max_tokens: this.maxTokens,
+      messages: [
+        {
+          role: 'user',
+          content: [
+            {
+              type: 'image',
+              source: {
+                type: 'base64',
+                media_type: mimeType,
+                data: processed.toString('base64')
+              }
+            },
+            {
+              type: 'text',
+              text: PROMPT
+            }
+          ]
+        }
+      ]
+    });
+
+    const responseJson = JSON.parse(message.content[0].text);
+
+    return {
+      text: responseJson.extracted_text || '',
+      confidence: responseJson.confidence || 0.8
+    };
+  }
+}
+
+module.exports = new ClaudeVisionProvider();
@@ -0,0 +1,49 @@
+// DeepSeek OCR (fast, good for clean text)
+class DeepSeekProvider {
+  constructor() {
+    this.name = 'deepseek-ocr';
+    this.url = 'https://platform.deepseek.com/api/v1/ocr';
+    this.timeout = 10000;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.DEEPSEEK_API_KEY);
+  }
+
+  supports(mimeType) {
+    return mimeType.startsWith('image/');
+  }
+
+  async recognize({ processed, mimeType }, { signal } = {}) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${process.env.DEEPSEEK_API_KEY}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        image: processed.toString('base64'),
+        mime_type: mimeType,
+        options: {
+          detect_text: true,
+          detect_layout: true,
+          language: 'en'
+        }
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`DeepSeek API error: ${response.status}`);
+    }
+
+    const result = await response.json();
+
+    return {
+      text: result.text || result.extracted_text || '',
+      confidence: result.confidence || 0.95 // DeepSeek typically has high confidence
+    };
+  }
+}
+
+module.exports = new DeepSeekProvider();
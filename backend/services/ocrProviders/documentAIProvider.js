@@ -0,0 +1,73 @@
+// Google Cloud Document AI (most comprehensive; reads PDFs natively)
+const { DocumentProcessorServiceClient } = require('@google-cloud/documentai');
+
+class DocumentAIProvider {
+  constructor() {
+    this.name = 'google-document-ai';
+    this.timeout = 30000;
+    this.client = undefined;
+  }
+
+  // Client from GOOGLE_CLOUD_CREDENTIALS, created on first use; null when not configured
+  getClient() {
+    if (this.client === undefined) {
+      this.client = null;
+      if (process.env.GOOGLE_CLOUD_CREDENTIALS) {
+        try {
+          const credentials = JSON.parse(process.env.GOOGLE_CLOUD_CREDENTIALS);
+          this.client = new DocumentProcessorServiceClient({ credentials });
+        } catch (error) {
+          console.warn('Google Cloud Document AI not configured:', error.message);
+        }
+      }
+    }
+    return this.client;
+  }
+
+  isConfigured() {
+    return Boolean(this.getClient() && process.env.GOOGLE_DOCUMENT_AI_PROCESSOR_ID);
+  }
+
+  supports(mimeType) {
+    return mimeType.startsWith('image/') || mimeType === 'application/pdf';
+  }
+
+  // Works on the original upload, not the preprocessed image
+  async recognize({ buffer, mimeType }) {
+    const projectId = process.env.GOOGLE_CLOUD_PROJECT_ID;
+    const location = process.env.GOOGLE_CLOUD_LOCATION || 'us';
+    const processorId = process.env.GOOGLE_DOCUMENT_AI_PROCESSOR_ID;
+
+    const [result] = await this.getClient().processDocument({
+      name: `projects/${projectId}/locations/${location}/processors/${processorId}`,
+      rawDocument: {
+        content: buffer.toString('base64'),
+        mimeType
+      }
+    });
+
+    const { document } = result;
+    if (!document || !document.text) {
+      throw new Error('No text detected by Document AI');
+    }
+
+    // Average the per-token confidences
+    let totalConfidence = 0;
+    let confidenceCount = 0;
+    for (const page of document.pages || []) {
+      for (const token of page.tokens || []) {
+        if (token.confidence) {
+          totalConfidence += token.confidence;
+          confidenceCount++;
+        }
+      }
+    }
+
+    return {
+      text: document.text,
+      confidence: confidenceCount > 0 ? totalConfidence / confidenceCount : 0.95
+    };
+  }
+}
+
+module.exports = new DocumentAIProvider();
@@ -0,0 +1,91 @@
+// Google Cloud Vision (better for decorative fonts)
+const vision = require('@google-cloud/vision');
+
+class GoogleVisionProvider {
+  constructor() {
+    this.name = 'google-vision';
+    this.timeout = 15000;
+    this.client = undefined;
+  }
+
+  // Client from GOOGLE_CLOUD_CREDENTIALS, created on first use; null when not configured
+  getClient() {
+    if (this.client === undefined) {
+      this.client = null;
+      if (process.env.GOOGLE_CLOUD_CREDENTIALS) {
+        try {
+          const credentials = JSON.parse(process.env.GOOGLE_CLOUD_CREDENTIALS);
+          this.client = new vision.ImageAnnotatorClient({ credentials });
+        } catch (error) {
+          console.warn('Google Cloud Vision not configured:', error.message);
+        }
+      }
+    }
+    return this.client;
+  }
+
+  isConfigured() {
+    return Boolean(this.getClient());
+  }
+
+  supports(mimeType) {
+    return mimeType.startsWith('image/');
+  }
+
+  async recognize({ processed }) {
+    const [result] = await this.getClient().documentTextDetection({
+      image: { content: processed }
+    });
+
+    const fullTextAnnotation = result.fullTextAnnotation;
+    if (!fullTextAnnotation || !fullTextAnnotation.text) {
+      throw new Error('No text detected by Google Vision');
+    }
+
+    // Average the per-word confidences
+    let totalConfidence = 0;
+    let wordCount = 0;
+    for (const page of fullTextAnnotation.pages || []) {
+      for (const block of page.blocks || []) {
+        for (const paragraph of block.paragraphs || []) {
+          for (const word of paragraph.words || []) {
+            if (word.confidence) {
+              totalConfidence += word.confidence;
+              wordCount++;
+            }
+          }
+        }
+      }
+    }
+
+    return {
+      text: fullTextAnnotation.text,
+      confidence: wordCount > 0 ? totalConfidence / wordCount : 0.9
+    };
+  }
+
+  // Angle of the text in degrees, from the bounding box of the full text annotation
+  async detectRotation(imageBuffer) {
+    try {
+      if (!this.getClient()) return 0;
+
+      const [result] = await this.getClient().textDetection({
+        image: { content: imageBuffer }
+      });
+
+      const fullText = result.textAnnotations?.[0];
+      if (!fullText?.boundingPoly?.vertices) return 0;
+
+      const vertices = fullText.boundingPoly.vertices;
+      return Math.atan2(
+        vertices[1].y - vertices[0].y,
+        vertices[1].x - vertices[0].x
+      ) * (180 / Math.PI);
+    } catch (error) {
+      console.log('Text rotation detection failed:', error.message);
+      return 0;
+    }
+  }
+}
+
+module.exports = new GoogleVisionProvider();
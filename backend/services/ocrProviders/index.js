@@ -0,0 +1,9 @@
+// Built-in OCR providers, registered with ocrService in this order
+module.exports = [
+  require('./deepseekProvider'),
+  require('./googleVisionProvider'),
+  require('./claudeVisionProvider'),
+  require('./documentAIProvider'),
+  require('./paddleOCRProvider'),
+  require('./tesseractProvider')
+];
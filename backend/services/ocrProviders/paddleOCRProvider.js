@@ -0,0 +1,54 @@
+// Hosted PaddleOCR endpoint (PADDLEOCR_API_URL, with PADDLEOCR_API_KEY if it needs one)
+class PaddleOCRProvider {
+  constructor() {
+    this.name = 'paddle-ocr';
+    this.timeout = 15000;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.PADDLEOCR_API_URL);
+  }
+
+  supports(mimeType) {
+    return mimeType.startsWith('image/');
+  }
+
+  async recognize({ processed, mimeType }, { signal } = {}) {
+    const response = await fetch(process.env.PADDLEOCR_API_URL, {
+      method: 'POST',
+      headers: {
+        ...(process.env.PADDLEOCR_API_KEY && { 'Authorization': `Bearer ${process.env.PADDLEOCR_API_KEY}` }),
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        image: `data:${mimeType};base64,${processed.toString('base64')}`,
+        parameters: {
+          det: true,
+          rec: true,
+          cls: true,
+          language: 'en'
+        }
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`PaddleOCR API error: ${response.status}`);
+    }
+
+    const result = await response.json();
+
+    // Keep confidently recognized lines only
+    const lines = (result.results?.[0] || []).filter(block => block.text && block.confidence > 0.8);
+    const averageConfidence = lines.length > 0
+      ? lines.reduce((sum, block) => sum + block.confidence, 0) / lines.length
+      : 0;
+
+    return {
+      text: lines.map(block => block.text).join(' '),
+      confidence: averageConfidence
+    };
+  }
+}
+
+module.exports = new PaddleOCRProvider();
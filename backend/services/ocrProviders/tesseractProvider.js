@@ -0,0 +1,96 @@
+// Local Tesseract engine (tesseract.js): no network or credentials needed, so poster
+// extraction keeps working offline. English language data ships with @tesseract.js-data/eng;
+// other languages (TESSERACT_LANG, e.g. "eng+hin") need TESSERACT_LANG_PATH or are downloaded.
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+class TesseractProvider {
+  constructor() {
+    this.name = 'tesseract';
+    // The first call also loads the engine and language data
+    this.timeout = 60000;
+    this.worker = null;
+    this.engine = undefined;
+  }
+
+  // tesseract.js, or null when it isn't installed
+  getEngine() {
+    if (this.engine === undefined) {
+      try {
+        this.engine = require('tesseract.js');
+      } catch (error) {
+        console.warn('Tesseract OCR not available:', error.message);
+        this.engine = null;
+      }
+    }
+    return this.engine;
+  }
+
+  getOptions() {
+    const options = {
+      cachePath: process.env.TESSERACT_CACHE_PATH || path.join(os.tmpdir(), 'tesseract-cache')
+    };
+
+    if (process.env.TESSERACT_LANG_PATH) {
+      options.langPath = process.env.TESSERACT_LANG_PATH;
+    } else if ((process.env.TESSERACT_LANG || 'eng') === 'eng') {
+      try {
+        options.langPath = path.join(path.dirname(require.resolve('@tesseract.js-data/eng')), '4.0.0_best_int');
+        options.gzip = true;
+      } catch (error) {
+        // Falls back to downloading the language data
+      }
+    }
+    return options;
+  }
+
+  // One worker, created on first use and reused
+  getWorker() {
+    if (!this.worker) {
+      this.worker = this.getEngine().createWorker(process.env.TESSERACT_LANG || 'eng', 1, this.getOptions());
+      this.worker.catch(() => { this.worker = null; });
+    }
+    return this.worker;
+  }
+
+  // A stuck job can't be cancelled, so a timed-out worker is replaced
+  async resetWorker() {
+    const worker = this.worker;
+    this.worker = null;
+    try {
+      await (await worker)?.terminate();
+    } catch (error) {
+      console.error('Error stopping Tesseract worker:', error.message);
+    }
+  }
+
+  isConfigured() {
+    return process.env.TESSERACT_DISABLED !== 'true' && Boolean(this.getEngine());
+  }
+
+  supports(mimeType) {
+    return mimeType.startsWith('image/');
+  }
+
+  async recognize({ processed }, { signal } = {}) {
+    const onAbort = () => this.resetWorker();
+    signal?.addEventListener('abort', onAbort);
+
+    try {
+      // Tesseract reads PNG reliably whatever the upload was
+      const image = await sharp(processed).png().toBuffer();
+      const worker = await this.getWorker();
+      const { data } = await worker.recognize(image);
+
+      return {
+        text: data.text || '',
+        confidence: (data.confidence || 0) / 100
+      };
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+}
+
+module.exports = new TesseractProvider();
@@ -0,0 +1,283 @@
+// OCR provider chain for posters and scanned PDFs.
+//
+// Providers (services/ocrProviders) register by name and are tried in OCR_PROVIDERS order, or
+// DEFAULT_ORDER when that isn't set. Providers that aren't configured or can't read the file
+// type are skipped. Each call runs under the provider's timeout and its circuit breaker: after
+// breakerFailures errors in a row the provider is left out for breakerCooldownMs, then gets
+// one trial request. The chain stops at the first text good enough to trust and otherwise
+// returns the best it found. Attempts and timings are kept per provider for the status route.
+//
+// A provider is an object with:
+//   name                          also the Event extractionMethod, e.g. 'tesseract'
+//   timeout                       ms before the attempt is abandoned
+//   isConfigured()                false when credentials (or the engine) are missing
+//   supports(mimeType)
+//   recognize(input, { signal })  input is { buffer, processed, mimeType }; resolves { text, confidence }
+const providers = require('./ocrProviders');
+
+const DEFAULT_ORDER = ['deepseek-ocr', 'google-vision', 'claude-vision', 'google-document-ai', 'paddle-ocr', 'tesseract'];
+const MIN_TEXT_LENGTH = 10;
+
+// Base confidence by method (reliability ranking)
+const METHOD_BASE_CONFIDENCE = {
+  'google-document-ai': 0.95,
+  'google-vision': 0.92,
+  'deepseek-ocr': 0.88,
+  'claude-vision': 0.85,
+  'paddle-ocr': 0.80,
+  'tesseract': 0.75
+};
+
+class OCRService {
+  constructor() {
+    this.providers = new Map();
+    this.breakers = new Map();
+    this.metrics = new Map();
+    this.acceptConfidence = parseFloat(process.env.OCR_ACCEPT_CONFIDENCE) || 0.85;
+    this.breakerFailures = parseInt(process.env.OCR_BREAKER_FAILURES) || 3;
+    this.breakerCooldownMs = parseInt(process.env.OCR_BREAKER_COOLDOWN_MS) || 60 * 1000;
+
+    providers.forEach(provider => this.register(provider));
+  }
+
+  register(provider) {
+    this.providers.set(provider.name, provider);
+    this.breakers.set(provider.name, { state: 'closed', failures: 0, openedAt: null, trial: false });
+    this.metrics.set(provider.name, {
+      attempts: 0,
+      successes: 0,
+      failures: 0,
+      timeouts: 0,
+      skipped: 0, // Circuit open
+      totalMs: 0,
+      lastMs: null,
+      lastError: null,
+      lastFailureAt: null,
+      lastSuccessAt: null
+    });
+  }
+
+  // Registered providers in the configured order
+  getOrder() {
+    const configured = (process.env.OCR_PROVIDERS || '')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean);
+    const order = configured.length > 0 ? configured : DEFAULT_ORDER;
+
+    order.filter(name => !this.providers.has(name)).forEach(name => {
+      console.warn(`Unknown OCR provider "${name}" in OCR_PROVIDERS`);
+    });
+    return order.filter(name => this.providers.has(name)).map(name => this.providers.get(name));
+  }
+
+  // Circuit breaker
+
+  canAttempt(name, now = Date.now()) {
+    const breaker = this.breakers.get(name);
+    if (breaker.state === 'open' && now - breaker.openedAt >= this.breakerCooldownMs) {
+      breaker.state = 'half_open';
+    }
+    if (breaker.state === 'open') return false;
+    // Half open lets a single trial request through
+    if (breaker.state === 'half_open') {
+      if (breaker.trial) return false;
+      breaker.trial = true;
+    }
+    return true;
+  }
+
+  recordSuccess(name, ms, now = Date.now()) {
+    Object.assign(this.breakers.get(name), { state: 'closed', failures: 0, openedAt: null, trial: false });
+
+    const metrics = this.metrics.get(name);
+    metrics.successes++;
+    metrics.totalMs += ms;
+    metrics.lastMs = ms;
+    metrics.lastSuccessAt = new Date(now);
+  }
+
+  recordFailure(name, ms, error, now = Date.now()) {
+    const breaker = this.breakers.get(name);
+    breaker.failures++;
+    if (breaker.state === 'half_open' || breaker.failures >= this.breakerFailures) {
+      breaker.state = 'open';
+      breaker.openedAt = now;
+      console.warn(`OCR provider ${name} disabled for ${Math.round(this.breakerCooldownMs / 1000)}s after ${breaker.failures} failures`);
+    }
+    breaker.trial = false;
+
+    const metrics = this.metrics.get(name);
+    metrics.failures++;
+    if (error.timeout) metrics.timeouts++;
+    metrics.totalMs += ms;
+    metrics.lastMs = ms;
+    metrics.lastError = error.message;
+    metrics.lastFailureAt = new Date(now);
+  }
+
+  // The provider's recognize(), abandoned (and its signal aborted) after provider.timeout
+  async runWithTimeout(provider, input) {
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`${provider.name} timed out after ${provider.timeout} ms`);
+        error.timeout = true;
+        // Rejected first, so the race settles on the timeout even if the provider gives up on abort
+        reject(error);
+        controller.abort();
+      }, provider.timeout);
+    });
+
+    try {
+      return await Promise.race([provider.recognize(input, { signal: controller.signal }), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Best text from the chain: { text, confidence, method, attempts }. Throws when no provider
+  // read anything.
+  async recognize(input) {
+    const attempts = [];
+    let best = null;
+
+    for (const provider of this.getOrder()) {
+      if (!provider.isConfigured() || !provider.supports(input.mimeType)) continue;
+      if (!this.canAttempt(provider.name)) {
+        this.metrics.get(provider.name).skipped++;
+        attempts.push({ provider: provider.name, status: 'circuit_open' });
+        continue;
+      }
+
+      this.metrics.get(provider.name).attempts++;
+      const started = Date.now();
+      try {
+        const result = await this.runWithTimeout(provider, input);
+        const ms = Date.now() - started;
+        this.recordSuccess(provider.name, ms);
+
+        const text = result?.text?.trim() || '';
+        if (text.length <= MIN_TEXT_LENGTH) {
+          attempts.push({ provider: provider.name, status: 'no_text', ms });
+          continue;
+        }
+
+        const confidence = this.scoreText(text, provider.name, result.confidence);
+        attempts.push({ provider: provider.name, status: 'ok', ms, confidence });
+        console.log(`✓ ${provider.name} OCR in ${ms} ms, confidence: ${confidence}`);
+        if (!best || confidence > best.confidence) {
+          best = { text: result.text, confidence, method: provider.name };
+        }
+        if (best.confidence >= this.acceptConfidence) break;
+      } catch (error) {
+        const ms = Date.now() - started;
+        this.recordFailure(provider.name, ms, error);
+        attempts.push({ provider: provider.name, status: error.timeout ? 'timeout' : 'error', ms, error: error.message });
+        console.log(`✗ ${provider.name} OCR failed:`, error.message);
+      }
+    }
+
+    if (!best) {
+      const tried = attempts.map(attempt => `${attempt.provider} (${attempt.status})`).join(', ') || 'none available';
+      throw new Error(`All OCR services failed to extract meaningful text (tried: ${tried})`);
+    }
+    return { ...best, attempts };
+  }
+
+  // Providers in chain order with configuration, circuit state and timings
+  getStatus() {
+    const order = this.getOrder().map(provider => provider.name);
+
+    return [...this.providers.values()].map(provider => {
+      const breaker = this.breakers.get(provider.name);
+      const metrics = this.metrics.get(provider.name);
+      const calls = metrics.successes + metrics.failures;
+
+      return {
+        name: provider.name,
+        position: order.includes(provider.name) ? order.indexOf(provider.name) + 1 : null,
+        configured: provider.isConfigured(),
+        timeout: provider.timeout,
+        circuit: breaker.state,
+        consecutiveFailures: breaker.failures,
+        ...metrics,
+        averageMs: calls > 0 ? Math.round(metrics.totalMs / calls) : null
+      };
+    }).sort((a, b) => (a.position ?? Infinity) - (b.position ?? Infinity));
+  }
+
+  // Confidence in OCR'd text from the provider's own figure, its reliability and how much the
+  // text looks like an event poster
+  scoreText(extractedText, method, rawConfidence) {
+    let confidence = rawConfidence || 0.5;
+
+    const baseConfidence = METHOD_BASE_CONFIDENCE[method] || 0.5;
+    confidence = (confidence + baseConfidence) / 2;
+
+    // Adjust based on text characteristics
+    if (extractedText && extractedText.length > 0) {
+      // Text length factor (too short or too long might indicate errors)
+      const textLength = extractedText.length;
+      if (textLength < 10) {
+        confidence *= 0.7; // Very short text is suspicious
+      } else if (textLength > 50 && textLength < 1000) {
+        confidence *= 1.1; // Good text length
+      } else if (textLength > 5000) {
+        confidence *= 0.9; // Very long might have noise
+      }
+
+      // Special character ratio (too many special chars = likely noise)
+      const specialCharCount = (extractedText.match(/[^a-zA-Z0-9\s\-:,.]/g) || []).length;
+      const specialCharRatio = specialCharCount / textLength;
+      if (specialCharRatio > 0.3) {
+        confidence *= 0.7; // High special char ratio
+      } else if (specialCharRatio < 0.05) {
+        confidence *= 1.05; // Clean text
+      }
+
+      // Word count (good indicator of quality)
+      const words = extractedText.trim().split(/\s+/);
+      const wordCount = words.length;
+      if (wordCount > 5 && wordCount < 500) {
+        confidence *= 1.05; // Good word count for an event poster
+      }
+
+      // Check for common event-related keywords
+      const eventKeywords = [
+        'event', 'workshop', 'seminar', 'competition', 'webinar',
+        'date', 'time', 'location', 'venue', 'register', 'rsvp',
+        'speaker', 'organized by', 'presented by', 'when', 'where'
+      ];
+      const lowerText = extractedText.toLowerCase();
+      const keywordMatches = eventKeywords.filter(kw => lowerText.includes(kw)).length;
+      if (keywordMatches >= 2) {
+        confidence *= 1.1; // Contains event-related keywords
+      }
+
+      // Date/time detection bonus
+      const hasDate = /\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4}/.test(extractedText);
+      const hasTime = /\d{1,2}:\d{2}/.test(extractedText);
+      if (hasDate && hasTime) {
+        confidence *= 1.1;
+      } else if (hasDate || hasTime) {
+        confidence *= 1.05;
+      }
+
+      // Consecutive uppercase letters (might indicate headers)
+      const upperCaseSequences = extractedText.match(/[A-Z]{3,}/g);
+      if (upperCaseSequences && upperCaseSequences.length > 0 && upperCaseSequences.length < 5) {
+        confidence *= 1.02; // Good - likely headers
+      }
+    }
+
+    // Cap confidence at 0.98 (never 100% certain)
+    confidence = Math.min(confidence, 0.98);
+    confidence = Math.max(confidence, 0.1); // Floor at 0.1
+
+    return parseFloat(confidence.toFixed(3));
+  }
+}
+
+module.exports = new OCRService();
@@ -1,7 +1,6 @@
 const Event = require('../models/Event');
 const User = require('../models/User');
-const emailService = require('./emailService');
-const pushService = require('./pushNotificationService');
+const notificationService = require('./notificationService');
 
 class OrganizerService {
   // Convert event to organizer event
@@ -73,31 +72,30 @@ class OrganizerService {
     // Get RSVPed users
     const rsvpUsers = await User.find({
       _id: { $in: event.organizerTools.rsvps.map(r => r.userId) }
-    }).select('email profile.name pushSubscriptions');
-
-    // Send email announcements
-    const emailPromises = rsvpUsers.map(user =>
-      emailService.sendEmail({
-        to: user.email,
-        subject: `${event.title}: ${announcementData.title}`,
-        html: this.generateAnnouncementHTML(event, announcementData),
-        text: this.generateAnnouncementText(event, announcementData)
+    }).select('email profile.name preferences integrations pushSubscriptions');
+
+    // Each attendee gets it on the first channel in their announcement chain that works
+    const deliveries = await Promise.all(rsvpUsers.map(user =>
+      notificationService.notify(user, {
+        type: 'announcement',
+        title: `${event.title}: ${announcementData.title}`,
+        message: announcementData.message,
+        eventId: event._id,
+        email: {
+          subject: `${event.title}: ${announcementData.title}`,
+          html: this.generateAnnouncementHTML(event, announcementData),
+          text: this.generateAnnouncementText(event, announcementData)
+        }
       })
-    );
-
-    // Send push notifications
-    const pushPromises = rsvpUsers.map(user =>
-      this.sendPushAnnouncement(user, event, announcementData)
-    );
-
-    await Promise.all([...emailPromises, ...pushPromises]);
+    ));
+    const delivered = deliveries.filter(delivery => delivery.success).length;
 
     // Record announcement
     event.organizerTools.announcements.push({
       title: announcementData.title,
       message: announcementData.message,
       sentAt: new Date(),
-      sentTo: rsvpUsers.length,
+      sentTo: delivered,
       type: announcementData.type || 'update'
     });
 
@@ -105,7 +103,8 @@ class OrganizerService {
 
     return {
       message: 'Announcement sent successfully',
-      recipients: rsvpUsers.length
+      recipients: rsvpUsers.length,
+      delivered
     };
   }
 
@@ -228,26 +227,6 @@ class OrganizerService {
     return `CERT-${eventId.toString().slice(-6)}-${userId.toString().slice(-6)}-${timestamp}-${random}`.toUpperCase();
   }
 
-  // Helper: Send push announcement
-  async sendPushAnnouncement(user, event, announcement) {
-    if (!user.pushSubscriptions || user.pushSubscriptions.length === 0) return;
-
-    // Send to all user's subscriptions
-    const promises = user.pushSubscriptions.map(subscription =>
-      pushService.sendNotification(subscription, {
-        title: `${event.title}: ${announcement.title}`,
-        body: announcement.message,
-        icon: '/icon-192x192.png',
-        data: {
-          eventId: event._id,
-          type: 'announcement'
-        }
-      })
-    );
-
-    await Promise.all(promises);
-  }
-
   // Helper: Generate announcement HTML
   generateAnnouncementHTML(event, announcement) {
     return `
@@ -1,5 +1,6 @@
 // Push Notifications Service
 const webpush = require('web-push');
+const User = require('../models/User');
 
 // Configure VAPID keys
 webpush.setVapidDetails(
@@ -8,68 +9,243 @@ webpush.setVapidDetails(
   process.env.VAPID_PRIVATE_KEY
 );
 
+// Subscriptions live on User.pushSubscriptions, one per device
 class PushNotificationService {
-  constructor() {
-    this.subscriptions = new Map(); // userId -> subscription
+  // Store a device's subscription, or refresh it if the endpoint is already known.
+  // An endpoint belongs to one browser, so it is dropped from any other account.
+  async addSubscription(userId, subscription, { label, userAgent } = {}) {
+    if (!subscription || !subscription.endpoint || !subscription.keys) {
+      throw new Error('Invalid subscription object');
+    }
+
+    const { endpoint, keys } = subscription;
+
+    await User.updateMany(
+      { _id: { $ne: userId }, 'pushSubscriptions.endpoint': endpoint },
+      { $pull: { pushSubscriptions: { endpoint } } }
+    );
+
+    const update = {
+      'pushSubscriptions.$.keys': keys,
+      'pushSubscriptions.$.userAgent': userAgent
+    };
+    if (label) {
+      update['pushSubscriptions.$.label'] = label;
+    }
+
+    const result = await User.updateOne(
+      { _id: userId, 'pushSubscriptions.endpoint': endpoint },
+      { $set: update }
+    );
+
+    if (result.matchedCount === 0) {
+      await User.updateOne(
+        { _id: userId },
+        {
+          $push: {
+            pushSubscriptions: {
+              endpoint,
+              keys,
+              userAgent,
+              label: label || this.describeUserAgent(userAgent)
+            }
+          }
+        }
+      );
+      console.log(`Stored push subscription for user ${userId}`);
+    }
+
+    return await this.getSubscriptionByEndpoint(userId, endpoint);
+  }
+
+  // Remove one device by endpoint, or every device when no endpoint is given
+  async removeSubscription(userId, endpoint = null) {
+    const pull = endpoint ? { endpoint } : {};
+    await User.updateOne({ _id: userId }, { $pull: { pushSubscriptions: pull } });
+    console.log(`Removed push subscription${endpoint ? '' : 's'} for user ${userId}`);
+  }
+
+  async removeSubscriptionById(userId, subscriptionId) {
+    const result = await User.updateOne(
+      { _id: userId, 'pushSubscriptions._id': subscriptionId },
+      { $pull: { pushSubscriptions: { _id: subscriptionId } } }
+    );
+
+    if (result.matchedCount === 0) {
+      throw new Error('Push subscription not found');
+    }
+  }
+
+  // Per-device settings: { label, muted }
+  async updateSubscription(userId, subscriptionId, { label, muted }) {
+    const update = {};
+    if (label !== undefined) update['pushSubscriptions.$.label'] = String(label).trim().slice(0, 100);
+    if (muted !== undefined) update['pushSubscriptions.$.muted'] = Boolean(muted);
+
+    const result = await User.updateOne(
+      { _id: userId, 'pushSubscriptions._id': subscriptionId },
+      { $set: update }
+    );
+
+    if (result.matchedCount === 0) {
+      throw new Error('Push subscription not found');
+    }
+
+    const user = await User.findById(userId).select('pushSubscriptions');
+    return this.toDevice(user.pushSubscriptions.id(subscriptionId));
   }
 
-  // Store user push subscription
-  storeSubscription(userId, subscription) {
-    this.subscriptions.set(userId, subscription);
-    console.log(`Stored push subscription for user ${userId}`);
+  // Devices without their keys
+  async listSubscriptions(userId) {
+    const user = await User.findById(userId).select('pushSubscriptions');
+    return (user?.pushSubscriptions || []).map(subscription => this.toDevice(subscription));
   }
 
-  // Remove user push subscription
-  removeSubscription(userId) {
-    this.subscriptions.delete(userId);
-    console.log(`Removed push subscription for user ${userId}`);
+  async getSubscriptionByEndpoint(userId, endpoint) {
+    const user = await User.findById(userId).select('pushSubscriptions');
+    const subscription = user?.pushSubscriptions.find(sub => sub.endpoint === endpoint);
+    return subscription ? this.toDevice(subscription) : null;
   }
 
-  // Send push notification to specific user
+  toDevice(subscription) {
+    return {
+      _id: subscription._id,
+      label: subscription.label,
+      muted: subscription.muted,
+      userAgent: subscription.userAgent,
+      endpointHost: this.endpointHost(subscription.endpoint),
+      lastSuccessAt: subscription.lastSuccessAt,
+      lastFailureAt: subscription.lastFailureAt,
+      lastError: subscription.lastError,
+      createdAt: subscription.createdAt
+    };
+  }
+
+  endpointHost(endpoint) {
+    try {
+      return new URL(endpoint).host;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Rough default label from the browser's user agent, e.g. "Chrome on Android"
+  describeUserAgent(userAgent = '') {
+    const browser = [
+      [/Edg\//, 'Edge'], [/OPR\//, 'Opera'], [/Firefox\//, 'Firefox'],
+      [/Chrome\//, 'Chrome'], [/Safari\//, 'Safari']
+    ].find(([pattern]) => pattern.test(userAgent));
+    const os = [
+      [/Android/, 'Android'], [/iPhone|iPad/, 'iOS'], [/Windows/, 'Windows'],
+      [/Mac OS X/, 'macOS'], [/Linux/, 'Linux']
+    ].find(([pattern]) => pattern.test(userAgent));
+
+    if (!browser && !os) return 'Browser';
+    return [browser?.[1], os?.[1]].filter(Boolean).join(' on ');
+  }
+
+  // Whether a loaded user has any device that would receive a push
+  hasSubscription(user) {
+    return (user.pushSubscriptions || []).some(subscription => !subscription.muted);
+  }
+
+  // Send push notification to every unmuted device of a user.
+  // Succeeds when at least one device accepted it; subscriptions the push service reports
+  // as gone (404/410) are removed.
   async sendNotification(userId, notification) {
-    const subscription = this.subscriptions.get(userId);
+    const user = await User.findById(userId).select('pushSubscriptions');
+    const subscriptions = (user?.pushSubscriptions || []).filter(subscription => !subscription.muted);
 
-    if (!subscription) {
+    if (subscriptions.length === 0) {
       console.log(`No push subscription found for user ${userId}`);
       return { success: false, error: 'No subscription found' };
     }
 
-    try {
-      const payload = JSON.stringify({
-        title: notification.title,
-        body: notification.body,
-        icon: '/icon-192x192.png',
-        badge: '/icon-192x192.png',
-        data: {
-          eventId: notification.eventId,
-          reminderId: notification.reminderId,
-          action: 'view_event'
+    const payload = JSON.stringify({
+      title: notification.title,
+      body: notification.body,
+      icon: '/icon-192x192.png',
+      badge: '/icon-192x192.png',
+      data: {
+        eventId: notification.eventId,
+        reminderId: notification.reminderId,
+        action: 'view_event',
+        actionUrl: notification.snooze?.url,
+        actionToken: notification.snooze?.token
+      },
+      // Browsers show the first few (Notification.maxActions), so snooze presets go first
+      actions: [
+        ...(notification.snooze?.presets || []).map(({ preset, label }) => ({
+          action: `snooze:${preset}`,
+          title: `Snooze: ${label}`
+        })),
+        {
+          action: 'view',
+          title: 'View Event'
         },
-        actions: [
-          {
-            action: 'view',
-            title: 'View Event'
-          },
-          {
-            action: 'dismiss',
-            title: 'Dismiss'
-          }
-        ]
-      });
+        {
+          action: 'dismiss',
+          title: 'Dismiss'
+        }
+      ]
+    });
 
-      const result = await webpush.sendNotification(subscription, payload);
-      console.log(`Push notification sent successfully to user ${userId}`);
-      return { success: true, result };
+    const results = await Promise.all(subscriptions.map(async subscription => {
+      try {
+        await webpush.sendNotification({ endpoint: subscription.endpoint, keys: subscription.keys }, payload);
+        return { subscription, success: true };
+      } catch (error) {
+        return { subscription, success: false, error };
+      }
+    }));
 
-    } catch (error) {
-      console.error(`Failed to send push notification to user ${userId}:`, error);
+    const sent = results.filter(result => result.success);
+    const gone = results.filter(result => !result.success && [404, 410].includes(result.error.statusCode));
+    const failed = results.filter(result => !result.success && !gone.includes(result));
 
-      // If subscription is invalid, remove it
-      if (error.statusCode === 410 || error.statusCode === 400) {
-        this.removeSubscription(userId);
-      }
+    await this.recordResults(userId, sent, failed, gone);
 
-      return { success: false, error: error.message };
+    if (sent.length === 0) {
+      const error = failed.length > 0 ? failed[0].error.message : 'All push subscriptions have expired';
+      console.error(`Failed to send push notification to user ${userId}: ${error}`);
+      return { success: false, error, sent: 0, failed: failed.length, pruned: gone.length };
+    }
+
+    console.log(`Push notification sent to ${sent.length} device(s) for user ${userId}`);
+    return { success: true, sent: sent.length, failed: failed.length, pruned: gone.length };
+  }
+
+  async recordResults(userId, sent, failed, gone) {
+    const now = new Date();
+    const updates = [
+      ...sent.map(({ subscription }) => ({
+        updateOne: {
+          filter: { _id: userId, 'pushSubscriptions._id': subscription._id },
+          update: { $set: { 'pushSubscriptions.$.lastSuccessAt': now } }
+        }
+      })),
+      ...failed.map(({ subscription, error }) => ({
+        updateOne: {
+          filter: { _id: userId, 'pushSubscriptions._id': subscription._id },
+          update: {
+            $set: { 'pushSubscriptions.$.lastFailureAt': now, 'pushSubscriptions.$.lastError': error.message }
+          }
+        }
+      }))
+    ];
+
+    if (gone.length > 0) {
+      updates.push({
+        updateOne: {
+          filter: { _id: userId },
+          update: { $pull: { pushSubscriptions: { _id: { $in: gone.map(({ subscription }) => subscription._id) } } } }
+        }
+      });
+      console.log(`Pruned ${gone.length} expired push subscription(s) for user ${userId}`);
+    }
+
+    if (updates.length > 0) {
+      await User.bulkWrite(updates);
     }
   }
 
@@ -79,7 +255,8 @@ class PushNotificationService {
       title: reminderData.title || 'Event Reminder',
       body: reminderData.message || 'You have an upcoming event',
       eventId: reminderData.eventId,
-      reminderId: reminderData.reminderId
+      reminderId: reminderData.reminderId,
+      snooze: reminderData.snooze
     };
 
     return await this.sendNotification(userId, notification);
@@ -108,16 +285,6 @@ class PushNotificationService {
 
     return await this.sendNotification(userId, testNotification);
   }
-
-  // Get subscription status for user
-  hasSubscription(userId) {
-    return this.subscriptions.has(userId);
-  }
-
-  // Get all active subscriptions (for debugging)
-  getSubscriptionCount() {
-    return this.subscriptions.size;
-  }
 }
 
 module.exports = new PushNotificationService();
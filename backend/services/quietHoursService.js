@@ -0,0 +1,175 @@
+// Quiet hours and do-not-disturb for reminders.
+// Quiet hours are daily "HH:MM" windows in preferences.timezone, with separate weekday and
+// weekend settings. Do-not-disturb is a one-off window until a given time.
+const {
+  getZonedParts,
+  zonedTimeToUtc,
+  parseTimeOfDay
+} = require('../utils/timezone');
+
+const MINUTE_MS = 60 * 1000;
+const CRITICAL_PRIORITY = 5;
+
+class QuietHoursService {
+  constructor() {
+    // Reminders moved earlier land this long before the window starts
+    this.earlyMarginMs = 5 * MINUTE_MS;
+    // Moving later is only allowed if it keeps this share of the intended lead time
+    this.minLeadShare = 0.5;
+  }
+
+  getSettings(user) {
+    const preferences = user?.preferences || {};
+    const quietHours = preferences.quietHours || {};
+    const doNotDisturb = preferences.doNotDisturb || {};
+
+    return {
+      timezone: preferences.timezone || 'UTC',
+      quietHours: quietHours.enabled
+        ? {
+          weekday: quietHours.weekday,
+          weekend: quietHours.weekend,
+          allowCritical: quietHours.allowCritical !== false
+        }
+        : null,
+      doNotDisturb: doNotDisturb.until
+        ? {
+          from: doNotDisturb.from || new Date(0),
+          until: doNotDisturb.until,
+          allowCritical: doNotDisturb.allowCritical !== false
+        }
+        : null
+    };
+  }
+
+  // The quiet window containing the instant, if any: { start, end, label, allowCritical }
+  findQuietWindow(date, settings) {
+    const time = new Date(date).getTime();
+    const { doNotDisturb, quietHours, timezone } = settings;
+
+    if (doNotDisturb && time >= new Date(doNotDisturb.from).getTime() && time < new Date(doNotDisturb.until).getTime()) {
+      return {
+        start: new Date(doNotDisturb.from),
+        end: new Date(doNotDisturb.until),
+        label: 'do not disturb',
+        allowCritical: doNotDisturb.allowCritical
+      };
+    }
+
+    if (!quietHours) return null;
+
+    // A window that started yesterday can still be running (e.g. 23:00-07:00)
+    const today = getZonedParts(date, timezone);
+    for (const offset of [-1, 0]) {
+      for (const type of ['weekday', 'weekend']) {
+        const schedule = quietHours[type];
+        const startMinutes = parseTimeOfDay(schedule?.start);
+        const endMinutes = parseTimeOfDay(schedule?.end);
+        if (startMinutes === null || endMinutes === null || startMinutes === endMinutes) continue;
+
+        // Weekday or weekend goes by the day the window ends on, so Friday night
+        // follows the weekend setting and Sunday night the weekday one
+        const startDay = today.day + offset;
+        const endDay = endMinutes < startMinutes ? startDay + 1 : startDay;
+        const endWeekday = new Date(Date.UTC(today.year, today.month - 1, endDay)).getUTCDay();
+        if ((endWeekday === 0 || endWeekday === 6) !== (type === 'weekend')) continue;
+
+        const at = (day, minutes) => zonedTimeToUtc({
+          year: today.year,
+          month: today.month,
+          day,
+          hour: Math.floor(minutes / 60),
+          minute: minutes % 60
+        }, timezone);
+        const start = at(startDay, startMinutes);
+        const end = at(endDay, endMinutes);
+
+        if (time >= start.getTime() && time < end.getTime()) {
+          return {
+            start,
+            end,
+            label: `quiet hours (${schedule.start}-${schedule.end})`,
+            allowCritical: quietHours.allowCritical
+          };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  isQuiet(date, user) {
+    return Boolean(this.findQuietWindow(date, this.getSettings(user)));
+  }
+
+  // Where a reminder for the event should go given the user's quiet windows.
+  // Later is preferred while it keeps enough lead time before the event; otherwise earlier,
+  // as long as that's still in the future. Critical events stay put if the window allows it.
+  // Returns { scheduledFor, moved, reason } - reason is null when nothing applied.
+  adjustReminderTime(scheduledFor, event, user, now = new Date()) {
+    const settings = this.getSettings(user);
+    const original = new Date(scheduledFor);
+    const eventTime = new Date(event.dateTime).getTime();
+    const leadMs = eventTime - original.getTime();
+
+    let time = original;
+    let firstWindow = null;
+    let direction = null;
+
+    // Moving out of one window can land in another (e.g. DND then quiet hours)
+    for (let i = 0; i < 5; i++) {
+      const window = this.findQuietWindow(time, settings);
+      if (!window) break;
+      firstWindow = firstWindow || window;
+
+      if (event.priority >= CRITICAL_PRIORITY && window.allowCritical) {
+        return {
+          scheduledFor: time,
+          moved: time.getTime() !== original.getTime(),
+          reason: `Critical event: delivered during ${window.label}`
+        };
+      }
+
+      const later = window.end;
+      const earlier = new Date(window.start.getTime() - this.earlyMarginMs);
+      const keepsLead = eventTime - later.getTime() >= leadMs * this.minLeadShare;
+
+      if (direction !== 'earlier' && keepsLead) {
+        time = later;
+        direction = 'later';
+      } else if (direction !== 'later' && earlier > now) {
+        time = earlier;
+        direction = 'earlier';
+      } else if (later.getTime() < eventTime) {
+        time = later;
+        direction = 'later';
+      } else {
+        return {
+          scheduledFor: original,
+          moved: false,
+          reason: `No time outside ${window.label} before the event; kept at ${this.formatLocal(original, settings.timezone)}`
+        };
+      }
+    }
+
+    if (!firstWindow) {
+      return { scheduledFor: original, moved: false, reason: null };
+    }
+
+    return {
+      scheduledFor: time,
+      moved: true,
+      reason: `Moved ${direction} from ${this.formatLocal(original, settings.timezone)} to ` +
+        `${this.formatLocal(time, settings.timezone)} to avoid ${firstWindow.label}`
+    };
+  }
+
+  // e.g. "Tue 02:00"
+  formatLocal(date, timezone) {
+    const { weekday, hour, minute } = getZonedParts(date, timezone);
+    const day = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][weekday];
+    return `${day} ${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+  }
+}
+
+module.exports = new QuietHoursService();
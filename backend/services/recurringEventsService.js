@@ -1,5 +1,11 @@
 const RecurringEventTemplate = require('../models/RecurringEventTemplate');
+const AcademicCalendar = require('../models/AcademicCalendar');
 const Event = require('../models/Event');
+const User = require('../models/User');
+const reminderScheduler = require('./reminderScheduler');
+const academicCalendarService = require('./academicCalendarService');
+const { parseRRule, formatRRule, expandRRule } = require('../utils/recurrence');
+const { getZonedParts, zonedTimeToUtc, addZonedDays } = require('../utils/timezone');
 
 class RecurringEventsService {
   // Create a recurring event template
@@ -9,9 +15,11 @@ class RecurringEventsService {
       baseEvent: templateData.baseEvent,
       recurrence: templateData.recurrence,
       autoCreateDaysBefore: templateData.autoCreateDaysBefore || 7,
+      academicTerm: templateData.academicTerm,
       isActive: true
     });
 
+    await this.syncAcademicTerm(template, { strict: true });
     await template.save();
     return template;
   }
@@ -22,11 +30,15 @@ class RecurringEventsService {
     const checkAheadDays = 14; // Check 2 weeks ahead
     const futureDate = new Date(now.getTime() + checkAheadDays * 24 * 60 * 60 * 1000);
 
-    // Get active templates
+    // Get active templates that haven't ended (open-ended RRULEs have no endDate)
     const templates = await RecurringEventTemplate.find({
       isActive: true,
-      'recurrence.endDate': { $gt: now }
-    }).populate('userId');
+      $or: [
+        { 'recurrence.endDate': { $exists: false } },
+        { 'recurrence.endDate': null },
+        { 'recurrence.endDate': { $gt: now } }
+      ]
+    }).populate('userId', 'preferences.timezone');
 
     for (const template of templates) {
       try {
@@ -37,110 +49,308 @@ class RecurringEventsService {
     }
   }
 
-  // Process individual template
+  // Process individual template. Safe to rerun: instances are keyed on (template, occurrence date)
   async processTemplate(template, futureDate) {
-    const instances = this.generateInstances(template, futureDate);
-
-    for (const instance of instances) {
-      // Check if instance already exists
-      const existingEvent = await Event.findOne({
-        userId: template.userId,
-        'recurringId': template._id,
-        dateTime: {
-          $gte: new Date(instance.dateTime.getTime() - 1000 * 60 * 5), // 5 min window
-          $lte: new Date(instance.dateTime.getTime() + 1000 * 60 * 5)
+    const userId = template.userId._id || template.userId;
+
+    // Pick up holidays added to the bound calendar since the last run
+    if (await this.syncAcademicTerm(template)) {
+      await RecurringEventTemplate.updateOne({ _id: template._id }, {
+        $set: {
+          'recurrence.endDate': template.recurrence.endDate,
+          'academicTerm.skipDates': template.academicTerm.skipDates,
+          'academicTerm.syncedAt': template.academicTerm.syncedAt
         }
       });
+    }
+
+    const instances = await this.planInstances(template, futureDate);
+    const created = [];
+
+    for (const instance of instances) {
+      const eventData = {
+        ...template.baseEvent,
+        ...instance.overrides,
+        userId,
+        dateTime: instance.dateTime,
+        endDateTime: instance.endDateTime,
+        isRecurring: true,
+        recurringId: template._id,
+        recurrenceDate: instance.recurrenceDate,
+        recurrenceException: instance.isException,
+        sourceType: 'recurring_template'
+      };
 
-      if (!existingEvent) {
-        // Create new event instance
-        const eventData = {
-          ...template.baseEvent,
-          userId: template.userId,
-          dateTime: instance.dateTime,
-          endDateTime: instance.endDateTime,
-          isRecurring: true,
-          recurringId: template._id,
-          sourceType: 'recurring_template'
-        };
-
-        const newEvent = new Event(eventData);
-        await newEvent.save();
-
-        // Update template with created event
-        template.createdEvents.push({
+      try {
+        const newEvent = await Event.create(eventData);
+        if (template.alarms && template.alarms.length > 0) {
+          await reminderScheduler.scheduleCustomReminders(newEvent, userId, template.alarms);
+        }
+        created.push({
           eventId: newEvent._id,
           createdDate: new Date(),
           scheduledDate: instance.dateTime
         });
+      } catch (error) {
+        // Another run already created this occurrence
+        if (error.code !== 11000) throw error;
       }
     }
 
-    await template.save();
+    // Atomic update so concurrent runs don't trip over each other's template saves
+    const update = {};
+    if (created.length > 0) {
+      update.$push = { createdEvents: { $each: created } };
+    }
+    if (instances.length > 0) {
+      const lastCreatedDate = instances[instances.length - 1].recurrenceDate;
+      update.$max = { lastCreatedDate };
+      if (!template.lastCreatedDate || template.lastCreatedDate < lastCreatedDate) {
+        template.lastCreatedDate = lastCreatedDate;
+      }
+    }
+    if (Object.keys(update).length > 0) {
+      await RecurringEventTemplate.updateOne({ _id: template._id }, update);
+    }
+
+    return created.length;
+  }
+
+  // Occurrences up to futureDate that don't have an event yet.
+  // Expansion resumes after lastCreatedDate rather than walking the series from its start.
+  async planInstances(template, futureDate) {
+    const now = new Date();
+    const from = template.lastCreatedDate && template.lastCreatedDate >= now
+      ? new Date(template.lastCreatedDate.getTime() + 1)
+      : now;
+    const instances = this.generateInstances(template, futureDate, this.getTemplateTimezone(template), from);
+
+    if (instances.length === 0) {
+      return instances;
+    }
+
+    // Older instances have no recurrenceDate, so fall back to a 5 min window on dateTime
+    const window = 1000 * 60 * 5;
+    const existing = await Event.find({
+      recurringId: template._id,
+      $or: [
+        { recurrenceDate: { $in: instances.map(instance => instance.recurrenceDate) } },
+        {
+          recurrenceDate: { $exists: false },
+          dateTime: {
+            $gte: new Date(instances[0].recurrenceDate.getTime() - window),
+            $lte: new Date(instances[instances.length - 1].recurrenceDate.getTime() + window)
+          }
+        }
+      ]
+    }).select('recurrenceDate dateTime');
+
+    return instances.filter(instance => !existing.some(event => (
+      event.recurrenceDate
+        ? event.recurrenceDate.getTime() === instance.recurrenceDate.getTime()
+        : Math.abs(event.dateTime - instance.recurrenceDate) <= window
+    )));
+  }
+
+  // Dry run: the occurrences processing would create up to `until`, without writing anything
+  async previewTemplate(templateId, userId, until) {
+    const template = await RecurringEventTemplate.findOne({
+      _id: templateId,
+      userId
+    }).populate('userId', 'preferences.timezone');
+
+    if (!template) {
+      throw new Error('Template not found');
+    }
+
+    const untilDate = until
+      ? new Date(until)
+      : new Date(Date.now() + template.autoCreateDaysBefore * 24 * 60 * 60 * 1000);
+    if (isNaN(untilDate)) {
+      throw new Error('Invalid until date');
+    }
+
+    const instances = await this.planInstances(template, untilDate);
+
+    return {
+      templateId: template._id,
+      timezone: this.getTemplateTimezone(template),
+      until: untilDate,
+      count: instances.length,
+      occurrences: instances.map(instance => ({
+        recurrenceDate: instance.recurrenceDate,
+        dateTime: instance.dateTime,
+        endDateTime: instance.endDateTime,
+        title: instance.overrides.title || template.baseEvent.title,
+        isException: instance.isException
+      }))
+    };
   }
 
   // Generate instances for a template
-  generateInstances(template, futureDate) {
-    const instances = [];
-    const startDate = template.recurrence.startDate;
-    const endDate = template.recurrence.endDate || futureDate;
-
-    let currentDate = new Date(startDate);
-    const maxInstances = 50; // Safety limit
-    let count = 0;
-
-    while (currentDate <= endDate && count < maxInstances) {
-      // Skip if date is in the past or excluded
-      if (currentDate >= new Date() && !this.isExcludedDate(currentDate, template.recurrence.skipDates)) {
-        const instance = this.createInstance(template, currentDate);
-        instances.push(instance);
-      }
+  generateInstances(template, futureDate, timezone = 'UTC', from = new Date()) {
+    const endDate = template.recurrence.endDate && template.recurrence.endDate < futureDate
+      ? template.recurrence.endDate
+      : futureDate;
+
+    const occurrences = expandRRule(this.getRecurrenceRule(template, timezone), {
+      start: template.recurrence.startDate,
+      timezone,
+      exdates: template.recurrence.exdates || [],
+      from,
+      until: endDate
+    });
+
+    const skipDates = [
+      ...(template.recurrence.skipDates || []),
+      ...(template.academicTerm?.skipDates || [])
+    ];
+
+    return occurrences
+      .filter(date => !this.isExcludedDate(date, skipDates, timezone))
+      .map(date => this.applyException(this.createInstance(template, date), this.findException(template, date)))
+      .filter(Boolean);
+  }
+
+  // Exception recorded for an occurrence, matched to the minute
+  findException(template, occurrenceDate) {
+    const minute = Math.floor(new Date(occurrenceDate).getTime() / 60000);
+    return (template.exceptions || []).find(exception =>
+      Math.floor(exception.originalDate.getTime() / 60000) === minute
+    ) || null;
+  }
+
+  // Apply a per-occurrence exception to a generated instance; cancelled ones are dropped
+  applyException(instance, exception) {
+    if (!exception) return instance;
+    if (exception.cancelled) return null;
+
+    const overrides = {};
+    ['title', 'description', 'location'].forEach(field => {
+      if (exception[field]) overrides[field] = exception[field];
+    });
 
-      // Move to next occurrence
-      currentDate = this.getNextOccurrence(currentDate, template.recurrence);
-      count++;
+    const dateTime = exception.dateTime || instance.dateTime;
+    let endDateTime = exception.endDateTime || instance.endDateTime;
+    if (!exception.endDateTime && instance.endDateTime) {
+      // A moved start keeps the series duration
+      endDateTime = new Date(instance.endDateTime.getTime() + (dateTime - instance.dateTime));
     }
 
-    return instances;
+    return {
+      ...instance,
+      dateTime,
+      endDateTime,
+      overrides,
+      isException: true
+    };
+  }
+
+  // Timezone the series is anchored to
+  getTemplateTimezone(template, user = null) {
+    const owner = user || (template.userId && template.userId.preferences ? template.userId : null);
+    return template.recurrence.timezone || owner?.preferences?.timezone || 'UTC';
+  }
+
+  // Check if date falls on a skipped calendar day (in the series timezone)
+  isExcludedDate(date, skipDates, timezone = 'UTC') {
+    if (!skipDates || skipDates.length === 0) return false;
+
+    const key = parts => `${parts.year}-${parts.month}-${parts.day}`;
+    const dateKey = key(getZonedParts(date, timezone));
+    return skipDates.some(skipDate => key(getZonedParts(skipDate, timezone)) === dateKey);
   }
 
-  // Check if date is excluded
-  isExcludedDate(date, skipDates) {
-    if (!skipDates) return false;
-    return skipDates.some(skipDate =>
-      skipDate.toDateString() === date.toDateString()
+  // Derive endDate and skip days from the bound academic term; returns whether anything changed.
+  // Strict mode (create/update) rejects calendars outside the user's college and unknown terms.
+  async syncAcademicTerm(template, { strict = false } = {}) {
+    const binding = template.academicTerm;
+    if (!binding || !binding.calendarId) return false;
+
+    const userId = template.userId._id || template.userId;
+    const calendar = strict
+      ? await academicCalendarService.getCalendar(binding.calendarId, userId)
+      : await AcademicCalendar.findById(binding.calendarId);
+
+    if (!calendar || !calendar.terms.id(binding.termId)) {
+      if (strict) throw new Error('Term not found in academic calendar');
+      return false;
+    }
+
+    const user = template.recurrence.timezone || template.userId.preferences
+      ? null
+      : await User.findById(userId).select('preferences.timezone');
+    const schedule = academicCalendarService.getTermSchedule(
+      calendar,
+      binding.termId,
+      binding.skipTypes,
+      this.getTemplateTimezone(template, user)
     );
+
+    // A series split off "this and following" ends before the split, even if the term runs on
+    const splitAt = template.recurrence.splitAt;
+    const endDate = splitAt && splitAt.getTime() - 1000 < schedule.endDate.getTime()
+      ? new Date(splitAt.getTime() - 1000)
+      : schedule.endDate;
+
+    const sameDates = (a = [], b = []) => a.length === b.length &&
+      a.every((date, i) => new Date(date).getTime() === b[i].getTime());
+    const changed = !template.recurrence.endDate ||
+      template.recurrence.endDate.getTime() !== endDate.getTime() ||
+      !sameDates(binding.skipDates, schedule.skipDates);
+
+    template.recurrence.endDate = endDate;
+    template.academicTerm.skipDates = schedule.skipDates;
+    template.academicTerm.syncedAt = new Date();
+
+    return changed;
   }
 
-  // Get next occurrence based on pattern
-  getNextOccurrence(currentDate, recurrence) {
-    const next = new Date(currentDate);
+  // Recurrence rule for a template; legacy patterns map onto equivalent RRULEs
+  getRecurrenceRule(template, timezone = 'UTC') {
+    const recurrence = template.recurrence;
+
+    if (recurrence.rrule) {
+      return parseRRule(recurrence.rrule);
+    }
+
+    const startWeekday = getZonedParts(recurrence.startDate, timezone).weekday;
+    const daysOfWeek = recurrence.daysOfWeek && recurrence.daysOfWeek.length > 0
+      ? [...recurrence.daysOfWeek]
+      : [startWeekday];
+    const byDay = daysOfWeek.sort((a, b) => a - b).map(weekday => ({ weekday, n: 0 }));
 
     switch (recurrence.pattern) {
-      case 'weekly':
-        next.setDate(next.getDate() + 7);
-        break;
       case 'biweekly':
-        next.setDate(next.getDate() + 14);
-        break;
+        return { ...parseRRule('FREQ=WEEKLY;INTERVAL=2'), byDay };
       case 'monthly':
-        next.setMonth(next.getMonth() + 1);
-        break;
+        // Same day of month as startDate; months without that day are skipped
+        return parseRRule('FREQ=MONTHLY');
       case 'custom':
-        next.setDate(next.getDate() + (recurrence.customInterval || 7));
-        break;
+        // Custom with days of week = "every Tue and Thu", otherwise every N days
+        if (recurrence.daysOfWeek && recurrence.daysOfWeek.length > 0) {
+          return { ...parseRRule('FREQ=WEEKLY'), byDay };
+        }
+        return parseRRule(`FREQ=DAILY;INTERVAL=${recurrence.customInterval || 7}`);
+      case 'weekly':
       default:
-        next.setDate(next.getDate() + 7); // Default to weekly
+        return { ...parseRRule('FREQ=WEEKLY'), byDay };
     }
+  }
 
-    return next;
+  // RRULE string equivalent to a template's recurrence
+  getRRuleString(template, timezone = 'UTC') {
+    return formatRRule(this.getRecurrenceRule(template, timezone));
   }
 
   // Create event instance from template
   createInstance(template, date) {
     const instance = {
       dateTime: new Date(date),
-      endDateTime: null
+      endDateTime: null,
+      recurrenceDate: new Date(date),
+      overrides: {},
+      isException: false
     };
 
     // Calculate end time if duration is specified
@@ -163,11 +373,404 @@ class RecurringEventsService {
     }
 
     Object.assign(template, updates);
+    if (updates.academicTerm !== undefined) {
+      await this.syncAcademicTerm(template, { strict: true });
+    }
+    const baseEventChanged = template.isModified('baseEvent');
+    const recurrenceChanged = template.isModified('recurrence') || template.isModified('exceptions');
     await template.save();
 
+    // Keep already-generated instances in line with the series
+    if (baseEventChanged) {
+      await this.syncFutureInstances(template);
+    }
+    if (recurrenceChanged) {
+      await this.regenerateFutureInstances(template);
+    }
+
     return template;
   }
 
+  // Future generated instances that still follow the series (not individually edited)
+  getFutureSeriesEvents(template, from = new Date()) {
+    return Event.find({
+      userId: template.userId._id || template.userId,
+      recurringId: template._id,
+      recurrenceException: { $ne: true },
+      status: 'scheduled',
+      dateTime: { $gte: from }
+    });
+  }
+
+  // Copy series-wide details onto future instances
+  async syncFutureInstances(template) {
+    const events = await this.getFutureSeriesEvents(template);
+    const { title, description, location, category, priority, tags, duration } = template.baseEvent;
+
+    for (const event of events) {
+      Object.assign(event, { title, description, location, category, priority, tags });
+      if (duration) {
+        event.endDateTime = new Date(event.dateTime.getTime() + duration * 60 * 1000);
+      }
+      await event.save();
+    }
+
+    return events.length;
+  }
+
+  // Replace future instances after the schedule changed
+  async regenerateFutureInstances(template) {
+    const events = await this.getFutureSeriesEvents(template);
+
+    for (const event of events) {
+      await reminderScheduler.cancelEventReminders(event._id);
+    }
+    await Event.deleteMany({ _id: { $in: events.map(e => e._id) } });
+
+    // Generation resumes after lastCreatedDate, so start over from now
+    template.lastCreatedDate = undefined;
+    await RecurringEventTemplate.updateOne({ _id: template._id }, { $unset: { lastCreatedDate: 1 } });
+
+    await template.populate('userId', 'preferences.timezone');
+    if (template.isActive) {
+      await this.processTemplate(template, new Date(Date.now() + 14 * 24 * 60 * 60 * 1000));
+    }
+
+    return events.length;
+  }
+
+  // Resolve an occurrence from a route param: an exact start time or a YYYY-MM-DD day
+  findOccurrence(template, value, timezone) {
+    const rule = this.getRecurrenceRule(template, timezone);
+    const expand = (from, until) => expandRRule(rule, {
+      start: template.recurrence.startDate,
+      timezone,
+      from,
+      until,
+      limit: 1
+    });
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      const [year, month, day] = value.split('-').map(Number);
+      const dayStart = zonedTimeToUtc({ year, month, day }, timezone);
+      const dayEnd = new Date(addZonedDays(dayStart, 1, timezone).getTime() - 1);
+      return expand(dayStart, dayEnd)[0] || null;
+    }
+
+    const date = new Date(value);
+    if (isNaN(date)) {
+      throw new Error('Invalid occurrence date');
+    }
+
+    // Allow for clients that drop seconds
+    return expand(new Date(date.getTime() - 60 * 1000), new Date(date.getTime() + 60 * 1000))[0] || null;
+  }
+
+  // Edit or cancel one occurrence, or split the series from it
+  async updateOccurrence(templateId, userId, dateValue, { scope = 'this', action = 'modify', changes = {} } = {}) {
+    if (!['this', 'following'].includes(scope)) {
+      throw new Error('Scope must be "this" or "following"');
+    }
+    if (!['modify', 'cancel'].includes(action)) {
+      throw new Error('Action must be "modify" or "cancel"');
+    }
+
+    const template = await RecurringEventTemplate.findOne({
+      _id: templateId,
+      userId
+    });
+
+    if (!template) {
+      throw new Error('Template not found');
+    }
+
+    const user = await User.findById(userId).select('preferences.timezone');
+    const timezone = this.getTemplateTimezone(template, user);
+    const occurrence = this.findOccurrence(template, dateValue, timezone);
+
+    if (!occurrence) {
+      throw new Error('No occurrence of this series on that date');
+    }
+
+    const normalized = this.normalizeOccurrenceChanges(changes, occurrence, scope);
+
+    if (scope === 'this') {
+      return await this.updateSingleOccurrence(template, occurrence, action, normalized);
+    }
+    return await this.splitSeries(template, occurrence, action, normalized, timezone);
+  }
+
+  // Validate and pick the fields an occurrence edit may change
+  normalizeOccurrenceChanges(changes, occurrence, scope) {
+    const allowed = scope === 'this'
+      ? ['dateTime', 'endDateTime', 'title', 'description', 'location']
+      : ['dateTime', 'endDateTime', 'title', 'description', 'location', 'category', 'priority', 'tags'];
+
+    const normalized = {};
+    allowed.forEach(field => {
+      if (changes[field] !== undefined) normalized[field] = changes[field];
+    });
+
+    ['dateTime', 'endDateTime'].forEach(field => {
+      if (normalized[field] !== undefined) {
+        normalized[field] = new Date(normalized[field]);
+        if (isNaN(normalized[field])) {
+          throw new Error(`Invalid ${field}`);
+        }
+      }
+    });
+
+    const start = normalized.dateTime || occurrence;
+    if (normalized.endDateTime && normalized.endDateTime <= start) {
+      throw new Error('End date must be after start date');
+    }
+
+    return normalized;
+  }
+
+  // Generated event for an occurrence, if one exists yet
+  findOccurrenceEvent(template, occurrence) {
+    return Event.findOne({
+      userId: template.userId,
+      recurringId: template._id,
+      $or: [
+        { recurrenceDate: occurrence },
+        {
+          recurrenceDate: { $exists: false },
+          dateTime: {
+            $gte: new Date(occurrence.getTime() - 1000 * 60 * 5),
+            $lte: new Date(occurrence.getTime() + 1000 * 60 * 5)
+          }
+        }
+      ]
+    });
+  }
+
+  // Record an exception for one occurrence and apply it to its generated event
+  async updateSingleOccurrence(template, occurrence, action, changes) {
+    let exception = this.findException(template, occurrence);
+    if (!exception) {
+      template.exceptions.push({ originalDate: occurrence });
+      exception = template.exceptions[template.exceptions.length - 1];
+    }
+
+    if (action === 'cancel') {
+      exception.cancelled = true;
+    } else {
+      exception.cancelled = false;
+      Object.assign(exception, changes);
+    }
+
+    await template.save();
+
+    const event = await this.findOccurrenceEvent(template, occurrence);
+    if (event) {
+      if (action === 'cancel') {
+        event.status = 'cancelled';
+        await event.save();
+        await reminderScheduler.cancelEventReminders(event._id);
+      } else {
+        const timeChanged = changes.dateTime && changes.dateTime.getTime() !== event.dateTime.getTime();
+
+        // Moving the start keeps the instance's length unless a new end is given
+        if (changes.dateTime && !changes.endDateTime && event.endDateTime) {
+          event.endDateTime = new Date(changes.dateTime.getTime() + (event.endDateTime - event.dateTime));
+        }
+        Object.assign(event, changes);
+        event.recurrenceDate = occurrence;
+        event.recurrenceException = true;
+        await event.save();
+
+        if (timeChanged) {
+          await reminderScheduler.rescheduleEventReminders(event._id, event.dateTime);
+        }
+      }
+    }
+
+    return {
+      message: action === 'cancel' ? 'Occurrence cancelled' : 'Occurrence updated',
+      scope: 'this',
+      template,
+      event
+    };
+  }
+
+  // "This and all following": end the current series before the pivot and start a new one there
+  async splitSeries(template, pivot, action, changes, timezone) {
+    const rule = this.getRecurrenceRule(template, timezone);
+    const ruleChanges = action === 'modify' && changes.dateTime
+      ? this.getMovedRuleDays(rule, pivot, changes.dateTime, timezone)
+      : {};
+
+    // COUNT has to be shared between the two halves
+    if (rule.count) {
+      const used = expandRRule(rule, {
+        start: template.recurrence.startDate,
+        timezone,
+        until: new Date(pivot.getTime() - 1)
+      }).length;
+      rule.count = rule.count - used;
+    }
+
+    const oldEnd = template.recurrence.endDate;
+    template.recurrence.endDate = new Date(pivot.getTime() - 1000);
+    template.recurrence.splitAt = pivot;
+
+    // Cancelling the rest of the series doesn't need a new template
+    if (action === 'cancel') {
+      template.exceptions = template.exceptions.filter(e => e.originalDate < pivot);
+      await template.save();
+
+      const events = await this.getSeriesEventsFrom(template, pivot);
+      for (const event of events) {
+        event.status = 'cancelled';
+        await event.save();
+        await reminderScheduler.cancelEventReminders(event._id);
+      }
+
+      return {
+        message: 'Occurrence and all following cancelled',
+        scope: 'following',
+        template,
+        eventsUpdated: events.length
+      };
+    }
+
+    const newStart = changes.dateTime || pivot;
+    const delta = newStart.getTime() - pivot.getTime();
+
+    Object.assign(rule, ruleChanges);
+
+    const baseEvent = { ...template.toObject().baseEvent };
+    ['title', 'description', 'location', 'category', 'priority', 'tags'].forEach(field => {
+      if (changes[field] !== undefined) baseEvent[field] = changes[field];
+    });
+    if (changes.endDateTime) {
+      baseEvent.duration = Math.round((changes.endDateTime - newStart) / (60 * 1000));
+    }
+
+    const shift = date => new Date(date.getTime() + delta);
+    const newTemplate = new RecurringEventTemplate({
+      userId: template.userId,
+      baseEvent,
+      recurrence: {
+        pattern: 'rrule',
+        rrule: formatRRule(rule),
+        startDate: newStart,
+        endDate: oldEnd,
+        timezone: template.recurrence.timezone,
+        skipDates: (template.recurrence.skipDates || []).filter(date => date >= pivot),
+        exdates: (template.recurrence.exdates || []).filter(date => date >= pivot).map(shift)
+      },
+      exceptions: template.exceptions
+        .filter(e => e.originalDate >= pivot)
+        .map(e => ({ ...e.toObject(), _id: undefined, originalDate: shift(e.originalDate) })),
+      academicTerm: template.academicTerm?.calendarId
+        ? {
+          calendarId: template.academicTerm.calendarId,
+          termId: template.academicTerm.termId,
+          skipTypes: template.academicTerm.skipTypes
+        }
+        : undefined,
+      splitFrom: template._id,
+      autoCreateDaysBefore: template.autoCreateDaysBefore,
+      isActive: template.isActive
+    });
+
+    template.exceptions = template.exceptions.filter(e => e.originalDate < pivot);
+    // The new half keeps following the term's end and holidays
+    await this.syncAcademicTerm(newTemplate);
+    await newTemplate.save();
+    await template.save();
+
+    // Move following instances to the new series; individually edited ones keep their edits
+    const events = await this.getSeriesEventsFrom(template, pivot);
+    for (const event of events) {
+      const previousStart = event.dateTime.getTime();
+      event.recurringId = newTemplate._id;
+      event.recurrenceDate = shift(event.recurrenceDate || event.dateTime);
+
+      if (!event.recurrenceException) {
+        ['title', 'description', 'location', 'category', 'priority', 'tags'].forEach(field => {
+          if (changes[field] !== undefined) event[field] = changes[field];
+        });
+        event.dateTime = shift(event.dateTime);
+        if (changes.endDateTime) {
+          event.endDateTime = new Date(event.dateTime.getTime() + baseEvent.duration * 60 * 1000);
+        } else if (event.endDateTime) {
+          event.endDateTime = shift(event.endDateTime);
+        }
+      }
+
+      await event.save();
+
+      if (event.dateTime.getTime() !== previousStart && event.status === 'scheduled') {
+        await reminderScheduler.rescheduleEventReminders(event._id, event.dateTime);
+      }
+    }
+
+    return {
+      message: 'Series split from this occurrence',
+      scope: 'following',
+      template,
+      newTemplate,
+      eventsUpdated: events.length
+    };
+  }
+
+  // Rule parts that follow an occurrence moved from one day to another. Every following instance
+  // moves by the same amount, so a rule whose days can't move with them (several weekdays,
+  // "2nd Wednesday", the last day of the month) is rejected rather than left on the old days.
+  getMovedRuleDays(rule, from, to, timezone) {
+    const before = getZonedParts(from, timezone);
+    const after = getZonedParts(to, timezone);
+    if (before.year === after.year && before.month === after.month && before.day === after.day) {
+      return {};
+    }
+
+    const cannotMove = 'This series repeats on specific days; change its days in the series settings instead of moving an occurrence to another day';
+    if (rule.bySetPos.length > 0) throw new Error(cannotMove);
+
+    switch (rule.freq) {
+      case 'WEEKLY':
+        if (rule.byDay.length > 1) throw new Error(cannotMove);
+        return rule.byDay.length === 1 ? { byDay: [{ weekday: after.weekday, n: 0 }] } : {};
+
+      case 'MONTHLY':
+      case 'YEARLY': {
+        if (rule.byDay.length > 0 || rule.byMonthDay.length > 1 ||
+            (rule.byMonthDay.length === 1 && rule.byMonthDay[0] !== before.day)) {
+          throw new Error(cannotMove);
+        }
+        const moved = rule.byMonthDay.length === 1 ? { byMonthDay: [after.day] } : {};
+        if (rule.byMonth.length > 0 && after.month !== before.month) {
+          if (rule.byMonth.length > 1 || rule.freq === 'MONTHLY') throw new Error(cannotMove);
+          moved.byMonth = [after.month];
+        }
+        return moved;
+      }
+
+      default:
+        // DAILY and shorter steps follow the new start, unless limited to some weekdays or days
+        if (rule.byDay.length > 0 || rule.byMonthDay.length > 0 || rule.byMonth.length > 0) {
+          throw new Error(cannotMove);
+        }
+        return {};
+    }
+  }
+
+  // Instances of a series from an occurrence date onwards
+  getSeriesEventsFrom(template, pivot) {
+    return Event.find({
+      userId: template.userId,
+      recurringId: template._id,
+      $or: [
+        { recurrenceDate: { $gte: pivot } },
+        { recurrenceDate: { $exists: false }, dateTime: { $gte: pivot } }
+      ]
+    });
+  }
+
   // Delete template and associated events
   async deleteTemplate(templateId, userId, deleteEvents = false) {
     const template = await RecurringEventTemplate.findOne({
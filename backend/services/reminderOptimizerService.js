@@ -1,199 +1,520 @@
+// Learned reminder timing.
+//
+// Every delivery and every reaction to a reminder goes into the ReminderInteraction log.
+// Training turns the log into delivered/engaged counts per local hour, weekday and
+// (category, lead time) bucket, for each user and summed into a global model. Predictions
+// blend the two with Bayesian smoothing: a user's rate for a bucket is
+//   (engaged + k * prior) / (delivered + k)
+// where the prior is the global rate for the same bucket, so users with little history get
+// the global behaviour and drift towards their own as data comes in.
 const Reminder = require('../models/Reminder');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const ReminderInteraction = require('../models/ReminderInteraction');
+const ReminderTimingModel = require('../models/ReminderTimingModel');
+const quietHoursService = require('./quietHoursService');
+const { getZonedParts } = require('../utils/timezone');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const ENGAGED_TYPES = ['opened', 'clicked', 'snoozed'];
+const INTERACTION_TYPES = ['delivered', 'opened', 'clicked', 'dismissed', 'snoozed', 'attended'];
+// Lead-time buckets in seconds: 1h, 2h, 6h, 1d, 3d, 1w
+const LEAD_BUCKETS = [3600, 7200, 21600, 86400, 259200, 604800];
 
 class ReminderOptimizerService {
-  // Calculate optimal reminder time for a user
-  async calculateOptimalReminderTime(userId, eventDateTime, daysBefore = 7) {
-    try {
-      // Get user's historical reminder interactions
-      const interactions = await this.getUserEngagementHistory(userId);
-
-      if (interactions.length === 0) {
-        // No history, use default time (1 week before, 8 AM)
-        const defaultTime = new Date(eventDateTime);
-        defaultTime.setDate(defaultTime.getDate() - daysBefore);
-        defaultTime.setHours(8, 0, 0, 0);
-        return {
-          scheduledFor: defaultTime,
-          confidence: 0.5,
-          reason: 'Default time - no engagement history available'
-        };
-      }
+  constructor() {
+    this.priorStrength = 10; // Pseudo-observations of the global prior in a user's estimate
+    this.globalPriorStrength = 5; // Same, for global buckets towards the global average
+    this.trainingWindowDays = 180;
+    this.modelMaxAgeMs = DAY_MS;
+    this.minConfidence = 0.5; // Below this, reminders keep their fixed offsets
+    this.globalModel = null;
+  }
 
-      // Analyze engagement patterns
-      const optimalTime = this.analyzeEngagementPatterns(interactions, eventDateTime, daysBefore);
+  // Interaction log
 
-      return optimalTime;
-    } catch (error) {
-      console.error('Error calculating optimal reminder time:', error);
-      // Fallback to default
-      const defaultTime = new Date(eventDateTime);
-      defaultTime.setDate(defaultTime.getDate() - daysBefore);
-      defaultTime.setHours(8, 0, 0, 0);
-      return {
-        scheduledFor: defaultTime,
-        confidence: 0.5,
-        reason: 'Fallback due to calculation error'
-      };
+  // Called by the scheduler after a reminder went out
+  async recordDelivery(reminder, event, user, channel, at = new Date()) {
+    const { hour, weekday } = getZonedParts(at, user.preferences?.timezone || 'UTC');
+
+    await ReminderInteraction.create({
+      userId: user._id,
+      reminderId: reminder._id,
+      eventId: event._id,
+      type: 'delivered',
+      at,
+      localHour: hour,
+      localDay: weekday,
+      leadSeconds: Math.round((new Date(event.dateTime).getTime() - at.getTime()) / 1000),
+      category: event.category,
+      priority: event.priority,
+      channel,
+      optimized: reminder.optimizationConfidence != null
+    });
+  }
+
+  // Record user interaction for learning: opened, clicked, dismissed or snoozed. Only the
+  // owner's reminders can be marked.
+  async recordInteraction(reminderId, userId, action, timestamp = new Date()) {
+    if (!INTERACTION_TYPES.includes(action) || action === 'delivered' || action === 'attended') {
+      throw new Error('Action must be one of: opened, clicked, dismissed, snoozed');
     }
+
+    const reminder = await Reminder.findOneAndUpdate(
+      { _id: reminderId, userId },
+      { [`interactions.${action}`]: timestamp },
+      { new: true }
+    ).select('userId eventId');
+    if (!reminder) {
+      throw new Error('Reminder not found');
+    }
+
+    await ReminderInteraction.create({
+      userId: reminder.userId,
+      reminderId: reminder._id,
+      eventId: reminder.eventId,
+      type: action,
+      at: timestamp
+    });
   }
 
-  // Get user's historical engagement data
-  async getUserEngagementHistory(userId, limit = 100) {
-    const interactions = await Reminder.find({
-      userId,
-      status: { $in: ['sent', 'snoozed'] },
-      sentAt: { $exists: true }
-    })
-    .select('sentAt status snoozedUntil')
-    .sort({ sentAt: -1 })
-    .limit(limit);
-
-    // Convert to engagement data
-    return interactions.map(interaction => ({
-      timestamp: interaction.sentAt,
-      wasEngaged: interaction.status === 'snoozed' || interaction.snoozedUntil, // User interacted
-      hour: interaction.sentAt.getHours(),
-      dayOfWeek: interaction.sentAt.getDay(),
-      wasSnoozed: !!interaction.snoozedUntil
-    }));
+  // The user went to the event (completed it or checked in)
+  async recordAttendance(eventId, userId, at = new Date()) {
+    const existing = await ReminderInteraction.exists({ eventId, userId, type: 'attended' });
+    if (existing) return;
+
+    await ReminderInteraction.create({ userId, eventId, type: 'attended', at });
+  }
+
+  // Training
+
+  emptyCounts() {
+    return {
+      overall: { delivered: 0, engaged: 0 },
+      hours: Array.from({ length: 24 }, () => ({ delivered: 0, engaged: 0 })),
+      days: Array.from({ length: 7 }, () => ({ delivered: 0, engaged: 0 })),
+      leads: new Map()
+    };
+  }
+
+  // Nearest bucket on a log scale
+  leadBucket(leadSeconds) {
+    if (!(leadSeconds > 0)) return LEAD_BUCKETS[0];
+    return LEAD_BUCKETS.reduce((best, bucket) =>
+      Math.abs(Math.log(bucket / leadSeconds)) < Math.abs(Math.log(best / leadSeconds)) ? bucket : best
+    );
   }
 
-  // Analyze patterns and find optimal time
-  analyzeEngagementPatterns(interactions, eventDateTime, daysBefore) {
-    // Calculate engagement rates by hour and day
-    const hourlyEngagement = new Array(24).fill(0);
-    const hourlyTotal = new Array(24).fill(0);
-    const dailyEngagement = new Array(7).fill(0);
-    const dailyTotal = new Array(7).fill(0);
+  // One sample per delivered reminder: { delivery, engaged, attended }
+  async loadSamples(userId, since) {
+    const interactions = await ReminderInteraction.find({ userId, at: { $gte: since } })
+      .sort({ at: 1 })
+      .lean();
+
+    const byReminder = new Map();
+    const attendedEvents = new Set();
 
     interactions.forEach(interaction => {
-      const hour = interaction.hour;
-      const day = interaction.dayOfWeek;
+      if (interaction.type === 'attended') {
+        attendedEvents.add(String(interaction.eventId));
+        return;
+      }
+      if (!interaction.reminderId) return;
+
+      const key = String(interaction.reminderId);
+      if (interaction.type === 'delivered') {
+        // A snoozed reminder is delivered again; each delivery is its own sample
+        const samples = byReminder.get(key) || [];
+        samples.push({ delivery: interaction, engaged: false });
+        byReminder.set(key, samples);
+      } else if (ENGAGED_TYPES.includes(interaction.type)) {
+        const latest = byReminder.get(key)?.slice(-1)[0];
+        if (latest) latest.engaged = true;
+      }
+    });
 
-      hourlyTotal[hour]++;
-      dailyTotal[day]++;
+    return [...byReminder.values()].flat().map(sample => ({
+      ...sample,
+      attended: attendedEvents.has(String(sample.delivery.eventId))
+    }));
+  }
 
-      if (interaction.wasEngaged) {
-        hourlyEngagement[hour]++;
-        dailyEngagement[day]++;
+  countSamples(samples, counts = this.emptyCounts()) {
+    samples.forEach(({ delivery, engaged, attended }) => {
+      const add = (bucket, success) => {
+        bucket.delivered++;
+        if (success) bucket.engaged++;
+      };
+
+      add(counts.overall, engaged);
+      if (delivery.localHour != null) add(counts.hours[delivery.localHour], engaged);
+      if (delivery.localDay != null) add(counts.days[delivery.localDay], engaged);
+
+      if (delivery.category && delivery.leadSeconds != null) {
+        const key = `${delivery.category}:${this.leadBucket(delivery.leadSeconds)}`;
+        if (!counts.leads.has(key)) {
+          counts.leads.set(key, {
+            category: delivery.category,
+            bucket: this.leadBucket(delivery.leadSeconds),
+            delivered: 0,
+            engaged: 0
+          });
+        }
+        add(counts.leads.get(key), engaged || attended);
       }
     });
 
-    // Calculate engagement rates
-    const hourlyRates = hourlyEngagement.map((engaged, hour) =>
-      hourlyTotal[hour] > 0 ? engaged / hourlyTotal[hour] : 0
-    );
+    return counts;
+  }
 
-    const dailyRates = dailyEngagement.map((engaged, day) =>
-      dailyTotal[day] > 0 ? engaged / dailyTotal[day] : 0
-    );
+  mergeCounts(target, source) {
+    const merge = (a, b) => {
+      a.delivered += b.delivered;
+      a.engaged += b.engaged;
+    };
+
+    merge(target.overall, source.overall);
+    source.hours.forEach((bucket, hour) => merge(target.hours[hour], bucket));
+    source.days.forEach((bucket, day) => merge(target.days[day], bucket));
+    source.leads.forEach((bucket, key) => {
+      if (!target.leads.has(key)) {
+        target.leads.set(key, { ...bucket, delivered: 0, engaged: 0 });
+      }
+      merge(target.leads.get(key), bucket);
+    });
+  }
 
-    // Find best hour and day combination
-    let bestHour = 8; // Default 8 AM
-    let bestDayOffset = daysBefore; // Default days before
-    let maxScore = 0;
-    let bestConfidence = 0.5;
-
-    // Try different combinations
-    for (let dayOffset = 1; dayOffset <= 14; dayOffset++) { // 1-14 days before
-      for (let hour = 6; hour <= 22; hour++) { // 6 AM to 10 PM
-        const eventTime = new Date(eventDateTime);
-        eventTime.setDate(eventTime.getDate() - dayOffset);
-        eventTime.setHours(hour, 0, 0, 0);
-
-        // Skip if in the past
-        if (eventTime < new Date()) continue;
-
-        const dayOfWeek = eventTime.getDay();
-        const hourRate = hourlyRates[hour] || 0;
-        const dayRate = dailyRates[dayOfWeek] || 0;
-
-        // Combined score (weighted average)
-        const score = (hourRate * 0.7) + (dayRate * 0.3);
-        const confidence = Math.min(hourlyTotal[hour] + dailyTotal[dayOfWeek], 50) / 50; // Max confidence at 50 samples
-
-        if (score > maxScore && confidence > 0.3) {
-          maxScore = score;
-          bestHour = hour;
-          bestDayOffset = dayOffset;
-          bestConfidence = confidence;
+  async saveModel(userId, counts) {
+    return await ReminderTimingModel.findOneAndUpdate(
+      { userId },
+      {
+        $set: {
+          overall: counts.overall,
+          hours: counts.hours,
+          days: counts.days,
+          leads: [...counts.leads.values()],
+          trainedAt: new Date()
         }
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  async trainUserModel(userId) {
+    const since = new Date(Date.now() - this.trainingWindowDays * DAY_MS);
+    const counts = this.countSamples(await this.loadSamples(userId, since));
+    await this.saveModel(userId, counts);
+    return counts;
+  }
+
+  // Retrain every user with recent interactions, and the global model as their sum
+  async trainAll() {
+    const since = new Date(Date.now() - this.trainingWindowDays * DAY_MS);
+    const userIds = await ReminderInteraction.distinct('userId', { at: { $gte: since } });
+    const global = this.emptyCounts();
+
+    for (const userId of userIds) {
+      try {
+        this.mergeCounts(global, await this.trainUserModel(userId));
+      } catch (error) {
+        console.error(`Error training reminder model for user ${userId}:`, error);
       }
     }
 
-    // Calculate final scheduled time
-    const scheduledFor = new Date(eventDateTime);
-    scheduledFor.setDate(scheduledFor.getDate() - bestDayOffset);
-    scheduledFor.setHours(bestHour, 0, 0, 0);
+    this.globalModel = await this.saveModel(null, global);
+    return { users: userIds.length, samples: global.overall.delivered };
+  }
+
+  async getGlobalModel() {
+    if (!this.globalModel || Date.now() - this.globalModel.trainedAt > HOUR_MS) {
+      this.globalModel = await ReminderTimingModel.findOne({ userId: null }) || this.globalModel;
+    }
+    return this.globalModel;
+  }
+
+  // The user's model, retrained when it is older than a day
+  async getUserModel(userId) {
+    const model = await ReminderTimingModel.findOne({ userId });
+    if (model && Date.now() - model.trainedAt < this.modelMaxAgeMs) {
+      return model;
+    }
+
+    await this.trainUserModel(userId);
+    return await ReminderTimingModel.findOne({ userId });
+  }
+
+  // Prediction
+
+  // (engaged + k * prior) / (delivered + k), with how much of it is the user's own data
+  smooth(bucket, prior, strength) {
+    const delivered = bucket?.delivered || 0;
+    const engaged = bucket?.engaged || 0;
+    return {
+      rate: (engaged + strength * prior) / (delivered + strength),
+      confidence: delivered / (delivered + strength),
+      samples: delivered
+    };
+  }
+
+  // Smoothed rate estimators for a user, falling back through the global model
+  async getEstimator(userId) {
+    const [userModel, globalModel] = await Promise.all([this.getUserModel(userId), this.getGlobalModel()]);
+
+    // Laplace-smoothed global average, the prior for everything else
+    const globalOverall = globalModel?.overall || { delivered: 0, engaged: 0 };
+    const base = (globalOverall.engaged + 1) / (globalOverall.delivered + 2);
+
+    const globalBucket = (bucket, prior = base) =>
+      this.smooth(bucket, prior, this.globalPriorStrength).rate;
+    const userBucket = (bucket, prior) => this.smooth(bucket, prior, this.priorStrength);
+
+    const globalLead = (category, bucket) => {
+      const leads = globalModel?.leads || [];
+      const sameBucket = leads.filter(lead => lead.bucket === bucket);
+      const anyCategory = sameBucket.reduce((sum, lead) => ({
+        delivered: sum.delivered + lead.delivered,
+        engaged: sum.engaged + lead.engaged
+      }), { delivered: 0, engaged: 0 });
+      return globalBucket(sameBucket.find(lead => lead.category === category), globalBucket(anyCategory));
+    };
+
+    return {
+      samples: userModel?.overall?.delivered || 0,
+      overall: userBucket(userModel?.overall, base),
+      hour: hour => userBucket(userModel?.hours?.[hour], globalBucket(globalModel?.hours?.[hour])),
+      day: day => userBucket(userModel?.days?.[day], globalBucket(globalModel?.days?.[day])),
+      lead: (category, bucket) => userBucket(
+        (userModel?.leads || []).find(lead => lead.category === category && lead.bucket === bucket),
+        globalLead(category, bucket)
+      )
+    };
+  }
+
+  // Probability a reminder delivered at this time gets a response
+  scoreSlot(estimator, date, timezone) {
+    const { hour, weekday } = getZonedParts(date, timezone);
+    const hourEstimate = estimator.hour(hour);
+    const dayEstimate = estimator.day(weekday);
+
+    return {
+      score: hourEstimate.rate * 0.7 + dayEstimate.rate * 0.3,
+      confidence: hourEstimate.confidence * 0.7 + dayEstimate.confidence * 0.3,
+      hour,
+      weekday
+    };
+  }
+
+  // Calculate optimal reminder time for a user: the best-scoring hour within a window around
+  // the intended lead time, skipping quiet hours and the past
+  async calculateOptimalReminderTime(userId, eventDateTime, daysBefore = 7) {
+    const eventTime = new Date(eventDateTime).getTime();
+    const intended = new Date(eventTime - daysBefore * DAY_MS);
+
+    try {
+      const user = await User.findById(userId).select('preferences');
+      return await this.optimizeSlot(userId, user, eventTime, intended);
+    } catch (error) {
+      console.error('Error calculating optimal reminder time:', error);
+      return {
+        scheduledFor: intended,
+        confidence: 0,
+        reason: 'Fallback due to calculation error'
+      };
+    }
+  }
+
+  async optimizeSlot(userId, user, eventTime, intended) {
+    const timezone = user?.preferences?.timezone || 'UTC';
+    const settings = quietHoursService.getSettings(user);
+    const estimator = await this.getEstimator(userId);
+    const now = Date.now();
+
+    // Stay within a quarter of the lead time (at least 2 hours) of the intended slot
+    const leadMs = eventTime - intended.getTime();
+    const spread = Math.max(leadMs * 0.25, 2 * HOUR_MS);
+    const start = Math.max(intended.getTime() - spread, now + 5 * 60 * 1000);
+    const end = Math.min(intended.getTime() + spread, eventTime - Math.min(leadMs / 2, HOUR_MS));
+
+    let best = { time: intended, ...this.scoreSlot(estimator, intended, timezone) };
+    const baseline = best.score;
+
+    for (let time = Math.ceil(start / HOUR_MS) * HOUR_MS; time <= end; time += HOUR_MS) {
+      const date = new Date(time);
+      if (quietHoursService.findQuietWindow(date, settings)) continue;
 
-    // Ensure it's not in the past
-    if (scheduledFor < new Date()) {
-      scheduledFor.setDate(scheduledFor.getDate() + 1);
+      const slot = this.scoreSlot(estimator, date, timezone);
+      if (slot.score > best.score) {
+        best = { time: date, ...slot };
+      }
+    }
+
+    const confidence = Math.round(best.confidence * 100) / 100;
+    if (best.time === intended) {
+      return {
+        scheduledFor: intended,
+        confidence,
+        reason: estimator.samples > 0
+          ? 'The intended time is already your best-responding slot'
+          : 'No engagement history yet - keeping the intended time'
+      };
     }
 
     return {
-      scheduledFor,
-      confidence: Math.round(bestConfidence * 100) / 100,
-      reason: `Based on your ${Math.round(bestConfidence * 100)}% engagement history - you respond best around ${bestHour}:00 on ${this.getDayName(scheduledFor.getDay())}`
+      scheduledFor: best.time,
+      confidence,
+      expectedResponseRate: Math.round(best.score * 100) / 100,
+      baselineResponseRate: Math.round(baseline * 100) / 100,
+      reason: `You respond best around ${best.hour}:00 on ${this.getDayName(best.weekday)} ` +
+        `(${Math.round(best.score * 100)}% vs ${Math.round(baseline * 100)}%, from ${estimator.samples} reminders)`
     };
   }
 
+  // Lead times for a category ranked by how often reminders at that lead got a response
+  // or the event was attended
+  async recommendLeadTimes(userId, category) {
+    const estimator = await this.getEstimator(userId);
+
+    const ranked = LEAD_BUCKETS
+      .map(bucket => {
+        const estimate = estimator.lead(category, bucket);
+        return {
+          leadSeconds: bucket,
+          rate: Math.round(estimate.rate * 1000) / 1000,
+          confidence: Math.round(estimate.confidence * 100) / 100,
+          samples: estimate.samples
+        };
+      })
+      .sort((a, b) => b.rate - a.rate);
+
+    return { category, best: ranked[0], ranked };
+  }
+
   // Helper to get day name
   getDayName(dayIndex) {
     const days = ['Sundays', 'Mondays', 'Tuesdays', 'Wednesdays', 'Thursdays', 'Fridays', 'Saturdays'];
     return days[dayIndex];
   }
 
-  // Record user interaction for learning
-  async recordInteraction(reminderId, action, timestamp = new Date()) {
-    // This would update the reminder with interaction data
-    // For now, just mark as interacted
-    await Reminder.findByIdAndUpdate(reminderId, {
-      [`interactions.${action}`]: timestamp
-    });
+  // Evaluation
+
+  // 95% Wilson interval for a rate
+  wilson(engaged, delivered) {
+    if (delivered === 0) return null;
+    const z = 1.96;
+    const p = engaged / delivered;
+    const denominator = 1 + z * z / delivered;
+    const center = (p + z * z / (2 * delivered)) / denominator;
+    const margin = z * Math.sqrt(p * (1 - p) / delivered + z * z / (4 * delivered * delivered)) / denominator;
+    return [Math.max(0, center - margin), Math.min(1, center + margin)].map(value => Math.round(value * 1000) / 1000);
   }
 
-  // Batch optimize reminders for all users (background job)
-  async optimizeAllReminders() {
-    const upcomingReminders = await Reminder.find({
+  // How optimized reminders performed against ones sent at the fixed offsets, and how well
+  // the model predicts responses compared with always guessing the average (Brier score)
+  async evaluate(userId, { days = 90 } = {}) {
+    const windowDays = Math.min(Math.max(parseInt(days) || 90, 1), this.trainingWindowDays);
+    const samples = await this.loadSamples(userId, new Date(Date.now() - windowDays * DAY_MS));
+
+    const arm = optimized => {
+      const group = samples.filter(sample => Boolean(sample.delivery.optimized) === optimized);
+      const engaged = group.filter(sample => sample.engaged).length;
+      const attended = group.filter(sample => sample.attended).length;
+      return {
+        delivered: group.length,
+        engaged,
+        responseRate: group.length ? Math.round(engaged / group.length * 1000) / 1000 : null,
+        responseRateInterval: this.wilson(engaged, group.length),
+        attendanceRate: group.length ? Math.round(attended / group.length * 1000) / 1000 : null
+      };
+    };
+
+    const optimized = arm(true);
+    const defaults = arm(false);
+
+    const estimator = await this.getEstimator(userId);
+    const scored = samples.filter(sample => sample.delivery.localHour != null && sample.delivery.localDay != null);
+    let brierModel = null;
+    let brierBaseline = null;
+    if (scored.length > 0) {
+      const mean = scored.filter(sample => sample.engaged).length / scored.length;
+      const squaredError = (predicted, sample) => (predicted - (sample.engaged ? 1 : 0)) ** 2;
+      brierModel = scored.reduce((sum, sample) => sum + squaredError(
+        estimator.hour(sample.delivery.localHour).rate * 0.7 + estimator.day(sample.delivery.localDay).rate * 0.3,
+        sample
+      ), 0) / scored.length;
+      brierBaseline = scored.reduce((sum, sample) => sum + squaredError(mean, sample), 0) / scored.length;
+    }
+
+    return {
+      windowDays,
+      optimized,
+      defaults,
+      lift: optimized.responseRate != null && defaults.responseRate
+        ? Math.round((optimized.responseRate / defaults.responseRate - 1) * 1000) / 1000
+        : null,
+      // Scored on the data the model was trained on, so an optimistic estimate
+      calibration: {
+        samples: scored.length,
+        brierModel: brierModel == null ? null : Math.round(brierModel * 10000) / 10000,
+        brierBaseline: brierBaseline == null ? null : Math.round(brierBaseline * 10000) / 10000
+      },
+      modelSamples: estimator.samples,
+      modelConfidence: Math.round(estimator.overall.confidence * 100) / 100
+    };
+  }
+
+  // Batch optimize reminders for all users (background job): move upcoming rule-based
+  // reminders to better-responding hours when the model is confident enough
+  async optimizeAllReminders({ userId } = {}) {
+    const query = {
       status: 'scheduled',
+      reminderType: { $in: ['pre_event', 'deadline'] },
+      snoozedUntil: { $exists: false },
+      optimizationConfidence: { $exists: false },
       scheduledFor: {
         $gte: new Date(),
-        $lte: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // Next 7 days
+        $lte: new Date(Date.now() + 7 * DAY_MS) // Next 7 days
       }
-    }).populate('userId', 'preferences');
+    };
+    if (userId) query.userId = userId;
+
+    const upcomingReminders = await Reminder.find(query);
+    const users = new Map();
+    let optimized = 0;
 
     for (const reminder of upcomingReminders) {
       try {
-        // Find the associated event
-        const Event = require('../models/Event');
-        const event = await Event.findOne({
-          userId: reminder.userId,
-          'reminders.triggeredBefore': reminder.triggeredBefore
-        });
-
-        if (event) {
-          const optimalTime = await this.calculateOptimalReminderTime(
-            reminder.userId._id,
-            event.dateTime,
-            Math.ceil(reminder.triggeredBefore / (24 * 60 * 60)) // Convert seconds to days
-          );
-
-          // Update reminder if significantly different
-          const timeDiff = Math.abs(optimalTime.scheduledFor - reminder.scheduledFor) / (1000 * 60 * 60); // Hours diff
-
-          if (timeDiff > 1 && optimalTime.confidence > 0.6) {
-            await Reminder.findByIdAndUpdate(reminder._id, {
-              scheduledFor: optimalTime.scheduledFor,
-              optimizationReason: optimalTime.reason,
-              optimizationConfidence: optimalTime.confidence
-            });
-          }
+        const event = await Event.findById(reminder.eventId).select('dateTime registrationDeadline priority');
+        if (!event) continue;
+
+        const key = reminder.userId.toString();
+        if (!users.has(key)) {
+          users.set(key, await User.findById(reminder.userId).select('preferences'));
+        }
+
+        const anchor = reminder.reminderType === 'deadline' ? event.registrationDeadline : event.dateTime;
+        if (!anchor) continue;
+
+        const optimalTime = await this.optimizeSlot(
+          reminder.userId, users.get(key), new Date(anchor).getTime(), reminder.scheduledFor
+        );
+
+        // Update reminder if significantly different
+        const timeDiff = Math.abs(optimalTime.scheduledFor - reminder.scheduledFor) / HOUR_MS;
+        if (timeDiff >= 1 && optimalTime.confidence >= this.minConfidence) {
+          await Reminder.updateOne({ _id: reminder._id, status: 'scheduled' }, {
+            scheduledFor: optimalTime.scheduledFor,
+            optimizationReason: optimalTime.reason,
+            optimizationConfidence: optimalTime.confidence
+          });
+          optimized++;
         }
       } catch (error) {
         console.error('Error optimizing reminder:', reminder._id, error);
       }
     }
+
+    return { checked: upcomingReminders.length, optimized };
   }
 }
 
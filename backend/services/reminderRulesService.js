@@ -0,0 +1,144 @@
+// Which reminders an event gets: its own override, else the user's first matching rule,
+// else preferences.defaultReminderTimes, else the priority defaults. Without an override or
+// rule, deadline reminders come from preferences.deadlines.reminderOffsets.
+const OFFSET_UNITS = { w: 604800, d: 86400, h: 3600, m: 60, s: 1 };
+const MAX_OFFSETS = 10;
+
+const PRIORITY_DEFAULTS = {
+  1: [],
+  2: [],
+  3: [86400, 7200], // 1 day, 2 hours
+  4: [259200, 86400, 7200],
+  5: [604800, 259200, 86400, 7200]
+};
+
+// When preferences.deadlines.reminderOffsets isn't set
+const DEFAULT_DEADLINE_OFFSETS = [259200, 86400, 10800]; // 3 days, 1 day, 3 hours
+
+class ReminderRulesService {
+  // Seconds from a number or a duration like "1w", "2h 30m", "15m"
+  parseOffset(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return Math.round(value);
+    }
+
+    const text = String(value || '').trim().toLowerCase();
+    if (/^\d+$/.test(text)) {
+      return parseInt(text);
+    }
+
+    const pattern = /(\d+)\s*([wdhms])/g;
+    let seconds = 0;
+    let consumed = '';
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      seconds += parseInt(match[1]) * OFFSET_UNITS[match[2]];
+      consumed += match[0];
+    }
+
+    if (!consumed || consumed.replace(/\s/g, '') !== text.replace(/\s/g, '')) {
+      throw new Error(`Invalid reminder offset "${value}" (use seconds or e.g. "1w", "1d", "2h", "15m")`);
+    }
+    return seconds;
+  }
+
+  parseOffsets(values, label = 'offsets') {
+    if (values === undefined || values === null) return [];
+    if (!Array.isArray(values)) {
+      throw new Error(`Reminder ${label} must be a list`);
+    }
+
+    const offsets = [...new Set(values.map(value => this.parseOffset(value)))];
+    if (offsets.some(offset => offset < 0)) {
+      throw new Error(`Reminder ${label} must be before the event`);
+    }
+    if (offsets.length > MAX_OFFSETS) {
+      throw new Error(`At most ${MAX_OFFSETS} reminder ${label}`);
+    }
+    return offsets.sort((a, b) => b - a);
+  }
+
+  // Rules as sent by the client -> schema shape, with offsets in seconds
+  normalizeRules(rules) {
+    if (!Array.isArray(rules)) {
+      throw new Error('Reminder rules must be a list');
+    }
+
+    return rules.map(rule => ({
+      name: rule.name,
+      categories: rule.categories || [],
+      priorities: (rule.priorities || []).map(Number),
+      tags: (rule.tags || []).map(tag => String(tag).trim().toLowerCase()),
+      offsets: this.parseOffsets(rule.offsets),
+      deadlineOffsets: this.parseOffsets(rule.deadlineOffsets, 'deadline offsets'),
+      channel: rule.channel || 'default'
+    }));
+  }
+
+  // POST/PUT /api/events reminderOverride -> Event.reminderOverride. null turns it off.
+  normalizeOverride(override) {
+    if (override === null || override === false) {
+      return { active: false, offsets: [], deadlineOffsets: [] };
+    }
+
+    return {
+      active: override.active !== false,
+      offsets: this.parseOffsets(override.offsets),
+      deadlineOffsets: this.parseOffsets(override.deadlineOffsets, 'deadline offsets')
+    };
+  }
+
+  findMatchingRule(event, rules = []) {
+    const tags = (event.tags || []).map(tag => tag.toLowerCase());
+
+    return rules.find(rule =>
+      (!rule.categories?.length || rule.categories.includes(event.category)) &&
+      (!rule.priorities?.length || rule.priorities.includes(event.priority)) &&
+      (!rule.tags?.length || rule.tags.some(tag => tags.includes(tag)))
+    ) || null;
+  }
+
+  // { offsets, deadlineOffsets, channel, source } for the event
+  resolve(event, user) {
+    const override = event.reminderOverride;
+    if (override?.active) {
+      return {
+        offsets: [...(override.offsets || [])],
+        deadlineOffsets: [...(override.deadlineOffsets || [])],
+        channel: 'default',
+        source: 'event override'
+      };
+    }
+
+    const preferences = user?.preferences || {};
+    const rule = this.findMatchingRule(event, preferences.reminderRules);
+    if (rule) {
+      return {
+        offsets: [...rule.offsets],
+        deadlineOffsets: [...(rule.deadlineOffsets || [])],
+        channel: rule.channel || 'default',
+        source: rule.name ? `rule "${rule.name}"` : 'rule'
+      };
+    }
+
+    const deadlineOffsets = [...(preferences.deadlines?.reminderOffsets || DEFAULT_DEADLINE_OFFSETS)];
+
+    if (preferences.defaultReminderTimes?.length) {
+      return {
+        offsets: [...preferences.defaultReminderTimes],
+        deadlineOffsets,
+        channel: 'default',
+        source: 'default reminder times'
+      };
+    }
+
+    return {
+      offsets: [...(PRIORITY_DEFAULTS[event.priority] || [])],
+      deadlineOffsets,
+      channel: 'default',
+      source: 'priority defaults'
+    };
+  }
+}
+
+module.exports = new ReminderRulesService();
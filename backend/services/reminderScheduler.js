@@ -1,16 +1,30 @@
 // Reminder Scheduler Service
+const os = require('os');
 const cron = require('node-cron');
 const Reminder = require('../models/Reminder');
 const Event = require('../models/Event');
 const User = require('../models/User');
-const pushService = require('./pushNotificationService');
-const emailService = require('./emailService');
+const notificationService = require('./notificationService');
+const quietHoursService = require('./quietHoursService');
+const reminderRulesService = require('./reminderRulesService');
+const snoozeService = require('./snoozeService');
 const reminderOptimizer = require('./reminderOptimizerService');
 
 class ReminderScheduler {
   constructor() {
     this.isRunning = false;
+    this.isProcessing = false;
     this.job = null;
+
+    // Delivery queue settings
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.leaseMs = 2 * 60 * 1000; // Long enough for one push + email round trip
+    this.maxAttempts = 3; // Matches the Reminder.attempts limit
+    this.retryBaseMs = 60 * 1000;
+    this.retryMaxMs = 30 * 60 * 1000;
+    this.batchSize = 100; // Per tick, so one run can't hold the queue indefinitely
+    // Overdue reminders younger than this are still sent (e.g. after a restart)
+    this.graceMinutes = parseInt(process.env.REMINDER_GRACE_MINUTES) || 60;
   }
 
   // Start the reminder scheduler
@@ -44,112 +58,254 @@ class ReminderScheduler {
     }
   }
 
-  // Check for reminders that need to be sent
+  // Work through the delivery queue: dead-letter what was missed, then claim and send due
+  // reminders one at a time. Claims are leases, so several server instances can run this.
   async checkAndSendReminders() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
     try {
-      const now = new Date();
-      const fiveMinutesFromNow = new Date(now.getTime() + 5 * 60 * 1000);
+      await this.expireMissedReminders();
 
-      // Find reminders that are due within the next 5 minutes
-      const dueReminders = await Reminder.find({
-        status: 'scheduled',
-        scheduledFor: {
-          $gte: now,
-          $lte: fiveMinutesFromNow
-        }
-      }).populate('eventId').populate('userId');
+      let processed = 0;
+      while (processed < this.batchSize) {
+        const reminder = await this.claimNextReminder();
+        if (!reminder) break;
 
-      console.log(`Found ${dueReminders.length} reminders due within 5 minutes`);
+        await this.processReminder(reminder);
+        processed++;
+      }
 
-      for (const reminder of dueReminders) {
-        try {
-          await this.sendReminder(reminder);
-        } catch (error) {
-          console.error(`Failed to send reminder ${reminder._id}:`, error);
-        }
+      if (processed > 0) {
+        console.log(`Processed ${processed} due reminders`);
       }
     } catch (error) {
       console.error('Error checking for reminders:', error);
+    } finally {
+      this.isProcessing = false;
     }
   }
 
-  // Send a specific reminder
-  async sendReminder(reminder) {
-    try {
-      // Get event details
-      const event = await Event.findById(reminder.eventId);
-      if (!event) {
-        console.log(`Event not found for reminder ${reminder._id}`);
-        return;
+  // Atomically lease the oldest due reminder. A first attempt is due at scheduledFor (if still
+  // within the grace window), a retry at nextAttemptAt. Claiming counts as an attempt, so a
+  // reminder that crashes its worker still runs out of attempts.
+  async claimNextReminder() {
+    const now = new Date();
+
+    return await Reminder.findOneAndUpdate(
+      {
+        status: 'scheduled',
+        attempts: { $lt: this.maxAttempts },
+        $and: [
+          {
+            $or: [
+              { nextAttemptAt: { $exists: false }, scheduledFor: { $lte: now, $gte: this.graceCutoff(now) } },
+              { nextAttemptAt: { $lte: now } }
+            ]
+          },
+          {
+            $or: [
+              { lockedUntil: { $exists: false } },
+              { lockedUntil: { $lte: now } }
+            ]
+          }
+        ]
+      },
+      {
+        $set: { lockedBy: this.workerId, lockedUntil: new Date(now.getTime() + this.leaseMs) },
+        $inc: { attempts: 1 }
+      },
+      { sort: { scheduledFor: 1 }, new: true }
+    );
+  }
+
+  // Dead-letter reminders that were due before the grace window (e.g. during an outage) and
+  // those whose last attempt's lease ran out with no attempts left
+  async expireMissedReminders() {
+    const now = new Date();
+
+    const missed = await Reminder.updateMany(
+      {
+        status: 'scheduled',
+        nextAttemptAt: { $exists: false },
+        scheduledFor: { $lt: this.graceCutoff(now) },
+        $or: [{ lockedUntil: { $exists: false } }, { lockedUntil: { $lte: now } }]
+      },
+      {
+        $set: { status: 'failed', lastError: 'Missed the delivery window', deadLetteredAt: now },
+        $unset: { lockedBy: 1, lockedUntil: 1 }
       }
+    );
 
-      // Get user details
-      const user = await User.findById(reminder.userId);
-      if (!user) {
-        console.log(`User not found for reminder ${reminder._id}`);
-        return;
+    const exhausted = await Reminder.updateMany(
+      {
+        status: 'scheduled',
+        attempts: { $gte: this.maxAttempts },
+        lockedUntil: { $lte: now }
+      },
+      {
+        $set: { status: 'failed', lastError: 'Delivery did not complete', deadLetteredAt: now },
+        $unset: { lockedBy: 1, lockedUntil: 1 }
       }
+    );
 
-      // Prepare reminder data
-      const reminderData = {
-        title: reminder.message || `${event.title} Reminder`,
-        message: this.generateReminderMessage(event, reminder),
-        eventId: event._id,
-        reminderId: reminder._id,
-        eventDateTime: event.dateTime,
-        location: event.location,
-        priority: event.priority,
-        description: event.description,
-        customNote: reminder.customNote,
-        preparationTasks: event.preparationTasks,
-        timeUntil: this.formatTimeUntil(reminder.scheduledFor)
+    const count = missed.modifiedCount + exhausted.modifiedCount;
+    if (count > 0) {
+      console.log(`Dead-lettered ${count} reminders`);
+    }
+  }
+
+  graceCutoff(now) {
+    return new Date(now.getTime() - this.graceMinutes * 60 * 1000);
+  }
+
+  // Send a claimed reminder and record the outcome, as long as we still hold its lease
+  async processReminder(reminder) {
+    let outcome;
+    try {
+      outcome = await this.sendReminder(reminder);
+    } catch (error) {
+      console.error(`Error sending reminder ${reminder._id}:`, error);
+      outcome = { status: 'retry', error: error.message };
+    }
+
+    const now = new Date();
+    let update;
+
+    if (outcome.status === 'sent') {
+      update = { $set: { status: 'sent', sentAt: now }, $unset: { nextAttemptAt: 1, lastError: 1 } };
+    } else if (outcome.status === 'deferred') {
+      // Not a delivery attempt, so give back the one the claim took
+      update = {
+        $set: { scheduledFor: outcome.scheduledFor, optimizationReason: outcome.reason },
+        $unset: { nextAttemptAt: 1 },
+        $inc: { attempts: -1 }
       };
+      console.log(`Reminder ${reminder._id} deferred: ${outcome.reason}`);
+    } else if (outcome.status === 'cancelled') {
+      update = { $set: { status: 'cancelled', lastError: outcome.error } };
+    } else if (reminder.attempts >= this.maxAttempts) {
+      update = { $set: { status: 'failed', lastError: outcome.error, deadLetteredAt: now } };
+      console.log(`Reminder ${reminder._id} dead-lettered after ${reminder.attempts} attempts`);
+    } else {
+      const nextAttemptAt = new Date(now.getTime() + this.getRetryDelay(reminder.attempts));
+      update = { $set: { lastError: outcome.error, nextAttemptAt } };
+    }
 
-      let notificationSent = false;
+    update.$unset = { ...update.$unset, lockedBy: 1, lockedUntil: 1 };
+    if (outcome.receipts && outcome.receipts.length > 0) {
+      update.$push = {
+        deliveries: { $each: outcome.receipts.map(receipt => ({ ...receipt, attempt: reminder.attempts })) }
+      };
+    }
+    await Reminder.updateOne({ _id: reminder._id, lockedBy: this.workerId }, update);
+  }
 
-      // Try push notification first (preferred method)
-      if (reminder.channel === 'browser_push' || reminder.channel === 'both') {
-        const pushResult = await pushService.sendReminderNotification(user._id.toString(), reminderData);
-        if (pushResult.success) {
-          notificationSent = true;
-          console.log(`Push notification sent for reminder ${reminder._id}`);
-        } else {
-          console.log(`Push notification failed for reminder ${reminder._id}: ${pushResult.error}`);
-        }
-      }
+  // Exponential backoff: 1, 2, 4... minutes, capped
+  getRetryDelay(attempts) {
+    return Math.min(this.retryBaseMs * 2 ** (attempts - 1), this.retryMaxMs);
+  }
 
-      // Fallback to email if push failed or email is preferred
-      if (!notificationSent && (reminder.channel === 'email' || reminder.channel === 'both')) {
-        const emailResult = await emailService.sendReminderEmail(user.email, reminderData);
-        if (emailResult.success) {
-          notificationSent = true;
-          console.log(`Email notification sent for reminder ${reminder._id}`);
-        } else {
-          console.log(`Email notification failed for reminder ${reminder._id}: ${emailResult.error}`);
-        }
-      }
+  // Deliver a reminder through the user's notification channels.
+  // Returns { status: 'sent' | 'retry' | 'deferred' | 'cancelled', error, receipts }.
+  async sendReminder(reminder) {
+    // Get event details
+    const event = await Event.findById(reminder.eventId);
+    if (!event) {
+      return { status: 'cancelled', error: 'Event no longer exists' };
+    }
 
-      // Update reminder status
-      if (notificationSent) {
-        reminder.status = 'sent';
-        reminder.sentAt = new Date();
-      } else {
-        reminder.status = 'failed';
-        reminder.lastError = 'Both push and email notifications failed';
-        reminder.attempts += 1;
+    // Get user details
+    const user = await User.findById(reminder.userId);
+    if (!user) {
+      return { status: 'cancelled', error: 'User no longer exists' };
+    }
+
+    // Quiet hours or do-not-disturb may have started since this was scheduled
+    const placement = quietHoursService.adjustReminderTime(new Date(), event, user);
+    if (placement.moved && placement.scheduledFor > new Date()) {
+      return { status: 'deferred', scheduledFor: placement.scheduledFor, reason: placement.reason };
+    }
+
+    // Prepare reminder data
+    const reminderData = {
+      title: reminder.message || `${event.title} Reminder`,
+      message: this.generateReminderMessage(event, reminder),
+      eventId: event._id,
+      reminderId: reminder._id,
+      eventDateTime: event.dateTime,
+      location: event.location,
+      priority: event.priority,
+      description: event.description,
+      customNote: reminder.customNote,
+      preparationTasks: event.preparationTasks,
+      timeUntil: this.formatTimeUntil(reminder.scheduledFor)
+    };
+
+    const result = await notificationService.notify(user, {
+      type: 'reminder',
+      title: reminderData.title,
+      message: reminderData.message,
+      eventId: event._id,
+      reminderId: reminder._id,
+      data: reminderData,
+      snooze: await this.getSnoozeActions(reminder, event, user)
+    }, { preferred: reminder.channel });
+
+    if (result.success) {
+      console.log(`Reminder ${reminder._id} sent via ${result.channel}`);
+      try {
+        await reminderOptimizer.recordDelivery(reminder, event, user, result.channel);
+      } catch (error) {
+        console.error(`Error logging delivery of reminder ${reminder._id}:`, error);
       }
+      return { status: 'sent', receipts: result.receipts };
+    }
 
-      await reminder.save();
+    const failures = result.receipts.map(receipt => `${receipt.channel}: ${receipt.error}`);
+    return {
+      status: 'retry',
+      error: failures.length > 0 ? failures.join('; ') : 'No notification channels configured',
+      receipts: result.receipts
+    };
+  }
 
+  // Snooze presets offered on the push notification, with a token so the service worker can
+  // snooze or report clicks without a session. No presets once the snooze limit is reached.
+  async getSnoozeActions(reminder, event, user) {
+    try {
+      const options = (reminder.snoozeCount || 0) >= snoozeService.maxSnoozes
+        ? []
+        : await snoozeService.getOptions(reminder, event, user);
+
+      return {
+        presets: options
+          .filter(option => option.available && !option.capped)
+          .map(({ preset, label }) => ({ preset, label })),
+        token: snoozeService.createActionToken(reminder),
+        url: `${process.env.API_URL || 'http://localhost:5000/api'}/reminders/${reminder._id}/action`
+      };
     } catch (error) {
-      console.error(`Error sending reminder ${reminder._id}:`, error);
+      console.error(`Error preparing snooze actions for reminder ${reminder._id}:`, error);
+      return null;
+    }
+  }
 
-      // Update reminder with error
-      reminder.status = 'failed';
-      reminder.lastError = error.message;
-      reminder.attempts += 1;
-      await reminder.save();
+  // Put a dead-lettered reminder back on the queue with fresh attempts
+  async retryReminder(reminderId, userId) {
+    const reminder = await Reminder.findOneAndUpdate(
+      { _id: reminderId, userId, status: 'failed' },
+      {
+        $set: { status: 'scheduled', attempts: 0, nextAttemptAt: new Date() },
+        $unset: { deadLetteredAt: 1, lockedBy: 1, lockedUntil: 1 }
+      },
+      { new: true }
+    );
+
+    if (!reminder) {
+      throw new Error('Failed reminder not found');
     }
+    return reminder;
   }
 
   // Generate reminder message based on event and timing
@@ -185,46 +341,125 @@ class ReminderScheduler {
     }
   }
 
-  // Schedule reminders for a new event
-  async scheduleEventReminders(event, userId) {
+  // Bring an event's rule-based reminders in line with its rules (see reminderRulesService):
+  // create missing ones, move ones whose time changed and cancel ones no longer wanted.
+  // Works for new events too. Returns the reminders it created.
+  async scheduleEventReminders(event, userId, user = null) {
     try {
-      const reminders = [];
-
-      // Default reminders based on priority
-      const defaultReminders = this.getDefaultReminders(event.priority);
+      user = user || await User.findById(userId).select('preferences');
+      const now = new Date();
+      const plan = reminderRulesService.resolve(event, user);
+      const attendFrom = this.getAttendanceStart(event);
+
+      const wanted = [
+        ...plan.offsets.map(offset => ({ reminderType: 'pre_event', triggeredBefore: offset, anchor: attendFrom })),
+        // Deadline reminders stop once the user has registered or is waitlisted
+        ...(event.registrationDeadline && (event.registrationStatus || 'not_registered') === 'not_registered'
+          ? plan.deadlineOffsets.map(offset => ({
+            reminderType: 'deadline',
+            triggeredBefore: offset,
+            anchor: event.registrationDeadline
+          }))
+          : [])
+      ]
+        .map(item => ({ ...item, scheduledFor: new Date(new Date(item.anchor).getTime() - item.triggeredBefore * 1000) }))
+        // Only schedule future reminders
+        .filter(item => item.scheduledFor > now);
 
-      for (const reminderConfig of defaultReminders) {
-        const scheduledFor = new Date(event.dateTime.getTime() - reminderConfig.secondsBefore * 1000);
+      // Snoozed reminders belong to the user now, so they are left alone
+      const existing = await Reminder.find({
+        eventId: event._id,
+        status: 'scheduled',
+        reminderType: { $in: ['pre_event', 'deadline'] },
+        snoozedUntil: { $exists: false }
+      });
+      const keyOf = item => `${item.reminderType}:${item.triggeredBefore}`;
+      const existingByKey = new Map();
+      const toCancel = [];
+      existing.forEach(reminder => {
+        if (existingByKey.has(keyOf(reminder))) {
+          toCancel.push(reminder._id);
+        } else {
+          existingByKey.set(keyOf(reminder), reminder);
+        }
+      });
+
+      const created = [];
+      const updates = [];
+
+      for (const item of wanted) {
+        const placement = quietHoursService.adjustReminderTime(
+          item.scheduledFor,
+          { dateTime: item.anchor, priority: event.priority },
+          user
+        );
+        const fields = {
+          scheduledFor: placement.scheduledFor,
+          optimizationReason: placement.reason || undefined,
+          message: item.reminderType === 'deadline'
+            ? `Registration for ${event.title} closes ${this.formatLeadTime(item.triggeredBefore)}`
+            : `${event.title} starts ${this.formatLeadTime(item.triggeredBefore)}`,
+          eventDetails: {
+            title: event.title,
+            dateTime: event.dateTime,
+            location: event.location,
+            attendFrom: attendFrom !== event.dateTime ? attendFrom : undefined
+          },
+          channel: plan.channel
+        };
+
+        const current = existingByKey.get(keyOf(item));
+        existingByKey.delete(keyOf(item));
+
+        // A time picked by the optimizer stands as long as neither the event nor the user's
+        // planned arrival has moved
+        if (current?.optimizationConfidence != null &&
+          current.eventDetails?.dateTime?.getTime() === new Date(event.dateTime).getTime() &&
+          current.eventDetails?.attendFrom?.getTime() === fields.eventDetails.attendFrom?.getTime()) {
+          fields.scheduledFor = current.scheduledFor;
+          fields.optimizationReason = current.optimizationReason;
+        }
 
-        // Only schedule future reminders
-        if (scheduledFor > new Date()) {
-          const reminder = new Reminder({
+        if (!current) {
+          created.push(new Reminder({
             eventId: event._id,
             userId: userId,
-            reminderType: 'pre_event',
-            scheduledFor: scheduledFor,
-            message: `${event.title} starts ${reminderConfig.label}`,
-            eventDetails: {
-              title: event.title,
-              dateTime: event.dateTime,
-              location: event.location
-            },
-            channel: 'browser_push', // Default to push notifications
+            reminderType: item.reminderType,
+            triggeredBefore: item.triggeredBefore,
             status: 'scheduled',
-            triggeredBefore: reminderConfig.secondsBefore
-          });
-
-          reminders.push(reminder);
+            ...fields
+          }));
+        } else if (
+          current.scheduledFor.getTime() !== fields.scheduledFor.getTime() ||
+          current.message !== fields.message ||
+          current.channel !== fields.channel ||
+          current.eventDetails?.dateTime?.getTime() !== new Date(event.dateTime).getTime()
+        ) {
+          const update = current.optimizationConfidence != null && fields.scheduledFor !== current.scheduledFor
+            ? { $set: fields, $unset: { optimizationConfidence: 1 } }
+            : { $set: fields };
+          updates.push({ updateOne: { filter: { _id: current._id, status: 'scheduled' }, update } });
         }
       }
 
-      // Save all reminders
-      if (reminders.length > 0) {
-        await Reminder.insertMany(reminders);
-        console.log(`Scheduled ${reminders.length} reminders for event ${event._id}`);
+      toCancel.push(...[...existingByKey.values()].map(reminder => reminder._id));
+
+      if (created.length > 0) {
+        await Reminder.insertMany(created);
+      }
+      if (updates.length > 0) {
+        await Reminder.bulkWrite(updates);
+      }
+      if (toCancel.length > 0) {
+        await Reminder.updateMany({ _id: { $in: toCancel }, status: 'scheduled' }, { status: 'cancelled' });
       }
 
-      return reminders;
+      if (created.length + updates.length + toCancel.length > 0) {
+        console.log(`Reminders for event ${event._id} (${plan.source}): ` +
+          `${created.length} scheduled, ${updates.length} moved, ${toCancel.length} cancelled`);
+      }
+
+      return created;
 
     } catch (error) {
       console.error('Error scheduling reminders:', error);
@@ -232,27 +467,73 @@ class ReminderScheduler {
     }
   }
 
-  // Get default reminders based on event priority
-  getDefaultReminders(priority) {
-    const reminders = [];
+  // Re-run the rules for every upcoming event of a user, e.g. after the rules changed
+  async reconcileUserReminders(userId) {
+    const user = await User.findById(userId).select('preferences');
+    const now = new Date();
+    const events = await Event.find({
+      userId,
+      status: { $in: ['scheduled', 'in_progress'] },
+      $or: [{ dateTime: { $gt: now } }, { registrationDeadline: { $gt: now } }]
+    });
 
-    // All priorities get these reminders
-    if (priority >= 3) { // Medium and above
-      reminders.push({ secondsBefore: 86400, label: 'tomorrow' }); // 1 day
-      reminders.push({ secondsBefore: 7200, label: 'in 2 hours' }); // 2 hours
+    for (const event of events) {
+      try {
+        await this.scheduleEventReminders(event, userId, user);
+      } catch (error) {
+        console.error(`Error reconciling reminders for event ${event._id}:`, error);
+      }
     }
 
-    if (priority >= 4) { // High and above
-      reminders.push({ secondsBefore: 259200, label: 'in 3 days' }); // 3 days
-    }
+    return { events: events.length };
+  }
 
-    if (priority >= 5) { // Critical
-      reminders.push({ secondsBefore: 604800, label: 'in 1 week' }); // 1 week
+  // Schedule explicit reminders (e.g. imported VALARMs) instead of the priority defaults.
+  // alarms: [{ secondsBefore, message, channel }] - negative secondsBefore means after the start
+  async scheduleCustomReminders(event, userId, alarms) {
+    const user = await User.findById(userId).select('preferences');
+    const reminders = alarms
+      .map(alarm => ({
+        alarm,
+        scheduledFor: new Date(event.dateTime.getTime() - alarm.secondsBefore * 1000)
+      }))
+      .filter(({ scheduledFor }) => scheduledFor > new Date())
+      .map(({ alarm, scheduledFor }) => ({
+        alarm,
+        placement: quietHoursService.adjustReminderTime(scheduledFor, event, user)
+      }))
+      .map(({ alarm, placement }) => new Reminder({
+        eventId: event._id,
+        userId: userId,
+        reminderType: 'custom',
+        scheduledFor: placement.scheduledFor,
+        optimizationReason: placement.reason || undefined,
+        message: alarm.message || `${event.title} starts ${this.formatLeadTime(alarm.secondsBefore)}`,
+        eventDetails: {
+          title: event.title,
+          dateTime: event.dateTime,
+          location: event.location
+        },
+        channel: alarm.channel || 'default',
+        status: 'scheduled'
+      }));
+
+    if (reminders.length > 0) {
+      await Reminder.insertMany(reminders);
+      console.log(`Scheduled ${reminders.length} custom reminders for event ${event._id}`);
     }
 
     return reminders;
   }
 
+  formatLeadTime(secondsBefore) {
+    if (secondsBefore <= 0) return 'now';
+    if (secondsBefore % 604800 === 0) return `in ${secondsBefore / 604800} week${secondsBefore === 604800 ? '' : 's'}`;
+    if (secondsBefore % 86400 === 0) return `in ${secondsBefore / 86400} day${secondsBefore === 86400 ? '' : 's'}`;
+    if (secondsBefore % 3600 === 0) return `in ${secondsBefore / 3600} hour${secondsBefore === 3600 ? '' : 's'}`;
+    return `in ${Math.round(secondsBefore / 60)} minutes`;
+  }
+
   // Cancel all reminders for an event
   async cancelEventReminders(eventId) {
     try {
@@ -269,21 +550,50 @@ class ReminderScheduler {
     }
   }
 
-  // Reschedule reminders for an updated event
+  // Reschedule reminders for an updated event. Rule-based reminders are reconciled;
+  // custom ones (e.g. imported alarms) keep their offset from the start.
+  // When the user arrives: the planned attendance window's start if it lies within the event
+  getAttendanceStart(event) {
+    const from = event.attendance?.from;
+    const within = from && from >= event.dateTime && (!event.endDateTime || from < event.endDateTime);
+    return within ? from : event.dateTime;
+  }
+
   async rescheduleEventReminders(eventId, newDateTime) {
     try {
-      // Cancel existing reminders
-      await this.cancelEventReminders(eventId);
-
       // Get event and user details
       const event = await Event.findById(eventId);
       if (!event) {
         throw new Error('Event not found');
       }
+      if (newDateTime) {
+        event.dateTime = newDateTime;
+      }
+
+      const customReminders = await Reminder.find({ eventId, status: 'scheduled', reminderType: 'custom' });
+      const shifts = customReminders
+        .filter(reminder => reminder.eventDetails?.dateTime)
+        .map(reminder => ({
+          reminder,
+          delta: event.dateTime.getTime() - reminder.eventDetails.dateTime.getTime()
+        }))
+        .filter(({ delta }) => delta !== 0)
+        .map(({ reminder, delta }) => ({
+          updateOne: {
+            filter: { _id: reminder._id, status: 'scheduled' },
+            update: {
+              $set: {
+                scheduledFor: new Date(reminder.scheduledFor.getTime() + delta),
+                'eventDetails.dateTime': event.dateTime
+              }
+            }
+          }
+        }));
+      if (shifts.length > 0) {
+        await Reminder.bulkWrite(shifts);
+      }
 
-      // Schedule new reminders with updated time
-      const updatedEvent = { ...event.toObject(), dateTime: newDateTime };
-      return await this.scheduleEventReminders(updatedEvent, event.userId);
+      return await this.scheduleEventReminders(event, event.userId);
 
     } catch (error) {
       console.error('Error rescheduling event reminders:', error);
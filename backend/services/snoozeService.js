@@ -0,0 +1,226 @@
+// Snoozing reminders: presets in the user's timezone, "when I'm free" from their schedule,
+// and a cap so a snoozed reminder never fires after the event (or deadline) it is about.
+// A snooze puts the reminder back on the delivery queue at the new time.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Reminder = require('../models/Reminder');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const quietHoursService = require('./quietHoursService');
+const reminderOptimizer = require('./reminderOptimizerService');
+const { getZonedParts, zonedTimeToUtc, addZonedDays } = require('../utils/timezone');
+
+const MINUTE_MS = 60 * 1000;
+const DEFAULT_EVENT_MINUTES = 60;
+
+const PRESETS = {
+  '10m': { label: '10 minutes' },
+  '1h': { label: '1 hour' },
+  tonight: { label: 'Tonight', hour: 20 },
+  tomorrow_morning: { label: 'Tomorrow morning', hour: 9 },
+  when_free: { label: "When I'm free" }
+};
+
+class SnoozeService {
+  constructor() {
+    // A snooze lands at least this long before the event starts
+    this.startMarginMs = 5 * MINUTE_MS;
+    // Shortest gap in the schedule that counts as free
+    this.minFreeMs = 15 * MINUTE_MS;
+    this.maxSnoozes = 5;
+  }
+
+  getPresetNames() {
+    return Object.keys(PRESETS);
+  }
+
+  // When the reminder stops making sense: the deadline for deadline reminders, else the event start
+  getCutoff(reminder, event) {
+    const anchor = reminder.reminderType === 'deadline' && event.registrationDeadline
+      ? event.registrationDeadline
+      : event.dateTime;
+    return new Date(new Date(anchor).getTime() - this.startMarginMs);
+  }
+
+  // Wall-clock hour in the user's timezone, today or tomorrow
+  atLocalHour(hour, now, timezone, daysAhead = 0) {
+    const day = daysAhead ? addZonedDays(now, daysAhead, timezone) : now;
+    const { year, month, day: date } = getZonedParts(day, timezone);
+    return zonedTimeToUtc({ year, month, day: date, hour }, timezone);
+  }
+
+  // Raw time for a preset, before capping. null when the preset doesn't apply (e.g. it's already night).
+  async presetTime(preset, { reminder, user, now }) {
+    const timezone = user?.preferences?.timezone || 'UTC';
+
+    switch (preset) {
+      case '10m':
+        return new Date(now.getTime() + 10 * MINUTE_MS);
+      case '1h':
+        return new Date(now.getTime() + 60 * MINUTE_MS);
+      case 'tonight': {
+        const tonight = this.atLocalHour(PRESETS.tonight.hour, now, timezone);
+        return tonight > now ? tonight : null;
+      }
+      case 'tomorrow_morning': {
+        // In the small hours "tomorrow morning" is still today's
+        const { hour } = getZonedParts(now, timezone);
+        return this.atLocalHour(PRESETS.tomorrow_morning.hour, now, timezone, hour < 5 ? 0 : 1);
+      }
+      case 'when_free':
+        return await this.findFreeTime(reminder, user, now);
+      default:
+        throw new Error(`Unknown snooze preset "${preset}" (use ${this.getPresetNames().join(', ')})`);
+    }
+  }
+
+  // First moment from now that isn't inside another of the user's events or a quiet window
+  async findFreeTime(reminder, user, now) {
+    const settings = quietHoursService.getSettings(user);
+    const horizon = new Date(now.getTime() + 7 * 24 * 60 * MINUTE_MS);
+
+    const events = await Event.find({
+      userId: reminder.userId,
+      _id: { $ne: reminder.eventId },
+      status: { $in: ['scheduled', 'in_progress'] },
+      dateTime: { $lt: horizon },
+      $or: [
+        { endDateTime: { $gt: now } },
+        { endDateTime: { $exists: false }, dateTime: { $gt: new Date(now.getTime() - DEFAULT_EVENT_MINUTES * MINUTE_MS) } }
+      ]
+    }).select('dateTime endDateTime').sort({ dateTime: 1 });
+
+    const busy = events.map(event => ({
+      start: event.dateTime.getTime(),
+      end: (event.endDateTime || new Date(event.dateTime.getTime() + DEFAULT_EVENT_MINUTES * MINUTE_MS)).getTime()
+    }));
+
+    let time = now.getTime() + 5 * MINUTE_MS;
+    for (let i = 0; i < 50 && time < horizon.getTime(); i++) {
+      const overlapping = busy.find(slot => slot.start < time + this.minFreeMs && slot.end > time);
+      if (overlapping) {
+        time = overlapping.end;
+        continue;
+      }
+
+      const quiet = quietHoursService.findQuietWindow(new Date(time), settings);
+      if (quiet) {
+        time = quiet.end.getTime();
+        continue;
+      }
+
+      return new Date(time);
+    }
+
+    return null;
+  }
+
+  // { preset, label, until, capped, available } for each preset
+  async getOptions(reminder, event, user, now = new Date()) {
+    const cutoff = this.getCutoff(reminder, event);
+
+    return await Promise.all(this.getPresetNames().map(async preset => {
+      const raw = await this.presetTime(preset, { reminder, user, now });
+      const until = raw && raw > cutoff ? cutoff : raw;
+
+      return {
+        preset,
+        label: PRESETS[preset].label,
+        until,
+        capped: Boolean(raw && raw > cutoff),
+        available: Boolean(until && until > now)
+      };
+    }));
+  }
+
+  // Snooze by preset or by { minutes }. Returns the updated reminder.
+  async snooze(reminderId, userId, { preset, minutes } = {}, now = new Date()) {
+    const reminder = await Reminder.findOne({ _id: reminderId, userId });
+    if (!reminder) {
+      throw new Error('Reminder not found');
+    }
+    if (reminder.status === 'cancelled') {
+      throw new Error('Reminder was cancelled');
+    }
+    if ((reminder.snoozeCount || 0) >= this.maxSnoozes) {
+      throw new Error(`Reminder can be snoozed at most ${this.maxSnoozes} times`);
+    }
+
+    const [event, user] = await Promise.all([
+      Event.findById(reminder.eventId).select('title dateTime registrationDeadline'),
+      User.findById(userId).select('preferences')
+    ]);
+    if (!event) {
+      throw new Error('Event no longer exists');
+    }
+
+    let raw;
+    if (preset) {
+      raw = await this.presetTime(preset, { reminder, user, now });
+      if (!raw) {
+        throw new Error(`"${PRESETS[preset].label}" isn't available right now`);
+      }
+    } else {
+      const snoozeMinutes = parseInt(minutes ?? 30);
+      if (!(snoozeMinutes > 0)) {
+        throw new Error('Snooze minutes must be positive');
+      }
+      raw = new Date(now.getTime() + snoozeMinutes * MINUTE_MS);
+    }
+
+    const cutoff = this.getCutoff(reminder, event);
+    if (cutoff <= now) {
+      throw new Error('Too close to the event to snooze');
+    }
+    const capped = raw > cutoff;
+    const until = capped ? cutoff : raw;
+
+    const updated = await Reminder.findOneAndUpdate(
+      { _id: reminder._id, userId },
+      {
+        $set: {
+          status: 'scheduled',
+          scheduledFor: until,
+          snoozedUntil: until,
+          attempts: 0,
+          optimizationReason: capped
+            ? `Snoozed until ${quietHoursService.formatLocal(until, user?.preferences?.timezone || 'UTC')}, ` +
+              `just before ${reminder.reminderType === 'deadline' ? 'registration closes' : `${event.title} starts`}`
+            : `Snoozed (${preset ? PRESETS[preset].label.toLowerCase() : `${Math.round((until - now) / MINUTE_MS)} minutes`})`
+        },
+        $inc: { snoozeCount: 1 },
+        $unset: { nextAttemptAt: 1, lastError: 1, lockedBy: 1, lockedUntil: 1 }
+      },
+      { new: true }
+    );
+
+    await reminderOptimizer.recordInteraction(reminder._id, userId, 'snoozed', now);
+    return updated;
+  }
+
+  // Action tokens travel in push payloads, so they are signed with their own key: a leaked one
+  // can only act on its reminder, never stand in for a session token
+  getActionSecret() {
+    return process.env.REMINDER_ACTION_SECRET ||
+      crypto.createHmac('sha256', process.env.JWT_SECRET).update('reminder_action').digest('hex');
+  }
+
+  // Short-lived token the service worker uses to act on a notification without a session
+  createActionToken(reminder) {
+    return jwt.sign(
+      { reminderId: reminder._id.toString(), userId: reminder.userId.toString(), purpose: 'reminder_action' },
+      this.getActionSecret(),
+      { expiresIn: '2d' }
+    );
+  }
+
+  verifyActionToken(token, reminderId) {
+    const payload = jwt.verify(token, this.getActionSecret());
+    if (payload.purpose !== 'reminder_action' || payload.reminderId !== String(reminderId)) {
+      throw new Error('Invalid action token');
+    }
+    return payload;
+  }
+}
+
+module.exports = new SnoozeService();
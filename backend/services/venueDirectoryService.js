@@ -0,0 +1,97 @@
+// Campus venue directory: building names and aliases -> coordinates, from a local JSON file
+// (data/campusVenues.json, or CAMPUS_VENUES_FILE). Used to geocode an event's free-text
+// location into a geofence for location-aware reminders.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'campusVenues.json');
+
+class VenueDirectoryService {
+  constructor() {
+    this.venues = null;
+    this.defaultTriggerDistance = 300;
+  }
+
+  load() {
+    if (this.venues) return this.venues;
+
+    const file = process.env.CAMPUS_VENUES_FILE || DEFAULT_FILE;
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      this.defaultTriggerDistance = data.defaultTriggerDistance || this.defaultTriggerDistance;
+      this.venues = (data.venues || [])
+        .filter(venue => Number.isFinite(venue.latitude) && Number.isFinite(venue.longitude))
+        .map(venue => ({
+          ...venue,
+          keys: [venue.name, ...(venue.aliases || [])].map(name => this.normalize(name)).filter(Boolean)
+        }));
+    } catch (error) {
+      console.error(`Could not load campus venues from ${file}:`, error.message);
+      this.venues = [];
+    }
+
+    return this.venues;
+  }
+
+  // Lowercase words only, so "CSE Dept., Room 101" and "cse dept room 101" compare equal
+  normalize(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  }
+
+  list(query) {
+    const venues = this.load();
+    const needle = this.normalize(query);
+
+    return venues
+      .filter(venue => !needle || venue.keys.some(key => key.includes(needle)))
+      .map(({ name, aliases, latitude, longitude }) => ({ name, aliases: aliases || [], latitude, longitude }));
+  }
+
+  // The venue whose name or alias appears in the text as whole words; the longest match wins
+  // so "computer science building" beats "building"
+  lookup(location) {
+    const text = ` ${this.normalize(location)} `;
+    if (!text.trim()) return null;
+
+    let best = null;
+    for (const venue of this.load()) {
+      for (const key of venue.keys) {
+        if (text.includes(` ${key} `) && (!best || key.length > best.key.length)) {
+          best = { venue, key };
+        }
+      }
+    }
+
+    return best ? best.venue : null;
+  }
+
+  // Geofence the event's venue from its location text. Fences the user set up themselves are
+  // left alone; directory fences are replaced (or dropped when the location no longer matches).
+  // Returns true if the event's fences changed. { replaceManual } also replaces the user's own.
+  geocodeEvent(event, { replaceManual = false } = {}) {
+    const fences = event.locationAwareReminders || [];
+    if (!replaceManual && fences.some(fence => fence.source !== 'directory')) return false;
+
+    const venue = event.location ? this.lookup(event.location) : null;
+    const current = fences[0]?.venue;
+    if (venue && fences.length === 1 && fences[0].source === 'directory' && current?.name === venue.name) return false;
+    if (!venue && fences.length === 0) return false;
+
+    event.locationAwareReminders = venue
+      ? [{
+        venue: {
+          latitude: venue.latitude,
+          longitude: venue.longitude,
+          name: venue.name,
+          building: venue.name
+        },
+        triggerDistance: venue.triggerDistance || this.defaultTriggerDistance,
+        isActive: true,
+        source: 'directory'
+      }]
+      : [];
+    return true;
+  }
+}
+
+module.exports = new VenueDirectoryService();
@@ -0,0 +1,69 @@
+const extractionService = require('../services/eventExtractionService');
+
+// Reference "now": Monday 20 October 2026, 9am in Kolkata
+const options = { referenceDate: new Date('2026-10-20T03:30:00Z'), timezone: 'Asia/Kolkata', locale: 'en-IN' };
+
+function zonedDay(date) {
+  return date.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+}
+
+describe('eventExtractionService segmentation', () => {
+  test('each row of a schedule becomes its own draft', () => {
+    const text = [
+      'Semester schedule',
+      'Orientation - Mon 3 Nov - Main Auditorium',
+      'Midsem Exams - 10 Nov - Lecture Hall Complex'
+    ].join('\n');
+
+    const drafts = extractionService.extractDrafts(text, options);
+
+    expect(drafts.map(draft => draft.title)).toEqual(['Orientation', 'Midsem Exams']);
+    expect(drafts.map(draft => zonedDay(draft.dateTime))).toEqual(['2026-11-03', '2026-11-10']);
+    expect(drafts[1].location).toBe('Lecture Hall Complex');
+  });
+
+  test('a row whose title ends in a time-of-day word is not folded into the row above', () => {
+    const text = [
+      'Semester schedule',
+      'Orientation - Mon 3 Nov - Main Auditorium',
+      'Movie Night - Fri 7 Nov - Student Activity Center',
+      'Cultural Night - Oct 22-24 - SAC',
+      'Midsem Exams - 10 Nov - Lecture Hall Complex'
+    ].join('\n');
+
+    const drafts = extractionService.extractDrafts(text, options);
+
+    expect(drafts.map(draft => draft.title)).toEqual(['Orientation', 'Movie Night', 'Cultural Night', 'Midsem Exams']);
+    expect(drafts.map(draft => zonedDay(draft.dateTime))).toEqual(['2026-11-03', '2026-11-07', '2026-10-22', '2026-11-10']);
+    expect(zonedDay(drafts[2].endDateTime)).toBe('2026-10-24');
+    expect(text.slice(drafts[1].sourceSpan.start, drafts[1].sourceSpan.end))
+      .toBe('Movie Night - Fri 7 Nov - Student Activity Center');
+  });
+
+  test('a "night" in a title on its own line does not date the event', () => {
+    const text = 'Open Mic Night\nFri 7 Nov, 7pm\nVenue: Student Activity Center';
+
+    const drafts = extractionService.extractDrafts(text, options);
+
+    expect(drafts).toHaveLength(1);
+    expect(drafts[0].title).toBe('Open Mic Night');
+    expect(drafts[0].dateTime.toISOString()).toBe('2026-11-07T13:30:00.000Z');
+  });
+
+  test('a registration deadline stays with its event', () => {
+    const text = [
+      'Robotics Workshop',
+      'Date: Fri 14 Nov, 5pm',
+      'Register by 10 Nov',
+      '',
+      'Hackathon',
+      'Date: Sat 22 Nov, 9am'
+    ].join('\n');
+
+    const drafts = extractionService.extractDrafts(text, options);
+
+    expect(drafts.map(draft => draft.title)).toEqual(['Robotics Workshop', 'Hackathon']);
+    expect(drafts[0].description).toContain('Register by 10 Nov');
+    expect(zonedDay(drafts[0].dateTime)).toBe('2026-11-14');
+  });
+});
@@ -0,0 +1,129 @@
+// In-memory stand-in for the client returned by GoogleCalendarService.createClient, for
+// exercising the sync engine without Google:
+//
+//   const fake = new FakeGoogleCalendarClient();
+//   googleCalendarSyncService.setClientFactory(() => fake);
+//   fake.seed('primary', { summary: 'Standup', start: { dateTime: '...' }, end: { dateTime: '...' } });
+//
+// It follows the Calendar API behaviour the engine relies on: sync tokens that return only
+// events changed since they were issued (including deletions as status "cancelled"),
+// 410 for unknown sync tokens, fresh etag / updated on every write, and 412 on etag mismatch.
+
+class FakeGoogleCalendarClient {
+  constructor({ pageSize = 250 } = {}) {
+    this.calendars = new Map();
+    this.version = 0;
+    this.pageSize = pageSize;
+    this.requests = [];
+  }
+
+  getCalendar(calendarId) {
+    if (!this.calendars.has(calendarId)) {
+      this.calendars.set(calendarId, new Map());
+    }
+    return this.calendars.get(calendarId);
+  }
+
+  error(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  write(calendarId, event) {
+    this.version++;
+    const stored = {
+      ...event,
+      etag: `"${this.version}"`,
+      updated: new Date().toISOString(),
+      version: this.version
+    };
+    this.getCalendar(calendarId).set(stored.id, stored);
+    return this.toResource(stored);
+  }
+
+  toResource(event) {
+    const { version, ...resource } = event;
+    return JSON.parse(JSON.stringify(resource));
+  }
+
+  // Add or change an event as if someone edited it in Google Calendar
+  seed(calendarId, event) {
+    const existing = event.id && this.getCalendar(calendarId).get(event.id);
+    return this.write(calendarId, {
+      status: 'confirmed',
+      ...existing,
+      ...event,
+      id: event.id || `fake${this.version + 1}`
+    });
+  }
+
+  // Delete an event as if it was removed in Google Calendar
+  remove(calendarId, eventId) {
+    const existing = this.getCalendar(calendarId).get(eventId);
+    if (existing) {
+      this.write(calendarId, { ...existing, status: 'cancelled' });
+    }
+  }
+
+  async listEvents(calendarId, { syncToken, pageToken, timeMin } = {}) {
+    this.requests.push({ method: 'list', calendarId, syncToken, pageToken });
+
+    let since = 0;
+    if (syncToken) {
+      const match = /^sync-(\d+)$/.exec(syncToken);
+      if (!match || Number(match[1]) > this.version) {
+        throw this.error(410, 'Sync token is no longer valid, a full sync is required.');
+      }
+      since = Number(match[1]);
+    }
+
+    const events = [...this.getCalendar(calendarId).values()]
+      .filter(event => event.version > since)
+      // Full listings leave out deleted events and respect timeMin
+      .filter(event => syncToken || event.status !== 'cancelled')
+      .filter(event => syncToken || !timeMin || new Date(event.end?.dateTime || event.end?.date) >= new Date(timeMin))
+      .sort((a, b) => a.version - b.version);
+
+    const offset = pageToken ? Number(pageToken) : 0;
+    const page = events.slice(offset, offset + this.pageSize);
+    const hasMore = offset + this.pageSize < events.length;
+
+    return {
+      items: page.map(event => this.toResource(event)),
+      nextPageToken: hasMore ? String(offset + this.pageSize) : undefined,
+      nextSyncToken: hasMore ? undefined : `sync-${this.version}`
+    };
+  }
+
+  async insertEvent(calendarId, resource) {
+    this.requests.push({ method: 'insert', calendarId });
+    return this.write(calendarId, { ...resource, id: `fake${this.version + 1}` });
+  }
+
+  async updateEvent(calendarId, eventId, resource, etag) {
+    this.requests.push({ method: 'update', calendarId, eventId });
+    const existing = this.getCalendar(calendarId).get(eventId);
+    if (!existing || existing.status === 'cancelled') {
+      throw this.error(404, 'Not Found');
+    }
+    if (etag && existing.etag !== etag) {
+      throw this.error(412, 'Precondition Failed');
+    }
+    return this.write(calendarId, { ...resource, id: eventId });
+  }
+
+  async deleteEvent(calendarId, eventId, etag) {
+    this.requests.push({ method: 'delete', calendarId, eventId });
+    const existing = this.getCalendar(calendarId).get(eventId);
+    if (!existing || existing.status === 'cancelled') {
+      throw this.error(410, 'Resource has been deleted');
+    }
+    if (etag && existing.etag !== etag) {
+      throw this.error(412, 'Precondition Failed');
+    }
+    this.write(calendarId, { ...existing, status: 'cancelled' });
+  }
+}
+
+module.exports = FakeGoogleCalendarClient;
@@ -0,0 +1,178 @@
+// In-memory stand-in for a Mongoose model, for specs that run without MongoDB:
+//
+//   jest.mock('../models/Event', () => require('./fakes/memoryModel').createMemoryModel());
+//   const Event = require('../models/Event');
+//   Event.insert({ userId, title: 'Standup', dateTime });
+//
+// Documents are plain objects with set() and save(). Queries understand equality, dotted
+// paths, $or, $exists, $in, $gte / $gt / $lte / $lt and $expr comparisons of two fields,
+// which is what the services use. Writes bump updatedAt unless { timestamps: false }.
+
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+function setPath(doc, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((object, key) => {
+    if (object[key] == null) object[key] = {};
+    return object[key];
+  }, doc);
+  target[last] = value;
+}
+
+function unsetPath(doc, path) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.length ? getPath(doc, keys.join('.')) : doc;
+  if (target) delete target[last];
+}
+
+// Dates and ObjectId-like values compare by value
+function comparable(value) {
+  if (value instanceof Date) return value.getTime();
+  if (value && typeof value === 'object' && typeof value.toHexString === 'function') return value.toHexString();
+  return value;
+}
+
+function equals(a, b) {
+  return comparable(a) === comparable(b) || String(comparable(a)) === String(comparable(b));
+}
+
+function matchesCondition(value, condition) {
+  const isOperator = condition && typeof condition === 'object' && !(condition instanceof Date) &&
+    Object.keys(condition).some(key => key.startsWith('$'));
+  if (!isOperator) return equals(value, condition);
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$exists': return (value !== undefined) === Boolean(operand);
+      case '$in': return operand.some(candidate => equals(value, candidate));
+      case '$ne': return !equals(value, operand);
+      case '$gt': return value != null && comparable(value) > comparable(operand);
+      case '$gte': return value != null && comparable(value) >= comparable(operand);
+      case '$lt': return value != null && comparable(value) < comparable(operand);
+      case '$lte': return value != null && comparable(value) <= comparable(operand);
+      default: throw new Error(`memoryModel: unsupported operator ${operator}`);
+    }
+  });
+}
+
+// { $gt: ['$updatedAt', '$googleSyncedAt'] }, with MongoDB's ordering where missing sorts first
+function matchesExpression(doc, expression) {
+  const [[operator, [left, right]]] = Object.entries(expression);
+  const resolve = operand => (typeof operand === 'string' && operand.startsWith('$')
+    ? comparable(getPath(doc, operand.slice(1)))
+    : comparable(operand));
+  const a = resolve(left) ?? -Infinity;
+  const b = resolve(right) ?? -Infinity;
+
+  switch (operator) {
+    case '$gt': return a > b;
+    case '$gte': return a >= b;
+    case '$lt': return a < b;
+    case '$lte': return a <= b;
+    default: throw new Error(`memoryModel: unsupported $expr operator ${operator}`);
+  }
+}
+
+function matches(doc, query = {}) {
+  return Object.entries(query).every(([key, condition]) => {
+    if (key === '$or') return condition.some(branch => matches(doc, branch));
+    if (key === '$and') return condition.every(branch => matches(doc, branch));
+    if (key === '$expr') return matchesExpression(doc, condition);
+    return matchesCondition(getPath(doc, key), condition);
+  });
+}
+
+function applyUpdate(doc, update) {
+  const operators = Object.keys(update).some(key => key.startsWith('$')) ? update : { $set: update };
+  Object.entries(operators.$set || {}).forEach(([path, value]) => setPath(doc, path, value));
+  Object.keys(operators.$unset || {}).forEach(path => unsetPath(doc, path));
+  Object.entries(operators.$inc || {}).forEach(([path, value]) => setPath(doc, path, (getPath(doc, path) || 0) + value));
+  Object.entries(operators.$push || {}).forEach(([path, value]) => setPath(doc, path, [...(getPath(doc, path) || []), value]));
+}
+
+// Resolves like a query, and also supports the chained select/sort/skip/limit/lean calls
+function query(run) {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    skip: () => chain,
+    limit: () => chain,
+    populate: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject)
+  };
+  return chain;
+}
+
+function createMemoryModel() {
+  let nextId = 1;
+
+  const model = {
+    docs: [],
+
+    // Store a document directly, without create()'s timestamps unless given
+    insert(fields) {
+      const doc = {
+        _id: String(nextId++).padStart(24, '0'),
+        ...fields,
+        set(values) {
+          Object.entries(values).forEach(([path, value]) => setPath(this, path, value));
+          return this;
+        },
+        async save() {
+          this.updatedAt = new Date();
+          return this;
+        },
+        toObject() {
+          return { ...this };
+        }
+      };
+      model.docs.push(doc);
+      return doc;
+    },
+
+    reset() {
+      model.docs.length = 0;
+    },
+
+    find: jest.fn(filter => query(() => model.docs.filter(doc => matches(doc, filter)))),
+    findOne: jest.fn(filter => query(() => model.docs.find(doc => matches(doc, filter)) || null)),
+    findById: jest.fn(id => query(() => model.docs.find(doc => equals(doc._id, id)) || null)),
+    countDocuments: jest.fn(async filter => model.docs.filter(doc => matches(doc, filter)).length),
+
+    create: jest.fn(async fields => {
+      const now = new Date();
+      return model.insert({ createdAt: now, updatedAt: now, ...fields });
+    }),
+
+    updateOne: jest.fn(async (filter, update, options = {}) => {
+      const doc = model.docs.find(candidate => matches(candidate, filter));
+      if (doc) {
+        applyUpdate(doc, update);
+        if (options.timestamps !== false) doc.updatedAt = new Date();
+      }
+      return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+    }),
+
+    findOneAndUpdate: jest.fn(async (filter, update, options = {}) => {
+      const doc = model.docs.find(candidate => matches(candidate, filter));
+      if (!doc) return null;
+      applyUpdate(doc, update);
+      if (options.timestamps !== false) doc.updatedAt = new Date();
+      return doc;
+    }),
+
+    findByIdAndUpdate: jest.fn(async (id, update, options) => model.findOneAndUpdate({ _id: id }, update, options))
+  };
+
+  return model;
+}
+
+module.exports = {
+  createMemoryModel,
+  matches
+};
@@ -0,0 +1,116 @@
+// Minimal SMTP server on 127.0.0.1 for specs that send mail through nodemailer:
+//
+//   const smtp = await startSmtpServer();
+//   process.env.EMAIL_HOST = '127.0.0.1';
+//   process.env.EMAIL_PORT = String(smtp.port);
+//   ...
+//   smtp.messages   // [{ from, to: [...], data }]
+//   smtp.rejectRecipients = true;   // answer RCPT TO with 550
+//   await smtp.close();
+//
+// It speaks just enough ESMTP for nodemailer: EHLO, AUTH PLAIN / LOGIN (any credentials),
+// MAIL, RCPT, DATA, RSET, NOOP and QUIT. No STARTTLS.
+const net = require('net');
+
+function startSmtpServer() {
+  const state = { messages: [], rejectRecipients: false };
+  const sockets = new Set();
+
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.setEncoding('utf8');
+
+    const reply = line => socket.write(`${line}\r\n`);
+    let buffer = '';
+    let mode = 'command'; // 'command' | 'data' | 'auth-user' | 'auth-pass'
+    let envelope = { from: null, to: [] };
+    let data = [];
+
+    const handle = line => {
+      if (mode === 'data') {
+        if (line === '.') {
+          state.messages.push({ ...envelope, data: data.join('\n') });
+          envelope = { from: null, to: [] };
+          data = [];
+          mode = 'command';
+          reply(`250 OK queued as ${state.messages.length}`);
+        } else {
+          data.push(line.startsWith('..') ? line.slice(1) : line);
+        }
+        return;
+      }
+      if (mode === 'auth-user') {
+        mode = 'auth-pass';
+        return reply('334 UGFzc3dvcmQ6');
+      }
+      if (mode === 'auth-pass') {
+        mode = 'command';
+        return reply('235 Authentication successful');
+      }
+
+      const [command] = line.split(' ');
+      switch (command.toUpperCase()) {
+        case 'EHLO':
+          return reply('250-localhost\r\n250-AUTH PLAIN LOGIN\r\n250 8BITMIME');
+        case 'HELO':
+          return reply('250 localhost');
+        case 'AUTH':
+          if (/^AUTH LOGIN/i.test(line)) {
+            mode = 'auth-user';
+            return reply('334 VXNlcm5hbWU6');
+          }
+          return reply('235 Authentication successful');
+        case 'MAIL':
+          envelope.from = /<(.*)>/.exec(line)?.[1] ?? null;
+          return reply('250 OK');
+        case 'RCPT':
+          if (state.rejectRecipients) return reply('550 Mailbox unavailable');
+          envelope.to.push(/<(.*)>/.exec(line)?.[1]);
+          return reply('250 OK');
+        case 'DATA':
+          mode = 'data';
+          return reply('354 End data with <CR><LF>.<CR><LF>');
+        case 'RSET':
+          envelope = { from: null, to: [] };
+          return reply('250 OK');
+        case 'NOOP':
+          return reply('250 OK');
+        case 'QUIT':
+          reply('221 Bye');
+          return socket.end();
+        default:
+          return reply('502 Command not implemented');
+      }
+    };
+
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        handle(line);
+      }
+    });
+
+    reply('220 localhost ESMTP test server');
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      resolve(Object.assign(state, {
+        port: server.address().port,
+        close: () => new Promise(done => {
+          sockets.forEach(socket => socket.destroy());
+          server.close(done);
+        })
+      }));
+    });
+  });
+}
+
+module.exports = {
+  startSmtpServer
+};
@@ -0,0 +1,204 @@
+jest.mock('../models/Event', () => require('./fakes/memoryModel').createMemoryModel());
+jest.mock('../models/User', () => require('./fakes/memoryModel').createMemoryModel());
+jest.mock('../models/CalendarSyncConflict', () => require('./fakes/memoryModel').createMemoryModel());
+jest.mock('../services/reminderScheduler', () => ({
+  scheduleEventReminders: jest.fn(),
+  rescheduleEventReminders: jest.fn(),
+  cancelEventReminders: jest.fn()
+}));
+
+const Event = require('../models/Event');
+const User = require('../models/User');
+const CalendarSyncConflict = require('../models/CalendarSyncConflict');
+const syncService = require('../services/googleCalendarSyncService');
+const FakeGoogleCalendarClient = require('./fakes/fakeGoogleCalendarClient');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function remoteEvent(summary, start) {
+  return {
+    summary,
+    start: { dateTime: start.toISOString() },
+    end: { dateTime: new Date(start.getTime() + HOUR_MS).toISOString() }
+  };
+}
+
+describe('googleCalendarSyncService', () => {
+  let fake;
+  let user;
+  const tomorrow = new Date(Date.now() + 24 * HOUR_MS);
+
+  beforeEach(() => {
+    Event.reset();
+    User.reset();
+    CalendarSyncConflict.reset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    fake = new FakeGoogleCalendarClient();
+    syncService.setClientFactory(() => fake);
+    user = User.insert({
+      preferences: { timezone: 'UTC' },
+      integrations: { googleCalendar: { connected: true, calendarId: 'primary' } }
+    });
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('sync tokens', () => {
+    test('a first sync lists the whole window and stores the next sync token', async () => {
+      fake.seed('primary', remoteEvent('Standup', tomorrow));
+      fake.seed('primary', remoteEvent('Review', tomorrow));
+
+      const results = await syncService.syncUser(user._id);
+
+      expect(results.pulled.created).toBe(2);
+      expect(fake.requests[0]).toMatchObject({ method: 'list', syncToken: undefined });
+      expect(Event.docs.map(event => event.title).sort()).toEqual(['Review', 'Standup']);
+      expect(user.integrations.googleCalendar.nextSyncToken).toBe('sync-2');
+    });
+
+    test('later syncs only fetch changes since the stored token', async () => {
+      fake.seed('primary', remoteEvent('Standup', tomorrow));
+      await syncService.syncUser(user._id);
+      const token = user.integrations.googleCalendar.nextSyncToken;
+
+      fake.seed('primary', remoteEvent('Lab session', tomorrow));
+      fake.requests = [];
+      const results = await syncService.syncUser(user._id);
+
+      expect(fake.requests[0]).toMatchObject({ method: 'list', syncToken: token });
+      expect(results.pulled).toEqual({ created: 1, updated: 0, deleted: 0 });
+      expect(Event.docs).toHaveLength(2);
+    });
+
+    test('remote deletions arrive through the token and cancel the local event', async () => {
+      const { id } = fake.seed('primary', remoteEvent('Standup', tomorrow));
+      await syncService.syncUser(user._id);
+
+      fake.remove('primary', id);
+      const results = await syncService.syncUser(user._id);
+
+      expect(results.pulled.deleted).toBe(1);
+      expect(Event.docs[0].status).toBe('cancelled');
+    });
+  });
+
+  describe('expired sync token (410)', () => {
+    test('falls back to a full listing and stores a fresh token', async () => {
+      fake.seed('primary', remoteEvent('Standup', tomorrow));
+      user.integrations.googleCalendar.nextSyncToken = 'sync-99';
+
+      const results = await syncService.syncUser(user._id);
+
+      expect(fake.requests.filter(request => request.method === 'list')).toEqual([
+        expect.objectContaining({ syncToken: 'sync-99' }),
+        expect.objectContaining({ syncToken: undefined })
+      ]);
+      expect(results.pulled.created).toBe(1);
+      expect(results.errors).toEqual([]);
+      expect(user.integrations.googleCalendar.nextSyncToken).toBe('sync-1');
+      expect(user.integrations.googleCalendar.lastSyncError).toBeUndefined();
+    });
+
+    test('other listing errors fail the sync and are recorded', async () => {
+      user.integrations.googleCalendar.nextSyncToken = 'sync-99';
+      fake.listEvents = jest.fn().mockRejectedValue(Object.assign(new Error('Backend Error'), { code: 500 }));
+
+      await expect(syncService.syncUser(user._id)).rejects.toThrow('Backend Error');
+      expect(fake.listEvents).toHaveBeenCalledTimes(1);
+      expect(user.integrations.googleCalendar.lastSyncError).toBe('Backend Error');
+    });
+  });
+
+  describe('etag conflicts', () => {
+    // A local event last synced an hour ago, at etag "1" of the Google copy
+    function syncedEvent(fields = {}) {
+      const remote = fake.seed('primary', remoteEvent('Standup', tomorrow));
+      const syncedAt = new Date(Date.now() - HOUR_MS);
+      const event = Event.insert({
+        userId: user._id,
+        title: 'Standup',
+        dateTime: tomorrow,
+        endDateTime: new Date(tomorrow.getTime() + HOUR_MS),
+        status: 'scheduled',
+        googleCalendarId: remote.id,
+        googleEtag: remote.etag,
+        updatedAt: syncedAt,
+        googleSyncedAt: syncedAt,
+        ...fields
+      });
+      return { event, remote };
+    }
+
+    function pushContext() {
+      return {
+        userId: user._id,
+        client: fake,
+        calendarId: 'primary',
+        timezone: 'UTC',
+        results: {
+          pulled: { created: 0, updated: 0, deleted: 0 },
+          pushed: { created: 0, updated: 0, deleted: 0, deferred: 0 },
+          conflicts: 0,
+          errors: []
+        }
+      };
+    }
+
+    test('a push is deferred when Google changed the event after the pull (412)', async () => {
+      const { event, remote } = syncedEvent();
+      event.set({ title: 'Standup (moved)', updatedAt: new Date() });
+      fake.seed('primary', { id: remote.id, summary: 'Standup (Google edit)' });
+
+      const context = pushContext();
+      await syncService.push(context);
+
+      expect(context.results.pushed).toMatchObject({ updated: 0, deferred: 1 });
+      expect(context.results.errors).toEqual([]);
+      expect(fake.getCalendar('primary').get(remote.id).summary).toBe('Standup (Google edit)');
+    });
+
+    test('edits on both sides: the later Google edit wins and the conflict is logged', async () => {
+      const { event, remote } = syncedEvent();
+      event.set({ title: 'Standup (local edit)', updatedAt: new Date(Date.now() - HOUR_MS / 2) });
+      fake.seed('primary', { id: remote.id, summary: 'Standup (Google edit)' });
+      user.integrations.googleCalendar.nextSyncToken = `sync-${remote.etag.replace(/"/g, '')}`;
+
+      const results = await syncService.syncUser(user._id);
+
+      expect(results.conflicts).toBe(1);
+      expect(CalendarSyncConflict.docs[0]).toMatchObject({ type: 'both_modified', winner: 'remote' });
+      expect(event.title).toBe('Standup (Google edit)');
+      expect(fake.requests.some(request => request.method === 'update')).toBe(false);
+    });
+
+    test('edits on both sides: a later local edit wins and overwrites Google with the remote etag', async () => {
+      const { event, remote } = syncedEvent();
+      fake.seed('primary', { id: remote.id, summary: 'Standup (Google edit)' });
+      event.set({ title: 'Standup (local edit)', updatedAt: new Date(Date.now() + 1000) });
+      user.integrations.googleCalendar.nextSyncToken = `sync-${remote.etag.replace(/"/g, '')}`;
+
+      const results = await syncService.syncUser(user._id);
+
+      expect(results.conflicts).toBe(1);
+      expect(CalendarSyncConflict.docs[0]).toMatchObject({ type: 'both_modified', winner: 'local' });
+      expect(results.pushed).toMatchObject({ updated: 1, deferred: 0 });
+      expect(fake.getCalendar('primary').get(remote.id).summary).toBe('Standup (local edit)');
+    });
+
+    test('events synced before googleSyncedAt was tracked take remote edits without a conflict', async () => {
+      const { event, remote } = syncedEvent({ googleSyncedAt: undefined });
+      fake.seed('primary', { id: remote.id, summary: 'Standup (Google edit)' });
+      user.integrations.googleCalendar.nextSyncToken = `sync-${remote.etag.replace(/"/g, '')}`;
+
+      const results = await syncService.syncUser(user._id);
+
+      expect(results.conflicts).toBe(0);
+      expect(results.pulled.updated).toBe(1);
+      expect(results.pushed.updated).toBe(0);
+      expect(event.title).toBe('Standup (Google edit)');
+    });
+  });
+});
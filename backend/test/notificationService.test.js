@@ -0,0 +1,200 @@
+jest.mock('../models/Notification', () => require('./fakes/memoryModel').createMemoryModel());
+jest.mock('../services/llmService', () => ({}));
+jest.mock('../services/pushNotificationService', () => ({
+  hasSubscription: jest.fn(user => (user.pushSubscriptions || []).length > 0),
+  sendReminderNotification: jest.fn()
+}));
+
+const crypto = require('crypto');
+const http = require('http');
+const Notification = require('../models/Notification');
+const pushService = require('../services/pushNotificationService');
+const webhookUrl = require('../utils/webhookUrl');
+const { startSmtpServer } = require('./fakes/smtpServer');
+
+const { assertPublicUrl } = webhookUrl;
+
+// Webhook receiver on 127.0.0.1; replies with `status` and follows nothing itself
+function startWebhookServer() {
+  const state = { requests: [], status: 200 };
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      state.requests.push({ path: req.url, headers: req.headers, body });
+      if (req.url === '/redirect') {
+        res.writeHead(302, { Location: '/internal' }).end();
+      } else {
+        res.writeHead(state.status).end();
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve(Object.assign(state, {
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done))
+      }));
+    });
+  });
+}
+
+describe('notificationService', () => {
+  let notificationService;
+  let smtp;
+  let webhook;
+
+  const notification = {
+    type: 'reminder',
+    title: 'Robotics workshop',
+    message: 'Starts in 1 hour',
+    eventId: 'event1',
+    reminderId: 'reminder1',
+    data: { title: 'Robotics workshop', dateTime: new Date('2026-11-14T11:30:00Z') }
+  };
+
+  function makeUser(fields = {}) {
+    return {
+      _id: 'user1',
+      email: 'student@example.com',
+      pushSubscriptions: [],
+      preferences: {},
+      integrations: {
+        webhook: { isActive: true, url: `${webhook.url}/hook`, secret: 'hook-secret' }
+      },
+      ...fields
+    };
+  }
+
+  beforeAll(async () => {
+    smtp = await startSmtpServer();
+    webhook = await startWebhookServer();
+    process.env.EMAIL_HOST = '127.0.0.1';
+    process.env.EMAIL_PORT = String(smtp.port);
+    process.env.EMAIL_USER = 'tracker@example.com';
+    process.env.EMAIL_PASS = 'secret';
+    notificationService = require('../services/notificationService');
+  });
+
+  afterAll(async () => {
+    await smtp.close();
+    await webhook.close();
+  });
+
+  beforeEach(() => {
+    Notification.reset();
+    smtp.messages.length = 0;
+    smtp.rejectRecipients = false;
+    webhook.requests.length = 0;
+    webhook.status = 200;
+    pushService.sendReminderNotification.mockReset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    // The stand-in listens on loopback, which real webhook URLs may not use
+    jest.spyOn(webhookUrl, 'assertPublicUrl').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    [console.log, console.error, webhookUrl.assertPublicUrl].forEach(spy => spy.mockRestore());
+  });
+
+  test('falls back from a failed push to email over SMTP and returns a receipt per channel', async () => {
+    pushService.sendReminderNotification.mockResolvedValue({ success: false, error: 'No active subscriptions' });
+    const user = makeUser({ pushSubscriptions: [{ endpoint: 'https://push.example/1' }] });
+
+    const result = await notificationService.notify(user, notification);
+
+    expect(result).toMatchObject({ success: true, channel: 'email' });
+    expect(result.receipts).toEqual([
+      expect.objectContaining({ channel: 'browser_push', status: 'failed', error: 'No active subscriptions' }),
+      expect.objectContaining({ channel: 'email', status: 'sent', detail: expect.any(String) })
+    ]);
+    expect(smtp.messages).toHaveLength(1);
+    expect(smtp.messages[0].to).toEqual(['student@example.com']);
+    expect(smtp.messages[0].data).toContain('Subject: Reminder: Robotics workshop');
+  });
+
+  test('skips channels the user has not set up', async () => {
+    const user = makeUser();
+
+    const result = await notificationService.notify(user, notification);
+
+    expect(result.channel).toBe('email');
+    expect(result.receipts[0]).toMatchObject({ channel: 'browser_push', status: 'skipped', error: 'Not configured' });
+    expect(pushService.sendReminderNotification).not.toHaveBeenCalled();
+  });
+
+  test('a rejected email falls through to a signed webhook', async () => {
+    smtp.rejectRecipients = true;
+    const user = makeUser({ preferences: { notificationChains: { reminder: ['email', 'webhook', 'in_app'] } } });
+
+    const result = await notificationService.notify(user, notification);
+
+    expect(result.channel).toBe('webhook');
+    expect(result.receipts.map(receipt => [receipt.channel, receipt.status])).toEqual([
+      ['email', 'failed'],
+      ['webhook', 'sent']
+    ]);
+    expect(result.receipts[0].error).toMatch(/550/);
+
+    expect(webhook.requests).toHaveLength(1);
+    const [request] = webhook.requests;
+    expect(JSON.parse(request.body)).toMatchObject({ type: 'reminder', title: 'Robotics workshop', reminderId: 'reminder1' });
+    const signature = crypto.createHmac('sha256', 'hook-secret').update(request.body).digest('hex');
+    expect(request.headers['x-signature-256']).toBe(`sha256=${signature}`);
+    expect(Notification.docs).toHaveLength(0);
+  });
+
+  test('a failing webhook falls back to the in-app inbox', async () => {
+    webhook.status = 500;
+    const user = makeUser({ preferences: { notificationChains: { reminder: ['webhook', 'in_app'] } } });
+
+    const result = await notificationService.notify(user, notification);
+
+    expect(result.channel).toBe('in_app');
+    expect(result.receipts[0]).toMatchObject({ channel: 'webhook', status: 'failed', error: 'Webhook responded 500' });
+    expect(result.receipts[1]).toMatchObject({ channel: 'in_app', status: 'sent', detail: Notification.docs[0]._id });
+    expect(Notification.docs[0]).toMatchObject({ userId: 'user1', title: 'Robotics workshop', reminderId: 'reminder1' });
+  });
+
+  test('webhook redirects are not followed', async () => {
+    const user = makeUser({
+      preferences: { notificationChains: { reminder: ['webhook'] } },
+      integrations: { webhook: { isActive: true, url: `${webhook.url}/redirect` } }
+    });
+
+    const result = await notificationService.notify(user, notification);
+
+    expect(result.success).toBe(false);
+    expect(result.receipts[0]).toMatchObject({ channel: 'webhook', status: 'failed' });
+    expect(webhook.requests.map(request => request.path)).toEqual(['/redirect']);
+  });
+
+  test('webhooks to loopback addresses are refused', async () => {
+    webhookUrl.assertPublicUrl.mockImplementation(assertPublicUrl);
+    const user = makeUser({ preferences: { notificationChains: { reminder: ['webhook'] } } });
+
+    const result = await notificationService.notify(user, notification);
+
+    expect(result).toMatchObject({ success: false, channel: null });
+    expect(result.receipts[0]).toMatchObject({ status: 'failed', error: 'Webhook URL must point to a public address' });
+    expect(webhook.requests).toHaveLength(0);
+  });
+
+  test('a preferred channel goes first and unknown channels are reported', async () => {
+    const user = makeUser({ preferences: { notificationChains: { reminder: ['carrier_pigeon', 'in_app'] } } });
+
+    const result = await notificationService.notify(user, notification, { preferred: 'webhook' });
+
+    expect(result.receipts.map(receipt => [receipt.channel, receipt.status])).toEqual([['webhook', 'sent']]);
+
+    webhook.status = 503;
+    const fallback = await notificationService.notify(user, notification, { preferred: 'webhook' });
+    expect(fallback.receipts.map(receipt => [receipt.channel, receipt.status, receipt.error])).toEqual([
+      ['webhook', 'failed', 'Webhook responded 503'],
+      ['carrier_pigeon', 'skipped', 'Unknown channel'],
+      ['in_app', 'sent', undefined]
+    ]);
+  });
+});
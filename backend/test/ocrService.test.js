@@ -0,0 +1,287 @@
+// The registry starts empty so each spec registers the providers it needs
+jest.mock('../services/ocrProviders', () => []);
+
+const sharp = require('sharp');
+
+const POSTER_TEXT = 'ROBOTICS WORKSHOP\nFriday 14 Nov, 5pm - Innovation Lab\nRegister at the venue';
+const image = { buffer: Buffer.from('image'), processed: Buffer.from('processed'), mimeType: 'image/png' };
+
+function fakeProvider(name, { text = POSTER_TEXT, confidence = 0.95, error = null, hang = false, configured = true, timeout = 1000, mimeTypes = ['image/'] } = {}) {
+  return {
+    name,
+    timeout,
+    isConfigured: () => configured,
+    supports: mimeType => mimeTypes.some(prefix => mimeType.startsWith(prefix)),
+    recognize: jest.fn((input, { signal }) => {
+      if (hang) {
+        return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))));
+      }
+      return error ? Promise.reject(new Error(error)) : Promise.resolve({ text, confidence });
+    })
+  };
+}
+
+describe('ocrService', () => {
+  let ocrService;
+
+  beforeEach(() => {
+    jest.resetModules();
+    delete process.env.OCR_PROVIDERS;
+    ocrService = require('../services/ocrService');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  describe('chain order', () => {
+    test('tries providers in OCR_PROVIDERS order and stops at the first confident result', async () => {
+      const vision = fakeProvider('google-vision');
+      const tesseract = fakeProvider('tesseract');
+      const paddle = fakeProvider('paddle-ocr');
+      [vision, tesseract, paddle].forEach(provider => ocrService.register(provider));
+      process.env.OCR_PROVIDERS = 'paddle-ocr, google-vision,tesseract';
+
+      const result = await ocrService.recognize(image);
+
+      expect(result.method).toBe('paddle-ocr');
+      expect(result.attempts.map(attempt => attempt.provider)).toEqual(['paddle-ocr']);
+      expect(vision.recognize).not.toHaveBeenCalled();
+      expect(tesseract.recognize).not.toHaveBeenCalled();
+    });
+
+    test('uses the default order without OCR_PROVIDERS and warns about unknown names', () => {
+      ['tesseract', 'google-vision', 'deepseek-ocr'].forEach(name => ocrService.register(fakeProvider(name)));
+
+      expect(ocrService.getOrder().map(provider => provider.name)).toEqual(['deepseek-ocr', 'google-vision', 'tesseract']);
+
+      process.env.OCR_PROVIDERS = 'tesseract,abbyy';
+      expect(ocrService.getOrder().map(provider => provider.name)).toEqual(['tesseract']);
+      expect(console.warn).toHaveBeenCalledWith('Unknown OCR provider "abbyy" in OCR_PROVIDERS');
+    });
+
+    test('skips providers that are not configured or cannot read the file type', async () => {
+      const documentAI = fakeProvider('google-document-ai', { mimeTypes: ['application/pdf'] });
+      const vision = fakeProvider('google-vision', { configured: false });
+      const tesseract = fakeProvider('tesseract');
+      [documentAI, vision, tesseract].forEach(provider => ocrService.register(provider));
+      process.env.OCR_PROVIDERS = 'google-document-ai,google-vision,tesseract';
+
+      const result = await ocrService.recognize(image);
+
+      expect(result.method).toBe('tesseract');
+      expect(result.attempts.map(attempt => attempt.provider)).toEqual(['tesseract']);
+      expect(documentAI.recognize).not.toHaveBeenCalled();
+      expect(vision.recognize).not.toHaveBeenCalled();
+    });
+
+    test('falls back past errors and empty text, keeping the best low-confidence result', async () => {
+      ocrService.register(fakeProvider('google-vision', { error: 'quota exceeded' }));
+      ocrService.register(fakeProvider('claude-vision', { text: '  ' }));
+      ocrService.register(fakeProvider('paddle-ocr', { confidence: 0.1, text: 'R0B0TICS W0RKSH0P ##' }));
+      ocrService.register(fakeProvider('tesseract', { confidence: 0.3 }));
+      ocrService.acceptConfidence = 0.99;
+      process.env.OCR_PROVIDERS = 'google-vision,claude-vision,paddle-ocr,tesseract';
+
+      const result = await ocrService.recognize(image);
+
+      expect(result.attempts.map(({ provider, status }) => [provider, status])).toEqual([
+        ['google-vision', 'error'],
+        ['claude-vision', 'no_text'],
+        ['paddle-ocr', 'ok'],
+        ['tesseract', 'ok']
+      ]);
+      expect(result.attempts[0].error).toBe('quota exceeded');
+      expect(result.method).toBe('tesseract');
+      expect(result.text).toBe(POSTER_TEXT);
+      expect(result.confidence).toBe(result.attempts[3].confidence);
+      expect(result.confidence).toBeGreaterThan(result.attempts[2].confidence);
+    });
+
+    test('throws with every attempt listed when no provider reads the image', async () => {
+      ocrService.register(fakeProvider('google-vision', { error: 'quota exceeded' }));
+      ocrService.register(fakeProvider('tesseract', { text: '' }));
+      process.env.OCR_PROVIDERS = 'google-vision,tesseract';
+
+      await expect(ocrService.recognize(image)).rejects.toThrow(
+        'All OCR services failed to extract meaningful text (tried: google-vision (error), tesseract (no_text))'
+      );
+    });
+  });
+
+  describe('circuit breaker', () => {
+    let now;
+
+    beforeEach(() => {
+      now = 1_000_000;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+      ocrService.breakerFailures = 3;
+      ocrService.breakerCooldownMs = 60 * 1000;
+    });
+
+    afterEach(() => {
+      Date.now.mockRestore();
+    });
+
+    test('opens after consecutive failures and skips the provider while open', async () => {
+      const vision = fakeProvider('google-vision', { error: 'unavailable' });
+      const tesseract = fakeProvider('tesseract');
+      [vision, tesseract].forEach(provider => ocrService.register(provider));
+      process.env.OCR_PROVIDERS = 'google-vision,tesseract';
+
+      for (let i = 0; i < 3; i++) {
+        await ocrService.recognize(image);
+      }
+      expect(ocrService.breakers.get('google-vision')).toMatchObject({ state: 'open', failures: 3, openedAt: now });
+
+      now += 30 * 1000;
+      const result = await ocrService.recognize(image);
+
+      expect(vision.recognize).toHaveBeenCalledTimes(3);
+      expect(result.attempts[0]).toEqual({ provider: 'google-vision', status: 'circuit_open' });
+      expect(result.method).toBe('tesseract');
+      expect(ocrService.metrics.get('google-vision')).toMatchObject({ attempts: 3, failures: 3, skipped: 1 });
+    });
+
+    test('a success in between resets the failure count', async () => {
+      const vision = fakeProvider('google-vision', { error: 'unavailable' });
+      ocrService.register(vision);
+      process.env.OCR_PROVIDERS = 'google-vision';
+
+      await expect(ocrService.recognize(image)).rejects.toThrow();
+      await expect(ocrService.recognize(image)).rejects.toThrow();
+      vision.recognize.mockResolvedValueOnce({ text: POSTER_TEXT, confidence: 0.9 });
+      await ocrService.recognize(image);
+      await expect(ocrService.recognize(image)).rejects.toThrow();
+
+      expect(ocrService.breakers.get('google-vision')).toMatchObject({ state: 'closed', failures: 1 });
+    });
+
+    test('half-opens after the cooldown and lets a single trial through', () => {
+      ocrService.register(fakeProvider('google-vision'));
+      Object.assign(ocrService.breakers.get('google-vision'), { state: 'open', failures: 3, openedAt: now });
+
+      expect(ocrService.canAttempt('google-vision', now + 59 * 1000)).toBe(false);
+      expect(ocrService.canAttempt('google-vision', now + 60 * 1000)).toBe(true);
+      expect(ocrService.breakers.get('google-vision').state).toBe('half_open');
+      // The trial is still running
+      expect(ocrService.canAttempt('google-vision', now + 61 * 1000)).toBe(false);
+    });
+
+    test('a failed trial reopens the circuit straight away', async () => {
+      const vision = fakeProvider('google-vision', { error: 'still down' });
+      ocrService.register(vision);
+      ocrService.register(fakeProvider('tesseract'));
+      process.env.OCR_PROVIDERS = 'google-vision,tesseract';
+      Object.assign(ocrService.breakers.get('google-vision'), { state: 'open', failures: 3, openedAt: now });
+
+      now += 60 * 1000;
+      const result = await ocrService.recognize(image);
+
+      expect(result.attempts[0]).toMatchObject({ provider: 'google-vision', status: 'error' });
+      expect(ocrService.breakers.get('google-vision')).toMatchObject({ state: 'open', openedAt: now, trial: false });
+      now += 1000;
+      expect((await ocrService.recognize(image)).attempts[0].status).toBe('circuit_open');
+      expect(vision.recognize).toHaveBeenCalledTimes(1);
+    });
+
+    test('a successful trial closes the circuit', async () => {
+      const vision = fakeProvider('google-vision');
+      ocrService.register(vision);
+      process.env.OCR_PROVIDERS = 'google-vision';
+      Object.assign(ocrService.breakers.get('google-vision'), { state: 'open', failures: 3, openedAt: now });
+
+      now += 60 * 1000;
+      const result = await ocrService.recognize(image);
+
+      expect(result.method).toBe('google-vision');
+      expect(ocrService.breakers.get('google-vision')).toEqual({ state: 'closed', failures: 0, openedAt: null, trial: false });
+    });
+
+    test('timeouts abort the provider and count as failures', async () => {
+      // Real clock, so the timeout can be measured
+      Date.now.mockImplementation(() => new Date().getTime());
+      const slow = fakeProvider('google-vision', { hang: true, timeout: 20 });
+      ocrService.register(slow);
+      ocrService.register(fakeProvider('tesseract'));
+      process.env.OCR_PROVIDERS = 'google-vision,tesseract';
+
+      const result = await ocrService.recognize(image);
+
+      expect(result.attempts[0]).toMatchObject({
+        provider: 'google-vision',
+        status: 'timeout',
+        error: 'google-vision timed out after 20 ms'
+      });
+      expect(slow.recognize.mock.calls[0][1].signal.aborted).toBe(true);
+      expect(ocrService.metrics.get('google-vision')).toMatchObject({ failures: 1, timeouts: 1 });
+      expect(result.method).toBe('tesseract');
+    });
+
+    test('getStatus lists providers in chain order with circuit state and timings', async () => {
+      ocrService.register(fakeProvider('google-vision', { error: 'unavailable' }));
+      ocrService.register(fakeProvider('tesseract'));
+      ocrService.register(fakeProvider('paddle-ocr', { configured: false }));
+      ocrService.breakerFailures = 1;
+      process.env.OCR_PROVIDERS = 'google-vision,tesseract';
+      await ocrService.recognize(image);
+
+      expect(ocrService.getStatus().map(({ name, position, configured, circuit, attempts }) => (
+        { name, position, configured, circuit, attempts }
+      ))).toEqual([
+        { name: 'google-vision', position: 1, configured: true, circuit: 'open', attempts: 1 },
+        { name: 'tesseract', position: 2, configured: true, circuit: 'closed', attempts: 1 },
+        { name: 'paddle-ocr', position: null, configured: false, circuit: 'closed', attempts: 0 }
+      ]);
+    });
+  });
+
+  describe('bundled tesseract provider', () => {
+    const tesseract = require('../services/ocrProviders/tesseractProvider');
+    let poster;
+
+    beforeAll(async () => {
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="900" height="300">
+        <rect width="100%" height="100%" fill="white"/>
+        <text x="40" y="110" font-family="sans-serif" font-size="56" font-weight="bold">ROBOTICS WORKSHOP</text>
+        <text x="40" y="200" font-family="sans-serif" font-size="36">Friday 14 Nov, 5pm - Innovation Lab</text>
+      </svg>`;
+      poster = await sharp(Buffer.from(svg)).png().toBuffer();
+    });
+
+    afterAll(async () => {
+      await tesseract.resetWorker();
+    });
+
+    test('is configured without credentials and reads images only', () => {
+      expect(tesseract.isConfigured()).toBe(true);
+      expect(tesseract.supports('image/jpeg')).toBe(true);
+      expect(tesseract.supports('application/pdf')).toBe(false);
+    });
+
+    test('reads a poster offline with the bundled English data', async () => {
+      const result = await tesseract.recognize({ buffer: poster, processed: poster, mimeType: 'image/png' });
+
+      expect(result.text).toContain('ROBOTICS WORKSHOP');
+      expect(result.text).toMatch(/Friday 14 Nov, 5pm/);
+      expect(result.confidence).toBeGreaterThan(0.6);
+      expect(result.confidence).toBeLessThanOrEqual(1);
+    }, 60 * 1000);
+
+    test('is the last link of the chain when nothing else can run', async () => {
+      ocrService.register(fakeProvider('google-vision', { configured: false }));
+      ocrService.register(tesseract);
+
+      const result = await ocrService.recognize({ buffer: poster, processed: poster, mimeType: 'image/png' });
+
+      expect(result.method).toBe('tesseract');
+      expect(result.text).toContain('ROBOTICS WORKSHOP');
+      expect(result.attempts).toEqual([
+        expect.objectContaining({ provider: 'tesseract', status: 'ok' })
+      ]);
+    }, 60 * 1000);
+  });
+});
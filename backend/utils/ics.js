@@ -0,0 +1,386 @@
+// iCalendar (RFC 5545) helpers - reading (unfolding, content lines, components, property
+// values) and writing (escaping, folding, date values, VTIMEZONE).
+
+const { parseDateValue } = require('./recurrence');
+const { zonedTimeToUtc, isValidTimeZone, getZonedParts, getTimezoneOffset } = require('./timezone');
+
+// Join folded lines: a line break followed by a space or tab continues the previous line
+function unfoldLines(text) {
+  return String(text || '')
+    .replace(/\r\n/g, '\n')
+    .replace(/\r/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim() !== '');
+}
+
+// Split at the first occurrence of a separator that isn't inside double quotes
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    if (char === separator && !quoted) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts;
+}
+
+// "DTSTART;TZID=Europe/London:20250101T090000" -> { name, params: { TZID }, value }
+function parseContentLine(line) {
+  let colon = -1;
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    if (line[i] === ':' && !quoted) {
+      colon = i;
+      break;
+    }
+  }
+
+  if (colon === -1) {
+    throw new Error(`Invalid iCalendar line "${line.slice(0, 50)}"`);
+  }
+
+  const [name, ...paramParts] = splitOutsideQuotes(line.slice(0, colon), ';');
+  const params = {};
+  paramParts.forEach(part => {
+    const equals = part.indexOf('=');
+    if (equals === -1) return;
+    params[part.slice(0, equals).toUpperCase()] = part.slice(equals + 1).replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+// Parse iCalendar text into components: { name, properties: [...], components: [...] }.
+// Returns the top-level components (normally a single VCALENDAR).
+function parseICS(text) {
+  const root = { name: 'ROOT', properties: [], components: [] };
+  const stack = [root];
+
+  unfoldLines(text).forEach(line => {
+    const property = parseContentLine(line);
+    const current = stack[stack.length - 1];
+
+    if (property.name === 'BEGIN') {
+      const component = { name: property.value.trim().toUpperCase(), properties: [], components: [] };
+      current.components.push(component);
+      stack.push(component);
+    } else if (property.name === 'END') {
+      if (stack.length === 1 || current.name !== property.value.trim().toUpperCase()) {
+        throw new Error(`Unexpected END:${property.value} in iCalendar data`);
+      }
+      stack.pop();
+    } else {
+      current.properties.push(property);
+    }
+  });
+
+  if (stack.length > 1) {
+    throw new Error(`Missing END:${stack[stack.length - 1].name} in iCalendar data`);
+  }
+  if (!root.components.some(component => component.name === 'VCALENDAR')) {
+    throw new Error('No VCALENDAR found in iCalendar data');
+  }
+
+  return root.components;
+}
+
+// All nested components with a given name, depth first
+function findComponents(component, name) {
+  const found = [];
+  component.components.forEach(child => {
+    if (child.name === name) found.push(child);
+    found.push(...findComponents(child, name));
+  });
+  return found;
+}
+
+function getProperty(component, name) {
+  return component.properties.find(property => property.name === name) || null;
+}
+
+function getProperties(component, name) {
+  return component.properties.filter(property => property.name === name);
+}
+
+// Undo TEXT escaping (\\n, \\, \\; and \\,)
+function unescapeText(value) {
+  return String(value || '').replace(/\\([\\;,nN])/g, (match, char) => (
+    char === 'n' || char === 'N' ? '\n' : char
+  ));
+}
+
+// Text value of a property, unescaped; empty string when missing
+function getText(component, name) {
+  const property = getProperty(component, name);
+  return property ? unescapeText(property.value).trim() : '';
+}
+
+// Resolve a DATE / DATE-TIME property. Floating times are read in TZID (see resolveTimezone)
+// or the fallback timezone. Returns { date, dateOnly, parts, timezone } - date-only values
+// resolve to midnight in that zone.
+function parseDateProperty(property, fallbackTimezone = 'UTC', vtimezones = []) {
+  if (!property) return null;
+
+  const parts = parseDateValue(property.value.split(',')[0]);
+  const timezone = resolveTimezone(property.params.TZID, vtimezones) || fallbackTimezone;
+
+  const date = parts.isUtc
+    ? new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second))
+    : zonedTimeToUtc(parts, timezone);
+
+  return { date, dateOnly: parts.dateOnly, parts, timezone: parts.isUtc ? 'UTC' : timezone };
+}
+
+// "-PT15M", "P1DT2H", "P2W" -> signed milliseconds
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value || '').trim());
+  if (!match || value.trim().replace(/^[+-]/, '') === 'P') {
+    throw new Error(`Invalid duration "${value}"`);
+  }
+
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const ms = ((parseInt(weeks || 0) * 7 + parseInt(days || 0)) * 86400 +
+    parseInt(hours || 0) * 3600 + parseInt(minutes || 0) * 60 + parseInt(seconds || 0)) * 1000;
+
+  return sign === '-' ? -ms : ms;
+}
+
+// Common Windows zone names (Outlook / Exchange exports) -> IANA
+const WINDOWS_ZONES = {
+  'india standard time': 'Asia/Kolkata',
+  'utc': 'UTC',
+  'gmt standard time': 'Europe/London',
+  'w. europe standard time': 'Europe/Berlin',
+  'romance standard time': 'Europe/Paris',
+  'central europe standard time': 'Europe/Budapest',
+  'eastern standard time': 'America/New_York',
+  'central standard time': 'America/Chicago',
+  'mountain standard time': 'America/Denver',
+  'pacific standard time': 'America/Los_Angeles',
+  'singapore standard time': 'Asia/Singapore',
+  'china standard time': 'Asia/Shanghai',
+  'tokyo standard time': 'Asia/Tokyo',
+  'aus eastern standard time': 'Australia/Sydney',
+  'arabian standard time': 'Asia/Dubai'
+};
+
+// Offsets that aren't whole hours -> an IANA zone without DST that keeps that offset all year
+// (Etc/GMT only covers whole hours)
+const FIXED_OFFSET_ZONES = {
+  '-0930': 'Pacific/Marquesas',
+  '+0330': 'Asia/Tehran',
+  '+0430': 'Asia/Kabul',
+  '+0530': 'Asia/Kolkata',
+  '+0545': 'Asia/Kathmandu',
+  '+0630': 'Asia/Yangon',
+  '+0845': 'Australia/Eucla',
+  '+0930': 'Australia/Darwin'
+};
+
+// Map a TZID to an IANA zone. Handles IANA names, prefixed ids such as
+// "/mozilla.org/20050126_1/America/New_York", Windows names, and VTIMEZONE
+// blocks that carry X-LIC-LOCATION or a single fixed offset. Returns null when unknown.
+function resolveTimezone(tzid, vtimezones = []) {
+  if (!tzid) return null;
+  const id = tzid.trim();
+
+  if (isValidTimeZone(id)) return id;
+
+  const suffix = /([A-Za-z_]+\/[A-Za-z_+-]+(?:\/[A-Za-z_+-]+)?)$/.exec(id);
+  if (suffix && isValidTimeZone(suffix[1])) return suffix[1];
+
+  const windowsZone = WINDOWS_ZONES[id.toLowerCase()];
+  if (windowsZone) return windowsZone;
+
+  const vtimezone = vtimezones.find(component => getText(component, 'TZID') === id);
+  if (!vtimezone) return null;
+
+  const location = getText(vtimezone, 'X-LIC-LOCATION');
+  if (location && isValidTimeZone(location)) return location;
+
+  // No DST rules to follow: a single fixed offset maps onto Etc/GMT (whose sign is inverted)
+  const observances = vtimezone.components.filter(c => ['STANDARD', 'DAYLIGHT'].includes(c.name));
+  const offsets = [...new Set(observances.map(c => getText(c, 'TZOFFSETTO')))];
+  const offset = offsets.length === 1 && /^([+-])(\d{2})(\d{2})$/.exec(offsets[0]);
+  if (!offset) return null;
+
+  const hours = parseInt(offset[2]);
+  if (offset[3] !== '00') return FIXED_OFFSET_ZONES[offsets[0]] || null;
+  if (hours === 0) return 'UTC';
+  return `Etc/GMT${offset[1] === '+' ? '-' : '+'}${hours}`;
+}
+
+// ----- Writing -----
+
+// Escape a TEXT value
+function escapeText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/[;,]/g, '\\$&')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Fold a content line at 75 octets; continuation lines start with a space.
+// Never splits a multi-byte UTF-8 character.
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= 75) return line;
+
+  const lines = [];
+  let current = '';
+  let size = 0;
+  let limit = 75;
+
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    if (size + charSize > limit) {
+      lines.push(current);
+      current = ' ';
+      size = 1;
+      limit = 75;
+    }
+    current += char;
+    size += charSize;
+  }
+  lines.push(current);
+
+  return lines.join('\r\n');
+}
+
+// Join content lines into iCalendar text: folded, CRLF terminated
+function serializeLines(lines) {
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+const pad = (number, size = 2) => String(number).padStart(size, '0');
+
+// 20250101T090000Z
+function formatUtcDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+}
+
+// Wall-clock DATE-TIME in a timezone, for use with TZID
+function formatZonedDateTime(date, timezone) {
+  const parts = getZonedParts(date, timezone);
+  return `${pad(parts.year, 4)}${pad(parts.month)}${pad(parts.day)}T${pad(parts.hour)}${pad(parts.minute)}${pad(parts.second)}`;
+}
+
+// +0530 / -0400
+function formatUtcOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(absolute / 60))}${pad(absolute % 60)}`;
+}
+
+// UTC offset changes of a timezone between two instants, found to the minute
+function findOffsetTransitions(timezone, from, to) {
+  const transitions = [];
+  const HOUR_MS = 60 * 60 * 1000;
+  let previousTime = new Date(from).getTime();
+  let previousOffset = getTimezoneOffset(previousTime, timezone);
+
+  for (let time = previousTime + 24 * HOUR_MS; time <= new Date(to).getTime() + 24 * HOUR_MS; time += 24 * HOUR_MS) {
+    const offset = getTimezoneOffset(time, timezone);
+    if (offset !== previousOffset) {
+      let low = previousTime;
+      let high = time;
+      while (high - low > 60 * 1000) {
+        const middle = low + Math.floor((high - low) / 2 / 60000) * 60000;
+        if (getTimezoneOffset(middle, timezone) === previousOffset) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      transitions.push({ at: new Date(high), offsetFrom: previousOffset, offsetTo: offset });
+      previousOffset = offset;
+    }
+    previousTime = time;
+  }
+
+  return transitions;
+}
+
+// VTIMEZONE lines describing a zone between two instants. Each offset change becomes its
+// own STANDARD/DAYLIGHT observance, so no recurrence rules need to be derived from Intl.
+function buildVTimezone(timezone, from, to) {
+  const start = new Date(from);
+  const startOffset = getTimezoneOffset(start, timezone);
+  const transitions = findOffsetTransitions(timezone, start, to);
+  const offsets = [startOffset, ...transitions.map(transition => transition.offsetTo)];
+  const standardOffset = Math.min(...offsets);
+
+  const observance = (at, offsetFrom, offsetTo) => {
+    const name = offsetTo > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+    // DTSTART of an observance is local time in the offset being replaced
+    const local = new Date(new Date(at).getTime() + offsetFrom * 60 * 1000);
+    return [
+      `BEGIN:${name}`,
+      `DTSTART:${formatUtcDateTime(local).slice(0, -1)}`,
+      `TZOFFSETFROM:${formatUtcOffset(offsetFrom)}`,
+      `TZOFFSETTO:${formatUtcOffset(offsetTo)}`,
+      `END:${name}`
+    ];
+  };
+
+  return [
+    'BEGIN:VTIMEZONE',
+    `TZID:${timezone}`,
+    `X-LIC-LOCATION:${timezone}`,
+    ...observance(start, startOffset, startOffset),
+    ...transitions.flatMap(transition => observance(transition.at, transition.offsetFrom, transition.offsetTo)),
+    'END:VTIMEZONE'
+  ];
+}
+
+// Signed milliseconds -> "-PT15M", "P1D"
+function formatDuration(ms) {
+  const sign = ms < 0 ? '-' : '';
+  let seconds = Math.round(Math.abs(ms) / 1000);
+  const days = Math.floor(seconds / 86400);
+  seconds -= days * 86400;
+  const hours = Math.floor(seconds / 3600);
+  seconds -= hours * 3600;
+  const minutes = Math.floor(seconds / 60);
+  seconds -= minutes * 60;
+
+  let time = '';
+  if (hours) time += `${hours}H`;
+  if (minutes) time += `${minutes}M`;
+  if (seconds) time += `${seconds}S`;
+
+  if (!days && !time) return 'PT0S';
+  return `${sign}P${days ? `${days}D` : ''}${time ? `T${time}` : ''}`;
+}
+
+module.exports = {
+  unfoldLines,
+  parseContentLine,
+  parseICS,
+  findComponents,
+  getProperty,
+  getProperties,
+  unescapeText,
+  getText,
+  parseDateProperty,
+  parseDuration,
+  resolveTimezone,
+  escapeText,
+  foldLine,
+  serializeLines,
+  formatUtcDateTime,
+  formatZonedDateTime,
+  formatUtcOffset,
+  buildVTimezone,
+  formatDuration
+};
@@ -0,0 +1,47 @@
+// Renders PDF pages to PNG with pdf.js, so scanned PDFs can go through the OCR chain without a
+// cloud service. pdf.js is an ES module, loaded on first use.
+const path = require('path');
+
+let pdfjsPromise = null;
+
+function loadPdfjs() {
+  if (!pdfjsPromise) {
+    pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs');
+    pdfjsPromise.catch(() => { pdfjsPromise = null; });
+  }
+  return pdfjsPromise;
+}
+
+// PNG buffers for the first maxPages pages. scale 2 renders at 144 dpi, enough for poster text.
+async function rasterizePDF(pdfBuffer, { maxPages = 5, scale = 2 } = {}) {
+  const pdfjs = await loadPdfjs();
+  const pdfjsRoot = path.dirname(require.resolve('pdfjs-dist/package.json'));
+
+  const pdf = await pdfjs.getDocument({
+    data: new Uint8Array(pdfBuffer),
+    standardFontDataUrl: path.join(pdfjsRoot, 'standard_fonts') + path.sep,
+    disableFontFace: true,
+    isEvalSupported: false
+  }).promise;
+
+  try {
+    const images = [];
+    for (let pageNumber = 1; pageNumber <= Math.min(pdf.numPages, maxPages); pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const viewport = page.getViewport({ scale });
+      const { canvas, context } = pdf.canvasFactory.create(viewport.width, viewport.height);
+
+      await page.render({ canvasContext: context, viewport, canvas }).promise;
+      images.push(canvas.toBuffer('image/png'));
+      page.cleanup();
+    }
+
+    return { images, pages: pdf.numPages };
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+module.exports = {
+  rasterizePDF
+};
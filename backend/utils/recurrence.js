@@ -0,0 +1,433 @@
+// RFC 5545 recurrence rules (RRULE) - parsing, formatting and expansion.
+// Occurrences are generated on the wall clock of a timezone, so an event at 9:00
+// stays at 9:00 local time across DST changes.
+
+const { getZonedParts, zonedTimeToUtc } = require('./timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const UNSUPPORTED_PARTS = ['BYSECOND', 'BYMINUTE', 'BYHOUR', 'BYWEEKNO', 'BYYEARDAY'];
+const MAX_PERIODS = 10000; // Safety limit on how many periods expansion walks through
+
+function parseInteger(value, key, min, max) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max || number === 0) {
+    throw new Error(`Invalid RRULE: bad ${key} value "${value}"`);
+  }
+  return number;
+}
+
+function parseIntegerList(value, key, min, max) {
+  return value.split(',').map(item => parseInteger(item, key, min, max));
+}
+
+// "2TU" -> { weekday: 2, n: 2 }, "-1FR" -> { weekday: 5, n: -1 }, "MO" -> { weekday: 1, n: 0 }
+function parseByDay(value) {
+  const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(value);
+  if (!match) {
+    throw new Error(`Invalid RRULE: bad BYDAY value "${value}"`);
+  }
+  const n = match[1] ? parseInteger(match[1], 'BYDAY', -53, 53) : 0;
+  return { weekday: WEEKDAY_CODES.indexOf(match[2]), n };
+}
+
+// Parse an iCalendar DATE or DATE-TIME value ("20250101", "20250101T090000", "20250101T090000Z")
+function parseDateValue(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid date value "${value}"`);
+  }
+
+  return {
+    year: parseInt(match[1]),
+    month: parseInt(match[2]),
+    day: parseInt(match[3]),
+    hour: match[4] ? parseInt(match[4]) : 0,
+    minute: match[5] ? parseInt(match[5]) : 0,
+    second: match[6] ? parseInt(match[6]) : 0,
+    dateOnly: !match[4],
+    isUtc: !!match[7]
+  };
+}
+
+// Format parsed date parts back into an iCalendar value
+function formatDateValue(parts) {
+  const pad = (number, size = 2) => String(number).padStart(size, '0');
+  const date = `${pad(parts.year, 4)}${pad(parts.month)}${pad(parts.day)}`;
+  if (parts.dateOnly) return date;
+  return `${date}T${pad(parts.hour)}${pad(parts.minute)}${pad(parts.second)}${parts.isUtc ? 'Z' : ''}`;
+}
+
+// Parse an RRULE value such as "FREQ=MONTHLY;BYDAY=WE;BYSETPOS=2"
+function parseRRule(value) {
+  const text = String(value || '').trim().replace(/^RRULE:/i, '');
+  if (!text) {
+    throw new Error('Invalid RRULE: rule is empty');
+  }
+
+  const rule = {
+    freq: null,
+    interval: 1,
+    count: null,
+    until: null,
+    byDay: [],
+    byMonthDay: [],
+    byMonth: [],
+    bySetPos: [],
+    wkst: 1 // Monday
+  };
+
+  for (const part of text.split(';')) {
+    if (!part) continue;
+
+    const [rawKey, rawValue = ''] = part.split('=');
+    const key = rawKey.trim().toUpperCase();
+    const partValue = rawValue.trim().toUpperCase();
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(partValue)) {
+          throw new Error(`Invalid RRULE: unsupported FREQ "${rawValue}"`);
+        }
+        rule.freq = partValue;
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInteger(partValue, key, 1, 1000);
+        break;
+      case 'COUNT':
+        rule.count = parseInteger(partValue, key, 1, 10000);
+        break;
+      case 'UNTIL':
+        rule.until = parseDateValue(partValue);
+        break;
+      case 'BYDAY':
+        rule.byDay = partValue.split(',').map(parseByDay);
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseIntegerList(partValue, key, -31, 31);
+        break;
+      case 'BYMONTH':
+        rule.byMonth = parseIntegerList(partValue, key, 1, 12);
+        break;
+      case 'BYSETPOS':
+        rule.bySetPos = parseIntegerList(partValue, key, -366, 366);
+        break;
+      case 'WKST':
+        if (!WEEKDAY_CODES.includes(partValue)) {
+          throw new Error(`Invalid RRULE: bad WKST value "${rawValue}"`);
+        }
+        rule.wkst = WEEKDAY_CODES.indexOf(partValue);
+        break;
+      default:
+        if (UNSUPPORTED_PARTS.includes(key)) {
+          throw new Error(`Invalid RRULE: ${key} is not supported`);
+        }
+        throw new Error(`Invalid RRULE: unknown part "${rawKey}"`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw new Error('Invalid RRULE: FREQ is required');
+  }
+  if (rule.count && rule.until) {
+    throw new Error('Invalid RRULE: COUNT and UNTIL cannot be combined');
+  }
+  if (rule.byDay.some(day => day.n !== 0) && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+    throw new Error('Invalid RRULE: numbered BYDAY is only allowed with MONTHLY or YEARLY');
+  }
+  if (rule.byMonthDay.length > 0 && rule.freq === 'WEEKLY') {
+    throw new Error('Invalid RRULE: BYMONTHDAY is not allowed with WEEKLY');
+  }
+
+  return rule;
+}
+
+// Check an RRULE string without throwing
+function isValidRRule(value) {
+  try {
+    parseRRule(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Serialize a rule object back into an RRULE value
+function formatRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+
+  if (rule.interval && rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${formatDateValue(rule.until)}`);
+  if (rule.byMonth && rule.byMonth.length) parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  if (rule.byMonthDay && rule.byMonthDay.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.byDay && rule.byDay.length) {
+    parts.push(`BYDAY=${rule.byDay.map(day => `${day.n || ''}${WEEKDAY_CODES[day.weekday]}`).join(',')}`);
+  }
+  if (rule.bySetPos && rule.bySetPos.length) parts.push(`BYSETPOS=${rule.bySetPos.join(',')}`);
+  if (rule.wkst !== undefined && rule.wkst !== 1) parts.push(`WKST=${WEEKDAY_CODES[rule.wkst]}`);
+
+  return parts.join(';');
+}
+
+// ----- Calendar math on "floating" days (UTC midnight timestamps standing in for local dates) -----
+
+function floatingDay(year, month, day) {
+  return Date.UTC(year, month - 1, day);
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function dayParts(day) {
+  const date = new Date(day);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay()
+  };
+}
+
+function matchesMonthDay(parts, byMonthDay) {
+  const length = daysInMonth(parts.year, parts.month);
+  return byMonthDay.some(md => (md > 0 ? parts.day === md : parts.day === length + md + 1));
+}
+
+// Match BYDAY inside a span of days (a month or a year); numbered entries count within the span
+function matchesByDay(day, byDay, spanStart, spanEnd) {
+  const { weekday } = dayParts(day);
+  const occurrence = Math.floor((day - spanStart) / (7 * DAY_MS)) + 1;
+  const fromEnd = Math.floor((spanEnd - day) / (7 * DAY_MS)) + 1;
+
+  return byDay.some(entry => {
+    if (entry.weekday !== weekday) return false;
+    if (entry.n === 0) return true;
+    return entry.n > 0 ? occurrence === entry.n : fromEnd === -entry.n;
+  });
+}
+
+function rangeOfDays(first, last) {
+  const days = [];
+  for (let day = first; day <= last; day += DAY_MS) {
+    days.push(day);
+  }
+  return days;
+}
+
+// Candidate days inside one month for MONTHLY and YEARLY+BYMONTH rules
+function monthCandidates(rule, year, month, startParts) {
+  const first = floatingDay(year, month, 1);
+  const last = floatingDay(year, month, daysInMonth(year, month));
+
+  return rangeOfDays(first, last).filter(day => {
+    const parts = dayParts(day);
+    if (rule.byMonthDay.length && !matchesMonthDay(parts, rule.byMonthDay)) return false;
+    if (rule.byDay.length && !matchesByDay(day, rule.byDay, first, last)) return false;
+    if (!rule.byMonthDay.length && !rule.byDay.length) return parts.day === startParts.day;
+    return true;
+  });
+}
+
+// Candidate days for the n-th period of the rule, before BYSETPOS is applied
+function periodCandidates(rule, startParts, period) {
+  const startDay = floatingDay(startParts.year, startParts.month, startParts.day);
+  const step = period * rule.interval;
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const day = startDay + step * DAY_MS;
+      const parts = dayParts(day);
+      if (rule.byMonth.length && !rule.byMonth.includes(parts.month)) return [];
+      if (rule.byMonthDay.length && !matchesMonthDay(parts, rule.byMonthDay)) return [];
+      if (rule.byDay.length && !rule.byDay.some(entry => entry.weekday === parts.weekday)) return [];
+      return [day];
+    }
+
+    case 'WEEKLY': {
+      const offset = (startParts.weekday - rule.wkst + 7) % 7;
+      const weekStart = startDay - offset * DAY_MS + step * 7 * DAY_MS;
+      const weekdays = rule.byDay.length
+        ? rule.byDay.map(entry => entry.weekday)
+        : [startParts.weekday];
+
+      return rangeOfDays(weekStart, weekStart + 6 * DAY_MS).filter(day => {
+        const parts = dayParts(day);
+        if (rule.byMonth.length && !rule.byMonth.includes(parts.month)) return false;
+        return weekdays.includes(parts.weekday);
+      });
+    }
+
+    case 'MONTHLY': {
+      const monthIndex = startParts.month - 1 + step;
+      const year = startParts.year + Math.floor(monthIndex / 12);
+      const month = (monthIndex % 12) + 1;
+      if (rule.byMonth.length && !rule.byMonth.includes(month)) return [];
+      return monthCandidates(rule, year, month, startParts);
+    }
+
+    case 'YEARLY': {
+      const year = startParts.year + step;
+
+      if (rule.byMonth.length) {
+        return [...rule.byMonth]
+          .sort((a, b) => a - b)
+          .flatMap(month => monthCandidates(rule, year, month, startParts));
+      }
+
+      if (rule.byDay.length) {
+        const first = floatingDay(year, 1, 1);
+        const last = floatingDay(year, 12, 31);
+        return rangeOfDays(first, last).filter(day => {
+          if (rule.byMonthDay.length && !matchesMonthDay(dayParts(day), rule.byMonthDay)) return false;
+          return matchesByDay(day, rule.byDay, first, last);
+        });
+      }
+
+      if (rule.byMonthDay.length) {
+        return Array.from({ length: 12 }, (_, i) => i + 1)
+          .flatMap(month => monthCandidates(rule, year, month, startParts));
+      }
+
+      const length = daysInMonth(year, startParts.month);
+      return startParts.day <= length ? [floatingDay(year, startParts.month, startParts.day)] : [];
+    }
+
+    default:
+      return [];
+  }
+}
+
+// Keep only the BYSETPOS positions of a period's sorted candidates
+function applySetPos(days, bySetPos) {
+  if (!bySetPos.length) return days;
+
+  const picked = new Set();
+  bySetPos.forEach(pos => {
+    const index = pos > 0 ? pos - 1 : days.length + pos;
+    if (index >= 0 && index < days.length) picked.add(days[index]);
+  });
+
+  return days.filter(day => picked.has(day));
+}
+
+// Resolve UNTIL to an instant; floating and date-only values are read in the timezone
+function resolveUntil(until, timezone) {
+  if (!until) return null;
+  if (until.isUtc) {
+    return Date.UTC(until.year, until.month - 1, until.day, until.hour, until.minute, until.second);
+  }
+  if (until.dateOnly) {
+    return zonedTimeToUtc({ ...until, hour: 23, minute: 59, second: 59 }, timezone).getTime();
+  }
+  return zonedTimeToUtc(until, timezone).getTime();
+}
+
+// First period worth walking when only occurrences from `from` on are wanted.
+// Starts one period early so zone offsets never push an occurrence out of reach.
+function firstPeriodFrom(rule, startParts, from, timezone) {
+  const fromParts = getZonedParts(new Date(from), timezone);
+  let elapsed;
+
+  switch (rule.freq) {
+    case 'DAILY':
+      elapsed = (floatingDay(fromParts.year, fromParts.month, fromParts.day) -
+        floatingDay(startParts.year, startParts.month, startParts.day)) / DAY_MS;
+      break;
+    case 'WEEKLY':
+      elapsed = Math.floor((floatingDay(fromParts.year, fromParts.month, fromParts.day) -
+        floatingDay(startParts.year, startParts.month, startParts.day)) / (7 * DAY_MS));
+      break;
+    case 'MONTHLY':
+      elapsed = (fromParts.year - startParts.year) * 12 + (fromParts.month - startParts.month);
+      break;
+    case 'YEARLY':
+      elapsed = fromParts.year - startParts.year;
+      break;
+    default:
+      elapsed = 0;
+  }
+
+  return Math.max(0, Math.floor(elapsed / rule.interval) - 1);
+}
+
+// Expand a rule into occurrence start times.
+// Options: start (first occurrence's date/time), timezone, exdates (instants to drop),
+// from / until (only return occurrences inside this range), limit (max results).
+function expandRRule(ruleOrString, options) {
+  const rule = typeof ruleOrString === 'string' ? parseRRule(ruleOrString) : ruleOrString;
+  const {
+    start,
+    timezone = 'UTC',
+    exdates = [],
+    from = null,
+    until = null,
+    limit = 500
+  } = options;
+
+  const startDate = new Date(start);
+  const startParts = getZonedParts(startDate, timezone);
+  const startDay = floatingDay(startParts.year, startParts.month, startParts.day);
+
+  const ruleUntil = resolveUntil(rule.until, timezone);
+  const rangeEnd = until ? new Date(until).getTime() : null;
+  const stopAt = [ruleUntil, rangeEnd].filter(value => value !== null);
+  const stop = stopAt.length ? Math.min(...stopAt) : null;
+  const rangeStart = from ? new Date(from).getTime() : null;
+
+  // EXDATEs are matched to the minute
+  const excluded = new Set(exdates.map(date => Math.floor(new Date(date).getTime() / 60000)));
+
+  const results = [];
+  let count = 0;
+
+  // COUNT has to be tallied from the first occurrence; otherwise skip straight to `from`
+  const firstPeriod = rangeStart !== null && !rule.count
+    ? firstPeriodFrom(rule, startParts, rangeStart, timezone)
+    : 0;
+
+  for (let period = firstPeriod; period < firstPeriod + MAX_PERIODS; period++) {
+    const days = applySetPos(periodCandidates(rule, startParts, period), rule.bySetPos);
+
+    for (const day of days) {
+      if (day < startDay) continue;
+
+      const parts = dayParts(day);
+      const occurrence = zonedTimeToUtc({
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: startParts.hour,
+        minute: startParts.minute,
+        second: startParts.second
+      }, timezone);
+
+      if (occurrence < startDate) continue;
+      if (stop !== null && occurrence.getTime() > stop) return results;
+
+      count++;
+
+      const isExcluded = excluded.has(Math.floor(occurrence.getTime() / 60000));
+      if (!isExcluded && (rangeStart === null || occurrence.getTime() >= rangeStart)) {
+        results.push(occurrence);
+        if (results.length >= limit) return results;
+      }
+
+      if (rule.count && count >= rule.count) return results;
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  WEEKDAY_CODES,
+  parseRRule,
+  isValidRRule,
+  formatRRule,
+  expandRRule,
+  parseDateValue,
+  formatDateValue
+};
@@ -0,0 +1,127 @@
+// Timezone helpers built on Intl, so wall-clock times can be computed in a user's
+// preferences.timezone regardless of the server's own zone.
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Check that a timezone name is understood by Intl
+function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock parts of an instant in the given timezone (month is 1-12, weekday 0=Sunday)
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+// Offset of the timezone from UTC in minutes at the given instant (e.g. +330 for Asia/Kolkata)
+function getTimezoneOffset(date, timeZone) {
+  const instant = new Date(date);
+  const parts = getZonedParts(instant, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - (instant.getTime() - instant.getMilliseconds())) / (60 * 1000));
+}
+
+// Convert a wall-clock time in the timezone to a UTC Date.
+// Times skipped by a DST jump resolve forward; repeated times resolve to the first occurrence.
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const firstOffset = getTimezoneOffset(new Date(asUtc), timeZone);
+  let result = asUtc - firstOffset * 60 * 1000;
+
+  const secondOffset = getTimezoneOffset(new Date(result), timeZone);
+  if (secondOffset !== firstOffset) {
+    const candidate = asUtc - secondOffset * 60 * 1000;
+    // Only switch offsets if the candidate really shows the requested wall-clock time
+    const check = getZonedParts(new Date(candidate), timeZone);
+    if (check.hour === hour && check.minute === minute) {
+      result = Math.min(result, candidate);
+    }
+  }
+
+  return new Date(result);
+}
+
+// Midnight (in the timezone) of the day containing the instant
+function startOfZonedDay(date, timeZone) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return zonedTimeToUtc({ year, month, day }, timeZone);
+}
+
+// Add calendar days while keeping the same wall-clock time
+function addZonedDays(date, days, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const shifted = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + days));
+  return zonedTimeToUtc({
+    ...parts,
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate()
+  }, timeZone);
+}
+
+// Parse "HH:MM" into minutes after midnight
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+
+  const hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+
+  return hours * 60 + minutes;
+}
+
+// Minutes after midnight of an instant in the timezone
+function getMinuteOfDay(date, timeZone) {
+  const { hour, minute } = getZonedParts(date, timeZone);
+  return hour * 60 + minute;
+}
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  getTimezoneOffset,
+  zonedTimeToUtc,
+  startOfZonedDay,
+  addZonedDays,
+  parseTimeOfDay,
+  getMinuteOfDay
+};
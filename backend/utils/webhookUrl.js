@@ -0,0 +1,72 @@
+// Checks for user-supplied webhook URLs. The server POSTs to them, so they must not reach
+// loopback, link-local (cloud metadata), private or otherwise internal addresses. Every address
+// the host resolves to is checked, at configuration and again before each send since DNS can
+// change in between.
+
+const dns = require('dns');
+const net = require('net');
+
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "This" network
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // Carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // Link-local
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15], // Benchmarking
+  ['224.0.0.0', 4], // Multicast
+  ['240.0.0.0', 4] // Reserved and broadcast
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, 'ipv4')); // Also matches IPv4-mapped IPv6
+[
+  ['::', 128], // Unspecified
+  ['::1', 128],
+  ['64:ff9b::', 96], // NAT64
+  ['fc00::', 7], // Unique local
+  ['fe80::', 10], // Link-local
+  ['ff00::', 8] // Multicast
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, 'ipv6'));
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !blocked.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Resolves with the parsed URL, or rejects with a message fit to show the user
+async function assertPublicUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new Error('Webhook URL must be an http(s) URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('Webhook URL must be an http(s) URL');
+  }
+  if (url.username || url.password) {
+    throw new Error('Webhook URL must not contain credentials');
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host)
+      ? [{ address: host }]
+      : await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    throw new Error(`Webhook host ${host} could not be resolved`);
+  }
+
+  if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+    throw new Error('Webhook URL must point to a public address');
+  }
+  return url;
+}
+
+module.exports = {
+  isPublicAddress,
+  assertPublicUrl
+};
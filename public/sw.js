@@ -164,10 +164,24 @@ self.addEventListener('notificationclick', (event) => {
   const data = event.notification.data;
 
   if (action === 'dismiss') {
-    // Just dismiss, no navigation
+    // No navigation; just let the timing model know
+    event.waitUntil(postReminderAction(data, { action: 'dismiss' }).catch((error) => {
+      console.error('Error recording dismissal:', error);
+    }));
     return;
   }
 
+  // Snooze presets ("snooze:10m", "snooze:when_free", ...) go straight to the API
+  if (action && action.startsWith('snooze:')) {
+    event.waitUntil(snoozeFromNotification(data, action.slice('snooze:'.length)));
+    return;
+  }
+
+  // Let the timing model know the reminder got a response
+  postReminderAction(data, { action: 'open' }).catch((error) => {
+    console.error('Error recording notification click:', error);
+  });
+
   // Default action or 'view' action
   const urlToOpen = data.eventId
     ? `${self.location.origin}/event/${data.eventId}`
@@ -191,6 +205,47 @@ self.addEventListener('notificationclick', (event) => {
   );
 });
 
+// Reminder actions authenticate with the token from the push payload
+async function postReminderAction(data, body) {
+  if (!data.actionUrl || !data.actionToken) {
+    throw new Error('Notification has no action URL');
+  }
+
+  const response = await fetch(data.actionUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...body, token: data.actionToken })
+  });
+  const result = await response.json();
+
+  if (!response.ok) {
+    throw new Error(result.error || `Request failed (${response.status})`);
+  }
+  return result;
+}
+
+// Snooze a reminder from its notification, then confirm
+async function snoozeFromNotification(data, preset) {
+  try {
+    const result = await postReminderAction(data, { action: 'snooze', preset });
+
+    const until = new Date(result.snoozedUntil);
+    await self.registration.showNotification('Reminder snoozed', {
+      body: `We'll remind you again at ${until.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`,
+      icon: '/icon-192x192.png',
+      tag: `snoozed-${data.reminderId}`,
+      silent: true
+    });
+  } catch (error) {
+    console.error('Error snoozing reminder:', error);
+    await self.registration.showNotification('Could not snooze reminder', {
+      body: error.message,
+      icon: '/icon-192x192.png',
+      data
+    });
+  }
+}
+
 // Handle background sync for offline reminder processing (future enhancement)
 self.addEventListener('sync', (event) => {
   console.log('Background sync triggered:', event.tag);
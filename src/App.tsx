@@ -10,6 +10,7 @@ import { NotificationContainer, useNotifications } from './components/Notificati
 import { ErrorBoundary } from './components/ErrorBoundary';
 import { Toaster } from './components/ui/sonner';
 import { useEffect } from 'react';
+import { SnoozePreset } from './types';
 
 function AppContent() {
   const { currentScreen, user, snoozeReminder, dismissReminder } = useApp();
@@ -38,16 +39,14 @@ function AppContent() {
         case 'view_event':
           // Navigate to event (implement later)
           break;
-        case 'snooze_5':
-          await snoozeReminder(notification.reminderId, 5);
-          break;
-        case 'snooze_15':
-          await snoozeReminder(notification.reminderId, 15);
-          break;
         case 'dismiss':
           await dismissReminder(notification.reminderId);
           break;
         default:
+          // Snooze presets: 'snooze:10m', 'snooze:tonight', ...
+          if (action.startsWith('snooze:')) {
+            await snoozeReminder(notification.reminderId, action.slice('snooze:'.length) as SnoozePreset);
+          }
           break;
       }
     } catch (error) {
@@ -8,9 +8,10 @@ import { Textarea } from './ui/textarea';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
 import { RadioGroup, RadioGroupItem } from './ui/radio-group';
 import { Switch } from './ui/switch';
-import { Event, Priority, Category } from '../types';
+import { Event, Priority, Category, ExtractedFieldName } from '../types';
 import { toast } from 'sonner@2.0.3';
 import { useApp } from '../context/AppContext';
+import { splitDateTime, splitEndDateTime } from '../utils/dateUtils';
 
 interface AddEventModalProps {
   open: boolean;
@@ -18,16 +19,81 @@ interface AddEventModalProps {
 }
 
 type InputMethod = 'text' | 'voice' | 'image' | 'email' | null;
-type Step = 'method' | 'input' | 'review' | 'reminders';
+type Step = 'method' | 'input' | 'drafts' | 'review' | 'reminders';
+type DraftItem = Partial<Event> & { include: boolean };
+
+// Fields below this confidence are highlighted for review
+const LOW_CONFIDENCE = 0.6;
+
+function toPriority(priority: number): Priority {
+  return priority === 5 ? 'critical' :
+         priority === 4 ? 'high' :
+         priority === 3 ? 'medium' : 'low';
+}
+
+// A new start date moves the end of a range with it ("YYYY-MM-DD" values parse as UTC days)
+function moveStartDate(item: Partial<Event>, date: string): Partial<Event> {
+  if (!item.endDate || !item.date || !date) return { date };
+  const end = new Date(Date.parse(item.endDate) + Date.parse(date) - Date.parse(item.date));
+  return { date, endDate: end.toISOString().split('T')[0] };
+}
+
+// API extraction result (or one of its drafts) -> form fields
+function toEventData(result: any, source: 'text' | 'voice' | 'image', fallbackDescription: string, fallbackCategory: Category) {
+  return {
+    title: result.title || 'Untitled Event',
+    ...splitDateTime(result.dateTime),
+    ...splitEndDateTime(result.endDateTime),
+    location: result.location || '',
+    category: (result.category as Category) || fallbackCategory,
+    priority: toPriority(result.priority),
+    priorityLevel: result.priority,
+    description: result.description || fallbackDescription,
+    source,
+    confidence: result.extractionConfidence || 0.8,
+    extractionMethod: result.extractionMethod,
+    extractionFields: result.extractionFields,
+    rawInput: result.rawInput,
+  };
+}
+
+// Alternative value -> the form fields it replaces
+function alternativeUpdates(field: ExtractedFieldName, value: any): Partial<Event> {
+  switch (field) {
+    case 'dateTime':
+      return splitDateTime(value);
+    case 'endDateTime':
+      return splitEndDateTime(value);
+    case 'priority':
+      return { priority: toPriority(value), priorityLevel: value };
+    case 'category':
+      return { category: value as Category };
+    case 'title':
+      return { title: String(value) };
+    case 'location':
+      return { location: String(value) };
+    default:
+      return {};
+  }
+}
+
+function formatAlternative(field: ExtractedFieldName, value: any): string {
+  if (field === 'dateTime' || field === 'endDateTime') {
+    return new Date(value).toLocaleString(undefined, { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+  }
+  if (field === 'priority') return toPriority(value);
+  return String(value);
+}
 
 export function AddEventModal({ open, onClose }: AddEventModalProps) {
-  const { processText, processVoice, processImage, addEvent, isLoading } = useApp();
+  const { processText, processVoice, processImage, addEvent, addEvents, isLoading } = useApp();
   const [step, setStep] = useState<Step>('method');
   const [inputMethod, setInputMethod] = useState<InputMethod>(null);
   const [isProcessing, setIsProcessing] = useState(false);
   const [isListening, setIsListening] = useState(false);
   const [transcript, setTranscript] = useState('');
   const [uploadedImage, setUploadedImage] = useState<string | null>(null);
+  const [drafts, setDrafts] = useState<DraftItem[]>([]);
   const fileInputRef = useRef<HTMLInputElement>(null);
 
   const [eventData, setEventData] = useState<Partial<Event>>({
@@ -58,6 +124,93 @@ export function AddEventModal({ open, onClose }: AddEventModalProps) {
     setStep('input');
   };
 
+  // Several events found (a newsletter, a schedule): review them as a list. Returns false when
+  // there is only one, which goes through the normal review step.
+  const showDrafts = (result: any, source: 'text' | 'image', fallbackDescription: string, fallbackCategory: Category) => {
+    if (!result.drafts || result.drafts.length < 2) return false;
+
+    setDrafts(result.drafts.map((draft: any) => ({
+      ...eventData,
+      ...toEventData(draft, source, fallbackDescription, fallbackCategory),
+      include: Boolean(draft.dateTime),
+    })));
+    setIsProcessing(false);
+    setStep('drafts');
+    toast.success(`Found ${result.drafts.length} events`);
+    return true;
+  };
+
+  const isLowConfidence = (field: ExtractedFieldName) => {
+    const extracted = eventData.extractionFields?.[field];
+    return Boolean(extracted && extracted.confidence < LOW_CONFIDENCE);
+  };
+
+  // One-click alternatives for an extracted field, with a hint when it is shaky
+  const renderFieldHints = (field: ExtractedFieldName) => {
+    const extracted = eventData.extractionFields?.[field];
+    if (!extracted) return null;
+
+    return (
+      <div className="space-y-1">
+        {extracted.confidence < LOW_CONFIDENCE && (
+          <p className="text-[12px]" style={{ color: '#E65100' }}>
+            ⚠️ Not sure about this ({Math.round(extracted.confidence * 100)}%)
+            {extracted.span?.text ? ` - read from "${extracted.span.text}"` : ''}
+          </p>
+        )}
+        {extracted.alternatives.length > 0 && (
+          <div className="flex flex-wrap gap-1">
+            {extracted.alternatives.map((alternative, index) => (
+              <button
+                key={index}
+                type="button"
+                onClick={() => setEventData({ ...eventData, ...alternativeUpdates(field, alternative.value) })}
+                className="px-2 py-0.5 rounded-full border text-[12px] hover:border-blue-500"
+                style={{ color: '#424242' }}
+                title={alternative.span?.text ? `From "${alternative.span.text}"` : undefined}
+              >
+                {formatAlternative(field, alternative.value)}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const lowConfidenceStyle = (field: ExtractedFieldName) =>
+    isLowConfidence(field) ? { borderColor: '#FB8C00', backgroundColor: '#FFF8E1' } : undefined;
+
+  const updateDraft = (index: number, updates: Partial<DraftItem>) => {
+    setDrafts(prev => prev.map((draft, i) => (i === index ? { ...draft, ...updates } : draft)));
+  };
+
+  const handleSaveDrafts = async () => {
+    const selected = drafts.filter(draft => draft.include);
+    if (selected.length === 0) {
+      toast.error('Select at least one event to create');
+      return;
+    }
+    if (selected.some(draft => !draft.title || !draft.date || !draft.time)) {
+      toast.error('Each selected event needs a title, date and time');
+      return;
+    }
+
+    try {
+      const { created, errors } = await addEvents(selected.map(({ include, ...draft }) => draft));
+      if (errors.length > 0) {
+        toast.error(`${errors.length} event${errors.length === 1 ? '' : 's'} could not be created: ${errors[0].error}`);
+      }
+      if (created > 0) {
+        toast.success(`✓ ${created} event${created === 1 ? '' : 's'} created! Reminders scheduled.`);
+        handleClose();
+      }
+    } catch (error) {
+      console.error('Save events error:', error);
+      toast.error('Failed to create events. Please try again.');
+    }
+  };
+
   const handleTextInput = async (text: string) => {
     if (!text.trim()) {
       toast.error('Please enter some text to process');
@@ -68,22 +221,9 @@ export function AddEventModal({ open, onClose }: AddEventModalProps) {
     try {
       const result = await processText(text);
 
-      // Transform API result to frontend format
-      const extracted = {
-        title: result.title || 'Untitled Event',
-        date: result.dateTime ? new Date(result.dateTime).toISOString().split('T')[0] : '',
-        time: result.dateTime ? new Date(result.dateTime).toTimeString().split(' ')[0].substring(0, 5) : '',
-        location: result.location || '',
-        category: (result.category as Category) || 'workshop',
-        priority: result.priority === 5 ? 'critical' :
-                 result.priority === 4 ? 'high' :
-                 result.priority === 3 ? 'medium' : 'low',
-        description: result.description || text,
-        source: 'text' as const,
-        confidence: result.extractionConfidence || 0.8,
-      };
-
-      setEventData({ ...eventData, ...extracted });
+      if (showDrafts(result, 'text', text, 'workshop')) return;
+
+      setEventData({ ...eventData, ...toEventData(result, 'text', text, 'workshop') });
       setIsProcessing(false);
       setStep('review');
       toast.success('Event details extracted successfully!');
@@ -150,22 +290,7 @@ export function AddEventModal({ open, onClose }: AddEventModalProps) {
     try {
       const result = await processVoice(transcript);
 
-      // Transform API result to frontend format
-      const extracted = {
-        title: result.title || 'Untitled Event',
-        date: result.dateTime ? new Date(result.dateTime).toISOString().split('T')[0] : '',
-        time: result.dateTime ? new Date(result.dateTime).toTimeString().split(' ')[0].substring(0, 5) : '',
-        location: result.location || '',
-        category: (result.category as Category) || 'workshop',
-        priority: result.priority === 5 ? 'critical' :
-                 result.priority === 4 ? 'high' :
-                 result.priority === 3 ? 'medium' : 'low',
-        description: result.description || transcript,
-        source: 'voice' as const,
-        confidence: result.extractionConfidence || 0.8,
-      };
-
-      setEventData({ ...eventData, ...extracted });
+      setEventData({ ...eventData, ...toEventData(result, 'voice', transcript, 'workshop') });
       setIsProcessing(false);
       setStep('review');
       toast.success('Voice input processed successfully!');
@@ -198,23 +323,11 @@ export function AddEventModal({ open, onClose }: AddEventModalProps) {
 
       try {
         const result = await processImage(file);
+        const fallbackDescription = isPDF ? 'Event extracted from PDF' : 'Event extracted from poster';
+
+        if (showDrafts(result, 'image', fallbackDescription, 'competition')) return;
 
-        // Transform API result to frontend format
-        const extracted = {
-          title: result.title || 'Untitled Event',
-          date: result.dateTime ? new Date(result.dateTime).toISOString().split('T')[0] : '',
-          time: result.dateTime ? new Date(result.dateTime).toTimeString().split(' ')[0].substring(0, 5) : '',
-          location: result.location || '',
-          category: (result.category as Category) || 'competition',
-          priority: result.priority === 5 ? 'critical' :
-                   result.priority === 4 ? 'high' :
-                   result.priority === 3 ? 'medium' : 'low',
-          description: result.description || (isPDF ? 'Event extracted from PDF' : 'Event extracted from poster'),
-          source: 'image' as const,
-          confidence: result.extractionConfidence || 0.8,
-        };
-
-        setEventData({ ...eventData, ...extracted });
+        setEventData({ ...eventData, ...toEventData(result, 'image', fallbackDescription, 'competition') });
         setIsProcessing(false);
         setStep('review');
         toast.success(`Event details extracted from ${isPDF ? 'PDF' : 'image'}!`);
@@ -248,6 +361,7 @@ export function AddEventModal({ open, onClose }: AddEventModalProps) {
     setInputMethod(null);
     setTranscript('');
     setUploadedImage(null);
+    setDrafts([]);
     setEventData({
       title: '',
       date: '',
@@ -281,6 +395,7 @@ export function AddEventModal({ open, onClose }: AddEventModalProps) {
                   size="icon"
                   onClick={() => {
                     if (step === 'input') setStep('method');
+                    else if (step === 'drafts') setStep('input');
                     else if (step === 'review') setStep('input');
                     else if (step === 'reminders') setStep('review');
                   }}
@@ -475,21 +590,86 @@ export function AddEventModal({ open, onClose }: AddEventModalProps) {
           </div>
         )}
 
+        {/* Step 3 (several events found): accept, edit or drop each draft */}
+        {step === 'drafts' && (
+          <div className="space-y-4 py-6">
+            <p className="text-[14px]" style={{ color: '#757575' }}>
+              We found {drafts.length} events. Untick any you don't want and fix details before creating them.
+            </p>
+
+            {drafts.map((draft, index) => (
+              <div
+                key={index}
+                className="p-4 border rounded-lg space-y-3"
+                style={{ opacity: draft.include ? 1 : 0.5 }}
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <Input
+                    value={draft.title}
+                    onChange={(e) => updateDraft(index, { title: e.target.value })}
+                    placeholder="Event name"
+                    disabled={!draft.include}
+                  />
+                  <Switch
+                    checked={draft.include}
+                    onCheckedChange={(checked: boolean) => updateDraft(index, { include: checked })}
+                    aria-label={`Include ${draft.title}`}
+                  />
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+                  <Input
+                    type="date"
+                    value={draft.date}
+                    onChange={(e) => updateDraft(index, moveStartDate(draft, e.target.value))}
+                    disabled={!draft.include}
+                  />
+                  <Input
+                    type="time"
+                    value={draft.time}
+                    onChange={(e) => updateDraft(index, { time: e.target.value })}
+                    disabled={!draft.include}
+                  />
+                  <Input
+                    value={draft.location}
+                    onChange={(e) => updateDraft(index, { location: e.target.value })}
+                    placeholder="Location"
+                    disabled={!draft.include}
+                  />
+                </div>
+                {draft.confidence !== undefined && draft.confidence < 0.8 && (
+                  <p className="text-[12px]" style={{ color: '#E65100' }}>
+                    ⚠️ Check this one - extracted with {Math.round(draft.confidence * 100)}% confidence
+                  </p>
+                )}
+              </div>
+            ))}
+
+            <Button
+              onClick={handleSaveDrafts}
+              disabled={isLoading || !drafts.some(draft => draft.include)}
+              className="w-full"
+              style={{ backgroundColor: '#1976D2' }}
+            >
+              Create {drafts.filter(draft => draft.include).length} Events
+            </Button>
+          </div>
+        )}
+
         {/* Step 3: Review & Edit */}
         {step === 'review' && (
           <div className="space-y-4 py-6">
-            {eventData.confidence && eventData.confidence < 80 && (
+            {eventData.confidence !== undefined && eventData.confidence < 0.8 && (
               <div className="p-3 rounded-lg" style={{ backgroundColor: '#FFF3E0' }}>
                 <p className="text-[12px]" style={{ color: '#E65100' }}>
-                  ⚠️ Manual review needed - Extracted with {eventData.confidence}% confidence
+                  ⚠️ Manual review needed - Extracted with {Math.round(eventData.confidence * 100)}% confidence
                 </p>
               </div>
             )}
 
-            {eventData.confidence && eventData.confidence >= 80 && (
+            {eventData.confidence !== undefined && eventData.confidence >= 0.8 && (
               <div className="p-3 rounded-lg" style={{ backgroundColor: '#E8F5E9' }}>
                 <p className="text-[12px]" style={{ color: '#2E7D32' }}>
-                  ✓ Extracted with {eventData.confidence}% confidence
+                  ✓ Extracted with {Math.round(eventData.confidence * 100)}% confidence
                 </p>
               </div>
             )}
@@ -502,7 +682,9 @@ export function AddEventModal({ open, onClose }: AddEventModalProps) {
                   value={eventData.title}
                   onChange={(e) => setEventData({ ...eventData, title: e.target.value })}
                   placeholder="Event name"
+                  style={lowConfidenceStyle('title')}
                 />
+                {renderFieldHints('title')}
               </div>
 
               <div className="space-y-2">
@@ -511,7 +693,7 @@ export function AddEventModal({ open, onClose }: AddEventModalProps) {
                   value={eventData.category}
                   onValueChange={(value) => setEventData({ ...eventData, category: value as Category })}
                 >
-                  <SelectTrigger id="category">
+                  <SelectTrigger id="category" style={lowConfidenceStyle('category')}>
                     <SelectValue />
                   </SelectTrigger>
                   <SelectContent>
@@ -523,6 +705,7 @@ export function AddEventModal({ open, onClose }: AddEventModalProps) {
                     <SelectItem value="social">Social</SelectItem>
                   </SelectContent>
                 </Select>
+                {renderFieldHints('category')}
               </div>
 
               <div className="space-y-2">
@@ -531,8 +714,10 @@ export function AddEventModal({ open, onClose }: AddEventModalProps) {
                   id="date"
                   type="date"
                   value={eventData.date}
-                  onChange={(e) => setEventData({ ...eventData, date: e.target.value })}
+                  onChange={(e) => setEventData({ ...eventData, ...moveStartDate(eventData, e.target.value) })}
+                  style={lowConfidenceStyle('dateTime')}
                 />
+                {renderFieldHints('dateTime')}
               </div>
 
               <div className="space-y-2">
@@ -542,6 +727,30 @@ export function AddEventModal({ open, onClose }: AddEventModalProps) {
                   type="time"
                   value={eventData.time}
                   onChange={(e) => setEventData({ ...eventData, time: e.target.value })}
+                  style={lowConfidenceStyle('dateTime')}
+                />
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="endDate">End date</Label>
+                <Input
+                  id="endDate"
+                  type="date"
+                  value={eventData.endDate || ''}
+                  onChange={(e) => setEventData({ ...eventData, endDate: e.target.value })}
+                  style={lowConfidenceStyle('endDateTime')}
+                />
+                {renderFieldHints('endDateTime')}
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="endTime">End time</Label>
+                <Input
+                  id="endTime"
+                  type="time"
+                  value={eventData.endTime || ''}
+                  onChange={(e) => setEventData({ ...eventData, endTime: e.target.value })}
+                  style={lowConfidenceStyle('endDateTime')}
                 />
               </div>
             </div>
@@ -553,7 +762,9 @@ export function AddEventModal({ open, onClose }: AddEventModalProps) {
                 value={eventData.location}
                 onChange={(e) => setEventData({ ...eventData, location: e.target.value })}
                 placeholder="Building name, room number, or online link"
+                style={lowConfidenceStyle('location')}
               />
+              {renderFieldHints('location')}
             </div>
 
             <div className="space-y-2">
@@ -580,6 +791,7 @@ export function AddEventModal({ open, onClose }: AddEventModalProps) {
                   <Label htmlFor="critical" className="cursor-pointer">Critical</Label>
                 </div>
               </RadioGroup>
+              {renderFieldHints('priority')}
             </div>
 
             <div className="space-y-2">
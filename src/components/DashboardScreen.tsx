@@ -1,5 +1,5 @@
-import { useState } from 'react';
-import { List, Calendar as CalendarIcon, Clock, ChevronDown } from 'lucide-react';
+import { useEffect, useState } from 'react';
+import { List, Calendar as CalendarIcon, Clock, ChevronDown, Hourglass } from 'lucide-react';
 import { TopBar } from './TopBar';
 import { Sidebar } from './Sidebar';
 import { EventCard } from './EventCard';
@@ -8,7 +8,7 @@ import { AddEventModal } from './AddEventModal';
 import { EventEditor } from './EventEditor';
 import { MobileAddButton } from './MobileAddButton';
 import { useApp } from '../context/AppContext';
-import { Event } from '../types';
+import { Event, UpcomingDeadline } from '../types';
 import { Button } from './ui/button';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
 import { Sheet, SheetContent } from './ui/sheet';
@@ -25,7 +25,7 @@ import {
 } from './ui/alert-dialog';
 
 export function DashboardScreen() {
-  const { events, addEvent, deleteEvent } = useApp();
+  const { events, addEvent, deleteEvent, getUpcomingDeadlines, updateRegistrationStatus } = useApp();
   const [selectedEvent, setSelectedEvent] = useState<Event | null>(null);
   const [showAddModal, setShowAddModal] = useState(false);
   const [showMobileSidebar, setShowMobileSidebar] = useState(false);
@@ -36,6 +36,25 @@ export function DashboardScreen() {
   const [showEventEditor, setShowEventEditor] = useState(false);
   const [editingEvent, setEditingEvent] = useState<Event | null>(null);
 
+  const [closingSoon, setClosingSoon] = useState<UpcomingDeadline[]>([]);
+
+  // Registrations closing soon, refreshed whenever the events change
+  useEffect(() => {
+    getUpcomingDeadlines().then(deadlines => {
+      setClosingSoon((deadlines || []).filter(deadline => deadline.closingSoon));
+    });
+  }, [events]);
+
+  const formatDeadline = (deadline: UpcomingDeadline) => {
+    if (deadline.hoursLeft < 1) return 'closes within the hour';
+    if (deadline.hoursLeft < 24) return `closes in ${deadline.hoursLeft}h`;
+    return `closes ${new Date(deadline.registrationDeadline).toLocaleDateString('en-US', {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+    })}`;
+  };
+
   const [filters, setFilters] = useState({
     categories: [] as string[],
     priorities: [] as string[],
@@ -161,6 +180,37 @@ export function DashboardScreen() {
               </div>
             </div>
 
+            {/* Registration deadlines closing soon */}
+            {closingSoon.length > 0 && (
+              <div className="rounded-lg border p-4 space-y-2" style={{ backgroundColor: '#FFF3E0', borderColor: '#FFB74D' }}>
+                <div className="flex items-center gap-2 text-[14px]" style={{ color: '#E65100' }}>
+                  <Hourglass className="w-4 h-4" />
+                  <span>Registration closing soon</span>
+                </div>
+                {closingSoon.map(deadline => (
+                  <div key={deadline._id} className="flex items-center justify-between gap-2 text-[12px]">
+                    <span className="truncate" style={{ color: '#212121' }}>
+                      {deadline.title}{' '}
+                      <span style={{ color: deadline.urgency === 'today' ? '#E53935' : '#757575' }}>
+                        · {formatDeadline(deadline)}
+                      </span>
+                    </span>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      className="h-7 text-[12px]"
+                      onClick={async () => {
+                        await updateRegistrationStatus(deadline._id, 'registered');
+                        toast.success('Marked as registered');
+                      }}
+                    >
+                      Mark registered
+                    </Button>
+                  </div>
+                ))}
+              </div>
+            )}
+
             {/* Results count */}
             <p className="text-[12px]" style={{ color: '#757575' }}>
               Showing {sortedEvents.length} events
@@ -1,4 +1,4 @@
-import { MapPin, Clock, Calendar, ChevronRight } from 'lucide-react';
+import { MapPin, Clock, Calendar, ChevronRight, Hourglass } from 'lucide-react';
 import { Event } from '../types';
 import { Badge } from './ui/badge';
 import { Progress } from './ui/progress';
@@ -45,6 +45,12 @@ export function EventCard({ event, onClick, isSelected }: EventCardProps) {
     });
   };
 
+  // Registration still open and not done yet
+  const deadlineDays = event.registrationDeadline && (event.registrationStatus || 'not_registered') === 'not_registered'
+    ? (new Date(event.registrationDeadline).getTime() - Date.now()) / (1000 * 60 * 60 * 24)
+    : null;
+  const showDeadline = deadlineDays !== null && deadlineDays > 0;
+
   return (
     <div
       onClick={onClick}
@@ -94,6 +100,17 @@ export function EventCard({ event, onClick, isSelected }: EventCardProps) {
           </div>
         </div>
 
+        {/* Registration deadline */}
+        {showDeadline && (
+          <div
+            className="flex items-center gap-1 text-[12px]"
+            style={{ color: deadlineDays <= 3 ? '#E53935' : '#757575' }}
+          >
+            <Hourglass className="w-4 h-4 flex-shrink-0" />
+            <span>Registration closes {formatDate(event.registrationDeadline!)}</span>
+          </div>
+        )}
+
         {/* Progress bar */}
         <div className="space-y-1">
           <div className="flex justify-between text-[12px]" style={{ color: '#757575' }}>
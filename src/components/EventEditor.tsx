@@ -261,6 +261,26 @@ export function EventEditor({ open, onClose, event, onSave }: EventEditorProps)
                 />
               </div>
 
+              <div className="space-y-2">
+                <Label htmlFor="endDate">End date</Label>
+                <Input
+                  id="endDate"
+                  type="date"
+                  value={eventData.endDate || ''}
+                  onChange={(e) => setEventData({...eventData, endDate: e.target.value})}
+                />
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="endTime">End time</Label>
+                <Input
+                  id="endTime"
+                  type="time"
+                  value={eventData.endTime || ''}
+                  onChange={(e) => setEventData({...eventData, endTime: e.target.value})}
+                />
+              </div>
+
               <div className="space-y-2">
                 <Label htmlFor="location">Location</Label>
                 <Input
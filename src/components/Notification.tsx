@@ -107,11 +107,11 @@ export function Notification({ notification, onAction, onDismiss }: Notification
                   <Button
                     size="sm"
                     variant="outline"
-                    onClick={() => handleAction('snooze_5')}
+                    onClick={() => handleAction('snooze:10m')}
                     className="text-xs"
                   >
                     <Clock className="w-3 h-3 mr-1" />
-                    Snooze 5m
+                    Snooze 10m
                   </Button>
                 </>
               )}
@@ -175,8 +175,9 @@ export function useNotifications() {
   }) => {
     const actions: NotificationAction[] = [
       { label: 'View Event', action: 'view_event', primary: true },
-      { label: 'Snooze 5m', action: 'snooze_5' },
-      { label: 'Snooze 15m', action: 'snooze_15' },
+      { label: 'Snooze 10m', action: 'snooze:10m' },
+      { label: 'Snooze 1h', action: 'snooze:1h' },
+      { label: "When I'm free", action: 'snooze:when_free' },
       { label: 'Dismiss', action: 'dismiss' }
     ];
 
@@ -1,6 +1,8 @@
 import React, { createContext, useContext, useState, useEffect, ReactNode } from 'react';
-import { AppState, Event, Friend, StudyGroup, UserPreferences, User } from '../types';
+import { AppState, Event, Priority, Friend, StudyGroup, UserPreferences, User, UpcomingDeadline, RegistrationStatus, SnoozePreset } from '../types';
 import { apiService } from '../utils/apiService';
+import { startLocationUpdates, stopLocationUpdates } from '../utils/locationUpdates';
+import { splitDateTime, splitEndDateTime, joinDateTime } from '../utils/dateUtils';
 
 interface AppContextType extends AppState {
   // UI state
@@ -17,9 +19,12 @@ interface AppContextType extends AppState {
   setUser: (user: User | null) => void;
   loadEvents: (params?: any) => Promise<void>;
   addEvent: (event: Partial<Event>) => Promise<void>;
+  addEvents: (events: Partial<Event>[]) => Promise<{ created: number; errors: Array<{ index: number; title?: string; error: string }> }>;
   updateEvent: (id: string, updates: Partial<Event>) => Promise<void>;
   deleteEvent: (id: string) => Promise<void>;
   updateEventStatus: (id: string, status: Event['status']) => Promise<void>;
+  getUpcomingDeadlines: (days?: number) => Promise<UpcomingDeadline[]>;
+  updateRegistrationStatus: (id: string, registrationStatus: RegistrationStatus) => Promise<void>;
 
   // User management
   updatePreferences: (preferences: Partial<UserPreferences>) => Promise<void>;
@@ -31,7 +36,7 @@ interface AppContextType extends AppState {
   unsubscribeFromPushNotifications: () => Promise<void>;
   testPushNotification: () => Promise<void>;
   testEmailNotification: () => Promise<void>;
-  snoozeReminder: (reminderId: string, minutes: number) => Promise<void>;
+  snoozeReminder: (reminderId: string, snooze: number | SnoozePreset) => Promise<void>;
   dismissReminder: (reminderId: string) => Promise<void>;
 
   // Google Calendar methods
@@ -118,6 +123,16 @@ export function AppProvider({ children }: { children: ReactNode }) {
     initApp();
   }, []);
 
+  // Location-aware reminders: share position only while signed in and opted in
+  useEffect(() => {
+    if (isAuthenticated && preferences.locationTrackingEnabled) {
+      startLocationUpdates();
+    } else {
+      stopLocationUpdates();
+    }
+    return () => stopLocationUpdates();
+  }, [isAuthenticated, preferences.locationTrackingEnabled]);
+
   // Helper to clear error
   const clearError = () => setError(null);
 
@@ -202,6 +217,24 @@ export function AppProvider({ children }: { children: ReactNode }) {
     }
   };
 
+  // Several extracted drafts at once; each is validated on its own by the server
+  const addEvents = async (eventsData: Partial<Event>[]) => {
+    try {
+      clearError();
+      const drafts = eventsData.map(eventData => ({
+        ...transformEventToBackend(eventData),
+        sourceType: eventData.source === 'image' ? 'poster_image' : eventData.source === 'voice' ? 'voice' : 'text_manual',
+      }));
+      const response = await apiService.createEventsBatch(drafts);
+      const newEvents = response.events.map(transformEventFromBackend);
+      setEvents(prev => [...prev, ...newEvents]);
+      return { created: newEvents.length, errors: response.errors || [] };
+    } catch (error) {
+      handleApiError(error);
+      return { created: 0, errors: [] };
+    }
+  };
+
   const addFriend = (friend: Friend) => {
     setFriends(prev => [...prev, friend]);
   };
@@ -232,6 +265,29 @@ export function AppProvider({ children }: { children: ReactNode }) {
     }
   };
 
+  const getUpcomingDeadlines = async (days?: number) => {
+    try {
+      const response = await apiService.getUpcomingDeadlines(days ? { days } : {});
+      return response.deadlines as UpcomingDeadline[];
+    } catch (error) {
+      handleApiError(error);
+      return [];
+    }
+  };
+
+  const updateRegistrationStatus = async (id: string, registrationStatus: RegistrationStatus) => {
+    try {
+      clearError();
+      const response = await apiService.updateRegistrationStatus(id, registrationStatus);
+      const updatedEvent = transformEventFromBackend(response.event);
+      setEvents(prev =>
+        prev.map(event => event.id === id ? updatedEvent : event)
+      );
+    } catch (error) {
+      handleApiError(error);
+    }
+  };
+
   const deleteEvent = async (id: string) => {
     try {
       clearError();
@@ -346,8 +402,9 @@ export function AppProvider({ children }: { children: ReactNode }) {
       const subscription = await registration.pushManager.getSubscription();
 
       if (subscription) {
+        const { endpoint } = subscription;
         await subscription.unsubscribe();
-        await apiService.unsubscribeFromPushNotifications();
+        await apiService.unsubscribeFromPushNotifications(endpoint);
       }
     } catch (error) {
       console.error('Push unsubscription failed:', error);
@@ -371,9 +428,9 @@ export function AppProvider({ children }: { children: ReactNode }) {
     }
   };
 
-  const snoozeReminder = async (reminderId: string, minutes: number) => {
+  const snoozeReminder = async (reminderId: string, snooze: number | SnoozePreset) => {
     try {
-      await apiService.snoozeReminder(reminderId, minutes);
+      await apiService.snoozeReminder(reminderId, snooze);
     } catch (error) {
       handleApiError(error);
     }
@@ -464,8 +521,11 @@ export function AppProvider({ children }: { children: ReactNode }) {
         // Event methods
         loadEvents,
         addEvent,
+        addEvents,
         updateEvent,
         updateEventStatus,
+        getUpcomingDeadlines,
+        updateRegistrationStatus,
         deleteEvent,
 
         // User methods
@@ -507,15 +567,18 @@ export function AppProvider({ children }: { children: ReactNode }) {
 }
 
 // Helper functions to transform data between frontend and backend formats
+const PRIORITY_LABELS: Priority[] = ['low', 'low', 'medium', 'high', 'critical'];
+
 function transformEventFromBackend(backendEvent: any): Event {
   return {
     id: backendEvent._id,
     title: backendEvent.title,
-    date: backendEvent.dateTime.split('T')[0],
-    time: backendEvent.dateTime.split('T')[1]?.substring(0, 5) || '00:00',
+    ...splitDateTime(backendEvent.dateTime),
+    ...splitEndDateTime(backendEvent.endDateTime),
     location: backendEvent.location || '',
     category: backendEvent.category,
-    priority: ['low', 'low', 'medium', 'high', 'critical'][backendEvent.priority - 1] || 'medium' as Priority,
+    priority: PRIORITY_LABELS[backendEvent.priority - 1] || 'medium',
+    priorityLevel: backendEvent.priority,
     description: backendEvent.description || '',
     prepProgress: calculatePrepProgress(backendEvent.preparationTasks || []),
     reminders: {
@@ -527,8 +590,11 @@ function transformEventFromBackend(backendEvent: any): Event {
     addToCalendar: backendEvent.googleCalendarSynced || false,
     postToFriends: false, // TODO: implement
     status: backendEvent.status,
+    registrationDeadline: backendEvent.registrationDeadline,
+    registrationStatus: backendEvent.registrationStatus,
     preparationNotes: backendEvent.preparationNotes,
     preparationTasks: backendEvent.preparationTasks || [],
+    extractionFields: backendEvent.extractionFields,
   };
 }
 
@@ -538,16 +604,33 @@ function transformEventToBackend(frontendEvent: Partial<Event>): any {
   if (frontendEvent.title) backendEvent.title = frontendEvent.title;
   if (frontendEvent.description) backendEvent.description = frontendEvent.description;
   if (frontendEvent.date && frontendEvent.time) {
-    backendEvent.dateTime = new Date(`${frontendEvent.date}T${frontendEvent.time}:00Z`);
+    backendEvent.dateTime = joinDateTime(frontendEvent.date, frontendEvent.time);
+  }
+  if (frontendEvent.endTime) {
+    backendEvent.endDateTime = joinDateTime(frontendEvent.endDate || frontendEvent.date || '', frontendEvent.endTime);
+  } else if (frontendEvent.endTime === '') {
+    backendEvent.endDateTime = null; // Cleared in the editor
   }
   if (frontendEvent.location) backendEvent.location = frontendEvent.location;
   if (frontendEvent.category) backendEvent.category = frontendEvent.category;
   if (frontendEvent.priority) {
-    backendEvent.priority = { low: 1, medium: 3, high: 4, critical: 5 }[frontendEvent.priority] || 3;
+    // Keep the exact level (2 also shows as "low") unless another label was picked
+    const level = frontendEvent.priorityLevel;
+    backendEvent.priority = level && PRIORITY_LABELS[level - 1] === frontendEvent.priority
+      ? level
+      : { low: 1, medium: 3, high: 4, critical: 5 }[frontendEvent.priority] || 3;
   }
   if (frontendEvent.status) backendEvent.status = frontendEvent.status;
+  if (frontendEvent.registrationDeadline) backendEvent.registrationDeadline = frontendEvent.registrationDeadline;
+  if (frontendEvent.registrationStatus) backendEvent.registrationStatus = frontendEvent.registrationStatus;
   if (frontendEvent.preparationNotes) backendEvent.preparationNotes = frontendEvent.preparationNotes;
   if (frontendEvent.preparationTasks) backendEvent.preparationTasks = frontendEvent.preparationTasks;
+  if (frontendEvent.extractionFields) backendEvent.extractionFields = frontendEvent.extractionFields;
+  if (frontendEvent.extractionMethod) backendEvent.extractionMethod = frontendEvent.extractionMethod;
+  if (frontendEvent.rawInput) backendEvent.rawInput = frontendEvent.rawInput;
+  if (frontendEvent.confidence !== undefined && frontendEvent.confidence <= 1) {
+    backendEvent.extractionConfidence = frontendEvent.confidence;
+  }
 
   // Transform reminders
   if (frontendEvent.reminders) {
@@ -1,15 +1,38 @@
 export type Priority = 'low' | 'medium' | 'high' | 'critical';
 export type Category = 'academic' | 'competition' | 'webinar' | 'workshop' | 'meeting' | 'social';
 export type ViewMode = 'list' | 'calendar' | 'timeline';
+export type RegistrationStatus = 'not_registered' | 'registered' | 'waitlisted';
+export type SnoozePreset = '10m' | '1h' | 'tonight' | 'tomorrow_morning' | 'when_free';
+
+// Where in the submitted text an extracted value came from
+export interface SourceSpan {
+  start: number;
+  end: number;
+  text: string;
+}
+
+export interface ExtractedField {
+  value: any;
+  confidence: number;
+  span?: SourceSpan | null;
+  alternatives: Array<{ value: any; confidence: number; span?: SourceSpan | null }>;
+  corrected?: boolean;
+}
+
+export type ExtractedFieldName = 'title' | 'dateTime' | 'endDateTime' | 'location' | 'category' | 'priority';
+export type ExtractionFields = Partial<Record<ExtractedFieldName, ExtractedField | null>>;
 
 export interface Event {
   id: string;
   title: string;
   date: string;
   time: string;
+  endDate?: string; // End of a range ("3-5pm", "Oct 12-14"); empty when the event has none
+  endTime?: string;
   location: string;
   category: Category;
   priority: Priority;
+  priorityLevel?: number; // Server's 1-5 level; 1 and 2 both show as "low"
   description: string;
   prepProgress: number;
   reminders: {
@@ -22,8 +45,13 @@ export interface Event {
   postToFriends: boolean;
   source?: 'text' | 'voice' | 'image' | 'manual';
   confidence?: number;
+  extractionMethod?: string;
+  extractionFields?: ExtractionFields;
+  rawInput?: string;
   completed?: boolean;
   status?: 'scheduled' | 'in_progress' | 'completed' | 'cancelled';
+  registrationDeadline?: string;
+  registrationStatus?: RegistrationStatus;
   preparationNotes?: string;
   preparationTasks?: Array<{
     task: string;
@@ -32,6 +60,20 @@ export interface Event {
   }>;
 }
 
+export interface UpcomingDeadline {
+  _id: string;
+  title: string;
+  dateTime: string;
+  registrationDeadline: string;
+  registrationStatus: RegistrationStatus;
+  registrationFee?: number;
+  eventLink?: string;
+  priority: number;
+  urgency: 'today' | 'soon' | 'upcoming';
+  hoursLeft: number;
+  closingSoon: boolean;
+}
+
 export interface User {
   id: string;
   name: string;
@@ -94,4 +136,6 @@ export interface UserPreferences {
     connected: boolean;
     email?: string;
   };
+  // Opt-in: sends the device's position so reminders can fire near an event's venue
+  locationTrackingEnabled?: boolean;
 }
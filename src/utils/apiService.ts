@@ -1,4 +1,6 @@
 // API service for communicating with backend
+import { SnoozePreset } from '../types';
+
 const API_BASE_URL = import.meta.env?.VITE_API_URL || 'http://localhost:5000/api';
 
 interface ApiServiceType {
@@ -13,8 +15,11 @@ interface ApiServiceType {
   getEvents(params?: any): Promise<any>;
   getEvent(id: string): Promise<any>;
   createEvent(eventData: any): Promise<any>;
+  createEventsBatch(drafts: any[]): Promise<any>;
   updateEvent(id: string, eventData: any): Promise<any>;
   updateEventStatus(id: string, status: string): Promise<any>;
+  getUpcomingDeadlines(params?: { days?: number; includeRegistered?: boolean }): Promise<any>;
+  updateRegistrationStatus(id: string, registrationStatus: string): Promise<any>;
   deleteEvent(id: string): Promise<any>;
   processText(text: string): Promise<any>;
   processVoice(transcript: string): Promise<any>;
@@ -25,11 +30,13 @@ interface ApiServiceType {
   subscribeToPush(subscription: any): Promise<any>;
   unsubscribeFromPush(endpoint: string): Promise<any>;
   subscribeToPushNotifications(subscription: any): Promise<any>;
-  unsubscribeFromPushNotifications(): Promise<any>;
+  unsubscribeFromPushNotifications(endpoint?: string): Promise<any>;
   testPushNotification(): Promise<any>;
   testEmailNotification(): Promise<any>;
+  postLocationUpdate(position: { latitude: number; longitude: number; accuracy?: number }): Promise<any>;
   getReminders(): Promise<any>;
-  snoozeReminder(reminderId: string, minutes?: number): Promise<any>;
+  snoozeReminder(reminderId: string, snooze?: number | SnoozePreset): Promise<any>;
+  getSnoozeOptions(reminderId: string): Promise<any>;
   dismissReminder(reminderId: string): Promise<any>;
   // Google Calendar methods
   getGoogleCalendarStatus(): Promise<any>;
@@ -130,6 +137,13 @@ class ApiService implements ApiServiceType {
     });
   }
 
+  async createEventsBatch(drafts: any[]): Promise<any> {
+    return this.request('/events/batch', {
+      method: 'POST',
+      body: JSON.stringify({ drafts }),
+    });
+  }
+
   async updateEvent(id, eventData) {
     return this.request(`/events/${id}`, {
       method: 'PUT',
@@ -144,6 +158,20 @@ class ApiService implements ApiServiceType {
     });
   }
 
+  async getUpcomingDeadlines(params: { days?: number; includeRegistered?: boolean } = {}): Promise<any> {
+    const queryString = new URLSearchParams(
+      Object.entries(params).map(([key, value]) => [key, String(value)])
+    ).toString();
+    return this.request(`/events/deadlines?${queryString}`);
+  }
+
+  async updateRegistrationStatus(id: string, registrationStatus: string): Promise<any> {
+    return this.request(`/events/${id}/registration`, {
+      method: 'PATCH',
+      body: JSON.stringify({ registrationStatus }),
+    });
+  }
+
   async deleteEvent(id) {
     return this.request(`/events/${id}`, {
       method: 'DELETE',
@@ -207,13 +235,18 @@ class ApiService implements ApiServiceType {
     return this.request('/reminders');
   }
 
-  async snoozeReminder(reminderId: string, minutes: number = 30): Promise<any> {
+  // A number snoozes for that many minutes; a string is a preset such as 'tonight'
+  async snoozeReminder(reminderId: string, snooze: number | SnoozePreset = 30): Promise<any> {
     return this.request(`/reminders/${reminderId}/snooze`, {
       method: 'PATCH',
-      body: JSON.stringify({ minutes }),
+      body: JSON.stringify(typeof snooze === 'number' ? { minutes: snooze } : { preset: snooze }),
     });
   }
 
+  async getSnoozeOptions(reminderId: string): Promise<any> {
+    return this.request(`/reminders/${reminderId}/snooze-options`);
+  }
+
   async dismissReminder(reminderId: string): Promise<any> {
     return this.request(`/reminders/${reminderId}/dismiss`, {
       method: 'PATCH',
@@ -227,9 +260,11 @@ class ApiService implements ApiServiceType {
     });
   }
 
-  async unsubscribeFromPushNotifications(): Promise<any> {
+  async unsubscribeFromPushNotifications(endpoint?: string): Promise<any> {
+    // Without an endpoint the server unsubscribes every device
     return this.request('/users/push-subscription', {
       method: 'DELETE',
+      body: JSON.stringify({ endpoint }),
     });
   }
 
@@ -246,6 +281,14 @@ class ApiService implements ApiServiceType {
     });
   }
 
+  // Only accepted while preferences.locationTrackingEnabled is on
+  async postLocationUpdate(position: { latitude: number; longitude: number; accuracy?: number }): Promise<any> {
+    return this.request('/users/location', {
+      method: 'POST',
+      body: JSON.stringify(position),
+    });
+  }
+
   // Google Calendar methods
   async getGoogleCalendarStatus(): Promise<any> {
     return this.request('/calendar/status');
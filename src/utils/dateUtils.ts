@@ -84,3 +84,25 @@ export function scheduleReminders(eventDate: string, eventTime: string) {
 
   return reminders;
 }
+
+// Instant -> the date and time inputs' values, both in the browser's timezone
+export function splitDateTime(value: string | Date | null | undefined): { date: string; time: string } {
+  if (!value) return { date: '', time: '' };
+  const date = new Date(value);
+  const pad = (n: number) => String(n).padStart(2, '0');
+  return {
+    date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+    time: `${pad(date.getHours())}:${pad(date.getMinutes())}`,
+  };
+}
+
+// End of a range -> the end date and time inputs' values
+export function splitEndDateTime(value: string | Date | null | undefined): { endDate: string; endTime: string } {
+  const { date, time } = splitDateTime(value);
+  return { endDate: date, endTime: time };
+}
+
+// Date and time inputs' values (browser timezone) -> instant
+export function joinDateTime(date: string, time: string): Date {
+  return new Date(`${date}T${time}:00`);
+}
@@ -0,0 +1,72 @@
+import { apiService } from './apiService';
+
+// Sends the device's position to the server for location-aware reminders: straight away after
+// moving a meaningful distance, and every few minutes while standing still (watchPosition only
+// reports movement, so a timer asks as well). The server only checks an event's venue close to
+// its start, so someone already at the venue when that window opens still gets checked. Only
+// started when the user has turned on location tracking in their preferences.
+const MIN_INTERVAL_MS = 5 * 60 * 1000;
+const MIN_DISTANCE_M = 200;
+
+let watchId: number | null = null;
+let timerId: ReturnType<typeof setInterval> | null = null;
+let lastSent: { latitude: number; longitude: number; at: number } | null = null;
+
+function distanceInMeters(a: { latitude: number; longitude: number }, b: { latitude: number; longitude: number }): number {
+  const toRad = (degrees: number) => (degrees * Math.PI) / 180;
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLon = toRad(b.longitude - a.longitude);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+// `due` is set for the timer's positions, which are sent even without moving
+async function handlePosition(position: GeolocationPosition, due = false) {
+  const { latitude, longitude, accuracy } = position.coords;
+  const now = Date.now();
+
+  // Neither due nor moved
+  if (
+    !due &&
+    lastSent &&
+    now - lastSent.at < MIN_INTERVAL_MS &&
+    distanceInMeters(lastSent, { latitude, longitude }) < MIN_DISTANCE_M
+  ) {
+    return;
+  }
+
+  lastSent = { latitude, longitude, at: now };
+  try {
+    await apiService.postLocationUpdate({ latitude, longitude, accuracy });
+  } catch (error) {
+    console.error('Failed to send location update:', error);
+  }
+}
+
+export function startLocationUpdates(): boolean {
+  if (watchId !== null) return true;
+  if (!('geolocation' in navigator)) return false;
+
+  const onError = (error: GeolocationPositionError) => console.error('Location unavailable:', error.message);
+  const options = { enableHighAccuracy: false, maximumAge: MIN_INTERVAL_MS, timeout: 30000 };
+
+  watchId = navigator.geolocation.watchPosition((position) => handlePosition(position), onError, options);
+  timerId = setInterval(() => {
+    navigator.geolocation.getCurrentPosition((position) => handlePosition(position, true), onError, options);
+  }, MIN_INTERVAL_MS);
+  return true;
+}
+
+export function stopLocationUpdates() {
+  if (watchId !== null) {
+    navigator.geolocation.clearWatch(watchId);
+    watchId = null;
+  }
+  if (timerId !== null) {
+    clearInterval(timerId);
+    timerId = null;
+  }
+  lastSent = null;
+}